@@ -4,6 +4,15 @@
    
    Client-side API integration for Land Purchase System
    Handles communication with backend API
+
+   Failed requests throw an Error carrying status, code (e.g.
+   'validation_failed'), fields ([{ field, code, message }]) and
+   fieldErrors ({ phone: 'must be a Kenyan phone number, ...' }) so
+   forms can show each message next to its input.
+
+   List endpoints (buyers, plots, transactions, payments) take page,
+   per_page, sort and fields. getPage() returns one page with its total;
+   iterate() and getAll() walk every page for reports.
    ============================================ */
 
 class LandPurchaseAPI {
@@ -12,48 +21,168 @@ class LandPurchaseAPI {
       || (typeof window !== 'undefined' && window.API_BASE_URL)
       || (typeof location !== 'undefined' ? `${location.protocol}//${location.host}/api` : 'http://localhost:3000/api');
     this.baseURL = resolvedBase;
+    this.tokenKey = 'land_auth_token';
+    this.onUnauthorized = null;   // Called when the API answers 401 (e.g. to show a login screen)
   }
 
   // ==========================================
   // HELPER METHODS
   // ==========================================
 
-  async request(endpoint, options = {}) {
+  getToken() {
+    try {
+      return localStorage.getItem(this.tokenKey);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  setToken(token) {
+    try {
+      if (token) localStorage.setItem(this.tokenKey, token);
+      else localStorage.removeItem(this.tokenKey);
+    } catch (_) { /* storage unavailable */ }
+  }
+
+  // Fetch and return the Response; errors are thrown as described above
+  async fetchResponse(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
+    const token = this.getToken();
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
         ...options.headers
-      },
-      ...options
+      }
     };
 
     try {
       const response = await fetch(url, config);
       
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || `HTTP ${response.status}`);
+        // Errors look like { error: { code, message, fields: [{ field, code, message }] } }
+        const data = await response.json().catch(() => ({}));
+        const error = data.error || {};
+        const err = new Error(error.message || `HTTP ${response.status}`);
+        err.status = response.status;
+        err.code = error.code;
+        err.fields = error.fields || [];
+        err.fieldErrors = Object.fromEntries(err.fields.map(f => [f.field, f.message]));
+        err.conflicts = error.conflicts;
+        err.data = data;
+        if (response.status === 401 && !endpoint.startsWith('/auth/login')) {
+          this.setToken(null);
+          if (typeof this.onUnauthorized === 'function') this.onUnauthorized(err);
+        }
+        throw err;
       }
 
-      return await response.json();
+      return response;
     } catch (error) {
       console.error('API Error:', error);
       throw error;
     }
   }
 
+  async request(endpoint, options = {}) {
+    const response = await this.fetchResponse(endpoint, options);
+    return response.json();
+  }
+
+  /**
+   * One page of a list: { items, total, page, perPage, hasMore }.
+   * params are the list's filters plus page, per_page, sort and fields.
+   */
+  async getPage(endpoint, params = {}) {
+    const query = new URLSearchParams({ page: 1, per_page: 50, ...params });
+    const response = await this.fetchResponse(`${endpoint}?${query}`);
+    const items = await response.json();
+    const total = Number(response.headers.get('X-Total-Count')) || 0;
+    const page = Number(response.headers.get('X-Page')) || Number(query.get('page'));
+    const perPage = Number(response.headers.get('X-Per-Page')) || Number(query.get('per_page'));
+    return { items, total, page, perPage, hasMore: page * perPage < total };
+  }
+
+  // Yield every row of a list, one page request at a time
+  async *iterate(endpoint, params = {}, perPage = 500) {
+    for (let page = 1; ; page++) {
+      const result = await this.getPage(endpoint, { ...params, page, per_page: perPage });
+      yield* result.items;
+      if (!result.hasMore || result.items.length === 0) return;
+    }
+  }
+
+  async getAll(endpoint, params = {}) {
+    const rows = [];
+    for await (const row of this.iterate(endpoint, params)) rows.push(row);
+    return rows;
+  }
+
+  // ==========================================
+  // AUTH API
+  // ==========================================
+
+  async login(username, password) {
+    const session = await this.request('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password })
+    });
+    this.setToken(session.token);
+    return session.user;
+  }
+
+  async logout() {
+    try {
+      await this.request('/auth/logout', { method: 'POST' });
+    } finally {
+      this.setToken(null);
+    }
+  }
+
+  async getCurrentUser() {
+    return this.request('/auth/me');
+  }
+
+  // ==========================================
+  // USERS API (admin)
+  // ==========================================
+
+  async getUsers() {
+    return this.request('/users');
+  }
+
+  async createUser(userData) {
+    return this.request('/users', {
+      method: 'POST',
+      body: JSON.stringify(userData)
+    });
+  }
+
+  async updateUser(id, updates) {
+    return this.request(`/users/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  }
+
   // ==========================================
   // PLOTS API
   // ==========================================
 
-  async getPlots(status) {
-    const endpoint = status ? `/plots?status=${status}` : '/plots';
-    return this.request(endpoint);
+  async getPlots(filters = {}) {
+    // Accept a bare status string for backwards compatibility
+    const params = new URLSearchParams(typeof filters === 'string' ? { status: filters } : filters);
+    return this.request(`/plots?${params}`);
   }
 
-  async getPlotStats() {
-    return this.request('/plots/stats');
+  async getPlotsPage(params = {}) {
+    return this.getPage('/plots', params);
+  }
+
+  async getPlotStats(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/plots/stats?${params}`);
   }
 
   async getPlot(id) {
@@ -67,6 +196,14 @@ class LandPurchaseAPI {
     });
   }
 
+  // Replaces the plot's tags; pricing rules can match on them
+  async setPlotTags(id, tags) {
+    return this.request(`/plots/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ tags })
+    });
+  }
+
   async updatePlotsBulk(plotIds, status, buyerId) {
     return this.request('/plots/bulk-update', {
       method: 'POST',
@@ -74,12 +211,202 @@ class LandPurchaseAPI {
     });
   }
 
+  async setPlotPrice(id, price, options = {}) {
+    return this.request(`/plots/${id}/price`, {
+      method: 'PUT',
+      body: JSON.stringify({ price, ...options })
+    });
+  }
+
+  async repricePlots(repriceData) {
+    return this.request('/plots/reprice', {
+      method: 'POST',
+      body: JSON.stringify(repriceData)
+    });
+  }
+
+  async getPlotPriceHistory(id) {
+    return this.request(`/plots/${id}/price-history`);
+  }
+
+  async updatePlotSurvey(id, survey) {
+    return this.request(`/plots/${id}/survey`, {
+      method: 'PUT',
+      body: JSON.stringify(survey)
+    });
+  }
+
+  // Creates or updates plots. layout: a GeoJSON FeatureCollection whose
+  // features carry properties.plot_number, or the text of a KML file
+  async importPlots(layout, estateId) {
+    const query = estateId ? `?estate_id=${estateId}` : '';
+    const kml = typeof layout === 'string';
+    return this.request(`/plots/import${query}`, {
+      method: 'POST',
+      headers: kml ? { 'Content-Type': 'application/vnd.google-earth.kml+xml' } : {},
+      body: kml ? layout : JSON.stringify(layout)
+    });
+  }
+
+  // The layout as a Blob to save: format 'geojson' or 'kml';
+  // filters: estate_id, status
+  async exportPlots(format = 'geojson', filters = {}) {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, v]) => v !== undefined && v !== ''));
+    const response = await this.fetchResponse(`/plots/export.${format}?${query}`);
+    return response.blob();
+  }
+
+  // Holds are made under the signed-in user's name
+  async reservePlot(id, options = {}) {
+    return this.request(`/plots/${id}/reserve`, {
+      method: 'POST',
+      body: JSON.stringify(options)
+    });
+  }
+
+  async releasePlot(id) {
+    return this.request(`/plots/${id}/reserve`, {
+      method: 'DELETE'
+    });
+  }
+
+  // ==========================================
+  // ESTATES API
+  // ==========================================
+
+  async getEstates() {
+    return this.request('/estates');
+  }
+
+  async getEstate(id) {
+    return this.request(`/estates/${id}`);
+  }
+
+  async createEstate(estateData) {
+    return this.request('/estates', {
+      method: 'POST',
+      body: JSON.stringify(estateData)
+    });
+  }
+
+  async updateEstate(id, estateData) {
+    return this.request(`/estates/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(estateData)
+    });
+  }
+
+  async deleteEstate(id) {
+    return this.request(`/estates/${id}`, { method: 'DELETE' });
+  }
+
+  // ==========================================
+  // PRICING RULES API
+  // ==========================================
+
+  async getPricingRules() {
+    return this.request('/pricing-rules');
+  }
+
+  // rule: { name, estate_id?, category?, tag?, corner?, road_facing?,
+  // plot_from?, plot_to?, percent | amount, active? }
+  async createPricingRule(rule) {
+    return this.request('/pricing-rules', {
+      method: 'POST',
+      body: JSON.stringify(rule)
+    });
+  }
+
+  async updatePricingRule(id, changes) {
+    return this.request(`/pricing-rules/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+  }
+
+  async deletePricingRule(id) {
+    return this.request(`/pricing-rules/${id}`, { method: 'DELETE' });
+  }
+
+  // ==========================================
+  // DISCOUNTS API
+  // ==========================================
+
+  async getPromoCodes() {
+    return this.request('/promo-codes');
+  }
+
+  // promo: { code, percent | amount, description?, estate_id?, min_plots?,
+  // valid_from?, valid_to?, max_uses?, active? }
+  async createPromoCode(promo) {
+    return this.request('/promo-codes', {
+      method: 'POST',
+      body: JSON.stringify(promo)
+    });
+  }
+
+  async updatePromoCode(id, changes) {
+    return this.request(`/promo-codes/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+  }
+
+  async deletePromoCode(id) {
+    return this.request(`/promo-codes/${id}`, { method: 'DELETE' });
+  }
+
+  async getVolumeTiers() {
+    return this.request('/volume-tiers');
+  }
+
+  // tier: { min_plots, percent, estate_id?, active? }
+  async createVolumeTier(tier) {
+    return this.request('/volume-tiers', {
+      method: 'POST',
+      body: JSON.stringify(tier)
+    });
+  }
+
+  async updateVolumeTier(id, changes) {
+    return this.request(`/volume-tiers/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+  }
+
+  async deleteVolumeTier(id) {
+    return this.request(`/volume-tiers/${id}`, { method: 'DELETE' });
+  }
+
   // ==========================================
   // BUYERS API
   // ==========================================
 
-  async getBuyers() {
-    return this.request('/buyers');
+  async getBuyers(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/buyers?${params}`);
+  }
+
+  async getBuyersPage(params = {}) {
+    return this.getPage('/buyers', params);
+  }
+
+  // { buyer, results }: buyer is the exact ID number / uid match or null
+  async searchBuyers(q, limit) {
+    const params = new URLSearchParams(limit ? { q, limit } : { q });
+    return this.request(`/buyers/search?${params}`);
+  }
+
+  async getDuplicateBuyers() {
+    return this.request('/buyers/duplicates');
+  }
+
+  async mergeBuyers(id, duplicateId) {
+    return this.request(`/buyers/${id}/merge`, {
+      method: 'POST',
+      body: JSON.stringify({ duplicate_id: Number(duplicateId) })
+    });
   }
 
   async getBuyer(id) {
@@ -110,10 +437,18 @@ class LandPurchaseAPI {
     return this.request(endpoint);
   }
 
+  async getTransactionsPage(params = {}) {
+    return this.getPage('/transactions', params);
+  }
+
   async getTransaction(id) {
     return this.request(`/transactions/${id}`);
   }
 
+  async getTransactionSchedule(id) {
+    return this.request(`/transactions/${id}/schedule`);
+  }
+
   async createTransaction(transactionData) {
     return this.request('/transactions', {
       method: 'POST',
@@ -121,6 +456,18 @@ class LandPurchaseAPI {
     });
   }
 
+  async cancelTransaction(id, reason, refundAmount) {
+    return this.request(`/transactions/${id}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, refund_amount: refundAmount })
+    });
+  }
+
+  async getRefunds(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/transactions/refunds?${params}`);
+  }
+
   async updateTransactionStatus(id, paymentStatus) {
     return this.request(`/transactions/${id}/status`, {
       method: 'PUT',
@@ -128,22 +475,137 @@ class LandPurchaseAPI {
     });
   }
 
+  // ==========================================
+  // PURCHASES API
+  // ==========================================
+
+  // purchaseData: { buyer_id, plot_ids, notes?, payment_plan?, promo_code?, manual_discount? }
+  async createPurchase(purchaseData) {
+    return this.request('/purchases', {
+      method: 'POST',
+      body: JSON.stringify(purchaseData)
+    });
+  }
+
+  // ==========================================
+  // QUOTES API
+  // ==========================================
+
+  // What a sale would cost: { plot_ids, promo_code?, manual_discount? }
+  // -> { line_items, gross_amount, discount_amount, total_amount, ... }
+  async createQuote(quoteData) {
+    return this.request('/quotes', {
+      method: 'POST',
+      body: JSON.stringify(quoteData)
+    });
+  }
+
+  async getQuotes(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/quotes?${params}`);
+  }
+
+  async getQuote(id) {
+    return this.request(`/quotes/${id}`);
+  }
+
+  // Save a draft quote; quoteData: as for createPurchase, plus valid_until?
+  async saveQuote(quoteData) {
+    return this.request('/quotes/drafts', {
+      method: 'POST',
+      body: JSON.stringify(quoteData)
+    });
+  }
+
+  async updateQuote(id, changes) {
+    return this.request(`/quotes/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+  }
+
+  async sendQuote(id) {
+    return this.request(`/quotes/${id}/send`, { method: 'POST' });
+  }
+
+  // Sells the plots at the quoted prices -> the new transaction
+  async convertQuote(id) {
+    return this.request(`/quotes/${id}/convert`, { method: 'POST' });
+  }
+
+  async expireQuote(id) {
+    return this.request(`/quotes/${id}/expire`, { method: 'POST' });
+  }
+
   // ==========================================
   // PAYMENTS API
   // ==========================================
 
   async getPayments(filters = {}) {
     const params = new URLSearchParams(filters);
-    const endpoint = `/transactions/payments?${params}`;
+    const endpoint = `/payments?${params}`;
     return this.request(endpoint);
   }
 
+  async getPaymentsPage(params = {}) {
+    return this.getPage('/payments', params);
+  }
+
+  async getPayment(id) {
+    return this.request(`/payments/${id}`);
+  }
+
   async createPayment(paymentData) {
-    return this.request('/transactions/payments', {
+    return this.request('/payments', {
       method: 'POST',
       body: JSON.stringify(paymentData)
     });
   }
+
+  async voidPayment(id, reason) {
+    return this.request(`/payments/${id}/void`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    });
+  }
+
+  // ==========================================
+  // LIVE EVENTS
+  // ==========================================
+
+  /**
+   * Listen to GET /api/events. handlers maps an entity (plot, estate,
+   * buyer, transaction, payment, pricing_rule) to a function that gets each change as
+   * { action, entity, entity_id, data, at }; handlers.reconnected runs
+   * when the stream comes back after dropping, since changes made in
+   * between were missed. Returns a function that stops listening.
+   */
+  subscribe(handlers = {}) {
+    if (typeof EventSource === 'undefined') return () => {};
+    // EventSource cannot send an Authorization header
+    const token = encodeURIComponent(this.getToken() || '');
+    const source = new EventSource(`${this.baseURL}/events?access_token=${token}`);
+    for (const [entity, handler] of Object.entries(handlers)) {
+      if (entity === 'reconnected') continue;
+      source.addEventListener(entity, (e) => handler(JSON.parse(e.data)));
+    }
+    let dropped = false;
+    source.onerror = () => { dropped = true; };
+    source.onopen = () => {
+      if (dropped && typeof handlers.reconnected === 'function') handlers.reconnected();
+      dropped = false;
+    };
+    return () => source.close();
+  }
+
+  // ==========================================
+  // AUDIT API
+  // ==========================================
+
+  async getAuditEvents(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/audit?${params}`);
+  }
 }
 
 // Export singleton instance
@@ -3,7 +3,7 @@
    ============================================
    
    This system manages land plot sales with:
-   - Visual plot grid (20x10 = 200 plots)
+   - Visual plot grid per estate (default 20x10 = 200 plots)
    - Buyer information collection
    - Budget tracking
    - Transaction logging
@@ -17,8 +17,9 @@
   // CONSTANTS & CONFIGURATION
   // ==========================================
   
-  const TOTAL = 200;                    // Total number of plots
-  const PRICE = 65800;                  // Price per plot in KES
+  const TOTAL = 200;                    // Plot count of the offline demo grid
+  const DEMO_COLS = 20;                 // Columns of the offline demo grid
+  const PRICE = 65800;                  // Fallback price per plot in KES (until plot prices load)
   const CURRENCY = 'KES';               // Currency code
   const USE_BACKEND = false;            // Toggle backend integration - disabled for faster loading
   
@@ -26,13 +27,22 @@
   // STATE MANAGEMENT
   // ==========================================
   
-  let soldSet = new Set([15, 23, 45, 67, 89, 123, 156, 178]); // Set of sold plot numbers with some demo data
+  let soldSet = new Set();        // Set of sold plot numbers (loaded from the backend)
   let selected = new Set();       // Set of currently selected plot numbers
   let lastSelected = null;        // Last selected plot (for shift-select)
   let zoomLevel = 1;              // Current zoom level for grid
   let currentBudget = 0;          // Buyer's total budget
   let totalSpent = 0;             // Total amount spent from budget
   let currentBuyerId = null;      // Current buyer ID from backend
+  let heldMap = new Map();        // Plots held by other agents or quotes: id -> see plotHold
+  let priceMap = new Map();       // Per-plot effective prices from the backend: id -> price
+  let estates = [];               // Estates from the backend
+  let currentEstate = null;       // Estate whose grid is shown (null = offline demo grid)
+  let estatePlots = null;         // Plots of the current estate: [{ id, plot_number, geometry, ...survey }]
+  let viewMode = 'grid';          // 'grid' (numbered boxes) or 'map' (survey outlines)
+  let currentUser = null;         // Signed-in staff member; plots are held under their username
+  let stopLiveUpdates = null;     // Closes the /api/events stream
+  let renderTimer = null;         // Pending render() after a burst of live plot changes
 
   // ==========================================
   // DOM ELEMENT REFERENCES
@@ -40,6 +50,10 @@
   
   // Grid & Stats
   const gridEl = document.getElementById('grid');
+  const siteMapEl = document.getElementById('siteMap');
+  const gridViewBtn = document.getElementById('gridViewBtn');
+  const mapViewBtn = document.getElementById('mapViewBtn');
+  const estateSelect = document.getElementById('estateSelect');
   const soldEl = document.getElementById('soldCount');
   const availEl = document.getElementById('availableCount');
   
@@ -56,6 +70,7 @@
   const buyerNameInput = document.getElementById('buyerName');
   const buyerPhoneInput = document.getElementById('buyerPhone');
   const buyerIDInput = document.getElementById('buyerID');
+  const buyerEmailInput = document.getElementById('buyerEmail');
   
 
   
@@ -73,7 +88,14 @@
   const installmentSummary = document.getElementById('installmentSummary');
   const monthlyAmountEl = document.getElementById('monthlyAmount');
   const depositPayableEl = document.getElementById('depositPayable');
-  
+
+  // Discount Controls
+  const promoCodeInput = document.getElementById('promoCode');
+  const manualDiscountFields = document.getElementById('manualDiscountFields');
+  const manualDiscountTypePercent = document.getElementById('manualDiscountTypePercent');
+  const manualDiscountValueInput = document.getElementById('manualDiscountValue');
+  const manualDiscountReasonInput = document.getElementById('manualDiscountReason');
+
   // Transaction Log
   const logContainer = document.getElementById('logContainer');
   
@@ -90,6 +112,7 @@
   const payTotalPaidEl = document.getElementById('payTotalPaid');
   const payRemainingEl = document.getElementById('payRemaining');
   const paymentsListEl = document.getElementById('paymentsList');
+  const scheduleListEl = document.getElementById('scheduleList');
   
   // Buyer Balance Elements
   const balanceBuyerIdNumberInput = document.getElementById('balanceBuyerIdNumber');
@@ -106,6 +129,15 @@
   const totalPlotsSoldEl = document.getElementById('totalPlotsSold');
   const paymentReportListEl = document.getElementById('paymentReportList');
 
+  // Sign-in Elements
+  const loginOverlay = document.getElementById('loginOverlay');
+  const loginForm = document.getElementById('loginForm');
+  const loginUsernameInput = document.getElementById('loginUsername');
+  const loginPasswordInput = document.getElementById('loginPassword');
+  const loginErrorEl = document.getElementById('loginError');
+  const currentUserLabel = document.getElementById('currentUserLabel');
+  const logoutBtn = document.getElementById('logoutBtn');
+
   // API instance from global
   const API = (typeof window !== 'undefined' && window.LandPurchaseAPI) ? window.LandPurchaseAPI : null;
 
@@ -113,6 +145,47 @@
   // BACKEND API INTEGRATION
   // ==========================================
   
+  /**
+   * Load estates and pick the one to show (last used, else the first)
+   */
+  async function loadEstates() {
+    if (!USE_BACKEND || !API || typeof API.getEstates !== 'function') return;
+    
+    try {
+      estates = await API.getEstates();
+      const savedId = Number(localStorage.getItem('land_estate_id'));
+      currentEstate = estates.find(e => e.id === savedId) || estates[0] || null;
+      
+      if (estateSelect) {
+        estateSelect.innerHTML = estates
+          .map(e => `<option value="${e.id}">${e.name}${e.location ? ` · ${e.location}` : ''}</option>`)
+          .join('');
+        if (currentEstate) estateSelect.value = currentEstate.id;
+        estateSelect.style.display = estates.length > 1 ? '' : 'none';
+      }
+    } catch (error) {
+      console.log('Could not load estates, using the demo grid:', error.message);
+    }
+  }
+
+  /**
+   * Switch the grid to another estate
+   */
+  async function selectEstate(estateId) {
+    const estate = estates.find(e => e.id === Number(estateId));
+    if (!estate || (currentEstate && estate.id === currentEstate.id)) return;
+    
+    const previous = [...selected];
+    selected.clear();
+    lastSelected = null;
+    releasePlots(previous);
+    
+    currentEstate = estate;
+    estatePlots = null;
+    try { localStorage.setItem('land_estate_id', String(estate.id)); } catch (_) {}
+    await loadPlots();
+  }
+
   /**
    * Load plots from backend API with timeout and fallback
    */
@@ -131,8 +204,9 @@
         setTimeout(() => reject(new Error('API timeout')), 3000)
       );
       
-      const plotsPromise = API.getPlots();
-      const statsPromise = API.getPlotStats();
+      const filters = currentEstate ? { estate_id: currentEstate.id } : {};
+      const plotsPromise = API.getPlots(filters);
+      const statsPromise = API.getPlotStats(filters);
       
       // Race against timeout
       const [plots, stats] = await Promise.race([
@@ -141,15 +215,24 @@
       ]);
       
       soldSet = new Set();
+      heldMap = new Map();
+      priceMap = new Map();
+      estatePlots = plots.map(toGridPlot);
       
       plots.forEach(plot => {
+        priceMap.set(plot.id, effectivePrice(plot));
         if (plot.status === 'sold') {
           soldSet.add(plot.id);
+        } else if (plotHold(plot)) {
+          heldMap.set(plot.id, plotHold(plot));
         }
       });
       
       soldEl.innerText = stats.summary.sold || 0;
       availEl.innerText = stats.summary.available || 0;
+      updatePriceHeader();
+      const countEl = document.getElementById('plotCountReadable');
+      if (countEl) countEl.textContent = `${estatePlots.length} plots${currentEstate ? ` in ${currentEstate.name}` : ''}`;
       
       // Re-render with updated data
       render();
@@ -159,26 +242,28 @@
       console.log('Backend unavailable or slow, continuing with local data:', error.message);
       // Initialize with default stats
       soldEl.innerText = soldSet.size;
-      availEl.innerText = TOTAL - soldSet.size;
+      availEl.innerText = gridPlots().length - soldSet.size;
     }
   }
 
   /**
-   * Create or retrieve buyer from backend
+   * Create or retrieve buyer from backend. On failure currentBuyerId is
+   * cleared, so the sale can't go to the previous buyer.
    */
   async function getOrCreateBuyer() {
     const name = buyerNameInput.value.trim();
     const phone = buyerPhoneInput.value.trim();
     const idNumber = buyerIDInput.value.trim();
+    const email = buyerEmailInput.value.trim();
+    currentBuyerId = null;
     
-    if (!name || !phone || !idNumber || !USE_BACKEND || !API) {
+    if (!name || !phone || !idNumber || !email || !USE_BACKEND || !API) {
       return null;
     }
     
     try {
       // Try to find existing buyer by ID number
-      const buyers = await API.getBuyers();
-      let buyer = buyers.find(b => b.id_number === idNumber);
+      let { buyer } = await API.searchBuyers(idNumber, 1);
       
       if (!buyer) {
         // Create new buyer
@@ -186,7 +271,7 @@
           name,
           id_number: idNumber,
           phone,
-          email: '', // Empty email
+          email,
           address: '', // Empty address
           occupation: '', // Empty occupation
           budget: 0 // No budget tracking
@@ -198,36 +283,74 @@
       return buyer;
     } catch (error) {
       console.error('Failed to create/get buyer:', error);
+      const fields = (error.fields || []).map(f => `${f.field} ${f.message}`).join('\n');
+      alert(`The buyer was not saved: ${fields ? `\n${fields}` : error.message}`);
       return null;
     }
   }
 
   /**
-   * Save transaction to backend
+   * Sell plots and save the transaction in one atomic backend call.
+   * Returns { transaction } on success, { conflicts } if some plots were
+   * sold by someone else in the meantime, { error } if the sale wasn't
+   * saved for any other reason, or null without a backend.
    */
-  async function saveTransaction(buyerData, plots, totalCost, note, budgetBefore, budgetAfter) {
-    if (!USE_BACKEND || !API || !currentBuyerId) {
+  async function savePurchase(plots, note, discounts = {}) {
+    if (!USE_BACKEND || !API) {
       return null;
     }
-    
+    if (!currentBuyerId) {
+      return { error: 'The buyer has not been saved' };
+    }
+
     try {
-      const plotIds = plots.join(',');
-      
-      const tx = await API.createTransaction({
+      const tx = await API.createPurchase({
         buyer_id: currentBuyerId,
-        plot_ids: plotIds,
-        total_amount: totalCost,
-        notes: note
+        plot_ids: plots,
+        notes: note,
+        payment_plan: buildPaymentPlan(),
+        ...discounts
       });
       
-      console.log('✓ Transaction saved to backend');
-      return tx;
+      console.log('✓ Purchase saved to backend');
+      return { transaction: tx };
     } catch (error) {
-      console.error('Failed to save transaction:', error);
-      return null;
+      if (error.status === 409) {
+        return { conflicts: error.conflicts || [] };
+      }
+      console.error('Failed to save purchase:', error);
+      return { error: error.message || 'The server could not be reached' };
+    }
+  }
+
+  /**
+   * Hold a plot for this agent while the sale is being completed.
+   * Returns false if another agent already holds or sold it.
+   */
+  async function holdPlot(n) {
+    if (!USE_BACKEND || !API) return true;
+    
+    try {
+      await API.reservePlot(n);
+      return true;
+    } catch (error) {
+      if (error.status === 409) return false;
+      console.error('Failed to hold plot:', error);
+      return true;
     }
   }
 
+  /**
+   * Release this agent's holds on the given plots
+   */
+  async function releasePlots(plots) {
+    if (!USE_BACKEND || !API) return;
+    
+    await Promise.all(plots.map(n =>
+      API.releasePlot(n).catch(error => console.error('Failed to release plot:', error))
+    ));
+  }
+
   // ==========================================
   // INITIALIZATION
   // ==========================================
@@ -247,8 +370,60 @@
     // Render empty grid immediately
     render();
     
-    // Load backend data in background (non-blocking)
-    loadPlots().catch(console.error);
+    // Load backend data in background (non-blocking), once someone is signed in
+    signIn().then(loadEstates).then(loadPlots).then(startLiveUpdates).catch(console.error);
+  }
+
+  // ==========================================
+  // SIGN IN
+  // ==========================================
+
+  /**
+   * Resolve with the signed-in user, showing the login screen if needed
+   */
+  async function signIn() {
+    if (!USE_BACKEND || !API) return null;
+    API.onUnauthorized = () => showLogin();
+    
+    if (API.getToken()) {
+      try {
+        setCurrentUser(await API.getCurrentUser());
+        return currentUser;
+      } catch (_) { /* token expired: fall through to the login screen */ }
+    }
+    return await showLogin();
+  }
+
+  /**
+   * Show the login screen; resolves once the user has signed in
+   */
+  function showLogin() {
+    if (!loginOverlay || !loginForm) return Promise.resolve(null);
+    loginOverlay.style.display = '';
+    if (loginErrorEl) loginErrorEl.textContent = '';
+    if (loginUsernameInput) loginUsernameInput.focus();
+    
+    return new Promise(resolve => {
+      loginForm.onsubmit = async (e) => {
+        e.preventDefault();
+        try {
+          const user = await API.login(loginUsernameInput.value.trim(), loginPasswordInput.value);
+          loginPasswordInput.value = '';
+          loginOverlay.style.display = 'none';
+          setCurrentUser(user);
+          resolve(user);
+        } catch (error) {
+          if (loginErrorEl) loginErrorEl.textContent = error.message;
+        }
+      };
+    });
+  }
+
+  function setCurrentUser(user) {
+    currentUser = user;
+    if (currentUserLabel) currentUserLabel.textContent = user ? `${user.name || user.username} · ${user.role.replace('_', ' ')}` : '';
+    if (logoutBtn) logoutBtn.style.display = user ? '' : 'none';
+    if (manualDiscountFields) manualDiscountFields.style.display = user && user.role === 'admin' ? '' : 'none';
   }
 
   // ==========================================
@@ -262,6 +437,70 @@
     return `${CURRENCY} ${amount.toLocaleString()}`;
   }
 
+  /**
+   * Plots shown in the grid: the current estate's, or the offline demo grid
+   */
+  function gridPlots() {
+    if (estatePlots) return estatePlots;
+    return Array.from({ length: TOTAL }, (_, i) => ({ id: i + 1, plot_number: i + 1 }));
+  }
+
+  // What the grid and map keep of a plot from the backend
+  function toGridPlot(plot) {
+    return {
+      id: plot.id,
+      plot_number: plot.plot_number || plot.id,
+      geometry: plot.geometry || null,
+      size_acres: plot.size_acres,
+      size_sqm: plot.size_sqm,
+      dimensions: plot.dimensions,
+      parcel_number: plot.parcel_number,
+      road_frontage: plot.road_frontage,
+      is_corner: !!plot.is_corner,
+      price: Number(plot.price),
+      price_adjustments: plot.price_adjustments || []
+    };
+  }
+
+  // What a plot sells for: its price after the pricing rules
+  function effectivePrice(plot) {
+    return Number(plot.effective_price !== undefined ? plot.effective_price : plot.price);
+  }
+
+  /**
+   * Display number of a plot within its estate
+   */
+  function plotLabel(id) {
+    const plot = estatePlots && estatePlots.find(p => p.id === id);
+    return plot ? plot.plot_number : id;
+  }
+
+  /**
+   * Current price of a plot (backend effective price, else the fallback)
+   */
+  function plotPrice(n) {
+    return priceMap.has(n) ? priceMap.get(n) : PRICE;
+  }
+
+  /**
+   * Total price of the currently selected plots
+   */
+  function selectionCost() {
+    return [...selected].reduce((sum, n) => sum + plotPrice(n), 0);
+  }
+
+  /**
+   * Show the price range of unsold plots in the header
+   */
+  function updatePriceHeader() {
+    const priceEl = document.getElementById('priceReadable');
+    const prices = [...priceMap.entries()].filter(([n]) => !soldSet.has(n)).map(([, p]) => p);
+    if (!priceEl || prices.length === 0) return;
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    priceEl.textContent = min === max ? formatCurrency(min) : `${formatCurrency(min)} – ${formatCurrency(max)}`;
+  }
+
   /**
    * Compute deposit amount based on current inputs
    */
@@ -276,6 +515,42 @@
     return Math.min(totalCost, Math.round(amt));
   }
 
+  /**
+   * Payment plan terms for the backend, or undefined for pay-in-full.
+   * The server works out the deposit and monthly amounts itself.
+   */
+  function buildPaymentPlan() {
+    if (!(paymentModeInstallments && paymentModeInstallments.checked)) return undefined;
+    const plan = { months: parseInt(installmentMonthsInput && installmentMonthsInput.value) || 0 };
+    if (depositTypePercent && depositTypePercent.checked) {
+      plan.deposit_percent = parseFloat(depositPercentInput && depositPercentInput.value) || 0;
+    } else {
+      plan.deposit_amount = parseFloat(depositAmountInput && depositAmountInput.value) || 0;
+    }
+    if (installmentStartDateInput && installmentStartDateInput.value) {
+      plan.start_date = installmentStartDateInput.value;
+    }
+    return plan;
+  }
+
+  /**
+   * The promo code and manual discount entered for this sale, as sent
+   * to /api/quotes and /api/purchases
+   */
+  function buildDiscounts() {
+    const discounts = {};
+    const code = promoCodeInput ? promoCodeInput.value.trim() : '';
+    if (code) discounts.promo_code = code;
+    const value = parseFloat(manualDiscountValueInput && manualDiscountValueInput.value);
+    if (value > 0) {
+      discounts.manual_discount = {
+        [manualDiscountTypePercent && manualDiscountTypePercent.checked ? 'percent' : 'amount']: value,
+        reason: manualDiscountReasonInput ? manualDiscountReasonInput.value.trim() : ''
+      };
+    }
+    return discounts;
+  }
+
   /**
    * Update installment UI helper labels and monthly calc
    */
@@ -310,8 +585,9 @@
     const hasName = buyerNameInput.value.trim().length > 0;
     const hasPhone = buyerPhoneInput.value.trim().length > 0;
     const hasID = buyerIDInput.value.trim().length > 0;
+    const hasEmail = buyerEmailInput.value.trim().length > 0;
     
-    const isValid = selectedCount > 0 && hasName && hasPhone && hasID;
+    const isValid = selectedCount > 0 && hasName && hasPhone && hasID && hasEmail;
     
     buyBtn.disabled = !isValid;
   }
@@ -320,31 +596,177 @@
   // PLOT RENDERING
   // ==========================================
   
+  /**
+   * Survey details for a plot's tooltip (size, dimensions, LR number...)
+   */
+  function surveyDetails(plot) {
+    const parts = [];
+    if (plot.size_acres) parts.push(`${plot.size_acres} acres`);
+    else if (plot.size_sqm) parts.push(`${Number(plot.size_sqm).toLocaleString()} m²`);
+    if (plot.dimensions) parts.push(plot.dimensions);
+    if (plot.parcel_number) parts.push(plot.parcel_number);
+    if (plot.road_frontage) parts.push(`${plot.road_frontage} m road frontage`);
+    if (plot.is_corner) parts.push('corner plot');
+    return parts.length > 0 ? `\n${parts.join(' · ')}` : '';
+  }
+
+  /**
+   * How pricing rules moved a plot off its base price, for the tooltip
+   */
+  function priceDetails(plot) {
+    const adjustments = plot.price_adjustments || [];
+    if (adjustments.length === 0) return '';
+    const parts = adjustments.map(a => `${a.name} ${a.amount < 0 ? '-' : '+'}${Math.abs(a.amount).toLocaleString()}`);
+    return `\nBase ${formatCurrency(plot.price)} · ${parts.join(' · ')}`;
+  }
+
+  /**
+   * Who else has a plot: a live quote (its plots are sold by converting
+   * the quote) or another agent's hold. null if it is free.
+   */
+  function plotHold(plot) {
+    if (plot.quote_id) return { quote_id: plot.quote_id, quoted_until: plot.quoted_until };
+    if (plot.held_by && (!currentUser || plot.held_by !== currentUser.username)) {
+      return { held_by: plot.held_by, reserved_until: plot.reserved_until };
+    }
+    return null;
+  }
+
+  /**
+   * Status class and tooltip of a plot, shared by the grid and the map.
+   * Only available plots can be clicked.
+   */
+  function plotState(plot) {
+    const n = plot.id;
+    const label = plot.plot_number;
+    const details = surveyDetails(plot);
+    const hold = heldMap.get(n);
+    
+    if (soldSet.has(n)) {
+      return { status: 'sold', title: `Plot #${label} - SOLD${details}` };
+    }
+    if (hold && hold.quote_id) {
+      return { status: 'held', title: `Plot #${label} - QUOTED (quote #${hold.quote_id}) until ${hold.quoted_until}${details}` };
+    }
+    if (hold) {
+      const until = hold.reserved_until ? new Date(hold.reserved_until).toLocaleTimeString() : '';
+      return { status: 'held', title: `Plot #${label} - HELD by ${hold.held_by}${until ? ` until ${until}` : ''}${details}` };
+    }
+    return {
+      status: selected.has(n) ? 'selected' : '',
+      title: `Plot #${label} - ${formatCurrency(plotPrice(n))}${priceDetails(plot)}${details}`,
+      clickable: true
+    };
+  }
+
   /**
    * Create a plot element for the grid
    */
-  function createPlot(n) {
+  function createPlot(plot) {
+    const state = plotState(plot);
     const div = document.createElement('div');
-    div.className = 'plot';
-    div.dataset.index = n;
-    div.innerText = n;
+    div.className = state.status ? `plot ${state.status}` : 'plot';
+    div.dataset.index = plot.id;
+    div.innerText = plot.plot_number;
+    div.title = state.title;
+    if (state.clickable) div.addEventListener('click', handlePlotClick);
+    return div;
+  }
+
+  // ==========================================
+  // SITE MAP (SVG)
+  // ==========================================
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const MAP_WIDTH = 900;                // viewBox width of the site map
+  const MAP_PADDING = 10;
+
+  // Polygons of a GeoJSON Polygon / MultiPolygon, as lists of rings
+  function polygonsOf(geometry) {
+    return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  }
+
+  /**
+   * Fit the outlines into the map: longitude is scaled by cos(latitude) so
+   * plots keep their shape, and north is up
+   */
+  function mapProjection(plots) {
+    let minLng = Infinity, maxLng = -Infinity, minLat = Infinity, maxLat = -Infinity;
+    plots.forEach(plot => polygonsOf(plot.geometry).forEach(rings => rings.forEach(ring => ring.forEach(([lng, lat]) => {
+      minLng = Math.min(minLng, lng); maxLng = Math.max(maxLng, lng);
+      minLat = Math.min(minLat, lat); maxLat = Math.max(maxLat, lat);
+    }))));
+    const kx = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+    const spanX = Math.max((maxLng - minLng) * kx, 1e-9);
+    const spanY = Math.max(maxLat - minLat, 1e-9);
+    const scale = (MAP_WIDTH - 2 * MAP_PADDING) / spanX;
+    return {
+      width: MAP_WIDTH,
+      height: Math.ceil(spanY * scale + 2 * MAP_PADDING),
+      point: ([lng, lat]) => [
+        MAP_PADDING + (lng - minLng) * kx * scale,
+        MAP_PADDING + (maxLat - lat) * scale
+      ]
+    };
+  }
+
+  /**
+   * Create one plot outline for the map, with its number in the middle
+   */
+  function createMapPlot(plot, projection) {
+    const state = plotState(plot);
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', state.status ? `map-plot ${state.status}` : 'map-plot');
+    group.dataset.index = plot.id;
     
-    const isSold = soldSet.has(n);
-    const isSelected = selected.has(n);
+    const points = [];
+    const d = polygonsOf(plot.geometry).map(rings => rings.map(ring => {
+      const projected = ring.map(projection.point);
+      points.push(...projected);
+      return `M${projected.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join('L')}Z`;
+    }).join('')).join('');
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', d);
     
-    if (isSold) {
-      div.classList.add('sold');
-      div.title = `Plot #${n} - SOLD`;
-    } else {
-      div.title = `Plot #${n} - ${formatCurrency(PRICE)}`;
-      div.addEventListener('click', handlePlotClick);
-    }
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = state.title;
     
-    if (isSelected && !isSold) {
-      div.classList.add('selected');
-    }
+    // Label at the centre of the outline, sized to fit
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const size = Math.min(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', ((Math.min(...xs) + Math.max(...xs)) / 2).toFixed(1));
+    label.setAttribute('y', ((Math.min(...ys) + Math.max(...ys)) / 2).toFixed(1));
+    label.setAttribute('font-size', Math.max(6, Math.min(14, size * 0.4)).toFixed(1));
+    label.textContent = plot.plot_number;
     
-    return div;
+    group.append(title, path, label);
+    if (state.clickable) group.addEventListener('click', handlePlotClick);
+    return group;
+  }
+
+  /**
+   * Draw the plots that have survey outlines, colored by status
+   */
+  function renderMap(plots) {
+    const outlined = plots.filter(plot => plot.geometry);
+    const projection = mapProjection(outlined);
+    const fragment = document.createDocumentFragment();
+    outlined.forEach(plot => fragment.appendChild(createMapPlot(plot, projection)));
+    siteMapEl.setAttribute('viewBox', `0 0 ${projection.width} ${projection.height}`);
+    siteMapEl.innerHTML = '';
+    siteMapEl.appendChild(fragment);
+  }
+
+  // The map view needs at least one surveyed plot
+  function hasOutlines() {
+    return !!siteMapEl && gridPlots().some(plot => plot.geometry);
+  }
+
+  function setViewMode(mode) {
+    viewMode = mode;
+    render();
   }
 
   // ==========================================
@@ -354,17 +776,25 @@
   /**
    * Handle plot click events - Single selection only
    */
-  function handlePlotClick(e) {
+  async function handlePlotClick(e) {
     const idx = Number(this.dataset.index);
     
-    if (soldSet.has(idx)) return;
+    if (soldSet.has(idx) || heldMap.has(idx) || selected.has(idx)) return;
     
-    // Clear previous selection and select only the clicked plot
+    // Release the previous hold, then hold only the clicked plot
+    const previous = [...selected];
     selected.clear();
     selected.add(idx);
-    
     lastSelected = idx;
     render();
+    
+    await releasePlots(previous);
+    if (!(await holdPlot(idx))) {
+      selected.delete(idx);
+      lastSelected = null;
+      alert(`Plot #${plotLabel(idx)} is being sold by another agent. Please pick another plot.`);
+      await loadPlots();
+    }
   }
 
   // ==========================================
@@ -379,18 +809,30 @@
     const fragment = document.createDocumentFragment();
     
     // Batch DOM updates
-    for (let i = 1; i <= TOTAL; i++) {
-      fragment.appendChild(createPlot(i));
+    const plotsInGrid = gridPlots();
+    const showMap = viewMode === 'map' && hasOutlines();
+    if (showMap) {
+      renderMap(plotsInGrid);
+    } else {
+      plotsInGrid.forEach(plot => fragment.appendChild(createPlot(plot)));
+      
+      // Single DOM update
+      gridEl.innerHTML = '';
+      gridEl.style.setProperty('--grid-cols', currentEstate ? currentEstate.layout_cols : DEMO_COLS);
+      gridEl.appendChild(fragment);
+    }
+    gridEl.style.display = showMap ? 'none' : '';
+    if (siteMapEl) siteMapEl.style.display = showMap ? '' : 'none';
+    if (gridViewBtn) gridViewBtn.classList.toggle('active', !showMap);
+    if (mapViewBtn) {
+      mapViewBtn.classList.toggle('active', showMap);
+      mapViewBtn.disabled = !hasOutlines();
     }
-    
-    // Single DOM update
-    gridEl.innerHTML = '';
-    gridEl.appendChild(fragment);
     
     // Update statistics
-    const available = TOTAL - soldSet.size;
+    const available = plotsInGrid.length - soldSet.size;
     const selectedCount = selected.size;
-    const totalCost = selectedCount * PRICE;
+    const totalCost = selectionCost();
     
     // Batch text updates
     if (soldEl) soldEl.textContent = soldSet.size;
@@ -402,7 +844,7 @@
       if (selectedInfoEl) selectedInfoEl.textContent = 'No plots selected';
       if (summaryCard) summaryCard.classList.add('empty');
     } else {
-      const plots = [...selected].sort((a, b) => a - b);
+      const plots = [...selected].map(plotLabel).sort((a, b) => a - b);
       const preview = plots.length > 5 
         ? `${plots.slice(0, 5).join(', ')} and ${plots.length - 5} more`
         : plots.join(', ');
@@ -443,7 +885,7 @@
         <div><strong>Plot Numbers:</strong> ${buyerData.plots}</div>
       </div>
       <div class="log-details">
-        Purchased ${plots.length} plot${plots.length > 1 ? 's' : ''}: ${plots.join(', ')}
+        Purchased ${plots.length} plot${plots.length > 1 ? 's' : ''}: ${buyerData.plots}
       </div>
       ${note ? `<div class="payment-plan"><div class="payment-plan-title">Purchase Notes:</div>${note}</div>` : ''}
       <div class="log-budget">
@@ -473,53 +915,76 @@
     const buyerName = buyerNameInput.value.trim();
     const buyerPhone = buyerPhoneInput.value.trim();
     const buyerID = buyerIDInput.value.trim();
+    const buyerEmail = buyerEmailInput.value.trim();
     
-    if (!buyerName || !buyerPhone || !buyerID) {
-      alert('Please fill in all required fields:\n- Full Name\n- Phone Number\n- ID Number');
+    if (!buyerName || !buyerPhone || !buyerID || !buyerEmail) {
+      alert('Please fill in all required fields:\n- Full Name\n- Phone Number\n- ID Number\n- Email');
       return;
     }
     
     const plots = [...selected].sort((a, b) => a - b);
-    const totalCost = plots.length * PRICE;
+    const plotLabels = plots.map(plotLabel);
     const note = document.getElementById('bespokeNote').value.trim();
-    
+    const discounts = buildDiscounts();
+
+    // Discounts are worked out by the server; ask it for the total
+    let quote = null;
+    if (USE_BACKEND && API) {
+      try {
+        quote = await API.createQuote({ plot_ids: plots, ...discounts });
+      } catch (error) {
+        const fields = (error.fields || []).map(f => `- ${f.field}: ${f.message}`).join('\n');
+        alert(`Could not price this sale: ${error.message}${fields ? `\n${fields}` : ''}`);
+        return;
+      }
+    }
+    const totalCost = quote ? quote.total_amount : plots.reduce((sum, n) => sum + plotPrice(n), 0);
+    const discountLines = quote ? quote.line_items.filter(line => line.kind !== 'plot') : [];
+
     const confirmation = confirm(
       `Confirm purchase for ${buyerName}?\n\n` +
       `ID: ${buyerID}\n` +
-      `Phone: ${buyerPhone}\n\n` +
-      `Plots: ${plots.join(', ')}\n` +
+      `Phone: ${buyerPhone}\n` +
+      `Email: ${buyerEmail}\n\n` +
+      `${currentEstate ? `Estate: ${currentEstate.name}\n` : ''}` +
+      `Plots: ${plotLabels.join(', ')}\n` +
+      (discountLines.length
+        ? `Gross: ${formatCurrency(quote.gross_amount)}\n` +
+          discountLines.map(line => `${line.description}: -${formatCurrency(-line.amount)}\n`).join('')
+        : '') +
       `Total Cost: ${formatCurrency(totalCost)}` +
       (note ? `\n\nPurchase Notes: ${note.substring(0, 100)}...` : '')
     );
     
     if (!confirmation) return;
     
-    // Get or create buyer
+    // Get or create buyer; without one the backend can't record the sale
     const buyerData = await getOrCreateBuyer();
+    if (USE_BACKEND && API && !buyerData) return;
     
     const buyerInfo = {
       name: buyerName,
       id: buyerID,
       phone: buyerPhone,
-      plots: plots.join(', ') // Include plot numbers in buyer info
+      plots: plotLabels.join(', ') // Include plot numbers in buyer info
     };
     
-    // Mark plots as sold in backend
-    if (USE_BACKEND && API && currentBuyerId) {
-      try {
-        await API.updatePlotsBulk(plots, 'sold', currentBuyerId);
-        console.log('✓ Plots marked as sold in backend');
-      } catch (error) {
-        console.error('Failed to update plots:', error);
-      }
+    // Mark plots as sold and save the transaction in one backend call
+    const purchase = await savePurchase(plots, note, discounts);
+    if (purchase && purchase.conflicts) {
+      alert(`These plots are no longer available: ${purchase.conflicts.map(plotLabel).join(', ')}\n\nPlease select again.`);
+      selected.clear();
+      await loadPlots();
+      return;
+    }
+    if (purchase && purchase.error) {
+      alert(`The purchase was not saved: ${purchase.error}\n\nThe plots are still available.`);
+      return;
     }
     
     // Update local sold set
     plots.forEach(n => soldSet.add(n));
     
-    // Save transaction to backend
-    const createdTx = await saveTransaction(buyerInfo, plots, totalCost, note, 0, 0);
-    
     // Re-sync from backend to ensure UI reflects authoritative state
     if (USE_BACKEND && API) {
       await loadPlots();
@@ -531,6 +996,9 @@
     // Clean up
     selected.clear();
     document.getElementById('bespokeNote').value = '';
+    if (promoCodeInput) promoCodeInput.value = '';
+    if (manualDiscountValueInput) manualDiscountValueInput.value = '';
+    if (manualDiscountReasonInput) manualDiscountReasonInput.value = '';
     lastSelected = null;
     
     render();
@@ -561,9 +1029,14 @@
     
     buyBtn.addEventListener('click', buySelected);
     
+    if (estateSelect) {
+      estateSelect.addEventListener('change', () => selectEstate(estateSelect.value));
+    }
+    
     buyerNameInput.addEventListener('input', validatePurchase);
     buyerPhoneInput.addEventListener('input', validatePurchase);
     buyerIDInput.addEventListener('input', validatePurchase);
+    buyerEmailInput.addEventListener('input', validatePurchase);
 
     // Payment mode toggles
     if (paymentModeFull && paymentModeInstallments) {
@@ -577,7 +1050,7 @@
       paymentModeInstallments.addEventListener('change', () => {
         if (paymentModeInstallments.checked) {
           installmentFields.style.display = '';
-          updateInstallmentUI(selected.size * PRICE);
+          updateInstallmentUI(selectionCost());
           validatePurchase();
         }
       });
@@ -589,16 +1062,16 @@
         const isPercent = depositTypePercent.checked;
         depositPercentInput.disabled = !isPercent;
         depositAmountInput.disabled = isPercent;
-        updateInstallmentUI(selected.size * PRICE);
+        updateInstallmentUI(selectionCost());
         validatePurchase();
       };
       depositTypePercent.addEventListener('change', onDepositTypeChange);
       depositTypeAmount.addEventListener('change', onDepositTypeChange);
     }
 
-    if (depositPercentInput) depositPercentInput.addEventListener('input', () => { updateInstallmentUI(selected.size * PRICE); validatePurchase(); });
-    if (depositAmountInput) depositAmountInput.addEventListener('input', () => { updateInstallmentUI(selected.size * PRICE); validatePurchase(); });
-    if (installmentMonthsInput) installmentMonthsInput.addEventListener('input', () => { updateInstallmentUI(selected.size * PRICE); validatePurchase(); });
+    if (depositPercentInput) depositPercentInput.addEventListener('input', () => { updateInstallmentUI(selectionCost()); validatePurchase(); });
+    if (depositAmountInput) depositAmountInput.addEventListener('input', () => { updateInstallmentUI(selectionCost()); validatePurchase(); });
+    if (installmentMonthsInput) installmentMonthsInput.addEventListener('input', () => { updateInstallmentUI(selectionCost()); validatePurchase(); });
     
     // Payments panel events
     if (loadTxBtn) {
@@ -617,11 +1090,12 @@
         const paidAt = (payDateInput && payDateInput.value) ? new Date(payDateInput.value).toISOString() : new Date().toISOString();
         if (!txId || amount <= 0 || !USE_BACKEND || !API) return;
         try {
-          await API.createPayment({ transaction_id: txId, amount, method, reference, paid_at: paidAt });
-          // After creating payment, recompute remaining to decide status
-          const { totalAmount, totalPaid } = await refreshPaymentsView(txId);
-          const status = totalPaid >= totalAmount ? 'paid' : 'partial';
-          await API.updateTransactionStatus(txId, status);
+          const payment = await API.createPayment({ transaction_id: txId, amount, method, reference, paid_at: paidAt });
+          if (Number(payment.credit_amount) > 0) {
+            alert(`${formatCurrency(Number(payment.credit_amount))} overpaid — added to the buyer's credit`);
+          }
+          // The server updates the transaction's payment status itself
+          await refreshPaymentsView(txId);
         } catch (err) {
           console.error('Failed to record payment:', err);
         }
@@ -635,9 +1109,8 @@
         if (!idNumber || !USE_BACKEND || !API) return;
         try {
           if (buyerBalanceListEl) buyerBalanceListEl.innerHTML = '<div class="log-empty">Loading...</div>';
-          const buyers = await API.getBuyers();
-          // Search by ID number
-          let buyer = buyers.find(b => b.id_number === idNumber);
+          // Search by ID number (or uid)
+          const { buyer } = await API.searchBuyers(idNumber, 1);
           if (!buyer) {
             if (buyerBalanceListEl) buyerBalanceListEl.innerHTML = '<div class="log-empty">Buyer not found</div>';
             return;
@@ -662,9 +1135,9 @@
               payments = await API.getPayments({ transaction_id: tx.id });
             } catch (_) { payments = []; }
             const totalAmount = Number(tx.total_amount || 0);
-            const totalPaid = payments.reduce((sum, p) => sum + Number(p.amount || 0), 0);
+            const totalPaid = payments.filter(p => !p.voided_at).reduce((sum, p) => sum + Number(p.amount || 0) - Number(p.credit_amount || 0), 0);
             const remaining = Math.max(0, totalAmount - totalPaid);
-            const status = totalPaid >= totalAmount ? 'Paid' : (totalPaid > 0 ? 'Partial' : 'Unpaid');
+            const status = tx.payment_status || 'pending';
             const plotNumbers = tx.plot_ids || 'N/A';
             rows.push(`
               <div class="log-entry">
@@ -674,7 +1147,7 @@
                   <div><strong>Total:</strong> ${formatCurrency(totalAmount)}</div>
                   <div><strong>Paid:</strong> ${formatCurrency(totalPaid)}</div>
                   <div><strong>Remaining:</strong> ${formatCurrency(remaining)}</div>
-                  <div><strong>Status:</strong> ${status}</div>
+                  <div><strong>Status:</strong> ${status.charAt(0).toUpperCase() + status.slice(1)}</div>
                 </div>
               </div>
             `);
@@ -700,12 +1173,25 @@
       });
     }
     
-    document.getElementById('clearSelection').addEventListener('click', () => {
+    document.getElementById('clearSelection').addEventListener('click', async () => {
+      const previous = [...selected];
       selected.clear();
       lastSelected = null;
       render();
+      await releasePlots(previous);
     });
     
+    if (logoutBtn) {
+      logoutBtn.addEventListener('click', async () => {
+        await API.logout().catch(() => {});
+        setCurrentUser(null);
+        if (stopLiveUpdates) stopLiveUpdates();
+        selected.clear();
+        render();
+        signIn().then(loadEstates).then(loadPlots).then(startLiveUpdates).catch(console.error);
+      });
+    }
+
     document.getElementById('resetDemo').addEventListener('click', async () => {
       if (!confirm('Reset all demo data? This will clear all purchases and buyer information.')) return;
       
@@ -717,6 +1203,7 @@
       buyerNameInput.value = '';
       buyerPhoneInput.value = '';
       buyerIDInput.value = '';
+      buyerEmailInput.value = '';
       document.getElementById('bespokeNote').value = '';
       
       logContainer.innerHTML = '<div class="log-empty">No transactions yet</div>';
@@ -737,17 +1224,25 @@
     
 
     
+    const applyZoom = () => {
+      [gridEl, siteMapEl].filter(Boolean).forEach(el => {
+        el.style.transform = `scale(${zoomLevel})`;
+        el.style.transformOrigin = 'top left';
+      });
+    };
+    
     document.getElementById('zoomIn').addEventListener('click', () => {
       zoomLevel = Math.min(1.5, zoomLevel + 0.1);
-      gridEl.style.transform = `scale(${zoomLevel})`;
-      gridEl.style.transformOrigin = 'top left';
+      applyZoom();
     });
     
     document.getElementById('zoomOut').addEventListener('click', () => {
       zoomLevel = Math.max(0.6, zoomLevel - 0.1);
-      gridEl.style.transform = `scale(${zoomLevel})`;
-      gridEl.style.transformOrigin = 'top left';
+      applyZoom();
     });
+    
+    if (gridViewBtn) gridViewBtn.addEventListener('click', () => setViewMode('grid'));
+    if (mapViewBtn) mapViewBtn.addEventListener('click', () => setViewMode('map'));
   }
 
   // ==========================================
@@ -772,10 +1267,11 @@
     try {
       if (paymentReportListEl) paymentReportListEl.innerHTML = '<div class="log-empty">Generating report...</div>';
       
-      // Get all transactions and buyers
-      const [transactions, buyers] = await Promise.all([
-        API.getTransactions(),
-        API.getBuyers()
+      // Get all transactions, buyers and payments, a page at a time
+      const [transactions, buyers, payments] = await Promise.all([
+        API.getAll('/transactions'),
+        API.getAll('/buyers', { fields: 'id,name,phone,id_number' }),
+        API.getAll('/payments', { fields: 'transaction_id,amount,voided_at' })
       ]);
 
       if (!Array.isArray(transactions) || transactions.length === 0) {
@@ -789,6 +1285,12 @@
         buyerMap[buyer.id] = buyer;
       });
 
+      // Amount paid per transaction, leaving out voided payments
+      const paidByTransaction = {};
+      payments.filter(p => !p.voided_at).forEach(p => {
+        paidByTransaction[p.transaction_id] = (paidByTransaction[p.transaction_id] || 0) + Number(p.amount || 0);
+      });
+
       let totalSales = 0;
       let totalPaid = 0;
       let totalOutstanding = 0;
@@ -799,14 +1301,9 @@
       for (const tx of transactions) {
         const buyer = buyerMap[tx.buyer_id] || { name: 'Unknown', phone: 'N/A', id_number: 'N/A' };
         const txAmount = Number(tx.total_amount || 0);
-        
-        // Get payments for this transaction
-        let payments = [];
-        try {
-          payments = await API.getPayments({ transaction_id: tx.id });
-        } catch (_) { payments = []; }
-        
-        const paidAmount = payments.reduce((sum, p) => sum + Number(p.amount || 0), 0);
+        const grossAmount = Number(tx.gross_amount ?? tx.total_amount ?? 0);
+        const discountAmount = Number(tx.discount_amount || 0);
+        const paidAmount = paidByTransaction[tx.id] || 0;
         const outstanding = Math.max(0, txAmount - paidAmount);
         const status = paidAmount >= txAmount ? 'Paid' : (paidAmount > 0 ? 'Partial' : 'Unpaid');
         const plotCount = tx.plot_ids ? tx.plot_ids.split(',').length : 0;
@@ -826,6 +1323,8 @@
               <div><strong>Phone:</strong> ${buyer.phone}</div>
               <div><strong>Plot Numbers:</strong> ${tx.plot_ids || 'N/A'}</div>
               <div><strong>Plots Count:</strong> ${plotCount}</div>
+              <div><strong>Gross Amount:</strong> ${formatCurrency(grossAmount)}</div>
+              <div><strong>Discount:</strong> ${formatCurrency(discountAmount)}</div>
               <div><strong>Total Amount:</strong> ${formatCurrency(txAmount)}</div>
               <div><strong>Amount Paid:</strong> ${formatCurrency(paidAmount)}</div>
               <div><strong>Outstanding:</strong> ${formatCurrency(outstanding)}</div>
@@ -872,7 +1371,7 @@
       }
 
       // Create CSV content
-      let csvContent = 'Transaction ID,Buyer Name,ID Number,Phone,Plot Numbers,Plot Count,Total Amount,Amount Paid,Outstanding,Status\n';
+      let csvContent = 'Transaction ID,Buyer Name,ID Number,Phone,Plot Numbers,Plot Count,Gross Amount,Discount,Total Amount,Amount Paid,Outstanding,Status\n';
       
       reportEntries.forEach(entry => {
         const timeEl = entry.querySelector('.log-time');
@@ -888,6 +1387,8 @@
           const phoneMatch = details.match(/Phone:\s*([^\n]+)/);
           const plotsMatch = details.match(/Plot Numbers:\s*([^\n]+)/);
           const countMatch = details.match(/Plots Count:\s*([^\n]+)/);
+          const grossMatch = details.match(/Gross Amount:\s*([^\n]+)/);
+          const discountMatch = details.match(/Discount:\s*([^\n]+)/);
           const totalMatch = details.match(/Total Amount:\s*([^\n]+)/);
           const paidMatch = details.match(/Amount Paid:\s*([^\n]+)/);
           const outstandingMatch = details.match(/Outstanding:\s*([^\n]+)/);
@@ -900,6 +1401,8 @@
             phoneMatch ? phoneMatch[1].trim() : '',
             `"${plotsMatch ? plotsMatch[1].trim() : ''}"`,
             countMatch ? countMatch[1].trim() : '',
+            grossMatch ? grossMatch[1].trim() : '',
+            discountMatch ? discountMatch[1].trim() : '',
             totalMatch ? totalMatch[1].trim() : '',
             paidMatch ? paidMatch[1].trim() : '',
             outstandingMatch ? outstandingMatch[1].trim() : '',
@@ -934,7 +1437,7 @@
       const tx = await API.getTransaction(txId);
       const payments = await API.getPayments({ transaction_id: txId });
       const totalAmount = Number(tx.total_amount || 0);
-      const totalPaid = payments.reduce((sum, p) => sum + Number(p.amount || 0), 0);
+      const totalPaid = payments.filter(p => !p.voided_at).reduce((sum, p) => sum + Number(p.amount || 0) - Number(p.credit_amount || 0), 0);
       const remaining = Math.max(0, totalAmount - totalPaid);
       
       if (paymentSummaryEl) paymentSummaryEl.style.display = '';
@@ -949,7 +1452,22 @@
         } else {
           paymentsListEl.innerHTML = payments.map(p => {
             const when = p.paid_at ? new Date(p.paid_at).toLocaleString() : '';
-            return `<div class="log-entry"><div class="log-time">${when}</div><div class="log-details"><strong>${formatCurrency(Number(p.amount||0))}</strong> · ${p.method || 'unknown'}${p.reference ? ` · ${p.reference}` : ''}</div></div>`;
+            const receipt = p.receipt_number ? `${p.receipt_number} · ` : '';
+            const voided = p.voided_at ? ` · <em>voided${p.void_reason ? `: ${p.void_reason}` : ''}</em>` : '';
+            return `<div class="log-entry"><div class="log-time">${when}</div><div class="log-details">${receipt}<strong>${formatCurrency(Number(p.amount||0))}</strong> · ${p.method || 'unknown'}${p.reference ? ` · ${p.reference}` : ''}${voided}</div></div>`;
+          }).join('');
+        }
+      }
+      
+      if (scheduleListEl) {
+        const schedule = await API.getTransactionSchedule(txId).catch(() => null);
+        const installments = schedule ? schedule.installments : [];
+        if (!installments.length) {
+          scheduleListEl.innerHTML = '<div class="log-empty">No installment schedule</div>';
+        } else {
+          scheduleListEl.innerHTML = installments.map(i => {
+            const label = i.sequence === 0 ? 'Deposit' : `Installment ${i.sequence}`;
+            return `<div class="log-entry"><div class="log-time">${i.due_date}</div><div class="log-details"><strong>${label}</strong> · ${formatCurrency(Number(i.amount_due||0))} · ${i.status}</div></div>`;
           }).join('');
         }
       }
@@ -961,6 +1479,56 @@
     }
   }
   
+  // ==========================================
+  // LIVE UPDATES
+  // ==========================================
+
+  /**
+   * Follow other agents' sales, holds and payments as they happen, so the
+   * grid never offers a plot that has just been sold
+   */
+  function startLiveUpdates() {
+    if (!USE_BACKEND || !API || typeof API.subscribe !== 'function') return;
+    if (stopLiveUpdates) stopLiveUpdates();
+    stopLiveUpdates = API.subscribe({
+      plot: (event) => applyPlotChange(event.data),
+      transaction: (event) => refreshShownTransaction(event.data && event.data.id),
+      payment: (event) => refreshShownTransaction(event.data && event.data.transaction_id),
+      // A rule change can move every price in the estate
+      pricing_rule: () => loadPlots(),
+      // Changes made while the stream was down were missed: reload
+      reconnected: () => loadPlots()
+    });
+  }
+
+  function applyPlotChange(plot) {
+    const index = plot && estatePlots ? estatePlots.findIndex(p => p.id === plot.id) : -1;
+    if (index === -1) return;
+    estatePlots[index] = toGridPlot(plot);
+    priceMap.set(plot.id, effectivePrice(plot));
+    heldMap.delete(plot.id);
+    if (plot.status === 'sold') {
+      soldSet.add(plot.id);
+    } else {
+      soldSet.delete(plot.id);
+      if (plotHold(plot)) heldMap.set(plot.id, plotHold(plot));
+    }
+    // Someone else got there first: drop it from this selection
+    if (selected.has(plot.id) && (soldSet.has(plot.id) || heldMap.has(plot.id))) {
+      selected.delete(plot.id);
+      console.log(`Plot #${plotLabel(plot.id)} was taken by another agent and removed from the selection`);
+    }
+    // A reprice or bulk update sends one event per plot; draw them once
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(render, 50);
+  }
+
+  // Reload the Payments panel if it shows this transaction
+  function refreshShownTransaction(txId) {
+    const shown = parseInt(payTxIdInput && payTxIdInput.value);
+    if (txId && shown === Number(txId)) refreshPaymentsView(shown);
+  }
+
   // ==========================================
   // DEBUG API (Window Object)
   // ==========================================
@@ -970,6 +1538,7 @@
     selected,
     PRICE,
     TOTAL,
+    gridPlots,
     totalSpent,
     currentBudget,
     render,
@@ -21,15 +21,14 @@
   const PRICE = 65800;                  // Price per plot in KES
   const CURRENCY = 'KES';               // Currency code
   const STORAGE_KEY = 'land_demo_v3';   // LocalStorage key
-  
-  // Pre-sold plots for demo purposes
-  const PRE_SOLD = [3, 7, 8, 15, 19, 32, 47, 88, 101, 120, 155, 172, 199];
+  const DEMO_FIXTURES = 'fixtures/demo.json'; // Demo data, shared with the server's DB_DRIVER=memory
 
   // ==========================================
   // STATE MANAGEMENT
   // ==========================================
   
   let soldSet = new Set();        // Set of sold plot numbers
+  let preSold = [];               // Pre-sold plots for demo purposes (from DEMO_FIXTURES)
   let selected = new Set();       // Set of currently selected plot numbers
   let lastSelected = null;        // Last selected plot (for shift-select)
   let zoomLevel = 1;              // Current zoom level for grid
@@ -77,7 +76,8 @@
    * Initialize the application
    * Loads saved state, sets up event listeners, and renders initial UI
    */
-  function init() {
+  async function init() {
+    preSold = await loadPreSold();
     loadState();
     setupEventListeners();
     render();
@@ -88,6 +88,23 @@
   // STATE PERSISTENCE
   // ==========================================
   
+  /**
+   * Read the pre-sold demo plots from the fixture file
+   * Starts with nothing sold if the file cannot be loaded
+   */
+  async function loadPreSold() {
+    try {
+      const response = await fetch(DEMO_FIXTURES);
+      const fixtures = await response.json();
+      return (fixtures.plots || [])
+        .filter(plot => plot.status === 'sold')
+        .map(plot => plot.plot_number || plot.id);
+    } catch (e) {
+      console.error('Failed to load demo fixtures:', e);
+      return [];
+    }
+  }
+
   /**
    * Load application state from localStorage
    * Falls back to default pre-sold plots if no saved state exists
@@ -98,17 +115,17 @@
     if (saved) {
       try {
         const data = JSON.parse(saved);
-        soldSet = new Set(data.sold || PRE_SOLD);
+        soldSet = new Set(data.sold || preSold);
         totalSpent = data.totalSpent || 0;
       } catch (e) {
         // Handle corrupted data
         console.error('Failed to load state:', e);
-        soldSet = new Set(PRE_SOLD);
+        soldSet = new Set(preSold);
         totalSpent = 0;
       }
     } else {
       // First time user - load demo data
-      soldSet = new Set(PRE_SOLD);
+      soldSet = new Set(preSold);
       totalSpent = 0;
     }
   }
@@ -520,7 +537,7 @@
       localStorage.removeItem(STORAGE_KEY);
       
       // Reset state
-      soldSet = new Set(PRE_SOLD);
+      soldSet = new Set(preSold);
       selected.clear();
       lastSelected = null;
       totalSpent = 0;
@@ -0,0 +1,154 @@
+/* ============================================
+   BUYER MATCHING
+   ============================================
+   Normalising and comparing buyer details, for GET /api/buyers/search
+   and the duplicate report. Everything here works on plain buyer rows;
+   db-adapter.js loads them.
+
+   Names are compared token by token (so "Doe Jane" matches "Jane Doe")
+   with an edit-distance similarity, so small typos still match.
+   ============================================ */
+
+// Kenyan numbers in any common form: +254712345678, 254712345678, 0712345678
+const PHONE = /^(?:\+?254|0)([17]\d{8})$/;
+
+// Names at least this similar (0-1) are reported as possible duplicates
+const SIMILAR_NAME = 0.85;
+// Search results need at least this name score
+const NAME_MATCH = 0.7;
+
+/**
+ * +254712345678 for any common way of writing a Kenyan number, or null
+ */
+function normalizePhone(value) {
+  const match = String(value || '').replace(/[\s()-]/g, '').match(PHONE);
+  return match ? `+254${match[1]}` : null;
+}
+
+// ID numbers are stored without spaces, in capitals
+function normalizeIdNumber(value) {
+  return String(value || '').replace(/\s+/g, '').toUpperCase();
+}
+
+function nameTokens(name) {
+  return String(name || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// Average, over `from`, of each token's best match in `to`
+function bestMatches(from, to, prefix) {
+  if (from.length === 0 || to.length === 0) return 0;
+  const total = from.reduce((sum, token) => sum + Math.max(...to.map(other =>
+    prefix && other.startsWith(token) ? 1 : tokenSimilarity(token, other)
+  )), 0);
+  return total / from.length;
+}
+
+/**
+ * How well a typed query matches a name (0-1). Query words may be the
+ * start of a name word: "jan do" matches "Jane Doe".
+ */
+function nameScore(query, name) {
+  return bestMatches(nameTokens(query), nameTokens(name), true);
+}
+
+/**
+ * How alike two full names are (0-1), whatever the word order
+ */
+function nameSimilarity(a, b) {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  return (bestMatches(left, right, false) + bestMatches(right, left, false)) / 2;
+}
+
+/**
+ * Score one buyer against a search query: { match, score } or null.
+ * match says what matched: id_number, uid, id_number_prefix, phone or name.
+ */
+function scoreBuyer(query, buyer) {
+  const idNumber = normalizeIdNumber(query);
+  const phone = normalizePhone(query);
+  const digits = String(query).replace(/[\s()+-]/g, '');
+  if (idNumber && buyer.id_number === idNumber) return { match: 'id_number', score: 1 };
+  if (buyer.uid && buyer.uid.toLowerCase() === String(query).trim().toLowerCase()) return { match: 'uid', score: 1 };
+  if (phone && normalizePhone(buyer.phone) === phone) return { match: 'phone', score: 0.95 };
+  if (idNumber.length >= 3 && String(buyer.id_number || '').startsWith(idNumber)) return { match: 'id_number_prefix', score: 0.9 };
+  // Part of a phone number: the last digits, or the start without the 0 / 254
+  if (/^\d{4,}$/.test(digits)) {
+    const stored = String(buyer.phone || '').replace(/\D/g, '');
+    const local = digits.replace(/^(?:254|0)/, '');
+    if (stored.endsWith(digits) || (local.length >= 4 && stored.startsWith(`254${local}`))) return { match: 'phone', score: 0.8 };
+  }
+  const score = nameScore(query, buyer.name);
+  return score >= NAME_MATCH ? { match: 'name', score: Math.round(score * 100) / 100 } : null;
+}
+
+/**
+ * Groups of buyers that may be the same person:
+ * [{ reason: 'phone' | 'email' | 'name', value?, score?, buyer_ids }]
+ */
+function findDuplicates(buyers) {
+  const groups = [];
+  const groupBy = (reason, keyOf) => {
+    const byKey = new Map();
+    for (const buyer of buyers) {
+      const key = keyOf(buyer);
+      if (!key) continue;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(buyer.id);
+    }
+    for (const [value, ids] of byKey) {
+      if (ids.length > 1) groups.push({ reason, value, buyer_ids: ids });
+    }
+  };
+  groupBy('phone', b => normalizePhone(b.phone));
+  groupBy('email', b => String(b.email || '').trim().toLowerCase());
+
+  // Only compare names that share the start of a word, not every pair
+  const blocks = new Map();
+  for (const buyer of buyers) {
+    for (const key of new Set(nameTokens(buyer.name).map(t => t.slice(0, 2)))) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(buyer);
+    }
+  }
+  const compared = new Set();
+  for (const block of blocks.values()) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = block[i].id < block[j].id ? [block[i], block[j]] : [block[j], block[i]];
+        const pair = `${a.id}:${b.id}`;
+        if (compared.has(pair)) continue;
+        compared.add(pair);
+        const score = nameSimilarity(a.name, b.name);
+        if (score >= SIMILAR_NAME) groups.push({ reason: 'name', score: Math.round(score * 100) / 100, buyer_ids: [a.id, b.id] });
+      }
+    }
+  }
+  return groups;
+}
+
+module.exports = {
+  normalizePhone,
+  normalizeIdNumber,
+  nameScore,
+  nameSimilarity,
+  scoreBuyer,
+  findDuplicates
+};
@@ -0,0 +1,50 @@
+/* ============================================
+   DATABASE CONFIGURATION - In-memory SQLite
+   ============================================
+
+   DB_DRIVER=memory: the SQLite driver on a private :memory: database, for
+   automated tests and sales-demo kiosks. Nothing is written to disk; every
+   start begins from the fixture file in DB_FIXTURES (default
+   fixtures/demo.json, see config/fixtures.js).
+   resetDatabase() throws the data away and starts again from fixtures.
+   ============================================ */
+
+const path = require('path');
+const sqlite = require('./database');
+const { runMigrations } = require('./migrator');
+const { readFixtures, loadFixtures } = require('./fixtures');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '../fixtures/demo.json');
+
+/**
+ * Open a fresh, empty in-memory database
+ */
+function openDatabase() {
+  return sqlite.openDatabase(':memory:');
+}
+
+/**
+ * Open a fresh database, apply the migrations and load fixtures.
+ * fixtures is a fixture object or a path to a JSON fixture file.
+ */
+async function initDatabase(fixtures = process.env.DB_FIXTURES || DEFAULT_FIXTURES) {
+  await openDatabase();
+  await runMigrations(sqlite.migrationConnection);
+  await loadFixtures(sqlite, typeof fixtures === 'string' ? readFixtures(fixtures) : fixtures);
+}
+
+/**
+ * Drop all data and start over from fixtures (same argument as initDatabase)
+ */
+async function resetDatabase(fixtures) {
+  await sqlite.closeDatabase();
+  await initDatabase(fixtures);
+}
+
+module.exports = {
+  ...sqlite,
+  DEFAULT_FIXTURES,
+  openDatabase,
+  initDatabase,
+  resetDatabase
+};
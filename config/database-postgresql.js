@@ -1,31 +1,56 @@
 /* ============================================
    DATABASE CONFIGURATION - PostgreSQL
    ============================================
-   
-   PostgreSQL database setup for production
+
+   PostgreSQL database setup for production (DB_DRIVER=postgres)
+   Same interface as config/database.js, so db-adapter runs the same
+   SQL on both: queries use ? placeholders, which are sent to Postgres
+   as numbered $1, $2, ... parameters.
+   Connection: DATABASE_URL, or DB_HOST / DB_PORT / DB_NAME / DB_USER / DB_PASSWORD
    ============================================ */
 
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+const { AsyncLocalStorage } = require('async_hooks');
+const { DEFAULT_PLOT_PRICE, PAYMENT_STATUSES } = require('./database');
+const { runMigrations, postgresConnection } = require('./migrator');
+
+// Return values in the same shapes SQLite does: numbers for numeric and
+// count columns, ISO strings for timestamps and YYYY-MM-DD for dates
+types.setTypeParser(types.builtins.NUMERIC, (value) => parseFloat(value));
+types.setTypeParser(types.builtins.INT8, (value) => parseInt(value, 10));
+types.setTypeParser(types.builtins.TIMESTAMPTZ, (value) => new Date(value).toISOString());
+types.setTypeParser(types.builtins.TIMESTAMP, (value) => new Date(`${value.replace(' ', 'T')}Z`).toISOString());
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
+// Any constant works; every write transaction takes the same lock
+const WRITE_LOCK_KEY = 7406;
 
 let pool = null;
 
+// The client of the transaction the current async call chain is inside, if any
+const transactionClient = new AsyncLocalStorage();
+
 /**
- * Initialize PostgreSQL database connection
+ * Open the connection pool without touching the schema
  */
-async function initDatabase() {
+async function openDatabase() {
   // Database connection configuration
-  const config = {
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 5432,
-    database: process.env.DB_NAME || 'land_system',
-    user: process.env.DB_USER || 'postgres',
-    password: process.env.DB_PASSWORD || 'postgres',
+  const config = process.env.DATABASE_URL
+    ? { connectionString: process.env.DATABASE_URL }
+    : {
+      host: process.env.DB_HOST || 'localhost',
+      port: process.env.DB_PORT || 5432,
+      database: process.env.DB_NAME || 'land_system',
+      user: process.env.DB_USER || 'postgres',
+      password: process.env.DB_PASSWORD || 'postgres'
+    };
+
+  pool = new Pool({
+    ...config,
     max: 20, // Maximum number of clients in the pool
     idleTimeoutMillis: 30000,
     connectionTimeoutMillis: 2000,
-  };
-
-  pool = new Pool(config);
+  });
 
   // Test the connection
   try {
@@ -36,121 +61,108 @@ async function initDatabase() {
     console.error('Failed to connect to PostgreSQL:', err.message);
     throw err;
   }
-
-  await createTables();
 }
 
 /**
- * Create all necessary tables
+ * Initialize PostgreSQL database connection, apply pending migrations and seed data
  */
-async function createTables() {
-  const queries = [
-    // Plots table
-    `CREATE TABLE IF NOT EXISTS plots (
-      id INTEGER PRIMARY KEY,
-      status TEXT NOT NULL DEFAULT 'available' 
-        CHECK(status IN ('available', 'selected', 'sold')),
-      price DECIMAL(10, 2) NOT NULL DEFAULT 65800.00,
-      buyer_id INTEGER,
-      sold_date TIMESTAMP,
-      FOREIGN KEY (buyer_id) REFERENCES buyers(id)
-    )`,
-    
-    // Buyers table
-    `CREATE TABLE IF NOT EXISTS buyers (
-      id SERIAL PRIMARY KEY,
-      name TEXT NOT NULL,
-      id_number TEXT NOT NULL UNIQUE,
-      phone TEXT NOT NULL,
-      email TEXT NOT NULL,
-      address TEXT,
-      occupation TEXT,
-      budget DECIMAL(10, 2) NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`,
-    
-    // Transactions table
-    `CREATE TABLE IF NOT EXISTS transactions (
-      id SERIAL PRIMARY KEY,
-      buyer_id INTEGER NOT NULL,
-      plot_ids TEXT NOT NULL,
-      total_amount DECIMAL(10, 2) NOT NULL,
-      payment_status TEXT DEFAULT 'pending' 
-        CHECK(payment_status IN ('pending', 'completed', 'failed')),
-      notes TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (buyer_id) REFERENCES buyers(id)
-    )`
-  ];
-  
-  for (const query of queries) {
-    await runQuery(query);
-  }
-  
-  // Insert initial 200 plots if they don't exist
+async function initDatabase() {
+  await openDatabase();
+  await runMigrations(postgresConnection(pool));
+
+  // Insert the default estate and its plots if they don't exist
   await seedPlots();
 }
 
 /**
- * Insert initial 200 plots
+ * Insert the default estate with its initial 200 plots (20x10 grid)
  */
 async function seedPlots() {
+  let estate = await getQuery(`SELECT id FROM estates ORDER BY id LIMIT 1`);
+  if (!estate.id) {
+    const result = await runQuery(
+      `INSERT INTO estates (name, location, layout_rows, layout_cols, default_price) VALUES (?, ?, ?, ?, ?)`,
+      ['Main Estate', '', 10, 20, DEFAULT_PLOT_PRICE]
+    );
+    estate = { id: result.lastID };
+  }
+
   const count = await getQuery(`SELECT COUNT(*) as count FROM plots`);
-  
+
   if (count.count === 0) {
     console.log('Seeding initial 200 plots...');
-    
+
     const preSoldPlots = [3, 7, 8, 15, 19, 32, 47, 88, 101, 120, 155, 172, 199];
-    
+
     for (let i = 1; i <= 200; i++) {
       const status = preSoldPlots.includes(i) ? 'sold' : 'available';
       await runQuery(
-        `INSERT INTO plots (id, status, price) VALUES ($1, $2, $3)`,
-        [i, status, 65800.00]
+        `INSERT INTO plots (id, status, price, estate_id, plot_number) VALUES (?, ?, ?, ?, ?)`,
+        [i, status, DEFAULT_PLOT_PRICE, estate.id, i]
       );
     }
-    
+
     console.log('✓ 200 plots seeded successfully');
   }
 }
 
 /**
- * Execute a query without expecting results
+ * Send a query on the current transaction's client, or the pool outside one.
+ * ? placeholders become $1, $2, ...
+ */
+function query(sql, params = []) {
+  let n = 0;
+  const text = sql.replace(/\?/g, () => `$${++n}`);
+  return (transactionClient.getStore() || pool).query(text, params);
+}
+
+/**
+ * Execute a query without expecting results.
+ * INSERTs return the new row's id as lastID, like SQLite.
  */
 async function runQuery(sql, params = []) {
-  const client = await pool.connect();
-  try {
-    const result = await client.query(sql, params);
-    return { 
-      lastID: result.insertId, 
-      changes: result.rowCount 
-    };
-  } finally {
-    client.release();
-  }
+  const isInsert = /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
+  const result = await query(isInsert ? `${sql} RETURNING id` : sql, params);
+  return {
+    lastID: isInsert && result.rows.length > 0 ? result.rows[result.rows.length - 1].id : undefined,
+    changes: result.rowCount
+  };
 }
 
 /**
  * Execute a query expecting a single result
  */
 async function getQuery(sql, params = []) {
-  const client = await pool.connect();
-  try {
-    const result = await client.query(sql, params);
-    return result.rows[0] || {};
-  } finally {
-    client.release();
-  }
+  const result = await query(sql, params);
+  return result.rows[0] || {};
 }
 
 /**
  * Execute a query expecting multiple results
  */
 async function allQuery(sql, params = []) {
+  const result = await query(sql, params);
+  return result.rows || [];
+}
+
+/**
+ * Run a unit of work inside BEGIN / COMMIT on one client.
+ * Rolls back if the work throws. Write transactions take one advisory lock,
+ * so they run one at a time across every server process, as on SQLite.
+ * Work started inside another transaction joins it.
+ */
+async function runInTransaction(work) {
+  if (transactionClient.getStore()) return await work();
   const client = await pool.connect();
   try {
-    const result = await client.query(sql, params);
-    return result.rows || [];
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [WRITE_LOCK_KEY]);
+    const result = await transactionClient.run(client, work);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
   } finally {
     client.release();
   }
@@ -177,10 +189,17 @@ async function closeDatabase() {
 }
 
 module.exports = {
+  DEFAULT_PLOT_PRICE,
+  PAYMENT_STATUSES,
+  openDatabase,
   initDatabase,
   getDatabase,
+  get migrationConnection() {
+    return postgresConnection(getDatabase());
+  },
   runQuery,
   getQuery,
   allQuery,
+  runInTransaction,
   closeDatabase
 };
@@ -8,21 +8,73 @@
 
 const { getDatabase } = require('./database-supabase');
 
+// Plots with their current hold embedded from the reservations table
+const PLOT_COLUMNS = '*, reservations(held_by, buyer_id, expires_at)';
+
+/**
+ * Flatten the embedded reservation into held_by / reserved_until columns
+ */
+function withHold(plot) {
+  if (!plot) return plot;
+  const { reservations, ...rest } = plot;
+  const hold = Array.isArray(reservations) ? reservations[0] : reservations;
+  return {
+    ...rest,
+    held_by: hold ? hold.held_by : null,
+    reserved_buyer_id: hold ? hold.buyer_id : null,
+    reserved_until: hold ? hold.expires_at : null
+  };
+}
+
+// Transactions (and quotes) with the buyer columns the SQL drivers join in
+const TRANSACTION_COLUMNS = '*, buyers(name, email, phone, address, occupation)';
+
+/**
+ * Flatten the embedded buyer into buyer_name / buyer_email / ... columns
+ */
+function withBuyer(tx) {
+  const { buyers, ...rest } = tx;
+  const buyer = buyers || {};
+  return {
+    ...rest,
+    buyer_name: buyer.name || null,
+    buyer_email: buyer.email || null,
+    buyer_phone: buyer.phone || null,
+    buyer_address: buyer.address || null,
+    buyer_occupation: buyer.occupation || null
+  };
+}
+
+/**
+ * Order and page a list query. options.sort is [{ column, descending }]
+ * (or null for the list's usual `fallback` order) and options.paging is
+ * { limit, offset } or null for every row.
+ */
+function listRange(query, { sort, paging } = {}, fallback) {
+  const order = sort ? sort.map(key => [key.column, { ascending: !key.descending }]) : fallback;
+  for (const [column, opts] of order) query = query.order(column, opts);
+  return paging ? query.range(paging.offset, paging.offset + paging.limit - 1) : query;
+}
+
 /**
  * Get all plots
  */
-async function getAllPlots(statusFilter = null) {
+async function getAllPlots(filters = {}, options = {}) {
   const supabase = getDatabase();
-  let query = supabase.from('plots').select('*');
+  let query = supabase.from('plots').select(PLOT_COLUMNS, { count: 'exact' });
+  
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
   
-  if (statusFilter) {
-    query = query.eq('status', statusFilter);
+  if (filters.estate_id) {
+    query = query.eq('estate_id', filters.estate_id);
   }
   
-  const { data, error } = await query.order('id');
+  const { data, count, error } = await listRange(query, options, [['estate_id'], ['plot_number'], ['id']]);
   
   if (error) throw error;
-  return data;
+  return { rows: data.map(withHold), total: count };
 }
 
 /**
@@ -32,24 +84,36 @@ async function getPlotById(id) {
   const supabase = getDatabase();
   const { data, error } = await supabase
     .from('plots')
-    .select('*')
+    .select(PLOT_COLUMNS)
     .eq('id', id)
-    .single();
+    .maybeSingle();
   
   if (error) throw error;
-  return data;
+  return data ? withHold(data) : {};
 }
 
 /**
  * Update plot status
  */
-async function updatePlotStatus(id, status, buyerId = null) {
+async function updatePlotStatus(id, status, buyerId = null, category, tags) {
   const supabase = getDatabase();
-  const updates = { status };
+  const updates = {};
   
+  if (status) {
+    updates.status = status;
+  }
+  if (category !== undefined) {
+    updates.category = category || null;
+  }
+  if (tags !== undefined) {
+    updates.tags = tags;
+  }
   if (status === 'sold' && buyerId) {
     updates.buyer_id = buyerId;
     updates.sold_date = new Date().toISOString();
+  } else if (status && status !== 'sold') {
+    updates.buyer_id = null;
+    updates.sold_date = null;
   }
   
   const { data, error } = await supabase
@@ -59,6 +123,9 @@ async function updatePlotStatus(id, status, buyerId = null) {
     .select();
   
   if (error) throw error;
+  if (status && status !== 'selected') {
+    await supabase.from('reservations').delete().eq('plot_id', id);
+  }
   return data[0];
 }
 
@@ -72,6 +139,9 @@ async function updateMultiplePlots(plotIds, status, buyerId = null) {
   if (status === 'sold' && buyerId) {
     updates.buyer_id = buyerId;
     updates.sold_date = new Date().toISOString();
+  } else if (status !== 'sold') {
+    updates.buyer_id = null;
+    updates.sold_date = null;
   }
   
   const { data, error } = await supabase
@@ -81,225 +151,1456 @@ async function updateMultiplePlots(plotIds, status, buyerId = null) {
     .select();
   
   if (error) throw error;
+  if (status !== 'selected') {
+    await supabase.from('reservations').delete().in('plot_id', plotIds);
+  }
   return data;
 }
 
 /**
- * Get plot statistics
+ * Get plot statistics; valueOf(plot) is what a plot is worth in the
+ * totals (the adapter passes its effective price)
  */
-async function getPlotStats() {
+async function getPlotStats(estateId = null, valueOf = (plot) => Number(plot.price || 0)) {
   const supabase = getDatabase();
   
-  const { data, error } = await supabase
+  let query = supabase
     .from('plots')
-    .select('status, price');
+    .select('id, status, price, estate_id, plot_number, category, tags, is_corner, road_frontage');
+  
+  if (estateId) {
+    query = query.eq('estate_id', estateId);
+  }
+  
+  const { data, error } = await query;
   
   if (error) throw error;
   
-  const stats = {
+  const value = (rows) => rows.reduce((s, p) => s + valueOf(p), 0);
+  const byStatus = ['available', 'selected', 'sold'].map(status => {
+    const rows = data.filter(p => p.status === status);
+    return { status, count: rows.length, total_value: value(rows) };
+  });
+  const count = (status) => byStatus.find(s => s.status === status).count;
+  
+  return {
     totalPlots: data.length,
-    available: data.filter(p => p.status === 'available').length,
-    selected: data.filter(p => p.status === 'selected').length,
-    sold: data.filter(p => p.status === 'sold').length,
+    byStatus,
+    summary: { available: count('available'), sold: count('sold'), selected: count('selected') },
     totals: {
-      totalValueAll: data.reduce((s, p) => s + Number(p.price || 0), 0),
-      totalValueSold: data.filter(p => p.status === 'sold').reduce((s, p) => s + Number(p.price || 0), 0)
+      totalValueAll: value(data),
+      totalValueSold: byStatus.find(s => s.status === 'sold').total_value
     }
   };
+}
+
+/**
+ * Get id, number, price and what pricing rules look at for a set of plots
+ */
+async function getPlotsByIds(plotIds) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('plots')
+    .select('id, status, price, estate_id, plot_number, category, tags, is_corner, road_frontage')
+    .in('id', plotIds);
   
-  return {
-    totalPlots: stats.totalPlots,
-    byStatus: [
-      { status: 'available', count: stats.available, total_value: null },
-      { status: 'selected', count: stats.selected, total_value: null },
-      { status: 'sold', count: stats.sold, total_value: null }
-    ],
-    summary: { available: stats.available, sold: stats.sold, selected: stats.selected },
-    totals: stats.totals
-  };
+  if (error) throw error;
+  return data;
 }
 
-// Payments helpers
-async function getAllPayments(filters = {}) {
+/**
+ * Set columns on a plot (survey fields, category); returns the updated
+ * row, or null if there is no such plot
+ */
+async function updatePlotFields(id, fields) {
   const supabase = getDatabase();
-  let query = supabase.from('payments').select('*');
-  if (filters.buyer_id) query = query.eq('buyer_id', filters.buyer_id);
-  const { data, error } = await query.order('created_at', { ascending: false });
+  const { data, error } = await supabase
+    .from('plots')
+    .update(fields)
+    .eq('id', id)
+    .select('id')
+    .maybeSingle();
+
   if (error) throw error;
   return data;
 }
 
-async function createPayment(paymentData) {
+/**
+ * Every plot in an estate
+ */
+async function getEstatePlots(estateId) {
+  const supabase = getDatabase();
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase
+      .from('plots')
+      .select('*')
+      .eq('estate_id', estateId)
+      .order('id')
+      .range(from, from + 999);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < 1000) return rows;
+  }
+}
+
+async function getMaxPlotId() {
   const supabase = getDatabase();
   const { data, error } = await supabase
-    .from('payments')
-    .insert(paymentData)
-    .select()
-    .single();
+    .from('plots')
+    .select('id')
+    .order('id', { ascending: false })
+    .limit(1);
+
   if (error) throw error;
-  // Update buyer totals
-  const buyerId = data.buyer_id;
-  const amount = Number(data.amount || 0);
-  if (buyerId) {
-    const { data: buyer } = await supabase
-      .from('buyers')
-      .select('budget,total_spent')
-      .eq('id', buyerId)
-      .single();
-    if (buyer) {
-      const newTotal = Number(buyer.total_spent || 0) - amount;
-      const remaining = Number(buyer.budget || 0) - newTotal;
-      await supabase
-        .from('buyers')
-        .update({ total_spent: Math.max(newTotal, 0), remaining_balance: remaining })
-        .eq('id', buyerId);
-    }
+  return data.length ? data[0].id : 0;
+}
+
+/**
+ * Insert plot rows as given (ids included)
+ */
+async function insertPlots(plots) {
+  const supabase = getDatabase();
+  for (let i = 0; i < plots.length; i += 500) {
+    const { error } = await supabase.from('plots').insert(plots.slice(i, i + 500));
+    if (error) throw error;
   }
-  return data;
 }
 
 /**
- * Get all buyers
+ * Set one plot's price and append to plot_price_history
+ */
+async function setPlotPrice(id, price, { reason, changed_by }) {
+  const supabase = getDatabase();
+  const { data: plot, error } = await supabase
+    .from('plots')
+    .select('id, status, price')
+    .eq('id', id)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!plot) {
+    const err = new Error('Plot not found');
+    err.status = 404;
+    throw err;
+  }
+  if (plot.status === 'sold') {
+    const err = new Error('Cannot reprice a sold plot');
+    err.status = 409;
+    throw err;
+  }
+
+  const { error: updateError } = await supabase.from('plots').update({ price }).eq('id', id);
+  if (updateError) throw updateError;
+  const { error: historyError } = await supabase
+    .from('plot_price_history')
+    .insert({ plot_id: plot.id, old_price: plot.price, new_price: price, reason, changed_by });
+  if (historyError) throw historyError;
+  return getPlotById(id);
+}
+
+/**
+ * Reprice unsold plots matching a plot number range/category filter;
+ * 404 if none match
+ */
+async function repricePlots({ from, to, category, estate_id }, newPriceFor, { reason, changed_by }) {
+  const supabase = getDatabase();
+  let query = supabase.from('plots').select('id, price').neq('status', 'sold');
+  if (from !== null) query = query.gte('plot_number', from);
+  if (to !== null) query = query.lte('plot_number', to);
+  if (category) query = query.eq('category', category);
+  if (estate_id) query = query.eq('estate_id', estate_id);
+  const { data: plots, error } = await query;
+  if (error) throw error;
+  if (plots.length === 0) {
+    const err = new Error('No unsold plots match this range or category');
+    err.status = 404;
+    throw err;
+  }
+
+  const history = [];
+  for (const plot of plots) {
+    const newPrice = newPriceFor(plot);
+    const { error: updateError } = await supabase.from('plots').update({ price: newPrice }).eq('id', plot.id);
+    if (updateError) throw updateError;
+    history.push({ plot_id: plot.id, old_price: plot.price, new_price: newPrice, reason, changed_by });
+  }
+  if (history.length) {
+    const { error: historyError } = await supabase.from('plot_price_history').insert(history);
+    if (historyError) throw historyError;
+  }
+  return { updatedCount: plots.length };
+}
+
+/**
+ * Get a plot's price changes, newest first
  */
-async function getAllBuyers() {
+async function getPlotPriceHistory(id) {
   const supabase = getDatabase();
   const { data, error } = await supabase
-    .from('buyers')
+    .from('plot_price_history')
     .select('*')
-    .order('created_at', { ascending: false });
+    .eq('plot_id', id)
+    .order('changed_at', { ascending: false });
   
   if (error) throw error;
   return data;
 }
 
 /**
- * Get buyer by ID
+ * Every pricing rule, oldest first
  */
-async function getBuyerById(id) {
+async function getPricingRules() {
   const supabase = getDatabase();
   const { data, error } = await supabase
-    .from('buyers')
+    .from('pricing_rules')
+    .select('*')
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+async function getPricingRuleById(id) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('pricing_rules')
     .select('*')
     .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || {};
+}
+
+async function createPricingRule(rule) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('pricing_rules')
+    .insert([rule])
+    .select()
     .single();
-  
+
   if (error) throw error;
   return data;
 }
 
-/**
- * Create a new buyer
- */
-async function createBuyer(buyerData) {
+async function updatePricingRule(id, updates) {
   const supabase = getDatabase();
-  // Generate uid for consistency
-  const name = buyerData.name;
-  const idNumber = buyerData.id_number;
-  const normalize = (s) => String(s || '')
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
-  const uid = `${normalize(name).slice(0,32)}-${String(idNumber||'').replace(/\s+/g,'')}`;
   const { data, error } = await supabase
-    .from('buyers')
-    .insert({ ...buyerData, uid })
+    .from('pricing_rules')
+    .update(updates)
+    .eq('id', id)
     .select()
-    .single();
-  
+    .maybeSingle();
+
   if (error) throw error;
   return data;
 }
 
+async function deletePricingRule(id) {
+  const supabase = getDatabase();
+  const { error } = await supabase
+    .from('pricing_rules')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
 /**
- * Update buyer
+ * Every promo code, oldest first
  */
-async function updateBuyer(id, buyerData) {
+async function getPromoCodes() {
   const supabase = getDatabase();
   const { data, error } = await supabase
-    .from('buyers')
-    .update(buyerData)
+    .from('promo_codes')
+    .select('*')
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+async function getPromoCodeById(id) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('promo_codes')
+    .select('*')
     .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || {};
+}
+
+async function getPromoCodeByCode(code) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('promo_codes')
+    .select('*')
+    .eq('code', code)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || {};
+}
+
+async function createPromoCode(promo) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('promo_codes')
+    .insert([promo])
     .select()
     .single();
-  
+
+  if (error) throw error;
+  return data;
+}
+
+async function updatePromoCode(id, updates) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('promo_codes')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
   if (error) throw error;
   return data;
 }
 
+async function deletePromoCode(id) {
+  const supabase = getDatabase();
+  const { error } = await supabase
+    .from('promo_codes')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
 /**
- * Get all transactions
+ * Count a use of a promo code (uses = -1 gives one back).
+ * Delegates to use_promo_code(); false when the code is used up.
  */
-async function getAllTransactions(filters = {}) {
+async function usePromoCode(id, uses = 1) {
   const supabase = getDatabase();
-  let query = supabase
-    .from('transactions')
-    .select('*, buyers(*)');
-  
-  if (filters.buyer_id) {
-    query = query.eq('buyer_id', filters.buyer_id);
-  }
-  
-  if (filters.payment_status) {
-    query = query.eq('payment_status', filters.payment_status);
-  }
-  
-  const { data, error } = await query.order('created_at', { ascending: false });
-  
+  const { data, error } = await supabase.rpc('use_promo_code', { p_id: id, p_uses: uses });
+
   if (error) throw error;
-  return data;
+  return data === true;
 }
 
 /**
- * Create transaction
+ * Every volume tier, fewest plots first
  */
-async function createTransaction(transactionData) {
+async function getVolumeTiers() {
   const supabase = getDatabase();
   const { data, error } = await supabase
-    .from('transactions')
-    .insert(transactionData)
+    .from('volume_tiers')
+    .select('*')
+    .order('min_plots', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+async function getVolumeTierById(id) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('volume_tiers')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || {};
+}
+
+async function createVolumeTier(tier) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('volume_tiers')
+    .insert([tier])
     .select()
     .single();
-  
-  if (error) throw error;
 
-  // Update buyer totals in buyers table
-  const buyerId = data.buyer_id;
-  const totalAmount = Number(data.total_amount || 0);
-  if (buyerId) {
-    const { data: buyer } = await supabase
-      .from('buyers')
-      .select('budget,total_spent')
-      .eq('id', buyerId)
-      .single();
-    if (buyer) {
-      const newTotal = Number(buyer.total_spent || 0) + totalAmount;
-      const remaining = Number(buyer.budget || 0) - newTotal;
-      await supabase
-        .from('buyers')
-        .update({ total_spent: newTotal, remaining_balance: remaining })
-        .eq('id', buyerId);
-    }
-  }
+  if (error) throw error;
   return data;
 }
 
-/**
- * Update transaction status
- */
-async function updateTransactionStatus(id, status) {
+async function updateVolumeTier(id, updates) {
   const supabase = getDatabase();
   const { data, error } = await supabase
-    .from('transactions')
-    .update({ payment_status: status })
+    .from('volume_tiers')
+    .update(updates)
     .eq('id', id)
     .select()
-    .single();
-  
+    .maybeSingle();
+
   if (error) throw error;
   return data;
 }
 
+async function deleteVolumeTier(id) {
+  const supabase = getDatabase();
+  const { error } = await supabase
+    .from('volume_tiers')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
+/**
+ * Attach plot counts per status to each estate
+ */
+async function withPlotCounts(estates) {
+  const supabase = getDatabase();
+  const { data: plots, error } = await supabase
+    .from('plots')
+    .select('estate_id, status')
+    .in('estate_id', estates.map(e => e.id));
+  
+  if (error) throw error;
+  return estates.map(e => {
+    const own = plots.filter(p => p.estate_id === e.id);
+    return {
+      ...e,
+      total_plots: own.length,
+      available_plots: own.filter(p => p.status === 'available').length,
+      sold_plots: own.filter(p => p.status === 'sold').length
+    };
+  });
+}
+
+/**
+ * Insert plots numbered fromNumber..toNumber for an estate, taking fresh ids
+ */
+async function insertEstatePlots(estateId, fromNumber, toNumber, price) {
+  const supabase = getDatabase();
+  const { data: last, error } = await supabase
+    .from('plots')
+    .select('id')
+    .order('id', { ascending: false })
+    .limit(1);
+  
+  if (error) throw error;
+  const maxId = last.length ? last[0].id : 0;
+  const plots = [];
+  for (let n = fromNumber; n <= toNumber; n++) {
+    plots.push({ id: maxId + (n - fromNumber) + 1, status: 'available', price, estate_id: estateId, plot_number: n });
+  }
+  for (let i = 0; i < plots.length; i += 500) {
+    const { error: insertError } = await supabase.from('plots').insert(plots.slice(i, i + 500));
+    if (insertError) throw insertError;
+  }
+}
+
+/**
+ * Delete plots together with their holds and price history
+ */
+async function deletePlots(plotIds) {
+  const supabase = getDatabase();
+  if (!plotIds.length) return;
+  for (const table of ['plot_price_history', 'reservations']) {
+    const { error } = await supabase.from(table).delete().in('plot_id', plotIds);
+    if (error) throw error;
+  }
+  const { error } = await supabase.from('plots').delete().in('id', plotIds);
+  if (error) throw error;
+}
+
+/**
+ * Get all estates with plot counts
+ */
+async function getAllEstates() {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('estates')
+    .select('*')
+    .order('id');
+  
+  if (error) throw error;
+  return withPlotCounts(data);
+}
+
+/**
+ * Get an estate by ID with plot counts
+ */
+async function getEstateById(id) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('estates')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!data) return {};
+  return (await withPlotCounts([data]))[0];
+}
+
+/**
+ * Create an estate and its grid of plots
+ */
+async function createEstate(estateData) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('estates')
+    .insert(estateData)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  await insertEstatePlots(data.id, 1, data.layout_rows * data.layout_cols, data.default_price);
+  return getEstateById(data.id);
+}
+
+/**
+ * Update an estate, growing or shrinking its grid of plots. quoted maps
+ * plot id -> live quote; a removed plot on a quote blocks the shrink.
+ */
+async function updateEstate(id, updates, quoted = new Map()) {
+  const supabase = getDatabase();
+  const estate = await getEstateById(id);
+  if (!estate.id) {
+    const err = new Error('Estate not found');
+    err.status = 404;
+    throw err;
+  }
+  const fields = {};
+  for (const key of ['name', 'location', 'layout_rows', 'layout_cols', 'default_price']) {
+    if (updates[key] !== undefined) fields[key] = updates[key];
+  }
+  const next = { ...estate, ...fields };
+  const nextCount = Number(next.layout_rows) * Number(next.layout_cols);
+
+  if (nextCount > estate.total_plots) {
+    await insertEstatePlots(estate.id, estate.total_plots + 1, nextCount, next.default_price);
+  } else if (nextCount < estate.total_plots) {
+    const { data: removed, error } = await supabase
+      .from('plots')
+      .select('id, status')
+      .eq('estate_id', estate.id)
+      .gt('plot_number', nextCount);
+    if (error) throw error;
+    const blocked = removed.filter(p => p.status !== 'available' || quoted.has(p.id));
+    if (blocked.length) {
+      const err = new Error('Cannot shrink the layout: some removed plots are sold, held or quoted');
+      err.status = 409;
+      err.conflicts = blocked.map(p => p.id);
+      throw err;
+    }
+    await deletePlots(removed.map(p => p.id));
+  }
+
+  const { error: updateError } = await supabase.from('estates').update(fields).eq('id', estate.id);
+  if (updateError) throw updateError;
+  return getEstateById(estate.id);
+}
+
+/**
+ * Delete an estate and its plots while nothing has been sold and no plot
+ * is in quoted (plot id -> live quote)
+ */
+async function deleteEstate(id, quoted = new Map()) {
+  const supabase = getDatabase();
+  const estate = await getEstateById(id);
+  if (!estate.id) {
+    const err = new Error('Estate not found');
+    err.status = 404;
+    throw err;
+  }
+  const { count, error } = await supabase
+    .from('transactions')
+    .select('id', { count: 'exact', head: true })
+    .eq('estate_id', estate.id);
+  if (error) throw error;
+  if (estate.sold_plots > 0 || count > 0) {
+    const err = new Error('Cannot delete an estate with sold plots or transactions');
+    err.status = 409;
+    throw err;
+  }
+  const { data: plots, error: plotsError } = await supabase.from('plots').select('id').eq('estate_id', estate.id);
+  if (plotsError) throw plotsError;
+  const onQuote = plots.filter(p => quoted.has(p.id));
+  if (onQuote.length) {
+    const err = new Error('Cannot delete an estate with plots on a live quote');
+    err.status = 409;
+    err.conflicts = onQuote.map(p => p.id);
+    throw err;
+  }
+  await deletePlots(plots.map(p => p.id));
+  const { error: estateError } = await supabase.from('estates').delete().eq('id', estate.id);
+  if (estateError) throw estateError;
+  return { deleted: true };
+}
+
+/**
+ * Store a transaction's payment plan and its installments
+ */
+async function createPaymentPlan(transactionId, { plan, installments }) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('payment_plans')
+    .insert({ ...plan, transaction_id: transactionId })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  const { error: installmentsError } = await supabase
+    .from('installments')
+    .insert(installments.map(i => ({ ...i, plan_id: data.id, transaction_id: transactionId })));
+  
+  if (installmentsError) throw installmentsError;
+  return data;
+}
+
+/**
+ * Get a transaction's payment plan and installments
+ */
+async function getTransactionSchedule(transactionId) {
+  const supabase = getDatabase();
+  const { data: plan, error } = await supabase
+    .from('payment_plans')
+    .select('*')
+    .eq('transaction_id', transactionId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!plan) return { plan: null, installments: [] };
+  const { data: installments, error: installmentsError } = await supabase
+    .from('installments')
+    .select('*')
+    .eq('plan_id', plan.id)
+    .order('sequence');
+  
+  if (installmentsError) throw installmentsError;
+  return { plan, installments };
+}
+
+/**
+ * Get all staff users
+ */
+async function getAllUsers() {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .order('username');
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get a user by id (null if missing)
+ */
+async function getUserById(id) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get a user by username (null if missing)
+ */
+async function getUserByUsername(username) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('username', username)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Create a user (password already hashed)
+ */
+async function createUser(user) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('users')
+    .insert(user)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a user, optionally ending all of their sessions
+ */
+async function updateUser(id, updates, { endSessions = false } = {}) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('users')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (data && endSessions) {
+    const { error: sessionError } = await supabase.from('sessions').delete().eq('user_id', id);
+    if (sessionError) throw sessionError;
+  }
+  return data;
+}
+
+/**
+ * Store a login session
+ */
+async function createSession(session) {
+  const supabase = getDatabase();
+  const { error } = await supabase.from('sessions').insert(session);
+  if (error) throw error;
+}
+
+/**
+ * Look up a session by the hash of its token (null if missing)
+ */
+async function getSessionByTokenHash(tokenHash) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('token_hash', tokenHash)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * End a session
+ */
+async function deleteSession(tokenHash) {
+  const supabase = getDatabase();
+  const { error } = await supabase.from('sessions').delete().eq('token_hash', tokenHash);
+  if (error) throw error;
+}
+
+/**
+ * Append an event to the audit log (before/after are jsonb columns)
+ */
+async function insertAuditEvent(event) {
+  const supabase = getDatabase();
+  const { error } = await supabase.from('audit_events').insert(event);
+  if (error) throw error;
+}
+
+/**
+ * Get audit events, newest first, with optional filters
+ */
+async function getAuditEvents(filters = {}) {
+  const supabase = getDatabase();
+  let query = supabase.from('audit_events').select('*');
+  if (filters.actor) query = query.eq('actor', filters.actor);
+  if (filters.action) query = query.eq('action', filters.action);
+  if (filters.entity) query = query.eq('entity', filters.entity);
+  if (filters.entity_id) query = query.eq('entity_id', String(filters.entity_id));
+  if (filters.from) query = query.gte('created_at', filters.from);
+  if (filters.to) query = query.lte('created_at', `${filters.to}T23:59:59.999Z`);
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(filters.limit);
+  if (error) throw error;
+  return data;
+}
+
+// Payments helpers
+async function getAllPayments(filters = {}, options = {}) {
+  const supabase = getDatabase();
+  let query = supabase.from('payments').select('*', { count: 'exact' });
+  if (filters.buyer_id) query = query.eq('buyer_id', filters.buyer_id);
+  if (filters.transaction_id) query = query.eq('transaction_id', filters.transaction_id);
+  if (filters.method) query = query.eq('method', filters.method);
+  if (filters.from) query = query.gte('paid_at', filters.from);
+  if (filters.to) query = query.lte('paid_at', filters.to);
+  const { data, count, error } = await listRange(query, options, [
+    ['paid_at', { ascending: false, nullsFirst: false }],
+    ['id', { ascending: false }]
+  ]);
+  if (error) throw error;
+  return { rows: data, total: count };
+}
+
+/**
+ * Record a validated payment in one database transaction.
+ * Delegates to the record_payment() Postgres function (migration 004),
+ * which allocates it to installments and updates the buyer and transaction.
+ */
+async function createPayment(payment) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase.rpc('record_payment', {
+    p_transaction_id: payment.transaction_id,
+    p_buyer_id: payment.buyer_id,
+    p_amount: payment.amount,
+    p_method: payment.method,
+    p_reference: payment.reference,
+    p_notes: payment.notes,
+    p_paid_at: payment.paid_at
+  });
+
+  if (error) {
+    const message = error.message || '';
+    const fail = (text, status) => {
+      const err = new Error(text);
+      err.status = status;
+      throw err;
+    };
+    if (message.startsWith('TRANSACTION_NOT_FOUND')) fail('Transaction not found', 404);
+    if (message.startsWith('TRANSACTION_CANCELLED')) fail('Cannot record a payment on a cancelled transaction', 409);
+    if (message.startsWith('BUYER_MISMATCH')) fail('buyer_id does not match the transaction', 400);
+    if (message.startsWith('BUYER_NOT_FOUND')) fail('Buyer not found', 404);
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Get one payment with its installment allocations ({} if not found)
+ */
+async function getPaymentById(id) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('payments')
+    .select('*, payment_allocations(installment_id, amount, installments(sequence))')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return {};
+  const { payment_allocations: allocations, ...payment } = data;
+  payment.allocations = (allocations || [])
+    .map(a => ({ installment_id: a.installment_id, sequence: a.installments && a.installments.sequence, amount: a.amount }))
+    .sort((a, b) => a.sequence - b.sequence);
+  return payment;
+}
+
+/**
+ * Void a payment in one database transaction.
+ * Delegates to the void_payment() Postgres function (migration 005).
+ */
+async function voidPayment(id, { reason, voided_by }) {
+  const supabase = getDatabase();
+  const { error } = await supabase.rpc('void_payment', {
+    p_payment_id: Number(id),
+    p_reason: reason,
+    p_voided_by: voided_by || null
+  });
+
+  if (error) {
+    const message = error.message || '';
+    const fail = (text, status) => {
+      const err = new Error(text);
+      err.status = status;
+      throw err;
+    };
+    if (message.startsWith('PAYMENT_NOT_FOUND')) fail('Payment not found', 404);
+    if (message.startsWith('PAYMENT_ALREADY_VOIDED')) fail('Payment is already voided', 409);
+    if (message.startsWith('TRANSACTION_CANCELLED')) fail('Cannot void a payment on a cancelled transaction', 409);
+    throw error;
+  }
+  return await getPaymentById(id);
+}
+
+/**
+ * Get all buyers
+ */
+async function getAllBuyers(filters = {}, options = {}) {
+  const supabase = getDatabase();
+  let query = supabase.from('buyers').select('*', { count: 'exact' });
+
+  if (filters.q) {
+    // , ( and ) would break the or() filter syntax
+    const q = String(filters.q).replace(/[,()]/g, ' ');
+    query = query.or(`name.ilike.%${q}%,id_number.ilike.%${q}%,uid.ilike.%${q}%`);
+  }
+
+  const { data, count, error } = await listRange(query, options, [
+    ['created_at', { ascending: false }],
+    ['id', { ascending: false }]
+  ]);
+  
+  if (error) throw error;
+  return { rows: data, total: count };
+}
+
+/**
+ * Get buyer by ID
+ */
+async function getBuyerById(id) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('buyers')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data || {};
+}
+
+/**
+ * Create a new buyer. A duplicate id_number fails with 409.
+ */
+async function createBuyer(buyerData) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('buyers')
+    .insert(buyerData)
+    .select()
+    .single();
+  
+  if (error) {
+    if (error.code === '23505') {
+      const err = new Error('Buyer with this ID number already exists');
+      err.status = 409;
+      throw err;
+    }
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Update the given buyer fields (null if the buyer does not exist)
+ */
+async function updateBuyer(id, buyerData) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('buyers')
+    .update(buyerData)
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+  
+  if (error) {
+    if (error.code === '23505') {
+      const err = new Error('Buyer with this ID number already exists');
+      err.status = 409;
+      throw err;
+    }
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * The columns buyer search and the duplicate report compare, for every
+ * buyer. Read 1000 rows at a time, the most Supabase returns at once.
+ */
+async function getBuyerIndex(columns) {
+  const supabase = getDatabase();
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase
+      .from('buyers')
+      .select(columns)
+      .order('id')
+      .range(from, from + 999);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < 1000) return rows;
+  }
+}
+
+async function getBuyersByIds(ids) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase.from('buyers').select('*').in('id', ids);
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Merge a duplicate buyer into another in one database transaction.
+ * Delegates to the merge_buyers() Postgres function (migration 006).
+ */
+async function mergeBuyers(id, duplicateId) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase.rpc('merge_buyers', {
+    p_buyer_id: Number(id),
+    p_duplicate_id: Number(duplicateId)
+  });
+
+  if (error) {
+    const message = error.message || '';
+    if (message.startsWith('BUYER_NOT_FOUND')) {
+      const err = new Error('Buyer not found');
+      err.status = 404;
+      throw err;
+    }
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Get all transactions
+ */
+async function getAllTransactions(filters = {}, options = {}) {
+  const supabase = getDatabase();
+  let query = supabase
+    .from('transactions')
+    .select(TRANSACTION_COLUMNS, { count: 'exact' });
+  
+  if (filters.buyer_id) {
+    query = query.eq('buyer_id', filters.buyer_id);
+  }
+  
+  if (filters.payment_status) {
+    query = query.eq('payment_status', filters.payment_status);
+  }
+  
+  if (filters.estate_id) {
+    query = query.eq('estate_id', filters.estate_id);
+  }
+  
+  const { data, count, error } = await listRange(query, options, [
+    ['created_at', { ascending: false }],
+    ['id', { ascending: false }]
+  ]);
+  
+  if (error) throw error;
+  return { rows: data.map(withBuyer), total: count };
+}
+
+/**
+ * Get one transaction with its buyer's contact details
+ */
+async function getTransactionById(id) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('transactions')
+    .select(TRANSACTION_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data ? withBuyer(data) : {};
+}
+
+/**
+ * Create transaction
+ */
+async function createTransaction(transactionData) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('transactions')
+    .insert(transactionData)
+    .select()
+    .single();
+  
+  if (error) throw error;
+
+  // Update buyer totals in buyers table
+  const buyerId = data.buyer_id;
+  const totalAmount = Number(data.total_amount || 0);
+  if (buyerId) {
+    const { data: buyer } = await supabase
+      .from('buyers')
+      .select('budget,total_spent')
+      .eq('id', buyerId)
+      .single();
+    if (buyer) {
+      const newTotal = Number(buyer.total_spent || 0) + totalAmount;
+      const remaining = Number(buyer.budget || 0) - newTotal;
+      await supabase
+        .from('buyers')
+        .update({ total_spent: newTotal, remaining_balance: remaining })
+        .eq('id', buyerId);
+    }
+  }
+  return data;
+}
+
+/**
+ * plot_ids of every transaction that hasn't been cancelled
+ */
+async function getOpenTransactionPlotIds() {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('plot_ids')
+    .neq('payment_status', 'cancelled');
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * A transaction's line items, in order
+ */
+async function getTransactionLineItems(transactionId) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('transaction_line_items')
+    .select('*')
+    .eq('transaction_id', transactionId)
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Store a priced sale's gross and discount totals and its line items
+ * on the transaction
+ */
+async function saveTransactionLines(transactionId, { gross_amount, discount_amount, line_items }) {
+  const supabase = getDatabase();
+  const { error } = await supabase
+    .from('transactions')
+    .update({ gross_amount, discount_amount })
+    .eq('id', transactionId);
+
+  if (error) throw error;
+  const { error: linesError } = await supabase
+    .from('transaction_line_items')
+    .insert(line_items.map(line => ({
+      transaction_id: transactionId,
+      kind: line.kind,
+      plot_id: line.plot_id || null,
+      description: line.description,
+      amount: line.amount,
+      promo_code_id: line.promo_code_id || null,
+      volume_tier_id: line.volume_tier_id || null,
+      approved_by: line.approved_by || null
+    })));
+
+  if (linesError) throw linesError;
+}
+
+/**
+ * Update transaction status
+ */
+async function updateTransactionStatus(id, status) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('transactions')
+    .update({ payment_status: status })
+    .eq('id', id)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Flag pending/partial transactions with an unpaid installment due before today
+ */
+async function markOverdueTransactions(today) {
+  const supabase = getDatabase();
+  const { data: late, error } = await supabase
+    .from('installments')
+    .select('transaction_id, amount_due, amount_paid')
+    .lt('due_date', today);
+  
+  if (error) throw error;
+  const ids = [...new Set(late
+    .filter(i => Number(i.amount_paid || 0) < Number(i.amount_due))
+    .map(i => i.transaction_id))];
+  if (ids.length === 0) return { overdueCount: 0, transactionIds: [] };
+  
+  const { data, error: updateError } = await supabase
+    .from('transactions')
+    .update({ payment_status: 'overdue' })
+    .in('id', ids)
+    .in('payment_status', ['pending', 'partial'])
+    .select('id');
+  
+  if (updateError) throw updateError;
+  return { overdueCount: data.length, transactionIds: data.map(t => t.id) };
+}
+
+/**
+ * Sell plots and record the transaction in one database transaction.
+ * Delegates to the purchase_plots() Postgres function (see BACKEND_SETUP.md),
+ * which raises PLOTS_UNAVAILABLE:<ids> when any plot is already taken.
+ */
+async function createPurchase({ buyer_id, plot_ids, held_by, notes, total_amount }) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase.rpc('purchase_plots', {
+    p_buyer_id: buyer_id,
+    p_plot_ids: plot_ids,
+    p_held_by: held_by || null,
+    p_notes: notes || '',
+    p_total_amount: total_amount
+  });
+
+  if (error) {
+    const message = error.message || '';
+    if (message.startsWith('PLOTS_UNAVAILABLE')) {
+      const err = new Error('Some plots are no longer available');
+      err.status = 409;
+      err.conflicts = message.split(':')[1].split(',').map(Number);
+      throw err;
+    }
+    if (message.startsWith('BUYER_NOT_FOUND')) {
+      const err = new Error('Buyer not found');
+      err.status = 404;
+      throw err;
+    }
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Get quotes with their buyer's contact details. A draft or sent quote
+ * past valid_until counts as expired (today is YYYY-MM-DD).
+ */
+async function getAllQuotes(filters = {}, options = {}, today) {
+  const supabase = getDatabase();
+  let query = supabase
+    .from('quotes')
+    .select(TRANSACTION_COLUMNS, { count: 'exact' });
+
+  if (filters.status === 'expired') {
+    query = query.or(`status.eq.expired,and(status.in.(draft,sent),valid_until.lt.${today})`);
+  } else if (filters.status === 'draft' || filters.status === 'sent') {
+    query = query.eq('status', filters.status).gte('valid_until', today);
+  } else if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  if (filters.buyer_id) {
+    query = query.eq('buyer_id', filters.buyer_id);
+  }
+
+  if (filters.estate_id) {
+    query = query.eq('estate_id', filters.estate_id);
+  }
+
+  const { data, count, error } = await listRange(query, options, [
+    ['created_at', { ascending: false }],
+    ['id', { ascending: false }]
+  ]);
+
+  if (error) throw error;
+  return { rows: data.map(withBuyer), total: count };
+}
+
+async function getQuoteById(id) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('quotes')
+    .select(TRANSACTION_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? withBuyer(data) : {};
+}
+
+/**
+ * Draft and sent quotes valid on `today`, with the plots they hold and
+ * their line items
+ */
+async function getLiveQuotes(today) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('quotes')
+    .select('id, buyer_id, plot_ids, valid_until, line_items')
+    .in('status', ['draft', 'sent'])
+    .gte('valid_until', today);
+
+  if (error) throw error;
+  return data;
+}
+
+async function createQuote(quote) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('quotes')
+    .insert([quote])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Change a quote; with `statuses`, only while it has one of them.
+ * Returns the updated row, or null if nothing changed.
+ */
+async function updateQuote(id, updates, statuses) {
+  const supabase = getDatabase();
+  let query = supabase
+    .from('quotes')
+    .update(updates)
+    .eq('id', id);
+  if (statuses) query = query.in('status', statuses);
+  const { data, error } = await query.select().maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Mark draft and sent quotes whose valid_until is before today expired
+ */
+async function expireQuotes(today) {
+  const supabase = getDatabase();
+  const { data, error } = await supabase
+    .from('quotes')
+    .update({ status: 'expired' })
+    .in('status', ['draft', 'sent'])
+    .lt('valid_until', today)
+    .select('id, plot_ids');
+
+  if (error) throw error;
+  return {
+    expiredCount: data.length,
+    quoteIds: data.map(quote => quote.id),
+    plotIds: data.flatMap(quote => String(quote.plot_ids).split(',').map(Number))
+  };
+}
+
+/**
+ * Cancel a sale in one database transaction.
+ * Delegates to the cancel_transaction() Postgres function (see BACKEND_SETUP.md).
+ */
+async function cancelTransaction(id, { reason, refund_amount }) {
+  const supabase = getDatabase();
+  const { error } = await supabase.rpc('cancel_transaction', {
+    p_transaction_id: Number(id),
+    p_reason: reason,
+    p_refund_amount: refund_amount
+  });
+
+  if (error) {
+    const message = error.message || '';
+    const fail = (text, status) => {
+      const err = new Error(text);
+      err.status = status;
+      throw err;
+    };
+    if (message.startsWith('TRANSACTION_NOT_FOUND')) fail('Transaction not found', 404);
+    if (message.startsWith('TRANSACTION_NOT_CANCELLABLE')) fail(`Cannot cancel a transaction that is ${message.split(':')[1]}`, 409);
+    if (message.startsWith('REFUND_EXCEEDS_PAID')) fail(`refund_amount cannot exceed the ${message.split(':')[1]} paid on this transaction`, 400);
+    throw error;
+  }
+}
+
+/**
+ * Get refunds with optional buyer/transaction filters
+ */
+async function getAllRefunds(filters = {}) {
+  const supabase = getDatabase();
+  let query = supabase.from('refunds').select('*');
+  if (filters.buyer_id) query = query.eq('buyer_id', filters.buyer_id);
+  if (filters.transaction_id) query = query.eq('transaction_id', filters.transaction_id);
+  const { data, error } = await query.order('created_at', { ascending: false });
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Hold a plot for an agent. The plot row is only claimed while it is still
+ * available or selected, so a sold plot can never be re-held.
+ */
+async function reservePlot(id, { buyer_id, held_by, expires_at }) {
+  const supabase = getDatabase();
+  const { data: hold, error: holdError } = await supabase
+    .from('reservations')
+    .select('held_by, expires_at')
+    .eq('plot_id', id)
+    .maybeSingle();
+  
+  if (holdError) throw holdError;
+  if (hold && hold.held_by !== held_by && new Date(hold.expires_at) > new Date()) {
+    const err = new Error(`Plot is held by ${hold.held_by}`);
+    err.status = 409;
+    throw err;
+  }
+
+  const { data: claimed, error } = await supabase
+    .from('plots')
+    .update({ status: 'selected' })
+    .eq('id', id)
+    .in('status', ['available', 'selected'])
+    .select('id');
+  
+  if (error) throw error;
+  if (!claimed.length) {
+    const existing = await supabase.from('plots').select('id').eq('id', id);
+    const err = new Error(existing.data && existing.data.length ? 'Plot is already sold' : 'Plot not found');
+    err.status = existing.data && existing.data.length ? 409 : 404;
+    throw err;
+  }
+
+  const { error: upsertError } = await supabase
+    .from('reservations')
+    .upsert({ plot_id: id, buyer_id: buyer_id || null, held_by, expires_at }, { onConflict: 'plot_id' });
+  
+  if (upsertError) throw upsertError;
+  return getPlotById(id);
+}
+
+/**
+ * Release a hold and return the plot to available
+ */
+async function releasePlot(id, heldBy) {
+  const supabase = getDatabase();
+  const plot = await getPlotById(id);
+  if (!plot.held_by) return plot;
+  if (heldBy && plot.held_by !== heldBy) {
+    const err = new Error(`Plot is held by ${plot.held_by}`);
+    err.status = 409;
+    throw err;
+  }
+
+  const { error } = await supabase.from('reservations').delete().eq('plot_id', id);
+  if (error) throw error;
+  await supabase.from('plots').update({ status: 'available' }).eq('id', id).eq('status', 'selected');
+  return getPlotById(id);
+}
+
+/**
+ * Return plots whose hold expired before `now` to available
+ */
+async function releaseExpiredReservations(now) {
+  const supabase = getDatabase();
+  const { data: expired, error } = await supabase
+    .from('reservations')
+    .delete()
+    .lte('expires_at', now)
+    .select('plot_id');
+  
+  if (error) throw error;
+  if (!expired.length) return { releasedCount: 0, plotIds: [] };
+
+  const { data: released, error: updateError } = await supabase
+    .from('plots')
+    .update({ status: 'available' })
+    .in('id', expired.map(r => r.plot_id))
+    .eq('status', 'selected')
+    .select('id');
+  
+  if (updateError) throw updateError;
+  return { releasedCount: released.length, plotIds: released.map(p => p.id) };
+}
+
 module.exports = {
   getAllPlots,
   getPlotById,
@@ -310,7 +1611,73 @@ module.exports = {
   getBuyerById,
   createBuyer,
   updateBuyer,
+  getBuyerIndex,
+  getBuyersByIds,
+  mergeBuyers,
   getAllTransactions,
+  getTransactionById,
   createTransaction,
-  updateTransactionStatus
+  updateTransactionStatus,
+  markOverdueTransactions,
+  cancelTransaction,
+  getAllRefunds,
+  getAllPayments,
+  getPaymentById,
+  createPayment,
+  voidPayment,
+  getAllUsers,
+  getUserById,
+  getUserByUsername,
+  createUser,
+  updateUser,
+  createSession,
+  getSessionByTokenHash,
+  deleteSession,
+  insertAuditEvent,
+  getAuditEvents,
+  createPurchase,
+  reservePlot,
+  releasePlot,
+  releaseExpiredReservations,
+  getPlotsByIds,
+  updatePlotFields,
+  getEstatePlots,
+  getMaxPlotId,
+  insertPlots,
+  setPlotPrice,
+  repricePlots,
+  getPlotPriceHistory,
+  getPricingRules,
+  getPricingRuleById,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  getPromoCodes,
+  getPromoCodeById,
+  getPromoCodeByCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  usePromoCode,
+  getVolumeTiers,
+  getVolumeTierById,
+  createVolumeTier,
+  updateVolumeTier,
+  deleteVolumeTier,
+  getTransactionLineItems,
+  getOpenTransactionPlotIds,
+  saveTransactionLines,
+  getAllQuotes,
+  getQuoteById,
+  getLiveQuotes,
+  createQuote,
+  updateQuote,
+  expireQuotes,
+  getAllEstates,
+  getEstateById,
+  createEstate,
+  updateEstate,
+  deleteEstate,
+  createPaymentPlan,
+  getTransactionSchedule
 };
@@ -4,9 +4,11 @@
    
    Supabase (PostgreSQL in the cloud) integration
    Production-ready database for land purchase system
+   Schema: migrations/ (applied when DATABASE_URL is set)
    ============================================ */
 
 const { createClient } = require('@supabase/supabase-js');
+const { migratePostgresUrl } = require('./migrator');
 
 let supabase = null;
 
@@ -27,14 +29,17 @@ async function initDatabase() {
   supabase = createClient(supabaseUrl, supabaseKey);
 
   try {
+    // The Supabase client cannot run DDL; migrations need the direct Postgres connection
+    if (process.env.DATABASE_URL) {
+      await migratePostgresUrl(process.env.DATABASE_URL);
+    } else {
+      console.log('⚠️  DATABASE_URL not set: skipping schema migrations');
+      console.log('💡 Set it to the Supabase connection string (Settings → Database) or run `npm run migrate` with it');
+    }
+
     // Test connection
-    const { data, error } = await supabase.from('plots').select('count').limit(1);
-    
-    if (error && error.code === 'PGRST116') {
-      // Table doesn't exist, create it
-      console.log('⚠️  Tables not found, creating schema...');
-      await createTables();
-    } else if (error) {
+    const { error } = await supabase.from('plots').select('count').limit(1);
+    if (error) {
       console.error('Database connection error:', error.message);
       throw error;
     }
@@ -50,54 +55,6 @@ async function initDatabase() {
   }
 }
 
-/**
- * Create all necessary tables
- * Note: Create tables in Supabase dashboard or use migrations
- */
-async function createTables() {
-  const queries = [
-    // Plots table
-    `CREATE TABLE IF NOT EXISTS plots (
-      id INTEGER PRIMARY KEY,
-      status TEXT NOT NULL DEFAULT 'available' 
-        CHECK(status IN ('available', 'selected', 'sold')),
-      price DECIMAL(10, 2) NOT NULL DEFAULT 65800.00,
-      buyer_id INTEGER,
-      sold_date TIMESTAMP,
-      FOREIGN KEY (buyer_id) REFERENCES buyers(id)
-    )`,
-    
-    // Buyers table
-    `CREATE TABLE IF NOT EXISTS buyers (
-      id SERIAL PRIMARY KEY,
-      name TEXT NOT NULL,
-      id_number TEXT UNIQUE NOT NULL,
-      phone TEXT NOT NULL,
-      email TEXT NOT NULL,
-      address TEXT,
-      occupation TEXT,
-      budget DECIMAL(10, 2) NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`,
-    
-    // Transactions table
-    `CREATE TABLE IF NOT EXISTS transactions (
-      id SERIAL PRIMARY KEY,
-      buyer_id INTEGER NOT NULL,
-      plot_ids TEXT NOT NULL,
-      total_amount DECIMAL(10, 2) NOT NULL,
-      payment_status TEXT DEFAULT 'pending' 
-        CHECK(payment_status IN ('pending', 'completed', 'failed')),
-      notes TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (buyer_id) REFERENCES buyers(id)
-    )`
-  ];
-  
-  console.log('⚠️  Please create tables manually in Supabase dashboard');
-  console.log('💡 Go to your Supabase project → Table Editor → New Table');
-}
-
 /**
  * Insert initial 200 plots
  */
@@ -112,10 +69,18 @@ async function seedPlots() {
     return;
   }
   
-  // If no plots exist, seed them
+  // If no plots exist, seed them into the default estate
   if (!data || data.length === 0) {
     console.log('Seeding initial 200 plots...');
     
+    const { error: estateError } = await supabase
+      .from('estates')
+      .upsert({ id: 1, name: 'Main Estate', location: '', layout_rows: 10, layout_cols: 20, default_price: 65800.00 });
+    
+    if (estateError) {
+      console.error('Error seeding estate:', estateError);
+    }
+    
     const preSoldPlots = [3, 7, 8, 15, 19, 32, 47, 88, 101, 120, 155, 172, 199];
     
     const plots = [];
@@ -123,7 +88,9 @@ async function seedPlots() {
       plots.push({
         id: i,
         status: preSoldPlots.includes(i) ? 'sold' : 'available',
-        price: 65800.00
+        price: 65800.00,
+        estate_id: 1,
+        plot_number: i
       });
     }
     
@@ -3,102 +3,74 @@
    ============================================
    
    SQLite database setup and initialization
-   Manages database schema and initial data
+   Schema changes live in migrations/ (see config/migrator.js);
+   this file seeds the initial data
    ============================================ */
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { runMigrations } = require('./migrator');
 
 const DB_PATH = path.join(__dirname, '../data/land_system.db');
 
+// List price for newly seeded plots (KES)
+const DEFAULT_PLOT_PRICE = Number(process.env.DEFAULT_PLOT_PRICE) || 65800;
+
+// Every value transactions.payment_status may hold
+const PAYMENT_STATUSES = ['pending', 'partial', 'paid', 'overdue', 'defaulted', 'cancelled'];
+
 let db = null;
+// Every statement and transaction waits its turn here (see exclusive)
+let queue = Promise.resolve();
+
+// Set while the current async call chain is inside runInTransaction
+const inTransaction = new AsyncLocalStorage();
 
 /**
- * Initialize the database connection and create tables if they don't exist
+ * Open the database file without touching the schema.
+ * DB_DRIVER=memory opens ':memory:' instead (see database-memory.js).
  */
-async function initDatabase() {
+function openDatabase(filename = DB_PATH) {
   return new Promise((resolve, reject) => {
-    db = new sqlite3.Database(DB_PATH, (err) => {
+    db = new sqlite3.Database(filename, (err) => {
       if (err) {
         console.error('Failed to connect to database:', err);
         reject(err);
         return;
       }
-      
-      console.log('Connected to SQLite database');
-      createTables().then(() => resolve()).catch(reject);
+      console.log(filename === ':memory:' ? 'Connected to in-memory SQLite database' : 'Connected to SQLite database');
+      resolve();
     });
   });
 }
 
 /**
- * Create all necessary tables
+ * Initialize the database connection, apply pending migrations and seed data
  */
-async function createTables() {
-  const queries = [
-    // Plots table
-    `CREATE TABLE IF NOT EXISTS plots (
-      id INTEGER PRIMARY KEY,
-      status TEXT NOT NULL DEFAULT 'available' CHECK(status IN ('available', 'selected', 'sold')),
-      price REAL NOT NULL DEFAULT 65800,
-      buyer_id INTEGER,
-      sold_date TEXT,
-      FOREIGN KEY (buyer_id) REFERENCES buyers(id)
-    )`,
-    
-    // Buyers table
-    `CREATE TABLE IF NOT EXISTS buyers (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      id_number TEXT NOT NULL,
-      uid TEXT,
-      phone TEXT NOT NULL,
-      email TEXT NOT NULL,
-      address TEXT,
-      occupation TEXT,
-      budget REAL NOT NULL,
-      total_spent REAL NOT NULL DEFAULT 0,
-      remaining_balance REAL NOT NULL DEFAULT 0,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`,
-    
-    // Transactions table
-    `CREATE TABLE IF NOT EXISTS transactions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      buyer_id INTEGER NOT NULL,
-      plot_ids TEXT NOT NULL,
-      total_amount REAL NOT NULL,
-      payment_status TEXT DEFAULT 'pending' CHECK(payment_status IN ('pending', 'completed', 'failed')),
-      notes TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (buyer_id) REFERENCES buyers(id)
-    )`,
-
-    // Payments table (manual payments recorded against buyer)
-    `CREATE TABLE IF NOT EXISTS payments (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      buyer_id INTEGER NOT NULL,
-      amount REAL NOT NULL,
-      method TEXT,
-      notes TEXT,
-      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (buyer_id) REFERENCES buyers(id)
-    )`
-  ];
-  
-  for (const query of queries) {
-    await runQuery(query);
-  }
-  
-  // Insert initial 200 plots if they don't exist
+async function initDatabase() {
+  await openDatabase();
+  await runMigrations(migrationConnection);
+
+  // Insert the default estate and its plots if they don't exist
   await seedPlots();
 }
 
 /**
- * Insert initial 200 plots
+ * Insert the default estate with its initial 200 plots (20x10 grid).
+ * Plots from before estates existed are attached to the default estate.
  */
 async function seedPlots() {
+  let estate = await getQuery(`SELECT id FROM estates ORDER BY id LIMIT 1`);
+  if (!estate.id) {
+    const result = await runQuery(
+      `INSERT INTO estates (name, location, layout_rows, layout_cols, default_price) VALUES (?, ?, ?, ?, ?)`,
+      ['Main Estate', '', 10, 20, DEFAULT_PLOT_PRICE]
+    );
+    estate = { id: result.lastID };
+  }
+
   const count = await getQuery(`SELECT COUNT(*) as count FROM plots`);
   
   if (count.count === 0) {
@@ -110,20 +82,37 @@ async function seedPlots() {
     for (let i = 1; i <= 200; i++) {
       const status = preSoldPlots.includes(i) ? 'sold' : 'available';
       await runQuery(
-        `INSERT INTO plots (id, status, price) VALUES (?, ?, ?)`,
-        [i, status, 65800]
+        `INSERT INTO plots (id, status, price, estate_id, plot_number) VALUES (?, ?, ?, ?, ?)`,
+        [i, status, DEFAULT_PLOT_PRICE, estate.id, i]
       );
     }
     
     console.log('✓ 200 plots seeded successfully');
   }
+
+  await runQuery(`UPDATE plots SET estate_id = ? WHERE estate_id IS NULL`, [estate.id]);
+  await runQuery(`UPDATE plots SET plot_number = id WHERE plot_number IS NULL`);
+  await runQuery(`UPDATE transactions SET estate_id = ? WHERE estate_id IS NULL`, [estate.id]);
+}
+
+/**
+ * Run fn once everything queued before it has finished. There is one
+ * connection, so a statement sent while another request's transaction is
+ * open would become part of it (and be rolled back with it). Statements
+ * made by the open transaction itself run straight away.
+ */
+function exclusive(fn) {
+  if (inTransaction.getStore()) return fn();
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
 }
 
 /**
  * Execute a query without expecting results
  */
 function runQuery(sql, params = []) {
-  return new Promise((resolve, reject) => {
+  return exclusive(() => new Promise((resolve, reject) => {
     db.run(sql, params, function(err) {
       if (err) {
         console.error('Query error:', err);
@@ -132,14 +121,14 @@ function runQuery(sql, params = []) {
         resolve({ lastID: this.lastID, changes: this.changes });
       }
     });
-  });
+  }));
 }
 
 /**
  * Execute a query expecting a single result
  */
 function getQuery(sql, params = []) {
-  return new Promise((resolve, reject) => {
+  return exclusive(() => new Promise((resolve, reject) => {
     db.get(sql, params, (err, row) => {
       if (err) {
         console.error('Query error:', err);
@@ -148,14 +137,14 @@ function getQuery(sql, params = []) {
         resolve(row || {});
       }
     });
-  });
+  }));
 }
 
 /**
  * Execute a query expecting multiple results
  */
 function allQuery(sql, params = []) {
-  return new Promise((resolve, reject) => {
+  return exclusive(() => new Promise((resolve, reject) => {
     db.all(sql, params, (err, rows) => {
       if (err) {
         console.error('Query error:', err);
@@ -164,9 +153,38 @@ function allQuery(sql, params = []) {
         resolve(rows || []);
       }
     });
-  });
+  }));
+}
+
+/**
+ * Run a unit of work inside BEGIN IMMEDIATE / COMMIT.
+ * Rolls back if the work throws. The whole transaction takes one turn in
+ * the statement queue, so no other request's statement runs inside it.
+ * Work started inside another transaction joins it.
+ */
+function runInTransaction(work) {
+  if (inTransaction.getStore()) return work();
+  return exclusive(() => inTransaction.run(true, async () => {
+    await runQuery('BEGIN IMMEDIATE');
+    try {
+      const result = await work();
+      await runQuery('COMMIT');
+      return result;
+    } catch (err) {
+      await runQuery('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  }));
 }
 
+// The connection migrations run against (see config/migrator.js)
+const migrationConnection = {
+  dialect: 'sqlite',
+  run: (sql, params) => runQuery(sql, params),
+  all: (sql, params) => allQuery(sql, params),
+  transaction: (work) => runInTransaction(work)
+};
+
 /**
  * Get the database instance
  */
@@ -191,6 +209,7 @@ function closeDatabase() {
       if (err) {
         reject(err);
       } else {
+        db = null;
         console.log('Database connection closed');
         resolve();
       }
@@ -199,10 +218,15 @@ function closeDatabase() {
 }
 
 module.exports = {
+  DEFAULT_PLOT_PRICE,
+  PAYMENT_STATUSES,
+  openDatabase,
   initDatabase,
+  migrationConnection,
   getDatabase,
   runQuery,
   getQuery,
   allQuery,
+  runInTransaction,
   closeDatabase
 };
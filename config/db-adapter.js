@@ -1,15 +1,37 @@
 /* ============================================
-   DATABASE ADAPTER (SQLite | Supabase)
+   DATABASE ADAPTER (SQLite | PostgreSQL | Supabase)
    ============================================
    Provides a unified interface for routes to call, regardless of the
-   underlying database. It delegates to either SQLite helpers or
-   Supabase-specific query functions based on environment.
+   underlying database. It runs SQL through the selected SQL driver
+   (SQLite or PostgreSQL, see db-driver.js) or delegates to
+   Supabase-specific query functions, based on DB_DRIVER.
    ============================================ */
 
-const useSupabase = !!(process.env.SUPABASE_URL && process.env.SUPABASE_KEY);
+const { DB_DRIVER, driver } = require('./db-driver');
 
-// SQLite helpers
-const sqlite = require('./database');
+const useSupabase = DB_DRIVER === 'supabase';
+
+// Default length of a plot hold, in minutes
+const RESERVATION_MINUTES = Number(process.env.RESERVATION_MINUTES) || 15;
+
+// How long a login session lasts, in hours
+const SESSION_HOURS = Number(process.env.SESSION_HOURS) || 12;
+
+// How long a quote stays valid when no valid_until is given, in days
+const QUOTE_VALID_DAYS = Number(process.env.QUOTE_VALID_DAYS) || 14;
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { promisify } = require('util');
+const scrypt = promisify(crypto.scrypt);
+
+// SQL driver helpers (SQLite or PostgreSQL; unused with Supabase)
+const db = driver;
+const { DEFAULT_PLOT_PRICE, PAYMENT_STATUSES } = require('./database');
+const { scoreBuyer, findDuplicates } = require('./buyer-matching');
+const { publish } = require('./events');
+const { cleanGeometry, plotsToFeatureCollection } = require('./geojson');
+const { normalizeTags, pricePlot, volumeTierFor, promoCodeProblem, saleTotals } = require('./pricing');
 
 // Supabase helpers
 const { 
@@ -22,9 +44,75 @@ const {
   getBuyerById: sbGetBuyerById,
   createBuyer: sbCreateBuyer,
   updateBuyer: sbUpdateBuyer,
+  getBuyerIndex: sbGetBuyerIndex,
+  getBuyersByIds: sbGetBuyersByIds,
+  mergeBuyers: sbMergeBuyers,
   getAllTransactions: sbGetAllTransactions,
+  getTransactionById: sbGetTransactionById,
   createTransaction: sbCreateTransaction,
-  updateTransactionStatus: sbUpdateTransactionStatus
+  updateTransactionStatus: sbUpdateTransactionStatus,
+  createPurchase: sbCreatePurchase,
+  reservePlot: sbReservePlot,
+  releasePlot: sbReleasePlot,
+  releaseExpiredReservations: sbReleaseExpiredReservations,
+  getPlotsByIds: sbGetPlotsByIds,
+  updatePlotFields: sbUpdatePlotFields,
+  getEstatePlots: sbGetEstatePlots,
+  getMaxPlotId: sbGetMaxPlotId,
+  insertPlots: sbInsertPlots,
+  setPlotPrice: sbSetPlotPrice,
+  repricePlots: sbRepricePlots,
+  getPlotPriceHistory: sbGetPlotPriceHistory,
+  getAllEstates: sbGetAllEstates,
+  getEstateById: sbGetEstateById,
+  createEstate: sbCreateEstate,
+  updateEstate: sbUpdateEstate,
+  deleteEstate: sbDeleteEstate,
+  createPaymentPlan: sbCreatePaymentPlan,
+  getTransactionSchedule: sbGetTransactionSchedule,
+  markOverdueTransactions: sbMarkOverdueTransactions,
+  cancelTransaction: sbCancelTransaction,
+  getAllRefunds: sbGetAllRefunds,
+  getAllPayments: sbGetAllPayments,
+  getPaymentById: sbGetPaymentById,
+  createPayment: sbCreatePayment,
+  voidPayment: sbVoidPayment,
+  getAllUsers: sbGetAllUsers,
+  getUserById: sbGetUserById,
+  getUserByUsername: sbGetUserByUsername,
+  createUser: sbCreateUser,
+  updateUser: sbUpdateUser,
+  createSession: sbCreateSession,
+  getSessionByTokenHash: sbGetSessionByTokenHash,
+  deleteSession: sbDeleteSession,
+  insertAuditEvent: sbInsertAuditEvent,
+  getAuditEvents: sbGetAuditEvents,
+  getPricingRules: sbGetPricingRules,
+  getPricingRuleById: sbGetPricingRuleById,
+  createPricingRule: sbCreatePricingRule,
+  updatePricingRule: sbUpdatePricingRule,
+  deletePricingRule: sbDeletePricingRule,
+  getPromoCodes: sbGetPromoCodes,
+  getPromoCodeById: sbGetPromoCodeById,
+  getPromoCodeByCode: sbGetPromoCodeByCode,
+  createPromoCode: sbCreatePromoCode,
+  updatePromoCode: sbUpdatePromoCode,
+  deletePromoCode: sbDeletePromoCode,
+  usePromoCode: sbUsePromoCode,
+  getVolumeTiers: sbGetVolumeTiers,
+  getVolumeTierById: sbGetVolumeTierById,
+  createVolumeTier: sbCreateVolumeTier,
+  updateVolumeTier: sbUpdateVolumeTier,
+  deleteVolumeTier: sbDeleteVolumeTier,
+  getTransactionLineItems: sbGetTransactionLineItems,
+  getOpenTransactionPlotIds: sbGetOpenTransactionPlotIds,
+  saveTransactionLines: sbSaveTransactionLines,
+  getAllQuotes: sbGetAllQuotes,
+  getQuoteById: sbGetQuoteById,
+  getLiveQuotes: sbGetLiveQuotes,
+  createQuote: sbCreateQuote,
+  updateQuote: sbUpdateQuote,
+  expireQuotes: sbExpireQuotes
 } = require('./database-supabase-queries');
 
 // Generate a stable UID from name and id_number
@@ -39,81 +127,552 @@ function generateBuyerUid(name, idNumber) {
   return `${namePart}-${idPart}`;
 }
 
+// Accept plot ids as an array or a comma-separated string; returns unique integers
+function normalizePlotIds(plotIds) {
+  const list = Array.isArray(plotIds) ? plotIds : String(plotIds || '').split(',');
+  const ids = list
+    .map(v => Number(String(v).trim()))
+    .filter(n => Number.isInteger(n) && n > 0);
+  return [...new Set(ids)];
+}
+
+const isSet = (value) => value !== null && value !== undefined;
+
+// A 400 with one entry per bad field, in the shape check() in validation.js uses
+function validationError(errors) {
+  const err = new Error(errors.map(e => `${e.field} ${e.message}`).join('; '));
+  err.status = 400;
+  err.code = 'validation_failed';
+  err.fields = errors;
+  return err;
+}
+
+// INSERT / UPDATE the given { column: value } (SQL drivers)
+async function insertColumns(table, values) {
+  const columns = Object.keys(values);
+  const result = await db.runQuery(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    Object.values(values)
+  );
+  return result.lastID;
+}
+
+async function updateColumns(table, id, values) {
+  const columns = Object.keys(values);
+  if (columns.length === 0) return;
+  await db.runQuery(
+    `UPDATE ${table} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+    [...Object.values(values), id]
+  );
+}
+
+// ============ LISTS ============
+// ?page=&per_page=&sort=&fields= on the list endpoints. Without page or
+// per_page a list returns every row, as it always has.
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 500;
+
+// Columns each list can be sorted by, and the SQL column behind each
+const LIST_SORTS = {
+  buyers: { id: 'id', name: 'name', id_number: 'id_number', budget: 'budget', total_spent: 'total_spent', created_at: 'created_at' },
+  plots: { id: 'p.id', plot_number: 'p.plot_number', estate_id: 'p.estate_id', status: 'p.status', price: 'p.price', category: 'p.category' },
+  transactions: { id: 't.id', created_at: 't.created_at', total_amount: 't.total_amount', gross_amount: 't.gross_amount', discount_amount: 't.discount_amount', payment_status: 't.payment_status', buyer_id: 't.buyer_id', estate_id: 't.estate_id' },
+  payments: { id: 'id', paid_at: 'paid_at', amount: 'amount', method: 'method', buyer_id: 'buyer_id', transaction_id: 'transaction_id' },
+  quotes: { id: 'q.id', created_at: 'q.created_at', valid_until: 'q.valid_until', total_amount: 'q.total_amount', status: 'q.status', buyer_id: 'q.buyer_id', estate_id: 'q.estate_id' }
+};
+
+/**
+ * Parse ?sort=-created_at,name into [{ column, descending }] over the
+ * list's sortable columns, ending with id so pages never overlap.
+ * Returns null when no sort was asked for.
+ */
+function listSort(list, sort) {
+  const keys = (sort || [])
+    .map(key => ({ column: key.replace(/^-/, ''), descending: key.startsWith('-') }))
+    .filter(key => LIST_SORTS[list][key.column]);
+  if (keys.length === 0) return null;
+  if (!keys.some(key => key.column === 'id')) keys.push({ column: 'id', descending: keys[0].descending });
+  return keys;
+}
+
+// { page, per_page, limit, offset } or null for an unpaged list
+function listPage({ page, per_page } = {}) {
+  if (page === undefined && per_page === undefined) return null;
+  const size = Math.min(Number(per_page) || DEFAULT_PER_PAGE, MAX_PER_PAGE);
+  const number = Math.max(Number(page) || 1, 1);
+  return { page: number, per_page: size, limit: size, offset: (number - 1) * size };
+}
+
+// Keep only the requested ?fields= of each row
+function pickFields(rows, fields) {
+  if (!fields || fields.length === 0) return rows;
+  return rows.map(row => Object.fromEntries(fields.filter(f => f in row).map(f => [f, row[f]])));
+}
+
+/**
+ * Run a list query (SQL drivers) with the list options applied.
+ * `order` is the usual ORDER BY when no sort is given.
+ * Returns { rows, total, page?, per_page? }.
+ */
+async function listQuery(list, query, params, order, options = {}) {
+  const sort = listSort(list, options.sort);
+  const orderBy = sort
+    ? sort.map(key => `${LIST_SORTS[list][key.column]} ${key.descending ? 'DESC' : 'ASC'}`).join(', ')
+    : order;
+  const paging = listPage(options);
+  if (!paging) {
+    const rows = await db.allQuery(`${query} ORDER BY ${orderBy}`, params);
+    return { rows: pickFields(rows, options.fields), total: rows.length };
+  }
+  const counted = await db.getQuery(`SELECT COUNT(*) as total FROM (${query}) listed`, params);
+  const rows = await db.allQuery(`${query} ORDER BY ${orderBy} LIMIT ? OFFSET ?`, [...params, paging.limit, paging.offset]);
+  return { rows: pickFields(rows, options.fields), total: Number(counted.total), page: paging.page, per_page: paging.per_page };
+}
+
+/**
+ * The same for Supabase: `load(sort, paging)` runs the query and returns
+ * { rows, total }.
+ */
+async function listSupabase(list, load, options = {}) {
+  const paging = listPage(options);
+  const { rows, total } = await load(listSort(list, options.sort), paging);
+  const result = { rows: pickFields(rows, options.fields), total: paging ? total : rows.length };
+  return paging ? { ...result, page: paging.page, per_page: paging.per_page } : result;
+}
+
 // ============ PLOTS ============
-async function getAllPlots(status) {
-  if (useSupabase) return await sbGetAllPlots(status || null);
-  let query = 'SELECT * FROM plots';
-  const params = [];
-  if (status) {
-    query += ' WHERE status = ?';
-    params.push(status);
+// Every value plots.status may hold
+const PLOT_STATUSES = ['available', 'selected', 'sold'];
+
+// Plots joined with their current hold, if any
+const PLOT_SELECT = `
+  SELECT
+    p.*,
+    r.held_by,
+    r.buyer_id as reserved_buyer_id,
+    r.expires_at as reserved_until
+  FROM plots p
+  LEFT JOIN reservations r ON r.plot_id = p.id`;
+
+/**
+ * Get plots (filters: status, estate_id; options: see listQuery), each
+ * with its effective price and the live quote holding it, if any
+ */
+async function getAllPlots(filters = {}, options = {}) {
+  // Pricing rules look at whole rows, so ?fields= is applied afterwards
+  const { fields, ...listOptions } = options;
+  let result;
+  if (useSupabase) {
+    result = await listSupabase('plots', (sort, paging) => sbGetAllPlots(filters, { sort, paging }), listOptions);
+  } else {
+    let query = `${PLOT_SELECT} WHERE 1=1`;
+    const params = [];
+    if (filters.status) {
+      query += ' AND p.status = ?';
+      params.push(filters.status);
+    }
+    if (filters.estate_id) {
+      query += ' AND p.estate_id = ?';
+      params.push(filters.estate_id);
+    }
+    result = await listQuery('plots', query, params, 'p.estate_id, p.plot_number, p.id', listOptions);
   }
-  query += ' ORDER BY id';
-  return await sqlite.allQuery(query, params);
+  const [rules, holds] = await Promise.all([activePricingRules(), liveQuoteHolds()]);
+  return { ...result, rows: pickFields(result.rows.map(row => withQuoteHold(pricePlot(plotRow(row), rules), holds)), fields) };
 }
 
 async function getPlotById(id) {
-  if (useSupabase) return await sbGetPlotById(id);
-  return await sqlite.getQuery('SELECT * FROM plots WHERE id = ?', [id]);
+  const plot = useSupabase
+    ? await sbGetPlotById(id)
+    : plotRow(await db.getQuery(`${PLOT_SELECT} WHERE p.id = ?`, [id]));
+  return withQuoteHold(pricePlot(plot, await activePricingRules()), await liveQuoteHolds());
+}
+
+// ============ PLOT SURVEY ============
+// Survey attributes of a plot (migration 007)
+const PLOT_SURVEY_COLUMNS = ['size_acres', 'size_sqm', 'dimensions', 'parcel_number', 'road_frontage', 'is_corner', 'geometry'];
+
+/**
+ * A plot row as the API returns it: geometry and tags parsed from their
+ * JSON text and is_corner a boolean (SQLite stores them as text / 0-1)
+ */
+function plotRow(row) {
+  if (!row) return row;
+  const plot = { ...row };
+  if (typeof plot.geometry === 'string') plot.geometry = JSON.parse(plot.geometry);
+  if (typeof plot.tags === 'string') plot.tags = JSON.parse(plot.tags);
+  if ('is_corner' in plot) plot.is_corner = !!plot.is_corner;
+  return plot;
 }
 
-async function updatePlot(id, status, buyerId) {
-  if (useSupabase) return await sbUpdatePlotStatus(id, status, buyerId);
-  if (status && !['available', 'selected', 'sold'].includes(status)) {
-    throw new Error('Invalid status');
+// Plot columns in `data` as SQL values: geometry and tags as JSON text, is_corner as 0/1
+function plotColumnValues(data) {
+  const values = {};
+  for (const [column, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    if (column === 'geometry') values.geometry = value === null ? null : JSON.stringify(value);
+    else if (column === 'tags') values.tags = JSON.stringify(normalizeTags(value));
+    else if (column === 'is_corner') values.is_corner = value ? 1 : 0;
+    else values[column] = value;
   }
-  let query = 'UPDATE plots SET status = ?';
-  const params = [status];
-  if (status === 'sold' && buyerId) {
-    query += ', buyer_id = ?, sold_date = ?';
-    params.push(buyerId, new Date().toISOString());
+  return values;
+}
+
+async function writePlotColumns(id, data) {
+  const values = plotColumnValues(data);
+  const columns = Object.keys(values);
+  return await db.runQuery(
+    `UPDATE plots SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(c => values[c]), id]
+  );
+}
+
+/**
+ * Set a plot's survey attributes (size, dimensions, parcel number, road
+ * frontage, corner flag, outline). Only the fields given change; null
+ * clears one.
+ */
+async function updatePlotSurvey(id, data = {}) {
+  const fail = (message, code) => {
+    const err = new Error(message);
+    err.status = code;
+    throw err;
+  };
+  const survey = Object.fromEntries(PLOT_SURVEY_COLUMNS.filter(c => data[c] !== undefined).map(c => [c, data[c]]));
+  if (Object.keys(survey).length === 0) fail(`Nothing to update: pass one of ${PLOT_SURVEY_COLUMNS.join(', ')}`, 400);
+  if (useSupabase) {
+    const plot = await sbUpdatePlotFields(id, survey);
+    if (!plot) fail('Plot not found', 404);
+    return await getPlotById(id);
   }
-  query += ' WHERE id = ?';
-  params.push(id);
-  const result = await sqlite.runQuery(query, params);
-  if (result.changes === 0) throw new Error('Plot not found');
+  const result = await writePlotColumns(id, survey);
+  if (result.changes === 0) fail('Plot not found', 404);
   return await getPlotById(id);
 }
 
-async function updatePlotsBulk(plotIds, status, buyerId) {
-  if (useSupabase) return await sbUpdateMultiplePlots(plotIds, status, buyerId);
-  if (!Array.isArray(plotIds) || plotIds.length === 0) {
-    throw new Error('plotIds must be a non-empty array');
+// ============ PLOT EXPORT ============
+/**
+ * Plots (filters as getAllPlots) as a GeoJSON FeatureCollection of their
+ * public attributes, named after the estate when there is one
+ */
+async function exportPlots(filters = {}) {
+  const { rows } = await getAllPlots(filters);
+  const estate = filters.estate_id ? await getEstate(filters.estate_id) : null;
+  return plotsToFeatureCollection(rows, estate && estate.name ? estate.name : 'All estates');
+}
+
+// ============ PLOT IMPORT ============
+// What a GeoJSON / KML import may set on a plot
+const PLOT_IMPORT_COLUMNS = ['price', 'category', ...PLOT_SURVEY_COLUMNS];
+// plot_price_history reason for prices set by an import
+const IMPORT_PRICE_REASON = 'Imported from GeoJSON/KML';
+
+// The imported values that differ from the plot as it is
+function importChanges(plot, values) {
+  const same = (column) => {
+    const current = plot[column] === undefined ? null : plot[column];
+    const next = values[column];
+    if (column === 'geometry') {
+      return JSON.stringify(current && cleanGeometry(current)) === JSON.stringify(next && cleanGeometry(next));
+    }
+    if (column === 'is_corner') return !!current === !!next;
+    if (current === null || next === null) return current === next;
+    return typeof next === 'number' ? Number(current) === next : String(current) === next;
+  };
+  return Object.fromEntries(Object.entries(values).filter(([column]) => !same(column)));
+}
+
+async function loadPlotsByIds(ids) {
+  if (useSupabase) return await sbGetPlotsByIds(ids);
+  const plots = [];
+  // Chunked to stay under the bound-parameter limit (SQLite allows 999)
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    plots.push(...await db.allQuery(
+      `SELECT id, estate_id, plot_number, status FROM plots WHERE id IN (${chunk.map(() => '?').join(',')})`,
+      chunk
+    ));
+  }
+  return plots;
+}
+
+/**
+ * Work out what an import would create and change, without writing.
+ * Throws 400 for features that name no estate or repeat a plot, and 409
+ * (error.conflicts = plot ids) when a feature would reprice a sold plot or
+ * asks for a plot id that already belongs to another plot.
+ */
+async function planPlotImport(features, { estate_id } = {}) {
+  const errors = [];
+  const conflictIds = [];
+  const conflicts = [];
+  const conflict = (plotId, field, message) => {
+    conflictIds.push(plotId);
+    conflicts.push({ field, code: 'conflict', message });
+  };
+  const requested = features.map(f => f.properties.id).filter(Boolean);
+  const byId = new Map((requested.length > 0 ? await loadPlotsByIds(requested) : []).map(p => [p.id, p]));
+  const estates = {};
+  const seen = new Set();
+  const seenIds = new Set();
+  const creates = [];
+  const updates = [];
+
+  for (const [i, feature] of features.entries()) {
+    const { plot_number, estate_id: featureEstateId, id, ...properties } = feature.properties;
+    const estateId = featureEstateId || estate_id;
+    const field = `features[${i}].properties`;
+    if (!estateId) {
+      errors.push({ field: `${field}.estate_id`, code: 'required', message: 'is required (or pass ?estate_id=)' });
+      continue;
+    }
+    if (estates[estateId] === undefined) {
+      const estate = await getEstate(estateId);
+      const plots = !estate || !estate.id ? []
+        : useSupabase ? await sbGetEstatePlots(estateId)
+          : await db.allQuery('SELECT * FROM plots WHERE estate_id = ?', [estateId]);
+      estates[estateId] = estate && estate.id ? { estate, plots: new Map(plots.map(p => [p.plot_number, plotRow(p)])) } : null;
+    }
+    if (!estates[estateId]) {
+      errors.push({ field: `${field}.estate_id`, code: 'not_found', message: `no estate ${estateId}` });
+      continue;
+    }
+    if (seen.has(`${estateId}:${plot_number}`) || (id && seenIds.has(id))) {
+      errors.push({ field: `${field}.plot_number`, code: 'duplicate', message: `plot ${plot_number} appears more than once` });
+      continue;
+    }
+    seen.add(`${estateId}:${plot_number}`);
+    if (id) seenIds.add(id);
+
+    const values = Object.fromEntries(PLOT_IMPORT_COLUMNS.filter(c => properties[c] !== undefined).map(c => [c, properties[c]]));
+    if (feature.geometry) values.geometry = feature.geometry;
+    const plot = estates[estateId].plots.get(plot_number);
+    const taken = id ? byId.get(id) : null;
+    if (taken && (!plot || taken.id !== plot.id)) {
+      conflict(id, `${field}.id`, `id ${id} is already plot ${taken.plot_number} of estate ${taken.estate_id}${taken.status === 'sold' ? ', which is sold' : ''}`);
+      continue;
+    }
+    if (id && plot && plot.id !== id) {
+      conflict(plot.id, `${field}.id`, `plot ${plot_number} of estate ${estateId} has id ${plot.id}`);
+      continue;
+    }
+    if (!plot) {
+      const price = values.price !== undefined ? values.price : estates[estateId].estate.default_price;
+      creates.push({ id: id || null, status: 'available', estate_id: estateId, plot_number, ...values, price });
+      continue;
+    }
+    const changes = importChanges(plot, values);
+    if (Object.keys(changes).length === 0) continue;
+    if (plot.status === 'sold' && (changes.price !== undefined || changes.category !== undefined)) {
+      conflict(plot.id, field, `plot ${plot_number} of estate ${estateId} is sold; its price and category cannot change`);
+      continue;
+    }
+    updates.push({ plot, changes });
+  }
+
+  const fail = (status, problems) => {
+    const err = new Error(problems.map(e => `${e.field} ${e.message}`).join('; '));
+    err.status = status;
+    err.fields = problems;
+    if (status === 409) err.conflicts = conflictIds;
+    throw err;
+  };
+  if (errors.length > 0) fail(400, errors);
+  if (conflicts.length > 0) fail(409, conflicts);
+  return { creates, updates };
+}
+
+async function applyPlotImport({ creates, updates }, { changed_by = '' } = {}) {
+  // New plots without a requested id are numbered after the highest id in use
+  let nextId = 0;
+  if (creates.some(c => !c.id)) {
+    const maxId = useSupabase
+      ? await sbGetMaxPlotId()
+      : (await db.getQuery('SELECT COALESCE(MAX(id), 0) as max_id FROM plots')).max_id;
+    nextId = Math.max(maxId, ...creates.map(c => c.id || 0)) + 1;
+  }
+  const rows = creates.map(row => ({ ...row, id: row.id || nextId++ }));
+
+  if (useSupabase) {
+    if (rows.length > 0) await sbInsertPlots(rows);
+    for (const { plot, changes } of updates) {
+      const { price, ...fields } = changes;
+      if (Object.keys(fields).length > 0) await sbUpdatePlotFields(plot.id, fields);
+      if (price !== undefined) await sbSetPlotPrice(plot.id, price, { reason: IMPORT_PRICE_REASON, changed_by });
+    }
+  } else {
+    for (const row of rows) {
+      const values = plotColumnValues(row);
+      const columns = Object.keys(values);
+      await db.runQuery(
+        `INSERT INTO plots (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(c => values[c])
+      );
+    }
+    for (const { plot, changes } of updates) {
+      await writePlotColumns(plot.id, changes);
+      if (changes.price !== undefined) {
+        await db.runQuery(
+          `INSERT INTO plot_price_history (plot_id, old_price, new_price, reason, changed_by)
+           VALUES (?, ?, ?, ?, ?)`,
+          [plot.id, plot.price, changes.price, IMPORT_PRICE_REASON, changed_by]
+        );
+      }
+    }
+  }
+  return {
+    createdCount: rows.length,
+    updatedCount: updates.length,
+    plotIds: [...rows.map(r => r.id), ...updates.map(u => u.plot.id)]
+  };
+}
+
+/**
+ * Create or update plots from GeoJSON features (checked by
+ * schemas.plotImport). Each feature names its plot with
+ * properties.plot_number, in properties.estate_id or else the estate_id
+ * given. A plot that does not exist yet is created (available, at the
+ * estate's default price unless the feature has one, with properties.id
+ * as its id if given); an existing one gets the feature's outline and
+ * price, category and survey fields. A sold plot keeps its price and
+ * category; its outline and survey fields may still be corrected.
+ * Nothing is written unless every feature is fine.
+ * Returns { createdCount, updatedCount, plotIds }.
+ */
+async function importPlots(features, options = {}) {
+  if (useSupabase) return await applyPlotImport(await planPlotImport(features, options), options);
+  return await db.runInTransaction(async () => applyPlotImport(await planPlotImport(features, options), options));
+}
+
+/**
+ * 409 (err.conflicts = plot ids) if any of the plots is sold, or is held
+ * or quoted for someone other than holder ({ buyer_id, held_by }, see
+ * isPlotFreeFor): a sold plot only changes status through a sale or its
+ * cancellation (POST /api/transactions/:id/cancel)
+ */
+function checkStatusChange(plots, holder) {
+  const conflicts = plots.filter(plot => plot.status === 'sold' || !isPlotFreeFor(plot, holder)).map(plot => Number(plot.id));
+  if (conflicts.length > 0) {
+    const err = new Error(plots.some(plot => plot.status === 'sold')
+      ? 'Sold plots change status only by cancelling their sale'
+      : 'Some plots are held or quoted for someone else');
+    err.status = 409;
+    err.conflicts = conflicts;
+    throw err;
   }
-  if (!status || !['available', 'selected', 'sold'].includes(status)) {
-    throw new Error('Invalid status');
+}
+
+// Plot columns for a new status; buyer_id and sold_date only belong to sold plots
+function plotStatusValues(status, buyerId) {
+  if (status === 'sold') {
+    return buyerId ? { status, buyer_id: buyerId, sold_date: new Date().toISOString() } : { status };
   }
-  const placeholders = plotIds.map(() => '?').join(',');
-  let query = `UPDATE plots SET status = ?`;
-  const params = [status];
-  if (status === 'sold' && buyerId) {
-    query += ', buyer_id = ?, sold_date = ?';
-    params.push(buyerId, new Date().toISOString());
+  return { status, buyer_id: null, sold_date: null };
+}
+
+/**
+ * Change a plot's status, category and/or tags. Sold plots keep their
+ * status, and so do plots held or quoted for anyone but buyerId or the
+ * agent held_by (see checkStatusChange).
+ */
+async function updatePlot(id, status, buyerId, category, tags, { held_by } = {}) {
+  const fail = (message, code) => {
+    const err = new Error(message);
+    err.status = code;
+    throw err;
+  };
+  if (status && !PLOT_STATUSES.includes(status)) {
+    fail(`Invalid status: must be one of ${PLOT_STATUSES.join(', ')}`, 400);
+  }
+  if (!status && category === undefined && tags === undefined) fail('Nothing to update: pass status, category or tags', 400);
+  if (useSupabase) {
+    if (status) {
+      const current = await getPlotById(id);
+      if (!current.id) fail('Plot not found', 404);
+      checkStatusChange([current], { buyer_id: buyerId, held_by });
+    }
+    const plot = await sbUpdatePlotStatus(id, status, buyerId, category, tags === undefined ? undefined : normalizeTags(tags));
+    if (!plot) fail('Plot not found', 404);
+    return await getPlotById(id);
   }
-  query += ` WHERE id IN (${placeholders})`;
-  params.push(...plotIds);
-  const result = await sqlite.runQuery(query, params);
-  return { updatedCount: result.changes };
+  await db.runInTransaction(async () => {
+    const plot = await db.getQuery(`${PLOT_SELECT} WHERE p.id = ?`, [id]);
+    if (!plot.id) fail('Plot not found', 404);
+    const values = {};
+    if (status) {
+      checkStatusChange([withQuoteHold(plot, await liveQuoteHolds())], { buyer_id: buyerId, held_by });
+      Object.assign(values, plotStatusValues(status, buyerId));
+    }
+    if (category !== undefined) values.category = category || null;
+    if (tags !== undefined) values.tags = JSON.stringify(normalizeTags(tags));
+    await updateColumns('plots', id, values);
+    if (status && status !== 'selected') {
+      await db.runQuery('DELETE FROM reservations WHERE plot_id = ?', [id]);
+    }
+  });
+  return await getPlotById(id);
 }
 
-async function getPlotsStats() {
+/**
+ * Set the status of several plots; none of them may be sold, or held or
+ * quoted for anyone but buyerId or the agent held_by (see
+ * checkStatusChange). Ids of plots that don't exist are skipped.
+ */
+async function updatePlotsBulk(plotIds, status, buyerId, { held_by } = {}) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+  if (!Array.isArray(plotIds) || plotIds.length === 0) fail('plotIds must be a non-empty array');
+  if (!status || !PLOT_STATUSES.includes(status)) {
+    fail(`Invalid status: must be one of ${PLOT_STATUSES.join(', ')}`);
+  }
+  const holder = { buyer_id: buyerId, held_by };
   if (useSupabase) {
-    const s = await sbGetPlotStats();
-    return s;
+    const holds = await liveQuoteHolds();
+    const plots = await Promise.all(plotIds.map(id => sbGetPlotById(id)));
+    checkStatusChange(plots.filter(plot => plot.id).map(plot => withQuoteHold(plot, holds)), holder);
+    return await sbUpdateMultiplePlots(plotIds, status, buyerId);
   }
-  const stats = await sqlite.allQuery(`
-    SELECT 
-      status,
-      COUNT(*) as count,
-      SUM(price) as total_value
-    FROM plots
-    GROUP BY status
-  `);
-  const totalPlots = await sqlite.getQuery('SELECT COUNT(*) as count FROM plots');
-  const totalValueAllRow = await sqlite.getQuery('SELECT SUM(price) as total FROM plots');
-  const totalValueSoldRow = await sqlite.getQuery("SELECT SUM(price) as total FROM plots WHERE status = 'sold'");
+  const placeholders = plotIds.map(() => '?').join(',');
+  return await db.runInTransaction(async () => {
+    const holds = await liveQuoteHolds();
+    const plots = await db.allQuery(`${PLOT_SELECT} WHERE p.id IN (${placeholders})`, plotIds);
+    checkStatusChange(plots.map(plot => withQuoteHold(plot, holds)), holder);
+    const values = plotStatusValues(status, buyerId);
+    const result = await db.runQuery(
+      `UPDATE plots SET ${Object.keys(values).map(c => `${c} = ?`).join(', ')} WHERE id IN (${placeholders})`,
+      [...Object.values(values), ...plotIds]
+    );
+    if (status !== 'selected') {
+      await db.runQuery(`DELETE FROM reservations WHERE plot_id IN (${placeholders})`, plotIds);
+    }
+    return { updatedCount: result.changes };
+  });
+}
+
+/**
+ * Plot counts per status, with their value at effective prices (see
+ * pricePlot), so the totals match what the plots would sell for today
+ */
+async function getPlotsStats(estateId) {
+  const rules = await activePricingRules();
+  const valueOf = (plot) => pricePlot(plot, rules).effective_price;
+  if (useSupabase) return await sbGetPlotStats(estateId || null, valueOf);
+
+  const where = estateId ? 'WHERE estate_id = ?' : '';
+  const plots = (await db.allQuery(
+    `SELECT id, status, price, estate_id, plot_number, category, tags, is_corner, road_frontage FROM plots ${where}`,
+    estateId ? [estateId] : []
+  )).map(plotRow);
+  const value = (rows) => rows.reduce((sum, plot) => sum + valueOf(plot), 0);
+  const stats = [...new Set(plots.map(p => p.status))].sort().map(status => {
+    const rows = plots.filter(p => p.status === status);
+    return { status, count: rows.length, total_value: value(rows) };
+  });
   return {
-    totalPlots: totalPlots.count,
+    totalPlots: plots.length,
     byStatus: stats,
     summary: {
       available: stats.find(s => s.status === 'available')?.count || 0,
@@ -121,223 +680,2746 @@ async function getPlotsStats() {
       selected: stats.find(s => s.status === 'selected')?.count || 0
     },
     totals: {
-      totalValueAll: totalValueAllRow.total || 0,
-      totalValueSold: totalValueSoldRow.total || 0
+      totalValueAll: value(plots),
+      totalValueSold: stats.find(s => s.status === 'sold')?.total_value || 0
     }
   };
 }
 
-// ============ BUYERS ============
-async function listBuyers() {
-  if (useSupabase) return await sbGetAllBuyers();
-  return await sqlite.allQuery('SELECT * FROM buyers ORDER BY created_at DESC');
-}
+// ============ ESTATES ============
+// Largest grid side we accept for an estate layout
+const MAX_LAYOUT_SIDE = 100;
 
-async function getBuyer(id) {
-  if (useSupabase) return await sbGetBuyerById(id);
-  return await sqlite.getQuery('SELECT * FROM buyers WHERE id = ?', [id]);
+// Estates with plot counts per status
+const ESTATE_SELECT = `
+  SELECT
+    e.*,
+    COUNT(p.id) as total_plots,
+    SUM(CASE WHEN p.status = 'available' THEN 1 ELSE 0 END) as available_plots,
+    SUM(CASE WHEN p.status = 'sold' THEN 1 ELSE 0 END) as sold_plots
+  FROM estates e
+  LEFT JOIN plots p ON p.estate_id = e.id`;
+
+function estateNotFound() {
+  const err = new Error('Estate not found');
+  err.status = 404;
+  return err;
 }
 
-async function createBuyer(buyerData) {
-  if (useSupabase) return await sbCreateBuyer(buyerData);
-  const { name, id_number, phone, email, address, occupation, budget } = buyerData;
-  if (!name || !id_number || !phone || !email || budget === undefined) {
-    throw new Error('Missing required fields: name, id_number, phone, email, budget');
+/**
+ * Insert plots numbered fromNumber..toNumber for an estate, taking fresh ids
+ */
+async function insertEstatePlots(estateId, fromNumber, toNumber, price) {
+  const { max_id: maxId } = await db.getQuery('SELECT COALESCE(MAX(id), 0) as max_id FROM plots');
+  const rows = [];
+  for (let n = fromNumber; n <= toNumber; n++) {
+    rows.push([maxId + (n - fromNumber) + 1, 'available', price, estateId, n]);
   }
-  const existing = await sqlite.getQuery('SELECT id FROM buyers WHERE id_number = ?', [id_number]);
-  if (existing && existing.id) {
-    const err = new Error('Buyer with this ID number already exists');
-    err.status = 409;
-    throw err;
+  // Insert in chunks to stay under the bound-parameter limit (SQLite allows 999)
+  for (let i = 0; i < rows.length; i += 100) {
+    const chunk = rows.slice(i, i + 100);
+    await db.runQuery(
+      `INSERT INTO plots (id, status, price, estate_id, plot_number) VALUES ${chunk.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+      chunk.flat()
+    );
   }
-  const uid = generateBuyerUid(name, id_number);
-  // Try insert with uid if column exists; fall back to insert without uid
-  let result;
-  try {
-    result = await sqlite.runQuery(
-      `INSERT INTO buyers (name, id_number, phone, email, address, occupation, budget, uid)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [name, id_number, phone, email, address || '', occupation || '', budget, uid]
+}
+
+async function listEstates() {
+  if (useSupabase) return await sbGetAllEstates();
+  return await db.allQuery(`${ESTATE_SELECT} GROUP BY e.id ORDER BY e.id`);
+}
+
+async function getEstate(id) {
+  if (useSupabase) return await sbGetEstateById(id);
+  return await db.getQuery(`${ESTATE_SELECT} WHERE e.id = ? GROUP BY e.id`, [id]);
+}
+
+/**
+ * Create an estate and generate its layout_rows x layout_cols plots
+ */
+async function createEstate(data) {
+  const estate = {
+    name: String(data.name).trim(),
+    location: data.location || '',
+    layout_rows: Number(data.layout_rows),
+    layout_cols: Number(data.layout_cols),
+    default_price: data.default_price !== undefined ? Number(data.default_price) : DEFAULT_PLOT_PRICE
+  };
+  if (useSupabase) return await sbCreateEstate(estate);
+
+  const estateId = await db.runInTransaction(async () => {
+    const result = await db.runQuery(
+      `INSERT INTO estates (name, location, layout_rows, layout_cols, default_price) VALUES (?, ?, ?, ?, ?)`,
+      [estate.name, estate.location, estate.layout_rows, estate.layout_cols, estate.default_price]
     );
-  } catch (e) {
-    result = await sqlite.runQuery(
-      `INSERT INTO buyers (name, id_number, phone, email, address, occupation, budget)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [name, id_number, phone, email, address || '', occupation || '', budget]
+    await insertEstatePlots(result.lastID, 1, estate.layout_rows * estate.layout_cols, estate.default_price);
+    return result.lastID;
+  });
+  return await getEstate(estateId);
+}
+
+// 409 with err.conflicts listing the plots a live quote holds
+function quotedPlotsConflict(message, plotIds) {
+  const err = new Error(message);
+  err.status = 409;
+  err.conflicts = plotIds;
+  return err;
+}
+
+/**
+ * Update an estate. Growing the layout adds plots; shrinking it removes the
+ * trailing plots, which must all still be available and off every live quote.
+ */
+async function updateEstate(id, data) {
+  if (useSupabase) return await sbUpdateEstate(id, data, await liveQuoteHolds());
+
+  await db.runInTransaction(async () => {
+    const estate = await getEstate(id);
+    if (!estate.id) throw estateNotFound();
+    const next = {
+      name: data.name !== undefined ? String(data.name).trim() : estate.name,
+      location: data.location !== undefined ? data.location || '' : estate.location,
+      layout_rows: data.layout_rows !== undefined ? Number(data.layout_rows) : estate.layout_rows,
+      layout_cols: data.layout_cols !== undefined ? Number(data.layout_cols) : estate.layout_cols,
+      default_price: data.default_price !== undefined ? Number(data.default_price) : estate.default_price
+    };
+
+    const currentCount = estate.total_plots;
+    const nextCount = next.layout_rows * next.layout_cols;
+    if (nextCount > currentCount) {
+      await insertEstatePlots(estate.id, currentCount + 1, nextCount, next.default_price);
+    } else if (nextCount < currentCount) {
+      const holds = await liveQuoteHolds();
+      const blocked = (await db.allQuery(
+        'SELECT id, status FROM plots WHERE estate_id = ? AND plot_number > ?',
+        [estate.id, nextCount]
+      )).filter(p => p.status !== 'available' || holds.has(p.id));
+      if (blocked.length > 0) {
+        throw quotedPlotsConflict('Cannot shrink the layout: some removed plots are sold, held or quoted', blocked.map(p => p.id));
+      }
+      const removed = `SELECT id FROM plots WHERE estate_id = ? AND plot_number > ?`;
+      await db.runQuery(`DELETE FROM plot_price_history WHERE plot_id IN (${removed})`, [estate.id, nextCount]);
+      await db.runQuery(`DELETE FROM reservations WHERE plot_id IN (${removed})`, [estate.id, nextCount]);
+      await db.runQuery('DELETE FROM plots WHERE estate_id = ? AND plot_number > ?', [estate.id, nextCount]);
+    }
+
+    await db.runQuery(
+      `UPDATE estates SET name = ?, location = ?, layout_rows = ?, layout_cols = ?, default_price = ? WHERE id = ?`,
+      [next.name, next.location, next.layout_rows, next.layout_cols, next.default_price, estate.id]
     );
-  }
-  return await sqlite.getQuery('SELECT * FROM buyers WHERE id = ?', [result.lastID]);
+  });
+  return await getEstate(id);
 }
 
-async function updateBuyer(id, buyerData) {
-  if (useSupabase) return await sbUpdateBuyer(id, buyerData);
-  const { name, id_number, phone, email, address, occupation, budget } = buyerData;
-  const result = await sqlite.runQuery(
-    `UPDATE buyers 
-     SET name = ?, id_number = ?, phone = ?, email = ?, address = ?, occupation = ?, budget = ?
-     WHERE id = ?`,
-    [name, id_number, phone, email, address, occupation, budget, id]
-  );
-  if (result.changes === 0) {
-    const err = new Error('Buyer not found');
-    err.status = 404;
+/**
+ * Delete an estate and its plots; only allowed while nothing has been sold
+ * and no live quote holds any of its plots
+ */
+async function deleteEstate(id) {
+  if (useSupabase) return await sbDeleteEstate(id, await liveQuoteHolds());
+  await db.runInTransaction(async () => {
+    const estate = await getEstate(id);
+    if (!estate.id) throw estateNotFound();
+    const sales = await db.getQuery('SELECT COUNT(*) as count FROM transactions WHERE estate_id = ?', [estate.id]);
+    if (estate.sold_plots > 0 || sales.count > 0) {
+      const err = new Error('Cannot delete an estate with sold plots or transactions');
+      err.status = 409;
+      throw err;
+    }
+    const holds = await liveQuoteHolds();
+    const quoted = (await db.allQuery('SELECT id FROM plots WHERE estate_id = ?', [estate.id]))
+      .filter(p => holds.has(p.id));
+    if (quoted.length > 0) {
+      throw quotedPlotsConflict('Cannot delete an estate with plots on a live quote', quoted.map(p => p.id));
+    }
+    const plots = 'SELECT id FROM plots WHERE estate_id = ?';
+    await db.runQuery(`DELETE FROM plot_price_history WHERE plot_id IN (${plots})`, [estate.id]);
+    await db.runQuery(`DELETE FROM reservations WHERE plot_id IN (${plots})`, [estate.id]);
+    await db.runQuery('DELETE FROM plots WHERE estate_id = ?', [estate.id]);
+    await db.runQuery('DELETE FROM estates WHERE id = ?', [estate.id]);
+  });
+  return { deleted: true };
+}
+
+// ============ PRICING ============
+function validatePrice(price) {
+  const value = Number(price);
+  if (price === undefined || price === null || price === '' || !Number.isFinite(value) || value <= 0) {
+    const err = new Error('price must be a positive number');
+    err.status = 400;
     throw err;
   }
-  return await sqlite.getQuery('SELECT * FROM buyers WHERE id = ?', [id]);
+  return value;
 }
 
-// ============ TRANSACTIONS ============
-async function listTransactions(filters = {}) {
-  if (useSupabase) return await sbGetAllTransactions(filters);
-  let query = `
-    SELECT 
-      t.*,
-      b.name as buyer_name,
-      b.email as buyer_email,
-      b.phone as buyer_phone
-    FROM transactions t
-    LEFT JOIN buyers b ON t.buyer_id = b.id
-    WHERE 1=1`;
-  const params = [];
-  if (filters.buyer_id) {
-    query += ' AND t.buyer_id = ?';
-    params.push(filters.buyer_id);
-  }
-  if (filters.payment_status) {
-    query += ' AND t.payment_status = ?';
-    params.push(filters.payment_status);
+// A sale covers plots from a single estate; returns that estate's id
+function saleEstateId(plots) {
+  const estateIds = [...new Set(plots.map(p => p.estate_id))];
+  if (estateIds.length > 1) {
+    const err = new Error('All plots in a sale must belong to the same estate');
+    err.status = 400;
+    throw err;
   }
-  query += ' ORDER BY t.created_at DESC';
-  return await sqlite.allQuery(query, params);
+  return estateIds[0] || null;
 }
 
-async function getTransaction(id) {
+/**
+ * The plots of a sale, in the order given.
+ * Fails with 400 if any plot id does not exist.
+ */
+async function loadSalePlots(plotIds) {
+  let plots;
   if (useSupabase) {
-    const list = await sbGetAllTransactions({});
-    return list.find(t => String(t.id) === String(id)) || {};
+    plots = await sbGetPlotsByIds(plotIds);
+  } else {
+    const placeholders = plotIds.map(() => '?').join(',');
+    plots = await db.allQuery(`${PLOT_SELECT} WHERE p.id IN (${placeholders})`, plotIds);
   }
-  return await sqlite.getQuery(
-    `SELECT 
-      t.*,
-      b.name as buyer_name,
-      b.email as buyer_email,
-      b.phone as buyer_phone,
-      b.address as buyer_address,
-      b.occupation as buyer_occupation
-     FROM transactions t
-     LEFT JOIN buyers b ON t.buyer_id = b.id
-     WHERE t.id = ?`,
-    [id]
-  );
+  const byId = new Map(plots.map(p => [Number(p.id), p]));
+  const missing = plotIds.filter(id => !byId.has(id));
+  if (missing.length > 0) {
+    const err = new Error(`Unknown plot ids: ${missing.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return plotIds.map(id => byId.get(id));
 }
 
-async function createTransaction(data) {
-  if (useSupabase) return await sbCreateTransaction(data);
-  const { buyer_id, plot_ids, total_amount, notes } = data;
-  if (!buyer_id || !plot_ids || !total_amount) {
-    throw new Error('Missing required fields: buyer_id, plot_ids, total_amount');
-  }
-  const plotIdsString = Array.isArray(plot_ids) ? plot_ids.join(',') : plot_ids;
-  const result = await sqlite.runQuery(
-    `INSERT INTO transactions (buyer_id, plot_ids, total_amount, notes, payment_status)
-     VALUES (?, ?, ?, ?, 'pending')`,
-    [buyer_id, plotIdsString, total_amount, notes || '']
-  );
+/**
+ * Change one plot's list price and record it in plot_price_history.
+ * Sold plots keep the price they were sold at.
+ */
+async function setPlotPrice(id, data = {}) {
+  const price = validatePrice(data.price);
+  const meta = { reason: data.reason || '', changed_by: data.changed_by || '' };
+  if (useSupabase) return await sbSetPlotPrice(id, price, meta);
 
-  // Update buyer totals: total_spent += total_amount, remaining_balance = budget - total_spent
-  const buyer = await sqlite.getQuery('SELECT budget, total_spent FROM buyers WHERE id = ?', [buyer_id]);
-  if (buyer && buyer.budget !== undefined) {
-    const newTotal = (Number(buyer.total_spent || 0) + Number(total_amount || 0));
-    const remaining = Number(buyer.budget) - newTotal;
-    await sqlite.runQuery(
-      `UPDATE buyers SET total_spent = ?, remaining_balance = ? WHERE id = ?`,
-      [newTotal, remaining, buyer_id]
+  await db.runInTransaction(async () => {
+    const plot = await db.getQuery('SELECT id, status, price FROM plots WHERE id = ?', [id]);
+    if (!plot.id) {
+      const err = new Error('Plot not found');
+      err.status = 404;
+      throw err;
+    }
+    if (plot.status === 'sold') {
+      const err = new Error('Cannot reprice a sold plot');
+      err.status = 409;
+      throw err;
+    }
+    await db.runQuery('UPDATE plots SET price = ? WHERE id = ?', [price, plot.id]);
+    await db.runQuery(
+      `INSERT INTO plot_price_history (plot_id, old_price, new_price, reason, changed_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [plot.id, plot.price, price, meta.reason, meta.changed_by]
     );
-  }
-  return await sqlite.getQuery(
-    `SELECT t.*, b.name as buyer_name 
-     FROM transactions t
-     LEFT JOIN buyers b ON t.buyer_id = b.id
-     WHERE t.id = ?`,
-    [result.lastID]
-  );
+  });
+  return await getPlotById(id);
 }
 
-async function updateTransactionStatus(id, payment_status) {
-  if (useSupabase) return await sbUpdateTransactionStatus(id, payment_status);
-  if (!['pending', 'completed', 'failed'].includes(payment_status)) {
-    throw new Error('Invalid payment status');
+/**
+ * Reprice unsold plots by plot number range (within estate_id) and/or
+ * category. Either set a fixed `price` or adjust by `percent` (e.g. 10
+ * or -5). 404 if no unsold plot matches.
+ */
+async function repricePlots(data = {}) {
+  const { from, to, category, estate_id, percent, reason, changed_by } = data;
+  if (from === undefined && to === undefined && !category && !estate_id) {
+    const err = new Error('Specify a plot range (from/to), a category or an estate');
+    err.status = 400;
+    throw err;
   }
-  const result = await sqlite.runQuery(
-    'UPDATE transactions SET payment_status = ? WHERE id = ?',
-    [payment_status, id]
-  );
-  if (result.changes === 0) {
-    const err = new Error('Transaction not found');
-    err.status = 404;
+  if ((from !== undefined || to !== undefined) && !estate_id) {
+    const err = new Error('A plot range (from/to) needs an estate_id: plot numbers start again in each estate');
+    err.status = 400;
     throw err;
   }
-  return await sqlite.getQuery(
-    `SELECT t.*, b.name as buyer_name 
-     FROM transactions t
-     LEFT JOIN buyers b ON t.buyer_id = b.id
-     WHERE t.id = ?`,
+  const hasPercent = percent !== undefined && percent !== null && percent !== '';
+  if (hasPercent === (data.price !== undefined)) {
+    const err = new Error('Specify exactly one of price or percent');
+    err.status = 400;
+    throw err;
+  }
+  const price = hasPercent ? null : validatePrice(data.price);
+  const pct = hasPercent ? Number(percent) : null;
+  if (hasPercent && (!Number.isFinite(pct) || pct <= -100)) {
+    const err = new Error('percent must be a number greater than -100');
+    err.status = 400;
+    throw err;
+  }
+  const filter = {
+    from: from !== undefined ? Number(from) : null,
+    to: to !== undefined ? Number(to) : null,
+    category: category || null,
+    estate_id: estate_id || null
+  };
+  const meta = { reason: reason || '', changed_by: changed_by || '' };
+  const newPriceFor = (plot) => price !== null ? price : Math.round(Number(plot.price) * (1 + pct / 100));
+  if (useSupabase) return await sbRepricePlots(filter, newPriceFor, meta);
+
+  return await db.runInTransaction(async () => {
+    let query = `SELECT id, price FROM plots WHERE status != 'sold'`;
+    const params = [];
+    if (filter.from !== null) { query += ' AND plot_number >= ?'; params.push(filter.from); }
+    if (filter.to !== null) { query += ' AND plot_number <= ?'; params.push(filter.to); }
+    if (filter.category) { query += ' AND category = ?'; params.push(filter.category); }
+    if (filter.estate_id) { query += ' AND estate_id = ?'; params.push(filter.estate_id); }
+    const plots = await db.allQuery(query, params);
+    if (plots.length === 0) throw noPlotsToReprice();
+    for (const plot of plots) {
+      const newPrice = newPriceFor(plot);
+      await db.runQuery('UPDATE plots SET price = ? WHERE id = ?', [newPrice, plot.id]);
+      await db.runQuery(
+        `INSERT INTO plot_price_history (plot_id, old_price, new_price, reason, changed_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [plot.id, plot.price, newPrice, meta.reason, meta.changed_by]
+      );
+    }
+    return { updatedCount: plots.length };
+  });
+}
+
+function noPlotsToReprice() {
+  const err = new Error('No unsold plots match this range or category');
+  err.status = 404;
+  return err;
+}
+
+async function getPlotPriceHistory(id) {
+  if (useSupabase) return await sbGetPlotPriceHistory(id);
+  return await db.allQuery(
+    'SELECT * FROM plot_price_history WHERE plot_id = ? ORDER BY changed_at DESC, id DESC',
     [id]
   );
 }
 
-// ============ PAYMENTS ============
-async function listPayments(filters = {}) {
-  if (useSupabase) return await sbGetAllPayments(filters);
-  let query = `SELECT * FROM payments WHERE 1=1`;
-  const params = [];
-  if (filters.buyer_id) { query += ' AND buyer_id = ?'; params.push(filters.buyer_id); }
-  query += ' ORDER BY created_at DESC';
-  return await sqlite.allQuery(query, params);
+// ============ PRICING RULES ============
+// Columns of pricing_rules a client may set (see migration 008 and pricing.js)
+const PRICING_RULE_COLUMNS = ['name', 'estate_id', 'category', 'tag', 'corner', 'road_facing', 'plot_from', 'plot_to', 'percent', 'amount', 'active'];
+const PRICING_RULE_FLAGS = ['corner', 'road_facing', 'active'];
+
+// Flags as booleans (SQLite stores 0/1); an unset condition stays null
+function pricingRuleRow(row) {
+  if (!row || !row.id) return row;
+  const rule = { ...row };
+  for (const flag of PRICING_RULE_FLAGS) {
+    if (rule[flag] !== null && rule[flag] !== undefined) rule[flag] = !!rule[flag];
+  }
+  for (const column of ['percent', 'amount']) {
+    if (rule[column] !== null && rule[column] !== undefined) rule[column] = Number(rule[column]);
+  }
+  return rule;
 }
 
-async function createPayment(data) {
-  if (useSupabase) return await sbCreatePayment(data);
-  const { buyer_id, amount, method, notes } = data;
-  if (!buyer_id || !amount) throw new Error('Missing required fields: buyer_id, amount');
-  const result = await sqlite.runQuery(
-    `INSERT INTO payments (buyer_id, amount, method, notes) VALUES (?, ?, ?, ?)`,
-    [buyer_id, amount, method || '', notes || '']
-  );
-  // Update buyer totals (payment increases remaining: decreases total_spent)
-  const buyer = await sqlite.getQuery('SELECT budget, total_spent FROM buyers WHERE id = ?', [buyer_id]);
-  if (buyer && buyer.budget !== undefined) {
-    const newTotal = (Number(buyer.total_spent || 0) - Number(amount || 0));
-    const remaining = Number(buyer.budget) - newTotal;
-    await sqlite.runQuery(
-      `UPDATE buyers SET total_spent = ?, remaining_balance = ? WHERE id = ?`,
-      [Math.max(newTotal, 0), remaining, buyer_id]
-    );
+/**
+ * Check a whole rule (after any update is applied): it needs exactly one
+ * of percent or amount, a range that runs forwards and an estate that exists
+ */
+async function validatePricingRule(rule) {
+  const errors = [];
+  if (isSet(rule.percent) === isSet(rule.amount)) {
+    errors.push({ field: 'percent', code: 'required', message: 'pass exactly one of percent or amount' });
+  }
+  if (isSet(rule.plot_from) && isSet(rule.plot_to) && rule.plot_from > rule.plot_to) {
+    errors.push({ field: 'plot_to', code: 'range', message: 'must not be below plot_from' });
+  }
+  errors.push(...await estateIdErrors(rule.estate_id));
+  if (errors.length > 0) throw validationError(errors);
+}
+
+// The field error for an estate_id that names no estate, if any
+async function estateIdErrors(estateId) {
+  if (!isSet(estateId)) return [];
+  const estate = await getEstate(estateId);
+  return estate && estate.id ? [] : [{ field: 'estate_id', code: 'not_found', message: `no estate ${estateId}` }];
+}
+
+function pricingRuleNotFound() {
+  const err = new Error('Pricing rule not found');
+  err.status = 404;
+  return err;
+}
+
+// The rule columns present in `data`, with the tag in lower case
+function pricingRuleValues(data) {
+  const values = {};
+  for (const column of PRICING_RULE_COLUMNS) {
+    if (data[column] === undefined) continue;
+    values[column] = column === 'tag' && data.tag !== null ? normalizeTags([data.tag])[0] || null : data[column];
   }
-  return await sqlite.getQuery('SELECT * FROM payments WHERE id = ?', [result.lastID]);
+  return values;
+}
+
+/**
+ * Every pricing rule, in the order they were added
+ */
+async function listPricingRules() {
+  const rules = useSupabase
+    ? await sbGetPricingRules()
+    : await db.allQuery('SELECT * FROM pricing_rules ORDER BY id');
+  return rules.map(pricingRuleRow);
+}
+
+// The rules getAllPlots / priceSale apply
+async function activePricingRules() {
+  return (await listPricingRules()).filter(rule => rule.active);
+}
+
+async function getPricingRule(id) {
+  const rule = useSupabase
+    ? await sbGetPricingRuleById(id)
+    : await db.getQuery('SELECT * FROM pricing_rules WHERE id = ?', [id]);
+  return pricingRuleRow(rule);
+}
+
+/**
+ * Add a rule ({ name, conditions..., percent | amount, active? })
+ */
+async function createPricingRule(data, { created_by = '' } = {}) {
+  const values = { active: true, ...pricingRuleValues(data) };
+  await validatePricingRule(values);
+  if (useSupabase) return pricingRuleRow(await sbCreatePricingRule({ ...values, created_by }));
+  return await getPricingRule(await insertColumns('pricing_rules', { ...values, created_by }));
+}
+
+/**
+ * Change a rule; only the fields given change, null clears a condition
+ */
+async function updatePricingRule(id, data) {
+  const rule = await getPricingRule(id);
+  if (!rule || !rule.id) throw pricingRuleNotFound();
+  const values = pricingRuleValues(data);
+  await validatePricingRule({ ...rule, ...values });
+  if (useSupabase) await sbUpdatePricingRule(id, values);
+  else await updateColumns('pricing_rules', id, values);
+  return await getPricingRule(id);
+}
+
+async function deletePricingRule(id) {
+  const rule = await getPricingRule(id);
+  if (!rule || !rule.id) throw pricingRuleNotFound();
+  if (useSupabase) await sbDeletePricingRule(id);
+  else await db.runQuery('DELETE FROM pricing_rules WHERE id = ?', [id]);
+  return { deleted: true };
 }
 
+// ============ DISCOUNTS ============
+// Promo codes and volume tiers (migration 009); saleTotals() in pricing.js applies them
+const PROMO_CODE_COLUMNS = ['code', 'description', 'percent', 'amount', 'estate_id', 'min_plots', 'valid_from', 'valid_to', 'max_uses', 'active'];
+const VOLUME_TIER_COLUMNS = ['min_plots', 'percent', 'estate_id', 'active'];
+
+// active as a boolean (SQLite stores 0/1)
+function discountRow(row) {
+  if (!row || !row.id) return row;
+  return { ...row, active: !!row.active };
+}
+
+// The columns present in `data`; promo codes are stored in upper case
+function discountValues(columns, data) {
+  const values = {};
+  for (const column of columns) {
+    if (data[column] === undefined) continue;
+    values[column] = column === 'code' ? String(data.code).trim().toUpperCase() : data[column];
+  }
+  return values;
+}
+
+function discountNotFound(what) {
+  const err = new Error(`${what} not found`);
+  err.status = 404;
+  return err;
+}
+
+/**
+ * Check a whole promo code (after any update is applied): exactly one of
+ * percent or amount, a window that runs forwards, an estate that exists
+ * and a code no other promo code has (409)
+ */
+async function validatePromoCode(promo, id) {
+  const errors = [];
+  if (isSet(promo.percent) === isSet(promo.amount)) {
+    errors.push({ field: 'percent', code: 'required', message: 'pass exactly one of percent or amount' });
+  }
+  if (promo.valid_from && promo.valid_to && promo.valid_from > promo.valid_to) {
+    errors.push({ field: 'valid_to', code: 'range', message: 'must not be before valid_from' });
+  }
+  errors.push(...await estateIdErrors(promo.estate_id));
+  if (errors.length > 0) throw validationError(errors);
+  const existing = await findPromoCode(promo.code);
+  if (existing && existing.id && Number(existing.id) !== Number(id)) {
+    const err = new Error(`Promo code ${promo.code} already exists`);
+    err.status = 409;
+    throw err;
+  }
+}
+
+/**
+ * Every promo code, in the order they were added
+ */
+async function listPromoCodes() {
+  const codes = useSupabase
+    ? await sbGetPromoCodes()
+    : await db.allQuery('SELECT * FROM promo_codes ORDER BY id');
+  return codes.map(discountRow);
+}
+
+async function getPromoCode(id) {
+  return discountRow(useSupabase
+    ? await sbGetPromoCodeById(id)
+    : await db.getQuery('SELECT * FROM promo_codes WHERE id = ?', [id]));
+}
+
+// The promo code a buyer typed, whatever its case
+async function findPromoCode(code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  return discountRow(useSupabase
+    ? await sbGetPromoCodeByCode(normalized)
+    : await db.getQuery('SELECT * FROM promo_codes WHERE code = ?', [normalized]));
+}
+
+/**
+ * Add a promo code ({ code, percent | amount, description?, estate_id?,
+ * min_plots?, valid_from?, valid_to?, max_uses?, active? })
+ */
+async function createPromoCode(data, { created_by = '' } = {}) {
+  const values = { active: true, ...discountValues(PROMO_CODE_COLUMNS, data) };
+  await validatePromoCode(values);
+  if (useSupabase) return discountRow(await sbCreatePromoCode({ ...values, created_by }));
+  return await getPromoCode(await insertColumns('promo_codes', { ...values, created_by }));
+}
+
+/**
+ * Change a promo code; only the fields given change, null clears one.
+ * used_count only moves with sales.
+ */
+async function updatePromoCode(id, data) {
+  const promo = await getPromoCode(id);
+  if (!promo || !promo.id) throw discountNotFound('Promo code');
+  const values = discountValues(PROMO_CODE_COLUMNS, data);
+  await validatePromoCode({ ...promo, ...values }, promo.id);
+  if (useSupabase) await sbUpdatePromoCode(id, values);
+  else await updateColumns('promo_codes', id, values);
+  return await getPromoCode(id);
+}
+
+/**
+ * Delete a promo code. Sales that used it keep their line items; 409
+ * while a live quote was priced with it.
+ */
+async function deletePromoCode(id) {
+  const promo = await getPromoCode(id);
+  if (!promo || !promo.id) throw discountNotFound('Promo code');
+  // Converting a quote counts a use of the code it was priced with
+  const quoted = (await liveQuotes())
+    .filter(quote => quote.line_items.some(line => Number(line.promo_code_id) === Number(promo.id)))
+    .map(quote => `#${quote.id}`);
+  if (quoted.length > 0) {
+    const err = new Error(`Promo code ${promo.code} is on live quotes ${quoted.join(', ')}; expire them or switch the code off instead`);
+    err.status = 409;
+    throw err;
+  }
+  if (useSupabase) await sbDeletePromoCode(id);
+  else await db.runQuery('DELETE FROM promo_codes WHERE id = ?', [id]);
+  return { deleted: true };
+}
+
+// 409 for a promo code a sale can't count a use of: used up, or deleted
+// since the sale was quoted
+async function promoCodeRefused(id) {
+  const promo = await getPromoCode(id);
+  const err = new Error(promo && promo.id
+    ? 'This promo code has been used as many times as allowed'
+    : 'The promo code this sale was priced with has been deleted');
+  err.status = 409;
+  return err;
+}
+
+/**
+ * Every volume tier, fewest plots first
+ */
+async function listVolumeTiers() {
+  const tiers = useSupabase
+    ? await sbGetVolumeTiers()
+    : await db.allQuery('SELECT * FROM volume_tiers ORDER BY min_plots, id');
+  return tiers.map(discountRow);
+}
+
+async function getVolumeTier(id) {
+  return discountRow(useSupabase
+    ? await sbGetVolumeTierById(id)
+    : await db.getQuery('SELECT * FROM volume_tiers WHERE id = ?', [id]));
+}
+
+/**
+ * Add a volume tier ({ min_plots, percent, estate_id?, active? })
+ */
+async function createVolumeTier(data, { created_by = '' } = {}) {
+  const values = { active: true, ...discountValues(VOLUME_TIER_COLUMNS, data) };
+  const errors = await estateIdErrors(values.estate_id);
+  if (errors.length > 0) throw validationError(errors);
+  if (useSupabase) return discountRow(await sbCreateVolumeTier({ ...values, created_by }));
+  return await getVolumeTier(await insertColumns('volume_tiers', { ...values, created_by }));
+}
+
+async function updateVolumeTier(id, data) {
+  const tier = await getVolumeTier(id);
+  if (!tier || !tier.id) throw discountNotFound('Volume tier');
+  const values = discountValues(VOLUME_TIER_COLUMNS, data);
+  const errors = await estateIdErrors(values.estate_id);
+  if (errors.length > 0) throw validationError(errors);
+  if (useSupabase) await sbUpdateVolumeTier(id, values);
+  else await updateColumns('volume_tiers', id, values);
+  return await getVolumeTier(id);
+}
+
+async function deleteVolumeTier(id) {
+  const tier = await getVolumeTier(id);
+  if (!tier || !tier.id) throw discountNotFound('Volume tier');
+  if (useSupabase) await sbDeleteVolumeTier(id);
+  else await db.runQuery('DELETE FROM volume_tiers WHERE id = ?', [id]);
+  return { deleted: true };
+}
+
+// ============ SALE PRICING ============
+/**
+ * A manual discount ({ percent | amount, reason }) with the admin who
+ * gave it. Anyone else gets a 403.
+ */
+function manualDiscount(discount, approvedBy) {
+  if (!approvedBy) {
+    const err = new Error('Only an admin can give a manual discount');
+    err.status = 403;
+    throw err;
+  }
+  const errors = [];
+  if (isSet(discount.percent) === isSet(discount.amount)) {
+    errors.push({ field: 'manual_discount.percent', code: 'required', message: 'pass exactly one of percent or amount' });
+  }
+  if (!discount.reason) errors.push({ field: 'manual_discount.reason', code: 'required', message: 'is required' });
+  if (errors.length > 0) throw validationError(errors);
+  return { ...discount, approved_by: approvedBy };
+}
+
+/**
+ * Price a sale of the given plot rows: each plot at its effective price,
+ * less the best volume tier and the promo_code / manual_discount in
+ * `data` (see saleTotals in pricing.js). approved_by is the admin
+ * allowed to give a manual discount. A promo code that can't be used
+ * answers 400 on the promo_code field.
+ * Returns { estate_id, plot_ids, line_items, gross_amount, discount_amount, total_amount }.
+ */
+async function quotePlots(plots, data = {}, { approved_by } = {}) {
+  const estateId = saleEstateId(plots);
+  const rules = await activePricingRules();
+  const priced = plots.map(plot => pricePlot(plotRow(plot), rules));
+  const tier = volumeTierFor(await listVolumeTiers(), priced.length, estateId);
+  let promo = null;
+  if (data.promo_code) {
+    promo = await findPromoCode(data.promo_code);
+    const problem = promoCodeProblem(promo, { today: toDateString(new Date()), plotCount: priced.length, estateId });
+    if (problem) throw validationError([{ field: 'promo_code', ...problem }]);
+  }
+  const manual = data.manual_discount ? manualDiscount(data.manual_discount, approved_by) : null;
+  return {
+    estate_id: estateId,
+    plot_ids: priced.map(plot => plot.id),
+    ...saleTotals(priced, { tier, promo, manual })
+  };
+}
+
+/**
+ * POST /api/quotes: what a sale of plot_ids would cost right
+ * now, without selling or storing anything
+ */
+async function previewQuote(data, options = {}) {
+  const plotIds = normalizePlotIds(data.plot_ids);
+  if (plotIds.length === 0) {
+    const err = new Error('Missing required field: plot_ids');
+    err.status = 400;
+    throw err;
+  }
+  return await quotePlots(await loadSalePlots(plotIds), data, options);
+}
+
+/**
+ * Store a sale's line items and count its promo code use (SQL drivers,
+ * inside the sale's database transaction). 409 if another sale used up
+ * the promo code first, or it has been deleted.
+ */
+async function insertSaleLines(transactionId, quote) {
+  for (const line of quote.line_items) {
+    if (line.promo_code_id) {
+      const used = await db.runQuery(
+        `UPDATE promo_codes SET used_count = used_count + 1
+         WHERE id = ? AND (max_uses IS NULL OR used_count < max_uses)`,
+        [line.promo_code_id]
+      );
+      if (used.changes === 0) throw await promoCodeRefused(line.promo_code_id);
+    }
+    await db.runQuery(
+      `INSERT INTO transaction_line_items
+         (transaction_id, kind, plot_id, description, amount, promo_code_id, volume_tier_id, approved_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [transactionId, line.kind, line.plot_id || null, line.description, line.amount,
+        line.promo_code_id || null, line.volume_tier_id || null, line.approved_by || null]
+    );
+  }
+}
+
+/**
+ * The same on Supabase: count the promo code use, run sell() and store
+ * the line items on the transaction it returns. The use is given back
+ * if the sale fails.
+ */
+async function sellWithLines(quote, sell) {
+  const promoLine = quote.line_items.find(line => line.promo_code_id);
+  if (promoLine && !(await sbUsePromoCode(promoLine.promo_code_id, 1))) throw await promoCodeRefused(promoLine.promo_code_id);
+  let tx;
+  try {
+    tx = await sell();
+  } catch (error) {
+    if (promoLine) await sbUsePromoCode(promoLine.promo_code_id, -1);
+    throw error;
+  }
+  await sbSaveTransactionLines(tx.id, quote);
+  return tx;
+}
+
+async function getTransactionLineItems(transactionId) {
+  if (useSupabase) return await sbGetTransactionLineItems(transactionId);
+  return await db.allQuery('SELECT * FROM transaction_line_items WHERE transaction_id = ? ORDER BY id', [transactionId]);
+}
+
+// ============ BUYERS ============
+/**
+ * Get buyers, newest first (filter q: part of the name, ID number or uid)
+ */
+async function listBuyers(filters = {}, options = {}) {
+  if (useSupabase) return await listSupabase('buyers', (sort, paging) => sbGetAllBuyers(filters, { sort, paging }), options);
+  let query = 'SELECT * FROM buyers WHERE 1=1';
+  const params = [];
+  if (filters.q) {
+    query += ' AND (LOWER(name) LIKE ? OR LOWER(id_number) LIKE ? OR LOWER(uid) LIKE ?)';
+    const pattern = `%${String(filters.q).toLowerCase()}%`;
+    params.push(pattern, pattern, pattern);
+  }
+  return await listQuery('buyers', query, params, 'created_at DESC, id DESC', options);
+}
+
+async function getBuyer(id) {
+  if (useSupabase) return await sbGetBuyerById(id);
+  return await db.getQuery('SELECT * FROM buyers WHERE id = ?', [id]);
+}
+
+// Buyer fields that PUT /api/buyers/:id may change
+const BUYER_UPDATE_FIELDS = ['name', 'id_number', 'phone', 'email', 'address', 'occupation', 'budget'];
+
+async function createBuyer(buyerData) {
+  const { name, id_number, phone, email, address, occupation, budget } = buyerData;
+  if (!name || !id_number || !phone || !email || budget === undefined) {
+    const err = new Error('Missing required fields: name, id_number, phone, email, budget');
+    err.status = 400;
+    throw err;
+  }
+  const uid = generateBuyerUid(name, id_number);
+  if (useSupabase) {
+    return await sbCreateBuyer({ name, id_number, phone, email, address: address || '', occupation: occupation || '', budget, uid });
+  }
+  const existing = await db.getQuery('SELECT id FROM buyers WHERE id_number = ?', [id_number]);
+  if (existing && existing.id) {
+    const err = new Error('Buyer with this ID number already exists');
+    err.status = 409;
+    throw err;
+  }
+  const result = await db.runQuery(
+    `INSERT INTO buyers (name, id_number, phone, email, address, occupation, budget, uid)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [name, id_number, phone, email, address || '', occupation || '', budget, uid]
+  );
+  return await db.getQuery('SELECT * FROM buyers WHERE id = ?', [result.lastID]);
+}
+
+/**
+ * Update the given buyer fields; fields left out keep their value
+ */
+async function updateBuyer(id, buyerData) {
+  const fail = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    throw err;
+  };
+  const changes = {};
+  for (const field of BUYER_UPDATE_FIELDS) {
+    if (buyerData[field] !== undefined) changes[field] = buyerData[field];
+  }
+  const fields = Object.keys(changes);
+  if (fields.length === 0) fail(`Nothing to update: pass any of ${BUYER_UPDATE_FIELDS.join(', ')}`, 400);
+  if (useSupabase) {
+    const updated = await sbUpdateBuyer(id, changes);
+    if (!updated) fail('Buyer not found', 404);
+    return updated;
+  }
+  if (changes.id_number !== undefined) {
+    const existing = await db.getQuery('SELECT id FROM buyers WHERE id_number = ? AND id != ?', [changes.id_number, id]);
+    if (existing && existing.id) fail('Buyer with this ID number already exists', 409);
+  }
+  const result = await db.runQuery(
+    `UPDATE buyers SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+    [...fields.map(f => changes[f]), id]
+  );
+  if (result.changes === 0) fail('Buyer not found', 404);
+  return await db.getQuery('SELECT * FROM buyers WHERE id = ?', [id]);
+}
+
+// What search and the duplicate report compare. They score every buyer in
+// memory: a few columns of tens of thousands of rows is quick to read.
+const BUYER_INDEX_COLUMNS = 'id, name, id_number, uid, phone, email, created_at';
+
+async function loadBuyerIndex() {
+  if (useSupabase) return await sbGetBuyerIndex(BUYER_INDEX_COLUMNS);
+  return await db.allQuery(`SELECT ${BUYER_INDEX_COLUMNS} FROM buyers ORDER BY id`);
+}
+
+/**
+ * Find buyers by ID number (exact or prefix), uid, phone (any format) or
+ * a fuzzy name. Returns { query, buyer, results }: buyer is the exact
+ * id_number / uid match or null, results are the matches, best first,
+ * each with match (what matched) and score (0-1).
+ */
+async function searchBuyers(q, { limit = 20 } = {}) {
+  const isExact = (result) => result.match === 'id_number' || result.match === 'uid';
+  const scored = (await loadBuyerIndex())
+    .map(buyer => ({ id: buyer.id, ...scoreBuyer(q, buyer) }))
+    .filter(result => result.match)
+    .sort((a, b) => isExact(b) - isExact(a) || b.score - a.score || a.id - b.id)
+    .slice(0, limit);
+  const ids = scored.map(result => result.id);
+  let rows = [];
+  if (ids.length > 0) {
+    rows = useSupabase
+      ? await sbGetBuyersByIds(ids)
+      : await db.allQuery(`SELECT * FROM buyers WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+  }
+  const byId = new Map(rows.map(row => [row.id, row]));
+  const results = scored
+    .filter(result => byId.has(result.id))
+    .map(({ match, score, id }) => ({ ...byId.get(id), match, score }));
+  const exact = results.find(isExact);
+  return { query: q, buyer: exact || null, results };
+}
+
+/**
+ * Buyers that may have been entered twice: the same phone number, the
+ * same email or very similar names.
+ * Returns [{ reason, value?, score?, buyers: [{ id, name, ... }] }].
+ */
+async function findDuplicateBuyers() {
+  const buyers = await loadBuyerIndex();
+  const byId = new Map(buyers.map(buyer => [buyer.id, buyer]));
+  return findDuplicates(buyers).map(({ buyer_ids, ...group }) => ({
+    ...group,
+    buyers: buyer_ids.map(id => byId.get(id))
+  }));
+}
+
+// Tables whose rows belong to a buyer; a merge moves them all
+const BUYER_OWNED_TABLES = ['transactions', 'payments', 'refunds', 'plots', 'reservations', 'quotes'];
+// Contact details a merge copies from the duplicate when the buyer has none
+const BUYER_FILL_FIELDS = ['email', 'address', 'occupation'];
+
+/**
+ * Merge buyer `duplicateId` into buyer `id`: its transactions, payments,
+ * refunds, plots, holds and quotes move over, its totals and credit are added
+ * and missing contact details are filled in, then the duplicate is
+ * deleted. Returns { buyer, merged_from, moved: { transactions, ... } }.
+ */
+async function mergeBuyers(id, duplicateId) {
+  const fail = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    throw err;
+  };
+  if (Number(id) === Number(duplicateId)) fail('Cannot merge a buyer into itself', 400);
+
+  if (useSupabase) {
+    const [buyer, duplicate] = await Promise.all([sbGetBuyerById(id), sbGetBuyerById(duplicateId)]);
+    if (!buyer || !buyer.id || !duplicate || !duplicate.id) fail('Buyer not found', 404);
+    const { moved } = await sbMergeBuyers(id, duplicateId);
+    return { buyer: await sbGetBuyerById(id), merged_from: duplicate, moved };
+  }
+
+  let duplicate;
+  const moved = {};
+  await db.runInTransaction(async () => {
+    const buyer = await db.getQuery('SELECT * FROM buyers WHERE id = ?', [id]);
+    duplicate = await db.getQuery('SELECT * FROM buyers WHERE id = ?', [duplicateId]);
+    if (!buyer || !buyer.id || !duplicate || !duplicate.id) fail('Buyer not found', 404);
+
+    for (const table of BUYER_OWNED_TABLES) {
+      const result = await db.runQuery(`UPDATE ${table} SET buyer_id = ? WHERE buyer_id = ?`, [buyer.id, duplicate.id]);
+      moved[table] = result.changes;
+    }
+
+    const totalSpent = Number(buyer.total_spent || 0) + Number(duplicate.total_spent || 0);
+    const fills = BUYER_FILL_FIELDS.filter(field => !buyer[field] && duplicate[field]);
+    await db.runQuery(
+      `UPDATE buyers SET total_spent = ?, remaining_balance = ?, credit_balance = credit_balance + ?
+       ${fills.map(field => `, ${field} = ?`).join('')} WHERE id = ?`,
+      [
+        totalSpent,
+        Number(buyer.budget) - totalSpent,
+        Number(duplicate.credit_balance || 0),
+        ...fills.map(field => duplicate[field]),
+        buyer.id
+      ]
+    );
+    await db.runQuery('DELETE FROM buyers WHERE id = ?', [duplicate.id]);
+  });
+
+  return { buyer: await getBuyer(id), merged_from: duplicate, moved };
+}
+
+// ============ TRANSACTIONS ============
+async function listTransactions(filters = {}, options = {}) {
+  if (useSupabase) return await listSupabase('transactions', (sort, paging) => sbGetAllTransactions(filters, { sort, paging }), options);
+  let query = `
+    SELECT 
+      t.*,
+      b.name as buyer_name,
+      b.email as buyer_email,
+      b.phone as buyer_phone
+    FROM transactions t
+    LEFT JOIN buyers b ON t.buyer_id = b.id
+    WHERE 1=1`;
+  const params = [];
+  if (filters.buyer_id) {
+    query += ' AND t.buyer_id = ?';
+    params.push(filters.buyer_id);
+  }
+  if (filters.payment_status) {
+    query += ' AND t.payment_status = ?';
+    params.push(filters.payment_status);
+  }
+  if (filters.estate_id) {
+    query += ' AND t.estate_id = ?';
+    params.push(filters.estate_id);
+  }
+  return await listQuery('transactions', query, params, 't.created_at DESC, t.id DESC', options);
+}
+
+/**
+ * Get a transaction with its buyer's details and its line_items
+ */
+async function getTransaction(id) {
+  const tx = useSupabase
+    ? await sbGetTransactionById(id)
+    : await db.getQuery(
+      `SELECT 
+        t.*,
+        b.name as buyer_name,
+        b.email as buyer_email,
+        b.phone as buyer_phone,
+        b.address as buyer_address,
+        b.occupation as buyer_occupation
+       FROM transactions t
+       LEFT JOIN buyers b ON t.buyer_id = b.id
+       WHERE t.id = ?`,
+      [id]
+    );
+  if (!tx || !tx.id) return tx;
+  return { ...tx, line_items: await getTransactionLineItems(tx.id) };
+}
+
+// Ids of the plots on transactions that haven't been cancelled
+async function openSalePlotIds() {
+  const rows = useSupabase
+    ? await sbGetOpenTransactionPlotIds()
+    : await db.allQuery(`SELECT plot_ids FROM transactions WHERE payment_status != 'cancelled'`);
+  return new Set(rows.flatMap(row => normalizePlotIds(row.plot_ids)));
+}
+
+/**
+ * 409 (err.conflicts = plot ids) unless every plot is free for the buyer
+ * (see isPlotFreeFor; held_by is the agent asking) and on no other open
+ * transaction
+ */
+async function checkTransactionPlots(plotIds, holder) {
+  const holds = await liveQuoteHolds();
+  const rows = useSupabase
+    ? await Promise.all(plotIds.map(id => sbGetPlotById(id)))
+    : await db.allQuery(`${PLOT_SELECT} WHERE p.id IN (${plotIds.map(() => '?').join(',')})`, plotIds);
+  const open = await openSalePlotIds();
+  takePlots(plotIds, rows.filter(row => row.id).map(row => withQuoteHold(row, holds)),
+    plot => !open.has(Number(plot.id)) && isPlotFreeFor(plot, holder));
+}
+
+/**
+ * Record a sale without marking the plots sold (POST /api/purchases does
+ * both). The buyer must exist (404) and the plots must be free for them
+ * and on no other open transaction (409 with err.conflicts). Takes the same promo_code /
+ * manual_discount as a quote; options.approved_by is the admin giving a
+ * manual discount, options.held_by the agent making the sale.
+ */
+async function createTransaction(data, options = {}) {
+  const { buyer_id, notes } = data;
+  const plotIds = normalizePlotIds(data.plot_ids);
+  if (!buyer_id || plotIds.length === 0) {
+    const err = new Error('Missing required fields: buyer_id, plot_ids');
+    err.status = 400;
+    throw err;
+  }
+  const terms = normalizePaymentPlan(data.payment_plan);
+  // The amount is always derived from current plot prices and discounts, never taken from the client
+  const quote = await quotePlots(await loadSalePlots(plotIds), data, options);
+  const { total_amount, gross_amount, discount_amount, estate_id } = quote;
+  const schedule = buildInstallmentSchedule(total_amount, terms);
+  const holder = { buyer_id, held_by: options.held_by };
+  const requireBuyer = (buyer) => {
+    if (buyer && buyer.id) return buyer;
+    const err = new Error('Buyer not found');
+    err.status = 404;
+    throw err;
+  };
+  if (useSupabase) {
+    requireBuyer(await sbGetBuyerById(buyer_id));
+    await checkTransactionPlots(plotIds, holder);
+    const tx = await sellWithLines(quote, () => sbCreateTransaction({
+      buyer_id, plot_ids: plotIds.join(','), total_amount, gross_amount, discount_amount, estate_id, notes: notes || ''
+    }));
+    await sbCreatePaymentPlan(tx.id, schedule);
+    return await getTransaction(tx.id);
+  }
+  const txId = await db.runInTransaction(async () => {
+    const buyer = requireBuyer(await db.getQuery('SELECT id, budget, total_spent FROM buyers WHERE id = ?', [buyer_id]));
+    await checkTransactionPlots(plotIds, holder);
+    const result = await db.runQuery(
+      `INSERT INTO transactions (buyer_id, plot_ids, total_amount, gross_amount, discount_amount, estate_id, notes, payment_status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')`,
+      [buyer_id, plotIds.join(','), total_amount, gross_amount, discount_amount, estate_id, notes || '']
+    );
+    await insertSaleLines(result.lastID, quote);
+    await insertPaymentPlan(result.lastID, schedule);
+
+    // Update buyer totals: total_spent += total_amount, remaining_balance = budget - total_spent
+    const newTotal = (Number(buyer.total_spent || 0) + Number(total_amount || 0));
+    const remaining = Number(buyer.budget) - newTotal;
+    await db.runQuery(
+      `UPDATE buyers SET total_spent = ?, remaining_balance = ? WHERE id = ?`,
+      [newTotal, remaining, buyer_id]
+    );
+    return result.lastID;
+  });
+  return await getTransaction(txId);
+}
+
+// ============ PAYMENT STATUS ============
+// pending -> partial -> paid is driven by payments; overdue by due dates.
+// Only defaulted is set by hand; cancelled goes through cancelTransaction.
+// Voiding a payment can move a transaction back down (e.g. paid -> partial).
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['partial', 'paid', 'overdue', 'cancelled'],
+  partial: ['pending', 'paid', 'overdue', 'cancelled'],
+  overdue: ['pending', 'partial', 'paid', 'defaulted', 'cancelled'],
+  defaulted: ['paid', 'cancelled'],
+  paid: ['pending', 'partial', 'overdue', 'cancelled'],
+  cancelled: []
+};
+const MANUAL_PAYMENT_STATUSES = ['defaulted'];
+
+const canTransition = (from, to) => from === to || (PAYMENT_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Work out a transaction's status from what it owes and what has been paid.
+ * Cancelled is final and defaulted sticks until the balance is cleared.
+ */
+function derivePaymentStatus(current, { amountDue, amountPaid, overdue }) {
+  if (current === 'cancelled') return current;
+  if (amountPaid >= amountDue) return 'paid';
+  if (current === 'defaulted') return current;
+  if (overdue) return 'overdue';
+  return amountPaid > 0 ? 'partial' : 'pending';
+}
+
+/**
+ * Recompute and store a transaction's payment status (SQL drivers).
+ * Runs inside the caller's DB transaction, so it must not start its own.
+ */
+async function refreshPaymentStatus(transactionId) {
+  const tx = await db.getQuery('SELECT id, total_amount, payment_status FROM transactions WHERE id = ?', [transactionId]);
+  if (!tx.id) return null;
+  const today = toDateString(new Date());
+  const installments = await db.allQuery('SELECT * FROM installments WHERE transaction_id = ?', [tx.id]);
+  let amounts;
+  if (installments.length > 0) {
+    amounts = {
+      amountDue: installments.reduce((sum, i) => sum + Number(i.amount_due), 0),
+      amountPaid: installments.reduce((sum, i) => sum + Number(i.amount_paid || 0), 0),
+      overdue: installments.some(i => i.due_date < today && Number(i.amount_paid || 0) < Number(i.amount_due))
+    };
+  } else {
+    const paid = await db.getQuery(
+      'SELECT COALESCE(SUM(amount - credit_amount), 0) as paid FROM payments WHERE transaction_id = ? AND voided_at IS NULL',
+      [tx.id]
+    );
+    amounts = { amountDue: Number(tx.total_amount), amountPaid: Number(paid.paid), overdue: false };
+  }
+  const next = derivePaymentStatus(tx.payment_status, amounts);
+  if (next !== tx.payment_status && canTransition(tx.payment_status, next)) {
+    await db.runQuery('UPDATE transactions SET payment_status = ? WHERE id = ?', [next, tx.id]);
+    return next;
+  }
+  return tx.payment_status;
+}
+
+/**
+ * Flag pending/partial transactions with an unpaid installment past its due date
+ */
+async function markOverdueTransactions() {
+  const today = toDateString(new Date());
+  if (useSupabase) return await sbMarkOverdueTransactions(today);
+  return await db.runInTransaction(async () => {
+    const late = await db.allQuery(
+      `SELECT id FROM transactions
+       WHERE payment_status IN ('pending', 'partial')
+         AND id IN (SELECT transaction_id FROM installments WHERE due_date < ? AND amount_paid < amount_due)`,
+      [today]
+    );
+    const ids = late.map(t => t.id);
+    if (ids.length > 0) {
+      await db.runQuery(
+        `UPDATE transactions SET payment_status = 'overdue' WHERE id IN (${ids.map(() => '?').join(',')})`,
+        ids
+      );
+    }
+    return { overdueCount: ids.length, transactionIds: ids };
+  });
+}
+
+/**
+ * Set a transaction's status by hand. Only defaulted can be set this way,
+ * and only along the allowed transitions.
+ */
+async function updateTransactionStatus(id, payment_status) {
+  const fail = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    throw err;
+  };
+  if (!PAYMENT_STATUSES.includes(payment_status)) {
+    fail(`payment_status must be one of: ${PAYMENT_STATUSES.join(', ')}`, 400);
+  }
+  const current = await getTransaction(id);
+  if (!current || !current.id) fail('Transaction not found', 404);
+  if (payment_status === 'cancelled') {
+    fail('Use POST /api/transactions/:id/cancel to cancel a sale', 409);
+  }
+  if (!MANUAL_PAYMENT_STATUSES.includes(payment_status)) {
+    fail(`payment_status '${payment_status}' is set automatically from payments and due dates`, 409);
+  }
+  const from = current.payment_status || 'pending';
+  if (from === payment_status || !canTransition(from, payment_status)) {
+    fail(`Cannot change payment status from '${from}' to '${payment_status}'`, 409);
+  }
+
+  if (useSupabase) {
+    await sbUpdateTransactionStatus(id, payment_status);
+    return await getTransaction(id);
+  }
+  await db.runQuery(
+    'UPDATE transactions SET payment_status = ? WHERE id = ?',
+    [payment_status, id]
+  );
+  return await db.getQuery(
+    `SELECT t.*, b.name as buyer_name 
+     FROM transactions t
+     LEFT JOIN buyers b ON t.buyer_id = b.id
+     WHERE t.id = ?`,
+    [id]
+  );
+}
+
+// ============ PAYMENT PLANS ============
+// Longest installment plan we accept, in months
+const MAX_PLAN_MONTHS = 120;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Add calendar months to a YYYY-MM-DD date, clamping to the end of shorter months
+function addMonths(dateString, months) {
+  const [y, m, d] = dateString.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(y, m - 1 + months, Math.min(d, lastDay))));
+}
+
+/**
+ * Validate the payment_plan part of a sale request.
+ * Returns null for pay-in-full sales.
+ */
+function normalizePaymentPlan(plan) {
+  if (!plan) return null;
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+  const months = Number(plan.months);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_PLAN_MONTHS) {
+    fail(`payment_plan.months must be an integer between 1 and ${MAX_PLAN_MONTHS}`);
+  }
+  const hasAmount = plan.deposit_amount !== undefined && plan.deposit_amount !== null && plan.deposit_amount !== '';
+  const hasPercent = plan.deposit_percent !== undefined && plan.deposit_percent !== null && plan.deposit_percent !== '';
+  if (hasAmount && hasPercent) fail('Specify only one of payment_plan.deposit_amount or deposit_percent');
+  const depositAmount = hasAmount ? Number(plan.deposit_amount) : null;
+  const depositPercent = hasPercent ? Number(plan.deposit_percent) : null;
+  if (hasAmount && (!Number.isFinite(depositAmount) || depositAmount < 0)) {
+    fail('payment_plan.deposit_amount must be zero or more');
+  }
+  if (hasPercent && (!Number.isFinite(depositPercent) || depositPercent < 0 || depositPercent > 100)) {
+    fail('payment_plan.deposit_percent must be between 0 and 100');
+  }
+  let startDate = null;
+  if (plan.start_date) {
+    const parsed = new Date(plan.start_date);
+    if (Number.isNaN(parsed.getTime())) fail('payment_plan.start_date must be a valid date');
+    startDate = toDateString(parsed);
+  }
+  return { months, depositAmount, depositPercent, startDate };
+}
+
+/**
+ * Build the installment schedule for a sale.
+ * The deposit (sequence 0) is due on the sale date; monthly installments
+ * start on start_date (default: one month after the sale) and the last one
+ * absorbs rounding so the schedule sums exactly to the total.
+ */
+function buildInstallmentSchedule(totalAmount, terms) {
+  const today = toDateString(new Date());
+  if (!terms) {
+    return {
+      plan: { deposit_amount: totalAmount, months: 0, monthly_amount: 0, start_date: today },
+      installments: [{ sequence: 0, due_date: today, amount_due: totalAmount }]
+    };
+  }
+
+  const deposit = terms.depositPercent !== null
+    ? Math.round(totalAmount * terms.depositPercent / 100)
+    : Math.round(terms.depositAmount || 0);
+  if (deposit > totalAmount) {
+    const err = new Error('payment_plan deposit cannot exceed the total amount');
+    err.status = 400;
+    throw err;
+  }
+  const startDate = terms.startDate || addMonths(today, 1);
+  const remaining = totalAmount - deposit;
+  const monthly = Math.ceil(remaining / terms.months);
+
+  const installments = [];
+  if (deposit > 0) {
+    installments.push({ sequence: 0, due_date: today, amount_due: deposit });
+  }
+  let scheduled = 0;
+  for (let i = 1; i <= terms.months; i++) {
+    const amount = i === terms.months ? remaining - scheduled : Math.min(monthly, remaining - scheduled);
+    if (amount <= 0) break;
+    scheduled += amount;
+    installments.push({ sequence: i, due_date: addMonths(startDate, i - 1), amount_due: amount });
+  }
+
+  return {
+    plan: { deposit_amount: deposit, months: terms.months, monthly_amount: monthly, start_date: startDate },
+    installments
+  };
+}
+
+/**
+ * Store a transaction's payment plan and installments (SQL drivers)
+ */
+async function insertPaymentPlan(transactionId, schedule) {
+  const { plan, installments } = schedule;
+  const result = await db.runQuery(
+    `INSERT INTO payment_plans (transaction_id, deposit_amount, months, monthly_amount, start_date)
+     VALUES (?, ?, ?, ?, ?)`,
+    [transactionId, plan.deposit_amount, plan.months, plan.monthly_amount, plan.start_date]
+  );
+  for (const inst of installments) {
+    await db.runQuery(
+      `INSERT INTO installments (plan_id, transaction_id, sequence, due_date, amount_due)
+       VALUES (?, ?, ?, ?, ?)`,
+      [result.lastID, transactionId, inst.sequence, inst.due_date, inst.amount_due]
+    );
+  }
+}
+
+/**
+ * Get a transaction's payment plan, installments and totals
+ */
+async function getTransactionSchedule(transactionId) {
+  let plan;
+  let installments;
+  if (useSupabase) {
+    ({ plan, installments } = await sbGetTransactionSchedule(transactionId));
+  } else {
+    plan = await db.getQuery('SELECT * FROM payment_plans WHERE transaction_id = ?', [transactionId]);
+    installments = plan.id
+      ? await db.allQuery('SELECT * FROM installments WHERE plan_id = ? ORDER BY sequence', [plan.id])
+      : [];
+  }
+  if (!plan || !plan.id) {
+    const err = new Error('No payment plan for this transaction');
+    err.status = 404;
+    throw err;
+  }
+  const amountDue = installments.reduce((sum, i) => sum + Number(i.amount_due || 0), 0);
+  const amountPaid = installments.reduce((sum, i) => sum + Number(i.amount_paid || 0), 0);
+  return {
+    plan,
+    installments,
+    totals: { amount_due: amountDue, amount_paid: amountPaid, balance: amountDue - amountPaid }
+  };
+}
+
+// ============ RESERVATIONS ============
+// A plot can be taken by this holder if it is available, or only held by
+// them (same agent or buyer), or its hold has lapsed, and no live quote
+// holds it for another buyer
+function isPlotFreeFor(plot, { buyer_id, held_by } = {}) {
+  if (isQuotedAway(plot, buyer_id)) return false;
+  if (plot.status === 'available') return true;
+  if (plot.status !== 'selected') return false;
+  if (!plot.held_by || plot.reserved_until <= new Date().toISOString()) return true;
+  if (held_by && plot.held_by === held_by) return true;
+  return !!buyer_id && String(plot.reserved_buyer_id) === String(buyer_id);
+}
+
+// Whether a live quote holds the plot for a buyer other than buyer_id
+function isQuotedAway(plot, buyer_id) {
+  return !!plot.quote_id && String(plot.quoted_buyer_id) !== String(buyer_id);
+}
+
+// 409 for a plot that is sold, quoted or held by someone else
+function plotTaken(plot) {
+  const err = new Error(plot.status === 'sold'
+    ? 'Plot is already sold'
+    : plot.quote_id ? `Plot is under quote #${plot.quote_id}` : `Plot is held by ${plot.held_by}`);
+  err.status = 409;
+  return err;
+}
+
+/**
+ * Hold a plot for a sales agent until the hold expires.
+ * Holding a plot you already hold extends the expiry.
+ */
+async function reservePlot(id, data = {}) {
+  const { buyer_id, held_by } = data;
+  if (!held_by) {
+    const err = new Error('Missing required field: held_by');
+    err.status = 400;
+    throw err;
+  }
+  const minutes = Number(data.minutes) > 0 ? Number(data.minutes) : RESERVATION_MINUTES;
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+  if (useSupabase) {
+    const plot = await getPlotById(id);
+    if (plot.quote_id) throw plotTaken(plot);
+    return await sbReservePlot(id, { buyer_id, held_by, expires_at: expiresAt });
+  }
+
+  await db.runInTransaction(async () => {
+    const plot = await getPlotById(id);
+    if (!plot.id) {
+      const err = new Error('Plot not found');
+      err.status = 404;
+      throw err;
+    }
+    if (!isPlotFreeFor(plot, { held_by })) throw plotTaken(plot);
+    await db.runQuery('DELETE FROM reservations WHERE plot_id = ?', [plot.id]);
+    await db.runQuery(
+      `INSERT INTO reservations (plot_id, buyer_id, held_by, expires_at) VALUES (?, ?, ?, ?)`,
+      [plot.id, buyer_id || null, held_by, expiresAt]
+    );
+    await db.runQuery(`UPDATE plots SET status = 'selected' WHERE id = ?`, [plot.id]);
+  });
+  return await getPlotById(id);
+}
+
+/**
+ * Release a hold and return the plot to available.
+ * If held_by is given, only that holder may release it.
+ */
+async function releasePlot(id, heldBy) {
+  if (useSupabase) return await sbReleasePlot(id, heldBy);
+  await db.runInTransaction(async () => {
+    const plot = await getPlotById(id);
+    if (!plot.id) {
+      const err = new Error('Plot not found');
+      err.status = 404;
+      throw err;
+    }
+    if (!plot.held_by) return;
+    if (heldBy && plot.held_by !== heldBy) {
+      const err = new Error(`Plot is held by ${plot.held_by}`);
+      err.status = 409;
+      throw err;
+    }
+    await db.runQuery('DELETE FROM reservations WHERE plot_id = ?', [plot.id]);
+    await db.runQuery(`UPDATE plots SET status = 'available' WHERE id = ? AND status = 'selected'`, [plot.id]);
+  });
+  return await getPlotById(id);
+}
+
+/**
+ * Return plots whose hold has expired to available
+ */
+async function releaseExpiredReservations() {
+  const now = new Date().toISOString();
+  if (useSupabase) return await sbReleaseExpiredReservations(now);
+  return await db.runInTransaction(async () => {
+    const expired = await db.allQuery(
+      `SELECT id FROM plots
+       WHERE status = 'selected'
+         AND id IN (SELECT plot_id FROM reservations WHERE expires_at <= ?)`,
+      [now]
+    );
+    const ids = expired.map(p => p.id);
+    if (ids.length > 0) {
+      await db.runQuery(
+        `UPDATE plots SET status = 'available' WHERE id IN (${ids.map(() => '?').join(',')})`,
+        ids
+      );
+    }
+    await db.runQuery('DELETE FROM reservations WHERE expires_at <= ?', [now]);
+    return { releasedCount: ids.length, plotIds: ids };
+  });
+}
+
+// ============ PURCHASES ============
+/**
+ * Sell plots and record the transaction atomically, priced like a quote:
+ * effective prices less any volume tier, promo_code and manual_discount
+ * (options.approved_by is the admin giving it).
+ * Fails with 409 (err.conflicts = plot ids) if any plot is no longer available.
+ */
+async function createPurchase(data, options = {}) {
+  const { buyer_id, held_by, notes } = data;
+  const plotIds = normalizePlotIds(data.plot_ids);
+  if (!buyer_id || plotIds.length === 0) {
+    const err = new Error('Missing required fields: buyer_id, plot_ids');
+    err.status = 400;
+    throw err;
+  }
+  const terms = normalizePaymentPlan(data.payment_plan);
+  return await sellPlots({ buyer_id, plot_ids: plotIds, held_by, notes, terms }, plots => quotePlots(plots, data, options));
+}
+
+/**
+ * The plot rows for plotIds, in that order; 409 (err.conflicts = plot
+ * ids) if any is missing or isFree(plot) says it can't be taken
+ */
+function takePlots(plotIds, plots, isFree) {
+  const byId = new Map(plots.map(p => [Number(p.id), p]));
+  const conflicts = plotIds.filter(id => !byId.has(id) || !isFree(byId.get(id)));
+  if (conflicts.length > 0) {
+    const err = new Error('Some plots are no longer available');
+    err.status = 409;
+    err.conflicts = conflicts;
+    throw err;
+  }
+  return plotIds.map(id => byId.get(id));
+}
+
+/**
+ * Mark plots sold to buyer_id and record the transaction, its line items
+ * and payment plan (terms from normalizePaymentPlan) in one go.
+ * price(plots) gives what to charge (see quotePlots) for the plot rows;
+ * accept(transactionId), if given, runs as part of the same sale.
+ * Returns the transaction.
+ */
+async function sellPlots({ buyer_id, plot_ids: plotIds, held_by, notes, terms }, price, accept) {
+  if (useSupabase) {
+    // purchase_plots() charges the total worked out here; it still checks
+    // the plots are free, but doesn't know about quotes
+    const holds = await liveQuoteHolds();
+    const rows = (await sbGetPlotsByIds(plotIds)).map(row => withQuoteHold(row, holds));
+    const plots = takePlots(plotIds, rows, plot => !isQuotedAway(plot, buyer_id));
+    const quote = await price(plots);
+    const tx = await sellWithLines(quote, () => sbCreatePurchase({ buyer_id, plot_ids: plotIds, held_by, notes, total_amount: quote.total_amount }));
+    await sbCreatePaymentPlan(tx.id, buildInstallmentSchedule(Number(tx.total_amount), terms));
+    if (accept) await accept(tx.id);
+    return await getTransaction(tx.id);
+  }
+
+  const txId = await db.runInTransaction(async () => {
+    const buyer = await db.getQuery('SELECT id, budget, total_spent FROM buyers WHERE id = ?', [buyer_id]);
+    if (!buyer.id) {
+      const err = new Error('Buyer not found');
+      err.status = 404;
+      throw err;
+    }
+
+    const placeholders = plotIds.map(() => '?').join(',');
+    const holds = await liveQuoteHolds();
+    const rows = await db.allQuery(`${PLOT_SELECT} WHERE p.id IN (${placeholders})`, plotIds);
+    const plots = takePlots(plotIds, rows.map(row => withQuoteHold(row, holds)), plot => isPlotFreeFor(plot, { buyer_id, held_by }));
+
+    const quote = await price(plots);
+    const totalAmount = quote.total_amount;
+    const schedule = buildInstallmentSchedule(totalAmount, terms);
+    await db.runQuery(
+      `UPDATE plots SET status = 'sold', buyer_id = ?, sold_date = ? WHERE id IN (${placeholders})`,
+      [buyer_id, new Date().toISOString(), ...plotIds]
+    );
+    await db.runQuery(`DELETE FROM reservations WHERE plot_id IN (${placeholders})`, plotIds);
+    const result = await db.runQuery(
+      `INSERT INTO transactions (buyer_id, plot_ids, total_amount, gross_amount, discount_amount, estate_id, notes, payment_status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')`,
+      [buyer_id, plotIds.join(','), totalAmount, quote.gross_amount, quote.discount_amount, quote.estate_id, notes || '']
+    );
+    await insertSaleLines(result.lastID, quote);
+    await insertPaymentPlan(result.lastID, schedule);
+    const newTotal = Number(buyer.total_spent || 0) + totalAmount;
+    await db.runQuery(
+      `UPDATE buyers SET total_spent = ?, remaining_balance = ? WHERE id = ?`,
+      [newTotal, Number(buyer.budget || 0) - newTotal, buyer_id]
+    );
+    if (accept) await accept(result.lastID);
+    return result.lastID;
+  });
+
+  return await getTransaction(txId);
+}
+
+// ============ QUOTES ============
+// A quote offers plots to a buyer at fixed prices until valid_until.
+// draft -> sent -> accepted (converted into a sale) or expired. A draft
+// or sent quote is live until the end of its valid_until day, and while
+// it is live its plots are held for its buyer: nobody else can reserve,
+// buy or quote them, though plots.status doesn't change.
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'expired'];
+const LIVE_QUOTE_STATUSES = ['draft', 'sent'];
+// Stored as JSON text on SQLite, jsonb on PostgreSQL
+const QUOTE_JSON_COLUMNS = ['line_items', 'manual_discount', 'payment_plan'];
+
+// Quotes with their buyer's details
+const QUOTE_SELECT = `
+  SELECT
+    q.*,
+    b.name as buyer_name,
+    b.email as buyer_email,
+    b.phone as buyer_phone,
+    b.address as buyer_address,
+    b.occupation as buyer_occupation
+  FROM quotes q
+  LEFT JOIN buyers b ON q.buyer_id = b.id`;
+
+const isLiveQuote = (quote, today) => LIVE_QUOTE_STATUSES.includes(quote.status) && quote.valid_until >= today;
+
+// A quote row with its JSON parsed; a lapsed draft or sent quote reads as expired
+function quoteRow(row) {
+  if (!row || !row.id) return row;
+  const quote = { ...row };
+  for (const column of QUOTE_JSON_COLUMNS) {
+    if (typeof quote[column] === 'string') quote[column] = JSON.parse(quote[column]);
+  }
+  if (LIVE_QUOTE_STATUSES.includes(quote.status) && !isLiveQuote(quote, toDateString(new Date()))) {
+    quote.status = 'expired';
+  }
+  return quote;
+}
+
+// Quote values as SQL values (JSON columns as text)
+function quoteColumnValues(values) {
+  if (useSupabase) return values;
+  const columns = { ...values };
+  for (const column of QUOTE_JSON_COLUMNS) {
+    if (isSet(columns[column])) columns[column] = JSON.stringify(columns[column]);
+  }
+  return columns;
+}
+
+function quoteNotFound() {
+  const err = new Error('Quote not found');
+  err.status = 404;
+  return err;
+}
+
+function quoteConflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+// Every live quote: id, buyer_id, plot_ids, valid_until and line_items
+async function liveQuotes() {
+  const today = toDateString(new Date());
+  const quotes = useSupabase
+    ? await sbGetLiveQuotes(today)
+    : await db.allQuery(
+      `SELECT id, buyer_id, plot_ids, valid_until, line_items FROM quotes
+       WHERE status IN ('draft', 'sent') AND valid_until >= ?`,
+      [today]
+    );
+  return quotes.map(quoteRow);
+}
+
+// Map of plot id -> { quote_id, buyer_id, valid_until } for every live quote
+async function liveQuoteHolds() {
+  const holds = new Map();
+  for (const quote of await liveQuotes()) {
+    for (const plotId of normalizePlotIds(quote.plot_ids)) {
+      holds.set(plotId, { quote_id: quote.id, buyer_id: quote.buyer_id, valid_until: quote.valid_until });
+    }
+  }
+  return holds;
+}
+
+// A plot with the live quote holding it (quote_id, quoted_buyer_id, quoted_until), null if none
+function withQuoteHold(plot, holds) {
+  if (!plot || !plot.id) return plot;
+  const hold = holds.get(Number(plot.id));
+  return {
+    ...plot,
+    quote_id: hold ? hold.quote_id : null,
+    quoted_buyer_id: hold ? hold.buyer_id : null,
+    quoted_until: hold ? hold.valid_until : null
+  };
+}
+
+/**
+ * Check and price a quote ({ buyer_id, plot_ids, promo_code?,
+ * manual_discount?, payment_plan?, valid_until?, notes? }) as a sale of
+ * its plots would be priced today. Every plot must be free for the buyer
+ * (held_by is the agent asking) and not under another live quote; 409
+ * with err.conflicts otherwise. quoteId is the quote being changed.
+ * Returns the columns to store.
+ */
+async function priceQuote(data, { held_by, approved_by, quoteId } = {}) {
+  const today = toDateString(new Date());
+  const plotIds = normalizePlotIds(data.plot_ids);
+  const validUntil = data.valid_until
+    ? new Date(data.valid_until)
+    : new Date(Date.now() + QUOTE_VALID_DAYS * 24 * 60 * 60 * 1000);
+  const errors = [];
+  if (!data.buyer_id) {
+    errors.push({ field: 'buyer_id', code: 'required', message: 'is required' });
+  } else if (!(await getBuyer(data.buyer_id)).id) {
+    errors.push({ field: 'buyer_id', code: 'not_found', message: 'no such buyer' });
+  }
+  if (plotIds.length === 0) errors.push({ field: 'plot_ids', code: 'required', message: 'is required' });
+  if (Number.isNaN(validUntil.getTime())) {
+    errors.push({ field: 'valid_until', code: 'type', message: 'must be a date' });
+  } else if (toDateString(validUntil) < today) {
+    errors.push({ field: 'valid_until', code: 'range', message: 'must not be in the past' });
+  }
+  if (errors.length > 0) throw validationError(errors);
+  const terms = normalizePaymentPlan(data.payment_plan);
+
+  const holds = await liveQuoteHolds();
+  const rows = (await loadSalePlots(plotIds)).map(plot => withQuoteHold(plot, holds));
+  const holder = { buyer_id: data.buyer_id, held_by };
+  const plots = takePlots(plotIds, rows, plot => (!plot.quote_id || String(plot.quote_id) === String(quoteId))
+    && isPlotFreeFor({ ...plot, quote_id: null }, holder));
+  const quote = await quotePlots(plots, data, { approved_by });
+  // Fails now, not at conversion, if the deposit is more than the total
+  buildInstallmentSchedule(quote.total_amount, terms);
+
+  const manual = quote.line_items.find(line => line.kind === 'manual_discount');
+  return {
+    buyer_id: Number(data.buyer_id),
+    estate_id: quote.estate_id,
+    plot_ids: plotIds.join(','),
+    line_items: quote.line_items,
+    gross_amount: quote.gross_amount,
+    discount_amount: quote.discount_amount,
+    total_amount: quote.total_amount,
+    promo_code: data.promo_code ? String(data.promo_code).trim().toUpperCase() : null,
+    manual_discount: manual ? { ...data.manual_discount, approved_by: manual.approved_by } : null,
+    payment_plan: data.payment_plan || null,
+    valid_until: toDateString(validUntil),
+    notes: data.notes || ''
+  };
+}
+
+/**
+ * Quotes, newest first (filters: status, buyer_id, estate_id; options:
+ * see listQuery). status is what quoteRow shows, so ?status=expired
+ * includes lapsed drafts.
+ */
+async function listQuotes(filters = {}, options = {}) {
+  // Whether a quote has lapsed needs status and valid_until, so ?fields= is applied afterwards
+  const { fields, ...listOptions } = options;
+  const today = toDateString(new Date());
+  let result;
+  if (useSupabase) {
+    result = await listSupabase('quotes', (sort, paging) => sbGetAllQuotes(filters, { sort, paging }, today), listOptions);
+  } else {
+    let query = `${QUOTE_SELECT} WHERE 1=1`;
+    const params = [];
+    if (filters.status === 'expired') {
+      query += ` AND (q.status = 'expired' OR (q.status IN ('draft', 'sent') AND q.valid_until < ?))`;
+      params.push(today);
+    } else if (LIVE_QUOTE_STATUSES.includes(filters.status)) {
+      query += ' AND q.status = ? AND q.valid_until >= ?';
+      params.push(filters.status, today);
+    } else if (filters.status) {
+      query += ' AND q.status = ?';
+      params.push(filters.status);
+    }
+    if (filters.buyer_id) {
+      query += ' AND q.buyer_id = ?';
+      params.push(filters.buyer_id);
+    }
+    if (filters.estate_id) {
+      query += ' AND q.estate_id = ?';
+      params.push(filters.estate_id);
+    }
+    result = await listQuery('quotes', query, params, 'q.created_at DESC, q.id DESC', listOptions);
+  }
+  return { ...result, rows: pickFields(result.rows.map(quoteRow), fields) };
+}
+
+/**
+ * Get a quote with its buyer's details
+ */
+async function getQuote(id) {
+  return quoteRow(useSupabase
+    ? await sbGetQuoteById(id)
+    : await db.getQuery(`${QUOTE_SELECT} WHERE q.id = ?`, [id]));
+}
+
+/**
+ * Save a draft quote. created_by is the agent making it;
+ * options.approved_by is the admin giving a manual discount.
+ */
+async function createQuote(data, { created_by = '', approved_by } = {}) {
+  if (useSupabase) {
+    const values = await priceQuote(data, { held_by: created_by, approved_by });
+    const quote = await sbCreateQuote({ ...values, status: 'draft', created_by });
+    return await getQuote(quote.id);
+  }
+  const id = await db.runInTransaction(async () => {
+    const values = await priceQuote(data, { held_by: created_by, approved_by });
+    return await insertColumns('quotes', { ...quoteColumnValues(values), status: 'draft', created_by });
+  });
+  return await getQuote(id);
+}
+
+/**
+ * Change a draft quote; only the fields given change, null clears
+ * promo_code, manual_discount or payment_plan. The quote is priced
+ * again at today's prices. A manual discount already on it keeps the
+ * admin who gave it.
+ */
+async function updateQuote(id, data, { held_by = '', approved_by } = {}) {
+  const save = async () => {
+    const quote = await getQuote(id);
+    if (!quote || !quote.id) throw quoteNotFound();
+    if (quote.status !== 'draft') throw quoteConflict(`Only a draft quote can be changed; quote #${quote.id} is ${quote.status}`);
+    const stored = {
+      buyer_id: quote.buyer_id,
+      plot_ids: quote.plot_ids,
+      promo_code: quote.promo_code,
+      manual_discount: quote.manual_discount,
+      payment_plan: quote.payment_plan,
+      valid_until: quote.valid_until,
+      notes: quote.notes
+    };
+    const keptDiscount = data.manual_discount === undefined && quote.manual_discount;
+    const values = await priceQuote({ ...stored, ...data }, {
+      held_by,
+      approved_by: keptDiscount ? quote.manual_discount.approved_by : approved_by,
+      quoteId: quote.id
+    });
+    if (useSupabase) await sbUpdateQuote(quote.id, values);
+    else await updateColumns('quotes', quote.id, quoteColumnValues(values));
+  };
+  if (useSupabase) await save();
+  else await db.runInTransaction(save);
+  return await getQuote(id);
+}
+
+/**
+ * Mark a draft quote sent to the buyer (sending it again updates sent_at)
+ */
+async function sendQuote(id) {
+  const quote = await getQuote(id);
+  if (!quote || !quote.id) throw quoteNotFound();
+  if (!LIVE_QUOTE_STATUSES.includes(quote.status)) throw quoteConflict(`Quote #${quote.id} is ${quote.status}`);
+  const values = { status: 'sent', sent_at: new Date().toISOString() };
+  if (useSupabase) await sbUpdateQuote(quote.id, values);
+  else await updateColumns('quotes', quote.id, values);
+  return await getQuote(id);
+}
+
+/**
+ * Withdraw a live quote, releasing its plots
+ */
+async function expireQuote(id) {
+  const quote = await getQuote(id);
+  if (!quote || !quote.id) throw quoteNotFound();
+  if (!LIVE_QUOTE_STATUSES.includes(quote.status)) throw quoteConflict(`Quote #${quote.id} is already ${quote.status}`);
+  if (useSupabase) await sbUpdateQuote(quote.id, { status: 'expired' });
+  else await updateColumns('quotes', quote.id, { status: 'expired' });
+  return await getQuote(id);
+}
+
+/**
+ * Turn a live quote into a sale at the quoted prices, even if list
+ * prices or discounts have changed since: the plots are marked sold and
+ * the transaction gets the quote's line items and payment plan. held_by
+ * is the agent converting it. Returns the transaction.
+ */
+async function convertQuote(id, { held_by = '' } = {}) {
+  const quote = await getQuote(id);
+  if (!quote || !quote.id) throw quoteNotFound();
+  if (quote.status === 'accepted') {
+    throw quoteConflict(`Quote #${quote.id} was already converted into transaction #${quote.transaction_id}`);
+  }
+  if (quote.status === 'expired') throw quoteConflict(`Quote #${quote.id} has expired`);
+
+  // Only one conversion wins if two run at once
+  const accept = async (transactionId) => {
+    const values = { status: 'accepted', transaction_id: transactionId, accepted_at: new Date().toISOString() };
+    const accepted = useSupabase
+      ? await sbUpdateQuote(quote.id, values, LIVE_QUOTE_STATUSES)
+      : (await db.runQuery(
+        `UPDATE quotes SET status = ?, transaction_id = ?, accepted_at = ?
+         WHERE id = ? AND status IN ('draft', 'sent')`,
+        [values.status, values.transaction_id, values.accepted_at, quote.id]
+      )).changes > 0;
+    if (!accepted) throw quoteConflict(`Quote #${quote.id} is no longer open`);
+  };
+  const sale = {
+    buyer_id: quote.buyer_id,
+    plot_ids: normalizePlotIds(quote.plot_ids),
+    held_by,
+    notes: quote.notes || `From quote #${quote.id}`,
+    terms: normalizePaymentPlan(quote.payment_plan)
+  };
+  return await sellPlots(sale, () => quote, accept);
+}
+
+/**
+ * Mark draft and sent quotes past their valid_until expired
+ */
+async function expireQuotes() {
+  const today = toDateString(new Date());
+  if (useSupabase) return await sbExpireQuotes(today);
+  return await db.runInTransaction(async () => {
+    const lapsed = await db.allQuery(
+      `SELECT id, plot_ids FROM quotes WHERE status IN ('draft', 'sent') AND valid_until < ?`,
+      [today]
+    );
+    const ids = lapsed.map(quote => quote.id);
+    if (ids.length > 0) {
+      await db.runQuery(
+        `UPDATE quotes SET status = 'expired' WHERE id IN (${ids.map(() => '?').join(',')})`,
+        ids
+      );
+    }
+    return { expiredCount: ids.length, quoteIds: ids, plotIds: lapsed.flatMap(quote => normalizePlotIds(quote.plot_ids)) };
+  });
+}
+
+// ============ PAYMENTS ============
+/**
+ * Get payments, newest first.
+ * Filters: buyer_id, transaction_id, method, from/to (YYYY-MM-DD, on paid_at)
+ */
+async function listPayments(filters = {}, options = {}) {
+  const dates = {};
+  for (const key of ['from', 'to']) {
+    if (!filters[key]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(filters[key]) || Number.isNaN(new Date(filters[key]).getTime())) {
+      const err = new Error(`${key} must be a date (YYYY-MM-DD)`);
+      err.status = 400;
+      throw err;
+    }
+    // paid_at is a full timestamp, so `to` covers the whole day
+    dates[key] = key === 'to' ? `${filters[key]}T23:59:59.999Z` : filters[key];
+  }
+  if (useSupabase) {
+    return await listSupabase('payments', (sort, paging) => sbGetAllPayments({ ...filters, ...dates }, { sort, paging }), options);
+  }
+  let query = `SELECT * FROM payments WHERE 1=1`;
+  const params = [];
+  if (filters.buyer_id) { query += ' AND buyer_id = ?'; params.push(filters.buyer_id); }
+  if (filters.transaction_id) { query += ' AND transaction_id = ?'; params.push(filters.transaction_id); }
+  if (filters.method) { query += ' AND method = ?'; params.push(filters.method); }
+  if (dates.from) { query += ' AND paid_at >= ?'; params.push(dates.from); }
+  if (dates.to) { query += ' AND paid_at <= ?'; params.push(dates.to); }
+  return await listQuery('payments', query, params, 'COALESCE(paid_at, created_at) DESC, id DESC', options);
+}
+
+/**
+ * Get one payment with the installments it was applied to
+ */
+async function getPayment(id) {
+  if (useSupabase) return await sbGetPaymentById(id);
+  const payment = await db.getQuery('SELECT * FROM payments WHERE id = ?', [id]);
+  if (!payment.id) return payment;
+  payment.allocations = await db.allQuery(
+    `SELECT a.installment_id, i.sequence, a.amount
+     FROM payment_allocations a
+     JOIN installments i ON i.id = a.installment_id
+     WHERE a.payment_id = ?
+     ORDER BY i.sequence`,
+    [payment.id]
+  );
+  return payment;
+}
+
+/**
+ * Validate a payment request. A payment is normally made against a
+ * transaction (its buyer is taken from the transaction); a payment with only
+ * a buyer_id goes straight to that buyer's credit.
+ */
+function validatePayment(data) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+  const amount = Number(data.amount);
+  if (!data.transaction_id && !data.buyer_id) fail('Missing required fields: transaction_id or buyer_id, amount');
+  if (!Number.isFinite(amount) || amount <= 0) fail('amount must be greater than zero');
+  let paidAt = null;
+  if (data.paid_at) {
+    const parsed = new Date(data.paid_at);
+    if (Number.isNaN(parsed.getTime())) fail('paid_at must be a valid date');
+    paidAt = parsed.toISOString();
+  }
+  return {
+    transaction_id: data.transaction_id ? Number(data.transaction_id) : null,
+    buyer_id: data.buyer_id ? Number(data.buyer_id) : null,
+    amount,
+    method: data.method || '',
+    reference: data.reference || '',
+    notes: data.notes || '',
+    paid_at: paidAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Split a payment across the open installments, oldest first.
+ * Returns the allocations and whatever is left over.
+ */
+function allocateToInstallments(amount, installments) {
+  const allocations = [];
+  let left = amount;
+  for (const inst of installments) {
+    if (left <= 0) break;
+    const open = Number(inst.amount_due) - Number(inst.amount_paid || 0);
+    if (open <= 0) continue;
+    const applied = Math.min(open, left);
+    allocations.push({ installment: inst, amount: applied });
+    left -= applied;
+  }
+  return { allocations, leftover: left };
+}
+
+/**
+ * Record a payment. Money is applied to the transaction's installments
+ * oldest-first; anything beyond what the transaction still owes is added to
+ * the buyer's credit_balance.
+ */
+async function createPayment(data) {
+  const payment = validatePayment(data);
+  if (useSupabase) return await sbCreatePayment(payment);
+
+  return await db.runInTransaction(async () => {
+    let buyerId = payment.buyer_id;
+    let installments = [];
+    let outstanding = 0;
+    if (payment.transaction_id) {
+      const tx = await db.getQuery('SELECT id, buyer_id, total_amount, payment_status FROM transactions WHERE id = ?', [payment.transaction_id]);
+      if (!tx.id) {
+        const err = new Error('Transaction not found');
+        err.status = 404;
+        throw err;
+      }
+      if (tx.payment_status === 'cancelled') {
+        const err = new Error('Cannot record a payment on a cancelled transaction');
+        err.status = 409;
+        throw err;
+      }
+      if (buyerId && buyerId !== tx.buyer_id) {
+        const err = new Error('buyer_id does not match the transaction');
+        err.status = 400;
+        throw err;
+      }
+      buyerId = tx.buyer_id;
+      installments = await db.allQuery(
+        'SELECT * FROM installments WHERE transaction_id = ? ORDER BY due_date, sequence',
+        [tx.id]
+      );
+      if (installments.length === 0) {
+        // Sales made before payment plans existed: owe the total less earlier payments
+        const paid = await db.getQuery(
+          'SELECT COALESCE(SUM(amount - credit_amount), 0) as paid FROM payments WHERE transaction_id = ? AND voided_at IS NULL',
+          [tx.id]
+        );
+        outstanding = Math.max(0, Number(tx.total_amount) - Number(paid.paid));
+      }
+    }
+
+    const buyer = await db.getQuery('SELECT id, budget, total_spent FROM buyers WHERE id = ?', [buyerId]);
+    if (!buyer.id) {
+      const err = new Error('Buyer not found');
+      err.status = 404;
+      throw err;
+    }
+
+    let { allocations, leftover } = allocateToInstallments(payment.amount, installments);
+    if (installments.length === 0 && payment.transaction_id) {
+      leftover = Math.max(0, payment.amount - outstanding);
+    }
+    const applied = payment.amount - leftover;
+
+    const result = await db.runQuery(
+      `INSERT INTO payments (buyer_id, transaction_id, amount, credit_amount, method, reference, notes, paid_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [buyerId, payment.transaction_id, payment.amount, leftover, payment.method, payment.reference, payment.notes, payment.paid_at]
+    );
+    for (const { installment, amount } of allocations) {
+      const paid = Number(installment.amount_paid || 0) + amount;
+      await db.runQuery(
+        `UPDATE installments SET amount_paid = ?, status = ? WHERE id = ?`,
+        [paid, paid >= Number(installment.amount_due) ? 'paid' : 'partial', installment.id]
+      );
+      await db.runQuery(
+        `INSERT INTO payment_allocations (payment_id, installment_id, amount) VALUES (?, ?, ?)`,
+        [result.lastID, installment.id, amount]
+      );
+    }
+
+    // Update buyer totals (payment increases remaining: decreases total_spent)
+    const newTotal = Number(buyer.total_spent || 0) - applied;
+    await db.runQuery(
+      `UPDATE buyers SET total_spent = ?, remaining_balance = ?, credit_balance = credit_balance + ? WHERE id = ?`,
+      [Math.max(newTotal, 0), Number(buyer.budget) - newTotal, leftover, buyerId]
+    );
+
+    if (payment.transaction_id) {
+      await refreshPaymentStatus(payment.transaction_id);
+    }
+
+    const saved = await db.getQuery('SELECT * FROM payments WHERE id = ?', [result.lastID]);
+    saved.allocations = allocations.map(a => ({
+      installment_id: a.installment.id,
+      sequence: a.installment.sequence,
+      amount: a.amount
+    }));
+    return saved;
+  });
+}
+
+/**
+ * Void a payment recorded by mistake. Its installment allocations and buyer
+ * totals are reversed and the transaction status recomputed; the payment
+ * row is kept (with voided_at/void_reason/voided_by) so receipts stay
+ * accounted for.
+ */
+async function voidPayment(id, { reason, voided_by } = {}) {
+  const fail = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    throw err;
+  };
+  const voidReason = String(reason || '').trim();
+  if (!voidReason) fail('Missing required field: reason', 400);
+  if (useSupabase) return await sbVoidPayment(id, { reason: voidReason, voided_by });
+
+  await db.runInTransaction(async () => {
+    const payment = await db.getQuery('SELECT * FROM payments WHERE id = ?', [id]);
+    if (!payment.id) fail('Payment not found', 404);
+    if (payment.voided_at) fail('Payment is already voided', 409);
+    if (payment.transaction_id) {
+      const tx = await db.getQuery('SELECT payment_status FROM transactions WHERE id = ?', [payment.transaction_id]);
+      if (tx.payment_status === 'cancelled') fail('Cannot void a payment on a cancelled transaction', 409);
+    }
+
+    const allocations = await db.allQuery(
+      `SELECT a.amount, i.id, i.amount_due, i.amount_paid
+       FROM payment_allocations a
+       JOIN installments i ON i.id = a.installment_id
+       WHERE a.payment_id = ?`,
+      [payment.id]
+    );
+    for (const allocation of allocations) {
+      const paid = Math.max(0, Number(allocation.amount_paid || 0) - Number(allocation.amount));
+      const status = paid >= Number(allocation.amount_due) ? 'paid' : paid > 0 ? 'partial' : 'pending';
+      await db.runQuery('UPDATE installments SET amount_paid = ?, status = ? WHERE id = ?', [paid, status, allocation.id]);
+    }
+
+    // Undo what createPayment did to the buyer totals
+    const credit = Number(payment.credit_amount || 0);
+    const applied = Number(payment.amount) - credit;
+    const buyer = await db.getQuery('SELECT budget, total_spent FROM buyers WHERE id = ?', [payment.buyer_id]);
+    if (buyer.budget !== undefined) {
+      const newTotal = Number(buyer.total_spent || 0) + applied;
+      await db.runQuery(
+        `UPDATE buyers SET total_spent = ?, remaining_balance = ?, credit_balance = credit_balance - ? WHERE id = ?`,
+        [newTotal, Number(buyer.budget) - newTotal, credit, payment.buyer_id]
+      );
+    }
+
+    await db.runQuery(
+      'UPDATE payments SET voided_at = ?, void_reason = ?, voided_by = ? WHERE id = ?',
+      [new Date().toISOString(), voidReason, voided_by || null, payment.id]
+    );
+    if (payment.transaction_id) {
+      await refreshPaymentStatus(payment.transaction_id);
+    }
+  });
+
+  return await getPayment(id);
+}
+
+// ============ CANCELLATIONS ============
+async function listRefunds(filters = {}) {
+  if (useSupabase) return await sbGetAllRefunds(filters);
+  let query = `SELECT * FROM refunds WHERE 1=1`;
+  const params = [];
+  if (filters.buyer_id) { query += ' AND buyer_id = ?'; params.push(filters.buyer_id); }
+  if (filters.transaction_id) { query += ' AND transaction_id = ?'; params.push(filters.transaction_id); }
+  query += ' ORDER BY created_at DESC, id DESC';
+  return await db.allQuery(query, params);
+}
+
+/**
+ * Cancel a sale: its plots go back to available, the buyer totals the sale
+ * added are reversed, a promo code use it counted is given back and, if
+ * refund_amount is given, a refund is recorded.
+ * The refund cannot exceed what was paid towards the transaction; any paid
+ * amount that is not refunded is kept.
+ */
+async function cancelTransaction(id, { reason, refund_amount } = {}) {
+  const fail = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    throw err;
+  };
+  const cancelReason = String(reason || '').trim();
+  if (!cancelReason) fail('Missing required field: reason', 400);
+  const refund = refund_amount === undefined || refund_amount === null || refund_amount === '' ? 0 : Number(refund_amount);
+  if (!Number.isFinite(refund) || refund < 0) fail('refund_amount must be zero or more', 400);
+  if (useSupabase) {
+    await sbCancelTransaction(id, { reason: cancelReason, refund_amount: refund });
+    for (const line of await sbGetTransactionLineItems(id)) {
+      if (line.promo_code_id) await sbUsePromoCode(line.promo_code_id, -1);
+    }
+  } else {
+    await db.runInTransaction(async () => {
+      const tx = await db.getQuery('SELECT * FROM transactions WHERE id = ?', [id]);
+      if (!tx.id) fail('Transaction not found', 404);
+      if (tx.payment_status === 'cancelled' || !canTransition(tx.payment_status || 'pending', 'cancelled')) {
+        fail(`Cannot cancel a transaction that is ${tx.payment_status}`, 409);
+      }
+      const paid = await db.getQuery(
+        'SELECT COALESCE(SUM(amount - credit_amount), 0) as paid FROM payments WHERE transaction_id = ? AND voided_at IS NULL',
+        [tx.id]
+      );
+      const amountPaid = Number(paid.paid);
+      if (refund > amountPaid) fail(`refund_amount cannot exceed the ${amountPaid} paid on this transaction`, 400);
+
+      const plotIds = normalizePlotIds(tx.plot_ids);
+      if (plotIds.length > 0) {
+        const placeholders = plotIds.map(() => '?').join(',');
+        await db.runQuery(
+          `UPDATE plots SET status = 'available', buyer_id = NULL, sold_date = NULL
+           WHERE id IN (${placeholders}) AND buyer_id = ?`,
+          [...plotIds, tx.buyer_id]
+        );
+        await db.runQuery(`DELETE FROM reservations WHERE plot_id IN (${placeholders})`, plotIds);
+      }
+
+      await db.runQuery(
+        `UPDATE promo_codes SET used_count = used_count - 1
+         WHERE used_count > 0
+           AND id IN (SELECT promo_code_id FROM transaction_line_items WHERE transaction_id = ?)`,
+        [tx.id]
+      );
+
+      if (refund > 0) {
+        await db.runQuery(
+          `INSERT INTO refunds (transaction_id, buyer_id, amount, reason) VALUES (?, ?, ?, ?)`,
+          [tx.id, tx.buyer_id, refund, cancelReason]
+        );
+      }
+
+      // The purchase added total_amount to total_spent and each payment took
+      // its applied amount back off, so the sale's net share is what was unpaid
+      const buyer = await db.getQuery('SELECT budget, total_spent FROM buyers WHERE id = ?', [tx.buyer_id]);
+      if (buyer.budget !== undefined) {
+        const newTotal = Math.max(0, Number(buyer.total_spent || 0) - (Number(tx.total_amount) - amountPaid));
+        await db.runQuery(
+          `UPDATE buyers SET total_spent = ?, remaining_balance = ? WHERE id = ?`,
+          [newTotal, Number(buyer.budget) - newTotal, tx.buyer_id]
+        );
+      }
+
+      await db.runQuery(
+        `UPDATE transactions SET payment_status = 'cancelled', cancel_reason = ?, cancelled_at = ? WHERE id = ?`,
+        [cancelReason, new Date().toISOString(), tx.id]
+      );
+    });
+  }
+
+  const transaction = await getTransaction(id);
+  transaction.refunds = await listRefunds({ transaction_id: id });
+  return transaction;
+}
+
+// ============ USERS & SESSIONS ============
+const USER_ROLES = ['admin', 'sales_agent', 'cashier', 'auditor'];
+
+// Passwords are stored as scrypt$<salt>$<hash>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Never send password hashes to clients
+function publicUser(user) {
+  if (!user || !user.id) return null;
+  const { password_hash, ...rest } = user;
+  return { ...rest, active: !!rest.active };
+}
+
+function validateUser(data, { partial = false } = {}) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+  if (!partial && (!data.username || !data.password || !data.role)) {
+    fail('Missing required fields: username, password, role');
+  }
+  if (data.username !== undefined && !/^[a-z0-9._-]{3,32}$/i.test(String(data.username))) {
+    fail('username must be 3-32 letters, digits, dots, dashes or underscores');
+  }
+  if (data.role !== undefined && !USER_ROLES.includes(data.role)) {
+    fail(`role must be one of: ${USER_ROLES.join(', ')}`);
+  }
+  if (data.password !== undefined && String(data.password).length < 8) {
+    fail('password must be at least 8 characters');
+  }
+}
+
+async function listUsers() {
+  const users = useSupabase
+    ? await sbGetAllUsers()
+    : await db.allQuery('SELECT * FROM users ORDER BY username');
+  return users.map(publicUser);
+}
+
+async function createUser(data) {
+  validateUser(data);
+  const username = String(data.username).toLowerCase();
+  const existing = useSupabase
+    ? await sbGetUserByUsername(username)
+    : await db.getQuery('SELECT id FROM users WHERE username = ?', [username]);
+  if (existing && existing.id) {
+    const err = new Error('A user with this username already exists');
+    err.status = 409;
+    throw err;
+  }
+  const user = {
+    username,
+    name: data.name || '',
+    role: data.role,
+    password_hash: await hashPassword(data.password)
+  };
+  if (useSupabase) return publicUser(await sbCreateUser(user));
+  const result = await db.runQuery(
+    `INSERT INTO users (username, name, role, password_hash) VALUES (?, ?, ?, ?)`,
+    [user.username, user.name, user.role, user.password_hash]
+  );
+  return publicUser(await db.getQuery('SELECT * FROM users WHERE id = ?', [result.lastID]));
+}
+
+/**
+ * Change a user's name, role, password or active flag.
+ * Deactivating a user or changing their password ends their sessions.
+ */
+async function updateUser(id, data) {
+  validateUser(data, { partial: true });
+  const updates = {};
+  if (data.name !== undefined) updates.name = data.name;
+  if (data.role !== undefined) updates.role = data.role;
+  if (data.active !== undefined) updates.active = data.active ? 1 : 0;
+  if (data.password !== undefined) updates.password_hash = await hashPassword(data.password);
+  if (Object.keys(updates).length === 0) {
+    const err = new Error('Nothing to update');
+    err.status = 400;
+    throw err;
+  }
+  const endSessions = updates.active === 0 || updates.password_hash !== undefined;
+
+  let user;
+  if (useSupabase) {
+    if (updates.active !== undefined) updates.active = !!updates.active;
+    user = await sbUpdateUser(id, updates, { endSessions });
+  } else {
+    const columns = Object.keys(updates);
+    await db.runQuery(
+      `UPDATE users SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(c => updates[c]), id]
+    );
+    if (endSessions) await db.runQuery('DELETE FROM sessions WHERE user_id = ?', [id]);
+    user = await db.getQuery('SELECT * FROM users WHERE id = ?', [id]);
+  }
+  if (!user || !user.id) {
+    const err = new Error('User not found');
+    err.status = 404;
+    throw err;
+  }
+  return publicUser(user);
+}
+
+/**
+ * Check a username and password and open a session.
+ * Returns the bearer token the client sends on later requests.
+ */
+async function login(username, password) {
+  const fail = () => {
+    const err = new Error('Invalid username or password');
+    err.status = 401;
+    throw err;
+  };
+  if (!username || !password) fail();
+  const name = String(username).toLowerCase();
+  const user = useSupabase
+    ? await sbGetUserByUsername(name)
+    : await db.getQuery('SELECT * FROM users WHERE username = ?', [name]);
+  if (!user || !user.id || !user.active) fail();
+  if (!(await verifyPassword(password, user.password_hash))) fail();
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000).toISOString();
+  if (useSupabase) {
+    await sbCreateSession({ user_id: user.id, token_hash: hashToken(token), expires_at: expiresAt });
+  } else {
+    await db.runQuery(
+      `INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)`,
+      [user.id, hashToken(token), expiresAt]
+    );
+  }
+  return { token, expires_at: expiresAt, user: publicUser(user) };
+}
+
+async function logout(token) {
+  if (!token) return;
+  if (useSupabase) return await sbDeleteSession(hashToken(token));
+  await db.runQuery('DELETE FROM sessions WHERE token_hash = ?', [hashToken(token)]);
+}
+
+/**
+ * Resolve a bearer token to its active user, or null if the token is
+ * unknown, expired or belongs to a deactivated user.
+ */
+async function getSessionUser(token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  let session;
+  let user;
+  if (useSupabase) {
+    session = await sbGetSessionByTokenHash(tokenHash);
+    user = session ? await sbGetUserById(session.user_id) : null;
+  } else {
+    session = await db.getQuery('SELECT * FROM sessions WHERE token_hash = ?', [tokenHash]);
+    user = session.id ? await db.getQuery('SELECT * FROM users WHERE id = ?', [session.user_id]) : null;
+  }
+  if (!session || !session.id) return null;
+  if (new Date(session.expires_at) <= new Date()) {
+    await logout(token);
+    return null;
+  }
+  if (!user || !user.id || !user.active) return null;
+  return publicUser(user);
+}
+
+/**
+ * Create the first admin account on an empty users table.
+ * Uses ADMIN_USERNAME / ADMIN_PASSWORD, or prints a generated password once.
+ */
+async function ensureAdminUser() {
+  const users = useSupabase
+    ? await sbGetAllUsers()
+    : await db.allQuery('SELECT id FROM users LIMIT 1');
+  if (users.length > 0) return null;
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  const user = await audited.createUser({ username, password, role: 'admin', name: 'Administrator' });
+  if (!process.env.ADMIN_PASSWORD) {
+    console.log(`✓ Created admin user "${username}" with password: ${password}`);
+    console.log('  Change it after logging in (PUT /api/users/:id)');
+  }
+  return user;
+}
+
+// ============ AUDIT LOG ============
+// Who is making the current request: middleware sets { actor, ip } per
+// request; work started outside a request (sweepers, startup) is 'system'
+const auditContext = new AsyncLocalStorage();
+
+const MAX_AUDIT_EVENTS = 500;
+
+/**
+ * Append one event to audit_events, inside the database transaction of
+ * the change it describes (see withAudit). Returns the change to publish
+ * to live listeners (see events.js) once that transaction has committed.
+ */
+async function recordAudit({ actor, action, entity, entity_id, before, after }) {
+  const context = auditContext.getStore() || {};
+  const event = {
+    actor: actor || context.actor || (auditContext.getStore() ? 'anonymous' : 'system'),
+    action,
+    entity,
+    entity_id: entity_id === undefined || entity_id === null ? null : String(entity_id),
+    before_json: before === undefined ? null : before,
+    after_json: after === undefined ? null : after,
+    ip: context.ip || null
+  };
+  if (useSupabase) {
+    await sbInsertAuditEvent(event);
+  } else {
+    await db.runQuery(
+      `INSERT INTO audit_events (actor, action, entity, entity_id, before_json, after_json, ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [event.actor, event.action, event.entity, event.entity_id,
+        event.before_json === null ? null : JSON.stringify(event.before_json),
+        event.after_json === null ? null : JSON.stringify(event.after_json),
+        event.ip]
+    );
+  }
+  return { action, entity, entity_id, data: after };
+}
+
+/**
+ * Get audit events, newest first.
+ * Filters: actor, action, entity, entity_id, from/to (YYYY-MM-DD), limit
+ */
+async function listAuditEvents(filters = {}) {
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), MAX_AUDIT_EVENTS);
+  const rows = useSupabase
+    ? await sbGetAuditEvents({ ...filters, limit })
+    : await (() => {
+      let query = 'SELECT * FROM audit_events WHERE 1=1';
+      const params = [];
+      if (filters.actor) { query += ' AND actor = ?'; params.push(filters.actor); }
+      if (filters.action) { query += ' AND action = ?'; params.push(filters.action); }
+      if (filters.entity) { query += ' AND entity = ?'; params.push(filters.entity); }
+      if (filters.entity_id) { query += ' AND entity_id = ?'; params.push(String(filters.entity_id)); }
+      if (filters.from) { query += ' AND date(created_at) >= ?'; params.push(filters.from); }
+      if (filters.to) { query += ' AND date(created_at) <= ?'; params.push(filters.to); }
+      query += ' ORDER BY id DESC LIMIT ?';
+      params.push(limit);
+      return db.allQuery(query, params);
+    })();
+  const parse = (value) => typeof value === 'string' ? JSON.parse(value) : value;
+  return rows.map(({ before_json, after_json, ...event }) => ({
+    ...event,
+    before: parse(before_json),
+    after: parse(after_json)
+  }));
+}
+
+// Read an entity for the log; a missing entity is recorded as null
+const snapshot = (load) => async (id) => {
+  try {
+    const row = await load(id);
+    return row && row.id ? row : null;
+  } catch (error) {
+    return null;
+  }
+};
+const plotSnapshot = snapshot(getPlotById);
+const estateSnapshot = snapshot(getEstate);
+const buyerSnapshot = snapshot(getBuyer);
+const transactionSnapshot = snapshot(getTransaction);
+const paymentSnapshot = snapshot(getPayment);
+const pricingRuleSnapshot = snapshot(getPricingRule);
+const promoCodeSnapshot = snapshot(getPromoCode);
+const volumeTierSnapshot = snapshot(getVolumeTier);
+const quoteSnapshot = snapshot(getQuote);
+const userSnapshot = snapshot(async (id) => publicUser(useSupabase
+  ? await sbGetUserById(id)
+  : await db.getQuery('SELECT * FROM users WHERE id = ?', [id])));
+
+/**
+ * Wrap a mutating function so every successful call is written to the log.
+ * On the SQL drivers the before snapshot, the change and its audit events
+ * make one database transaction: a failed audit write undoes the change.
+ * Live listeners hear about it after the commit.
+ *   id(...args)              - entity id known before the call (enables `before`)
+ *   load(id)                 - reads the entity for the before/after snapshots
+ *   resultId(result)         - entity id taken from the result (default: result.id)
+ *   ids(result, ...args)     - one event per id, for bulk changes
+ *   after(result, ...args)   - what to log as `after` (default: reload, or the result)
+ *   related(result, before, ...args) - extra events, e.g. plots touched by a sale;
+ *                            `after` defaults to the plot's snapshot
+ *   actor(result, ...args)   - who did it, when there is no signed-in user yet
+ */
+function withAudit(action, entity, fn, spec = {}) {
+  const run = async (changes, args) => {
+    const record = async (event) => changes.push(await recordAudit(event));
+    const entityId = spec.id ? spec.id(...args) : undefined;
+    const before = spec.load && entityId !== undefined ? await spec.load(entityId) : null;
+    const result = await fn(...args);
+    const actor = spec.actor ? spec.actor(result, ...args) : undefined;
+
+    if (spec.ids) {
+      for (const id of spec.ids(result, ...args)) {
+        await record({ actor, action, entity, entity_id: id, before: null, after: spec.load ? await spec.load(id) : null });
+      }
+    } else {
+      const id = entityId !== undefined ? entityId : spec.resultId ? spec.resultId(result) : result && result.id;
+      let after = result;
+      if (spec.after) after = spec.after(result, ...args);
+      else if (spec.load && id !== undefined) after = await spec.load(id);
+      await record({ actor, action, entity, entity_id: id, before, after });
+    }
+
+    if (spec.related) {
+      for (const event of spec.related(result, before, ...args)) {
+        const after = 'after' in event ? event.after : await plotSnapshot(event.entity_id);
+        await record({ actor, ...event, after });
+      }
+    }
+    return result;
+  };
+  return async (...args) => {
+    const changes = [];
+    const result = useSupabase
+      ? await run(changes, args)
+      : await db.runInTransaction(() => run(changes, args));
+    changes.forEach(publish);
+    return result;
+  };
+}
+
+// Plots changed by a sale or a cancellation, one event each
+const plotEvents = (action, plotIds) => normalizePlotIds(plotIds)
+  .map(id => ({ action, entity: 'plot', entity_id: id, before: null }));
+
+// The versions of the mutating functions that routes call
+const audited = {
+  updatePlot: withAudit('plot.update', 'plot', updatePlot, { id: (id) => id, load: plotSnapshot }),
+  updatePlotsBulk: withAudit('plot.bulk_update', 'plot', updatePlotsBulk, {
+    ids: (result, plotIds) => normalizePlotIds(plotIds),
+    load: plotSnapshot
+  }),
+  setPlotPrice: withAudit('plot.price', 'plot', setPlotPrice, { id: (id) => id, load: plotSnapshot }),
+  updatePlotSurvey: withAudit('plot.survey', 'plot', updatePlotSurvey, { id: (id) => id, load: plotSnapshot }),
+  importPlots: withAudit('plot.import', 'plot', importPlots, {
+    ids: (result) => result.plotIds,
+    load: plotSnapshot
+  }),
+  repricePlots: withAudit('plot.reprice', 'plot', repricePlots, {
+    after: (result, data) => ({ ...data, updatedCount: result.updatedCount })
+  }),
+  reservePlot: withAudit('plot.reserve', 'plot', reservePlot, { id: (id) => id, load: plotSnapshot }),
+  releasePlot: withAudit('plot.release', 'plot', releasePlot, { id: (id) => id, load: plotSnapshot }),
+  releaseExpiredReservations: withAudit('plot.release_expired', 'plot', releaseExpiredReservations, {
+    ids: (result) => result.plotIds,
+    load: plotSnapshot
+  }),
+  createEstate: withAudit('estate.create', 'estate', createEstate),
+  updateEstate: withAudit('estate.update', 'estate', updateEstate, { id: (id) => id, load: estateSnapshot }),
+  deleteEstate: withAudit('estate.delete', 'estate', deleteEstate, { id: (id) => id, load: estateSnapshot }),
+  createPricingRule: withAudit('pricing_rule.create', 'pricing_rule', createPricingRule),
+  updatePricingRule: withAudit('pricing_rule.update', 'pricing_rule', updatePricingRule, { id: (id) => id, load: pricingRuleSnapshot }),
+  deletePricingRule: withAudit('pricing_rule.delete', 'pricing_rule', deletePricingRule, { id: (id) => id, load: pricingRuleSnapshot }),
+  createPromoCode: withAudit('promo_code.create', 'promo_code', createPromoCode),
+  updatePromoCode: withAudit('promo_code.update', 'promo_code', updatePromoCode, { id: (id) => id, load: promoCodeSnapshot }),
+  deletePromoCode: withAudit('promo_code.delete', 'promo_code', deletePromoCode, { id: (id) => id, load: promoCodeSnapshot }),
+  createVolumeTier: withAudit('volume_tier.create', 'volume_tier', createVolumeTier),
+  updateVolumeTier: withAudit('volume_tier.update', 'volume_tier', updateVolumeTier, { id: (id) => id, load: volumeTierSnapshot }),
+  deleteVolumeTier: withAudit('volume_tier.delete', 'volume_tier', deleteVolumeTier, { id: (id) => id, load: volumeTierSnapshot }),
+  createBuyer: withAudit('buyer.create', 'buyer', createBuyer),
+  updateBuyer: withAudit('buyer.update', 'buyer', updateBuyer, { id: (id) => id, load: buyerSnapshot }),
+  mergeBuyers: withAudit('buyer.merge', 'buyer', mergeBuyers, {
+    id: (id) => id,
+    load: buyerSnapshot,
+    after: (result) => ({ ...result.buyer, merged_from: result.merged_from }),
+    // The duplicate is deleted by the merge
+    related: (result) => [{ action: 'buyer.merge', entity: 'buyer', entity_id: result.merged_from.id, before: result.merged_from, after: null }]
+  }),
+  createTransaction: withAudit('transaction.create', 'transaction', createTransaction),
+  createPurchase: withAudit('purchase.create', 'transaction', createPurchase, {
+    related: (tx) => plotEvents('plot.sell', tx.plot_ids)
+  }),
+  createQuote: withAudit('quote.create', 'quote', createQuote, {
+    related: (quote) => plotEvents('plot.quote', quote.plot_ids)
+  }),
+  updateQuote: withAudit('quote.update', 'quote', updateQuote, {
+    id: (id) => id,
+    load: quoteSnapshot,
+    related: (quote, before) => plotEvents('plot.quote', [
+      ...normalizePlotIds(before && before.plot_ids),
+      ...normalizePlotIds(quote.plot_ids)
+    ])
+  }),
+  sendQuote: withAudit('quote.send', 'quote', sendQuote, { id: (id) => id, load: quoteSnapshot }),
+  expireQuote: withAudit('quote.expire', 'quote', expireQuote, {
+    id: (id) => id,
+    load: quoteSnapshot,
+    related: (quote) => plotEvents('plot.quote_release', quote.plot_ids)
+  }),
+  expireQuotes: withAudit('quote.expire', 'quote', expireQuotes, {
+    ids: (result) => result.quoteIds,
+    load: quoteSnapshot,
+    related: (result) => plotEvents('plot.quote_release', result.plotIds)
+  }),
+  // One event for the sale, one for the quote it accepts
+  convertQuote: withAudit('quote.accept', 'quote', withAudit('quote.convert', 'transaction', convertQuote, {
+    related: (tx) => plotEvents('plot.sell', tx.plot_ids)
+  }), { id: (id) => id, load: quoteSnapshot }),
+  updateTransactionStatus: withAudit('transaction.status', 'transaction', updateTransactionStatus, {
+    id: (id) => id,
+    load: transactionSnapshot
+  }),
+  markOverdueTransactions: withAudit('transaction.overdue', 'transaction', markOverdueTransactions, {
+    ids: (result) => result.transactionIds,
+    load: transactionSnapshot
+  }),
+  cancelTransaction: withAudit('transaction.cancel', 'transaction', cancelTransaction, {
+    id: (id) => id,
+    load: transactionSnapshot,
+    after: (tx) => tx,
+    related: (tx, before) => plotEvents('plot.cancel_release', before && before.plot_ids)
+  }),
+  createPayment: withAudit('payment.create', 'payment', createPayment),
+  voidPayment: withAudit('payment.void', 'payment', voidPayment, { id: (id) => id, load: paymentSnapshot }),
+  createUser: withAudit('user.create', 'user', createUser),
+  // Password hashes never reach the log; a changed password is flagged instead
+  updateUser: withAudit('user.update', 'user', updateUser, {
+    id: (id) => id,
+    load: userSnapshot,
+    after: (user, id, data) => data.password !== undefined ? { ...user, password_changed: true } : user
+  }),
+  // Session tokens never reach the log either
+  login: withAudit('auth.login', 'user', login, {
+    actor: (session) => session.user.username,
+    resultId: (session) => session.user.id,
+    after: (session) => ({ expires_at: session.expires_at })
+  }),
+  logout: withAudit('auth.logout', 'session', logout, { after: () => null })
+};
+
 module.exports = {
   // mode
+  DB_DRIVER,
   useSupabase,
+  // lists
+  LIST_SORTS,
+  MAX_PER_PAGE,
   // plots
+  PLOT_STATUSES,
   getAllPlots,
   getPlotById,
-  updatePlot,
-  updatePlotsBulk,
+  updatePlot: audited.updatePlot,
+  updatePlotsBulk: audited.updatePlotsBulk,
   getPlotsStats,
+  // plot survey, export & import
+  PLOT_SURVEY_COLUMNS,
+  updatePlotSurvey: audited.updatePlotSurvey,
+  exportPlots,
+  importPlots: audited.importPlots,
+  // estates
+  MAX_LAYOUT_SIDE,
+  listEstates,
+  getEstate,
+  createEstate: audited.createEstate,
+  updateEstate: audited.updateEstate,
+  deleteEstate: audited.deleteEstate,
+  // pricing
+  setPlotPrice: audited.setPlotPrice,
+  repricePlots: audited.repricePlots,
+  getPlotPriceHistory,
+  // pricing rules
+  listPricingRules,
+  getPricingRule,
+  createPricingRule: audited.createPricingRule,
+  updatePricingRule: audited.updatePricingRule,
+  deletePricingRule: audited.deletePricingRule,
+  // discounts & quotes
+  listPromoCodes,
+  getPromoCode,
+  createPromoCode: audited.createPromoCode,
+  updatePromoCode: audited.updatePromoCode,
+  deletePromoCode: audited.deletePromoCode,
+  listVolumeTiers,
+  getVolumeTier,
+  createVolumeTier: audited.createVolumeTier,
+  updateVolumeTier: audited.updateVolumeTier,
+  deleteVolumeTier: audited.deleteVolumeTier,
+  previewQuote,
   // buyers
   listBuyers,
   getBuyer,
-  createBuyer,
-  updateBuyer,
+  createBuyer: audited.createBuyer,
+  updateBuyer: audited.updateBuyer,
+  searchBuyers,
+  findDuplicateBuyers,
+  mergeBuyers: audited.mergeBuyers,
   // transactions
   listTransactions,
   getTransaction,
-  createTransaction,
-  updateTransactionStatus
-  ,listPayments
-  ,createPayment
+  createTransaction: audited.createTransaction,
+  updateTransactionStatus: audited.updateTransactionStatus,
+  markOverdueTransactions: audited.markOverdueTransactions,
+  cancelTransaction: audited.cancelTransaction,
+  listRefunds,
+  // users & sessions
+  USER_ROLES,
+  listUsers,
+  createUser: audited.createUser,
+  updateUser: audited.updateUser,
+  login: audited.login,
+  logout: audited.logout,
+  getSessionUser,
+  ensureAdminUser,
+  // reservations
+  reservePlot: audited.reservePlot,
+  releasePlot: audited.releasePlot,
+  releaseExpiredReservations: audited.releaseExpiredReservations,
+  // payment plans
+  MAX_PLAN_MONTHS,
+  getTransactionSchedule,
+  // purchases
+  createPurchase: audited.createPurchase,
+  // quotes
+  QUOTE_STATUSES,
+  listQuotes,
+  getQuote,
+  createQuote: audited.createQuote,
+  updateQuote: audited.updateQuote,
+  sendQuote: audited.sendQuote,
+  expireQuote: audited.expireQuote,
+  expireQuotes: audited.expireQuotes,
+  convertQuote: audited.convertQuote,
+  // payments
+  listPayments,
+  getPayment,
+  createPayment: audited.createPayment,
+  voidPayment: audited.voidPayment,
+  // audit log
+  MAX_AUDIT_EVENTS,
+  auditContext,
+  listAuditEvents
 };
 
 
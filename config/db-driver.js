@@ -0,0 +1,42 @@
+/* ============================================
+   DATABASE DRIVER SELECTION
+   ============================================
+
+   DB_DRIVER picks the database the server and db-adapter use:
+     sqlite   - local file data/land_system.db (config/database.js)
+     postgres - self-hosted PostgreSQL (config/database-postgresql.js)
+     supabase - Supabase REST client (config/database-supabase.js)
+     memory   - in-memory SQLite loaded from JSON fixtures, nothing saved
+                (config/database-memory.js)
+   Without DB_DRIVER: supabase when SUPABASE_URL and SUPABASE_KEY are set,
+   otherwise sqlite.
+
+   Every driver exports initDatabase() and closeDatabase(). The SQL drivers
+   (sqlite, postgres, memory) also share runQuery / getQuery / allQuery /
+   runInTransaction with ? placeholders, so db-adapter runs one set of
+   queries on both (a runInTransaction inside another joins the outer
+   one); the supabase driver goes through
+   database-supabase-queries.js instead.
+   ============================================ */
+
+const DRIVERS = {
+  sqlite: './database',
+  postgres: './database-postgresql',
+  supabase: './database-supabase',
+  memory: './database-memory'
+};
+
+function resolveDriverName() {
+  if (process.env.DB_DRIVER) return process.env.DB_DRIVER.trim().toLowerCase();
+  return process.env.SUPABASE_URL && process.env.SUPABASE_KEY ? 'supabase' : 'sqlite';
+}
+
+const DB_DRIVER = resolveDriverName();
+if (!DRIVERS[DB_DRIVER]) {
+  throw new Error(`Unknown DB_DRIVER "${DB_DRIVER}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+}
+
+module.exports = {
+  DB_DRIVER,
+  driver: require(DRIVERS[DB_DRIVER])
+};
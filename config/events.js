@@ -0,0 +1,55 @@
+/* ============================================
+   LIVE EVENTS
+   ============================================
+   In-process publish/subscribe for changes that open screens should see
+   straight away (plot sold or held, new transaction, payment recorded,
+   quote sent or converted).
+   db-adapter.js publishes one event per audited change; GET /api/events
+   streams them to browsers as Server-Sent Events.
+
+   Event: { id, action, entity, entity_id, data, at }
+     action - the audit action, e.g. plot.reserve, purchase.create
+     data   - the entity after the change (a plot row, a transaction, ...)
+
+   Only listeners in this process hear an event. With several server
+   instances, each one streams the changes made through it.
+   ============================================ */
+
+const { EventEmitter } = require('events');
+
+// Entities whose changes are pushed; users and sessions are not
+const LIVE_ENTITIES = ['plot', 'estate', 'buyer', 'transaction', 'payment', 'pricing_rule', 'quote'];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open browser tab
+
+let lastId = 0;
+
+/**
+ * Tell every subscriber about a change (ignored for other entities)
+ */
+function publish({ action, entity, entity_id, data }) {
+  if (!LIVE_ENTITIES.includes(entity)) return;
+  emitter.emit('change', {
+    id: ++lastId,
+    action,
+    entity,
+    entity_id: entity_id === undefined || entity_id === null ? null : String(entity_id),
+    data: data === undefined ? null : data,
+    at: new Date().toISOString()
+  });
+}
+
+/**
+ * Call listener(event) for every change; returns a function that stops it
+ */
+function subscribe(listener) {
+  emitter.on('change', listener);
+  return () => emitter.off('change', listener);
+}
+
+module.exports = {
+  LIVE_ENTITIES,
+  publish,
+  subscribe
+};
@@ -0,0 +1,151 @@
+/* ============================================
+   FIXTURES
+   ============================================
+
+   Loads JSON fixture data into a SQL driver (used by DB_DRIVER=memory).
+   A fixture file maps table names to arrays of rows:
+     { "estates": [...], "plots": [...], "buyers": [...], "transactions": [...] }
+   Columns come from each row's keys; object values (e.g. a plot's
+   geometry) are stored as JSON text. Tables are filled parents first, so
+   rows can point at each other by id.
+
+   Every estate gets its full layout_rows x layout_cols grid: plots listed
+   in the fixture are kept as given, the rest are added as available at
+   the estate's default_price, taking the lowest free plot ids.
+   ============================================ */
+
+const fs = require('fs');
+const { DEFAULT_PLOT_PRICE } = require('./database');
+
+// Insert order; a table may only reference the ones before it
+const FIXTURE_TABLES = [
+  'estates',
+  'buyers',
+  'plots',
+  'plot_price_history',
+  'pricing_rules',
+  'promo_codes',
+  'volume_tiers',
+  'reservations',
+  'transactions',
+  'transaction_line_items',
+  'quotes',
+  'payment_plans',
+  'installments',
+  'payments',
+  'payment_allocations',
+  'refunds',
+  'users'
+];
+
+/**
+ * Read and parse a fixture file
+ */
+function readFixtures(file) {
+  let fixtures;
+  try {
+    fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read fixtures from ${file}: ${err.message}`);
+  }
+  if (!fixtures || typeof fixtures !== 'object' || Array.isArray(fixtures)) {
+    throw new Error(`Fixtures in ${file} must be an object of table name -> rows`);
+  }
+  return fixtures;
+}
+
+async function insertRow(db, table, row) {
+  const columns = Object.keys(row);
+  return await db.runQuery(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(c => row[c] !== null && typeof row[c] === 'object' ? JSON.stringify(row[c]) : row[c])
+  );
+}
+
+/**
+ * Insert fixture rows into an empty, migrated database.
+ * db is a SQL driver (runQuery / allQuery / runInTransaction).
+ */
+async function loadFixtures(db, fixtures) {
+  const unknown = Object.keys(fixtures).filter(table => !FIXTURE_TABLES.includes(table));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown fixture tables: ${unknown.join(', ')}. Use: ${FIXTURE_TABLES.join(', ')}`);
+  }
+  for (const table of FIXTURE_TABLES) {
+    if (fixtures[table] !== undefined && !Array.isArray(fixtures[table])) {
+      throw new Error(`Fixture table "${table}" must be an array of rows`);
+    }
+  }
+
+  await db.runInTransaction(async () => {
+    const estateIds = [];
+    for (const estate of fixtures.estates || []) {
+      const result = await insertRow(db, 'estates', {
+        layout_rows: 10,
+        layout_cols: 20,
+        default_price: DEFAULT_PLOT_PRICE,
+        ...estate
+      });
+      estateIds.push(estate.id || result.lastID);
+    }
+
+    for (const table of FIXTURE_TABLES.slice(1)) {
+      if (table === 'plots') {
+        await insertPlots(db, fixtures.plots || [], estateIds[0]);
+        continue;
+      }
+      for (const row of fixtures[table] || []) {
+        await insertRow(db, table, row);
+      }
+    }
+  });
+
+  const counts = FIXTURE_TABLES
+    .filter(table => (fixtures[table] || []).length > 0)
+    .map(table => `${fixtures[table].length} ${table}`);
+  console.log(`✓ Fixtures loaded${counts.length > 0 ? ` (${counts.join(', ')})` : ''}`);
+}
+
+/**
+ * Insert the listed plots, then fill in the rest of every estate's grid.
+ * Listed plots without estate_id / plot_number go to the first estate, numbered by id.
+ */
+async function insertPlots(db, plots, firstEstateId) {
+  const estates = await db.allQuery('SELECT id, layout_rows, layout_cols, default_price FROM estates ORDER BY id');
+  const defaultPrice = (estateId) => {
+    const estate = estates.find(e => e.id === estateId);
+    return (estate && estate.default_price) || DEFAULT_PLOT_PRICE;
+  };
+
+  const usedIds = new Set();
+  for (const plot of plots) {
+    const row = { status: 'available', ...plot };
+    if (row.estate_id === undefined) row.estate_id = firstEstateId || null;
+    if (row.plot_number === undefined && row.id !== undefined) row.plot_number = row.id;
+    if (row.price === undefined) row.price = defaultPrice(row.estate_id);
+    const result = await insertRow(db, 'plots', row);
+    usedIds.add(row.id !== undefined ? row.id : result.lastID);
+  }
+
+  let nextId = 1;
+  for (const estate of estates) {
+    const taken = new Set(
+      (await db.allQuery('SELECT plot_number FROM plots WHERE estate_id = ?', [estate.id])).map(p => p.plot_number)
+    );
+    for (let n = 1; n <= estate.layout_rows * estate.layout_cols; n++) {
+      if (taken.has(n)) continue;
+      while (usedIds.has(nextId)) nextId++;
+      usedIds.add(nextId);
+      await db.runQuery(
+        'INSERT INTO plots (id, status, price, estate_id, plot_number) VALUES (?, ?, ?, ?, ?)',
+        [nextId, 'available', defaultPrice(estate.id), estate.id, n]
+      );
+    }
+  }
+}
+
+module.exports = {
+  FIXTURE_TABLES,
+  readFixtures,
+  loadFixtures
+};
@@ -0,0 +1,232 @@
+/* ============================================
+   GEOJSON & KML
+   ============================================
+   Plot outlines in and out of the system. A plot's geometry is a GeoJSON
+   Polygon or MultiPolygon in WGS 84, positions written as
+   [longitude, latitude] (RFC 7946). Each ring is closed: its last
+   position repeats the first.
+
+   plotsToFeatureCollection() / featureCollectionToKml() build the
+   exports; kmlToFeatureCollection() reads the Placemarks of a KML file
+   (Google Earth, QGIS, survey software) into the same FeatureCollection
+   shape the GeoJSON import takes.
+   ============================================ */
+
+const GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Most positions one plot outline may have
+const MAX_POSITIONS = 5000;
+
+function positionProblem(position) {
+  if (!Array.isArray(position) || position.length < 2 || !position.every(n => typeof n === 'number' && Number.isFinite(n))) {
+    return 'positions must be [longitude, latitude] numbers';
+  }
+  const [lng, lat] = position;
+  if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+    return 'positions must be [longitude, latitude] in degrees';
+  }
+  return null;
+}
+
+function ringProblem(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) return 'each ring needs at least 4 positions';
+  for (const position of ring) {
+    const problem = positionProblem(position);
+    if (problem) return problem;
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) return 'each ring must end where it starts';
+  return null;
+}
+
+/**
+ * Why `geometry` is not a usable plot outline, or null if it is
+ */
+function geometryProblem(geometry) {
+  if (!geometry || typeof geometry !== 'object' || !GEOMETRY_TYPES.includes(geometry.type)) {
+    return `must be a GeoJSON ${GEOMETRY_TYPES.join(' or ')}`;
+  }
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0 || !polygons.every(p => Array.isArray(p) && p.length > 0)) {
+    return 'must have coordinates';
+  }
+  let positions = 0;
+  for (const rings of polygons) {
+    for (const ring of rings) {
+      const problem = ringProblem(ring);
+      if (problem) return problem;
+      positions += ring.length;
+    }
+  }
+  if (positions > MAX_POSITIONS) return `must have at most ${MAX_POSITIONS} positions`;
+  return null;
+}
+
+/**
+ * Just the type and coordinates, [lng, lat] only (drops altitude)
+ */
+function cleanGeometry(geometry) {
+  const ring = (positions) => positions.map(([lng, lat]) => [lng, lat]);
+  return geometry.type === 'Polygon'
+    ? { type: 'Polygon', coordinates: geometry.coordinates.map(ring) }
+    : { type: 'MultiPolygon', coordinates: geometry.coordinates.map(rings => rings.map(ring)) };
+}
+
+// ============ EXPORT ============
+// Plot columns anyone may see; buyer and hold details never leave the system
+const PUBLIC_PLOT_PROPERTIES = [
+  'id', 'estate_id', 'plot_number', 'status', 'price', 'effective_price', 'category', 'tags',
+  'size_acres', 'size_sqm', 'dimensions', 'parcel_number', 'road_frontage', 'is_corner'
+];
+
+/**
+ * A GeoJSON FeatureCollection of plots; plots without an outline get a
+ * null geometry
+ */
+function plotsToFeatureCollection(plots, name) {
+  return {
+    type: 'FeatureCollection',
+    ...(name ? { name } : {}),
+    features: plots.map(plot => ({
+      type: 'Feature',
+      id: plot.id,
+      geometry: plot.geometry || null,
+      properties: Object.fromEntries(PUBLIC_PLOT_PROPERTIES.map(key => [key, plot[key] === undefined ? null : plot[key]]))
+    }))
+  };
+}
+
+// KML colors are aabbggrr; the same colors as the site map
+const KML_STYLES = {
+  available: '99f6823b',
+  selected: '99fdc593',
+  sold: '994aa316'
+};
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, c => XML_ESCAPES[c]);
+
+function kmlRing(ring) {
+  return `<LinearRing><coordinates>${ring.map(([lng, lat]) => `${lng},${lat}`).join(' ')}</coordinates></LinearRing>`;
+}
+
+function kmlPolygon(rings) {
+  const [outer, ...inner] = rings;
+  return `<Polygon><outerBoundaryIs>${kmlRing(outer)}</outerBoundaryIs>${
+    inner.map(ring => `<innerBoundaryIs>${kmlRing(ring)}</innerBoundaryIs>`).join('')}</Polygon>`;
+}
+
+/**
+ * KML for Google Earth: one Placemark per plot with an outline, shaded
+ * by status, with the properties as ExtendedData. The document takes
+ * the collection's name.
+ */
+function featureCollectionToKml(collection) {
+  const name = collection.name || 'Plots';
+  const styles = Object.entries(KML_STYLES).map(([status, color]) =>
+    `<Style id="${status}"><LineStyle><color>ffffffff</color><width>1</width></LineStyle><PolyStyle><color>${color}</color></PolyStyle></Style>`);
+  const placemarks = collection.features.filter(f => f.geometry).map(feature => {
+    const { properties, geometry } = feature;
+    const price = properties.effective_price || properties.price;
+    const shape = geometry.type === 'Polygon'
+      ? kmlPolygon(geometry.coordinates)
+      : `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+    const data = Object.entries(properties)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+      .join('');
+    return [
+      '<Placemark>',
+      `<name>Plot ${escapeXml(properties.plot_number)}</name>`,
+      `<description>${escapeXml(`${properties.status}${price ? ` · KES ${Number(price).toLocaleString('en-KE')}` : ''}`)}</description>`,
+      KML_STYLES[properties.status] ? `<styleUrl>#${properties.status}</styleUrl>` : '',
+      `<ExtendedData>${data}</ExtendedData>`,
+      shape,
+      '</Placemark>'
+    ].join('');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+    `<name>${escapeXml(name)}</name>`,
+    ...styles,
+    ...placemarks,
+    '</Document></kml>',
+    ''
+  ].join('\n');
+}
+
+// ============ KML IMPORT ============
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function xmlText(value) {
+  const cdata = value.match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/);
+  if (cdata) return cdata[1];
+  return value
+    .replace(/&#(x?)([0-9a-f]+);/gi, (_, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, entity) => XML_ENTITIES[entity])
+    .trim();
+}
+
+// Contents of every <tag>...</tag> (any namespace prefix) in xml
+function elements(xml, tag) {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+function kmlCoordinates(ring) {
+  const [text = ''] = elements(ring, 'coordinates');
+  return xmlText(text).split(/\s+/).filter(Boolean).map(tuple => tuple.split(',').slice(0, 2).map(Number));
+}
+
+function kmlGeometry(placemark) {
+  const polygons = elements(placemark, 'Polygon').map(polygon => [
+    ...elements(polygon, 'outerBoundaryIs').map(kmlCoordinates),
+    ...elements(polygon, 'innerBoundaryIs').map(kmlCoordinates)
+  ]);
+  if (polygons.length === 0) return null;
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Read the Placemarks of a KML document into a FeatureCollection.
+ * Properties come from ExtendedData (<Data> or <SimpleData>); a
+ * Placemark named "Plot 12" or "12" without a plot_number gets
+ * plot_number 12. Values stay text; the import schema converts them.
+ */
+function kmlToFeatureCollection(kml) {
+  if (!/<(?:\w+:)?kml\b/.test(kml)) {
+    const err = new Error('Not a KML document');
+    err.status = 400;
+    throw err;
+  }
+  const features = elements(kml, 'Placemark').map(placemark => {
+    const properties = {};
+    for (const match of placemark.matchAll(/<(?:\w+:)?Data\s+name="([^"]+)"[^>]*>([\s\S]*?)<\/(?:\w+:)?Data>/g)) {
+      const [value = ''] = elements(match[2], 'value');
+      properties[match[1]] = xmlText(value);
+    }
+    for (const match of placemark.matchAll(/<(?:\w+:)?SimpleData\s+name="([^"]+)"[^>]*>([\s\S]*?)<\/(?:\w+:)?SimpleData>/g)) {
+      properties[match[1]] = xmlText(match[2]);
+    }
+    const [name] = elements(placemark, 'name');
+    const number = name && xmlText(name).match(/^\D*?(\d+)\s*$/);
+    if (properties.plot_number === undefined && number) properties.plot_number = number[1];
+    return { type: 'Feature', geometry: kmlGeometry(placemark), properties };
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+module.exports = {
+  GEOMETRY_TYPES,
+  MAX_POSITIONS,
+  PUBLIC_PLOT_PROPERTIES,
+  geometryProblem,
+  cleanGeometry,
+  plotsToFeatureCollection,
+  featureCollectionToKml,
+  kmlToFeatureCollection
+};
@@ -0,0 +1,160 @@
+/* ============================================
+   SCHEMA MIGRATIONS
+   ============================================
+
+   Applies the numbered files in migrations/ (001_name.js, 002_name.js, ...)
+   in order and records each one in the schema_migrations table.
+   Every migration exports up(db) and down(db); db.dialect is 'sqlite' or
+   'postgres' so one file can carry the SQL for both.
+
+   The server applies pending migrations on start; scripts/migrate.js
+   (npm run migrate / migrate:status / migrate:rollback) runs them by hand.
+   ============================================ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+/**
+ * Read migrations/ and return the migrations sorted by version
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      const version = file.split('_')[0];
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up(db) and down(db)`);
+      }
+      return { version, name: path.basename(file, '.js').slice(version.length + 1), ...migration };
+    });
+}
+
+async function ensureMigrationsTable(db) {
+  await db.run(db.dialect === 'postgres'
+    ? `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version TEXT PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+       )`
+    : `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version TEXT PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+       )`);
+}
+
+async function appliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  return await db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Apply every pending migration, each in its own transaction.
+ * Returns the migrations that were applied.
+ */
+async function runMigrations(db) {
+  const applied = new Set((await appliedMigrations(db)).map(m => m.version));
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+  for (const migration of pending) {
+    await db.transaction(async () => {
+      await migration.up(db);
+      await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    console.log(`✓ Applied migration ${migration.version}_${migration.name}`);
+  }
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * List every migration with when it was applied (null if pending)
+ */
+async function migrationStatus(db) {
+  const applied = new Map((await appliedMigrations(db)).map(m => [m.version, m]));
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied_at: applied.has(version) ? applied.get(version).applied_at : null
+  }));
+}
+
+/**
+ * Undo the last `steps` applied migrations, newest first.
+ * Returns the migrations that were rolled back.
+ */
+async function rollbackMigrations(db, steps = 1) {
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const applied = (await appliedMigrations(db)).reverse().slice(0, steps);
+  for (const { version, name } of applied) {
+    const migration = byVersion.get(version);
+    if (!migration) throw new Error(`Migration file for ${version}_${name} is missing; cannot roll it back`);
+    await db.transaction(async () => {
+      await migration.down(db);
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    console.log(`✓ Rolled back migration ${version}_${name}`);
+  }
+  return applied.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Wrap a pg Pool as a migration connection.
+ * Queries use ? placeholders like SQLite; they are numbered for pg here.
+ */
+function postgresConnection(pool) {
+  let client = null;
+  const query = (sql, params = []) => {
+    let n = 0;
+    const text = params.length > 0 ? sql.replace(/\?/g, () => `$${++n}`) : sql;
+    return (client || pool).query(text, params);
+  };
+  return {
+    dialect: 'postgres',
+    run: async (sql, params) => {
+      const result = await query(sql, params);
+      return { changes: result.rowCount };
+    },
+    all: async (sql, params) => (await query(sql, params)).rows,
+    transaction: async (work) => {
+      client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await work();
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+        client = null;
+      }
+    }
+  };
+}
+
+/**
+ * Migrate the Postgres database at DATABASE_URL (Supabase: Settings → Database
+ * → Connection string) and close the connection again
+ */
+async function migratePostgresUrl(connectionString, action = runMigrations) {
+  const { Pool } = require('pg');
+  const pool = new Pool({ connectionString, max: 1 });
+  try {
+    return await action(postgresConnection(pool));
+  } finally {
+    await pool.end();
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  runMigrations,
+  migrationStatus,
+  rollbackMigrations,
+  postgresConnection,
+  migratePostgresUrl
+};
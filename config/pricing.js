@@ -0,0 +1,164 @@
+/* ============================================
+   PRICING RULES
+   ============================================
+   Works out a plot's effective price from its base (list) price and the
+   active pricing rules. db-adapter.js loads the rules and plots; this
+   file only does the arithmetic, so the API and the sale total agree.
+
+   A rule matches a plot when every condition it sets holds:
+     estate_id            - plot is in that estate
+     category             - plot.category is exactly this
+     tag                  - plot.tags contains it
+     corner               - plot.is_corner is true / false
+     road_facing          - plot has road frontage (road_frontage > 0) / none
+     plot_from / plot_to  - plot_number in the range (either end may be open)
+   and adds `percent` of the base price (10 = +10%, -5 = -5%) or a fixed
+   `amount` (KES, may be negative).
+
+   Adjustments do not compound: every matching percent is taken of the
+   base price. The effective price is rounded to whole shillings and is
+   never below zero.
+
+   A sale is then priced as line items (saleTotals): each plot at its
+   effective price, less at most one volume tier, one promo code and one
+   manual discount. Discount percents are all of the gross amount, and
+   the discounts never take the total below zero.
+   ============================================ */
+
+// The conditions a rule may set
+const RULE_CONDITIONS = ['estate_id', 'category', 'tag', 'corner', 'road_facing', 'plot_from', 'plot_to'];
+
+const isSet = (value) => value !== null && value !== undefined;
+
+// Tags as stored: trimmed, lower case, no repeats
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Does `rule` apply to `plot`?
+ */
+function ruleMatches(rule, plot) {
+  if (rule.active === false || rule.active === 0) return false;
+  if (isSet(rule.estate_id) && Number(rule.estate_id) !== Number(plot.estate_id)) return false;
+  if (isSet(rule.category) && rule.category !== plot.category) return false;
+  if (isSet(rule.tag) && !normalizeTags(plot.tags).includes(rule.tag)) return false;
+  if (isSet(rule.corner) && !!rule.corner !== !!plot.is_corner) return false;
+  if (isSet(rule.road_facing) && !!rule.road_facing !== Number(plot.road_frontage) > 0) return false;
+  if (isSet(rule.plot_from) && !(Number(plot.plot_number) >= Number(rule.plot_from))) return false;
+  if (isSet(rule.plot_to) && !(Number(plot.plot_number) <= Number(rule.plot_to))) return false;
+  return true;
+}
+
+/**
+ * The rules that apply to a plot, each with what it adds in KES:
+ * [{ rule_id, name, percent, amount }]
+ */
+function priceAdjustments(plot, rules) {
+  const base = Number(plot.price) || 0;
+  return rules.filter(rule => ruleMatches(rule, plot)).map(rule => ({
+    rule_id: rule.id,
+    name: rule.name,
+    percent: isSet(rule.percent) ? Number(rule.percent) : null,
+    amount: isSet(rule.percent) ? base * Number(rule.percent) / 100 : Number(rule.amount) || 0
+  }));
+}
+
+/**
+ * The plot with effective_price and the price_adjustments behind it;
+ * `price` stays the base price
+ */
+function pricePlot(plot, rules) {
+  if (!plot || !plot.id) return plot;
+  const adjustments = priceAdjustments(plot, rules);
+  const total = adjustments.reduce((sum, a) => sum + a.amount, Number(plot.price) || 0);
+  return {
+    ...plot,
+    effective_price: Math.max(0, Math.round(total)),
+    price_adjustments: adjustments.map(a => ({ ...a, amount: Math.round(a.amount) }))
+  };
+}
+
+// ============ DISCOUNTS ============
+const isActive = (row) => row.active !== false && row.active !== 0;
+
+/**
+ * The volume tier a sale of plotCount plots in an estate gets: of the
+ * active tiers for that estate or for every estate whose min_plots it
+ * reaches, the one with the biggest percent. null if none.
+ */
+function volumeTierFor(tiers, plotCount, estateId) {
+  return tiers
+    .filter(tier => isActive(tier) && plotCount >= Number(tier.min_plots))
+    .filter(tier => !isSet(tier.estate_id) || Number(tier.estate_id) === Number(estateId))
+    .reduce((best, tier) => !best || Number(tier.percent) > Number(best.percent) ? tier : best, null);
+}
+
+/**
+ * Why a promo code can't be used on a sale, as { code, message }, or
+ * null if it can. today is YYYY-MM-DD.
+ */
+function promoCodeProblem(promo, { today, plotCount, estateId }) {
+  if (!promo || !promo.id || !isActive(promo)) return { code: 'not_found', message: 'is not a valid promo code' };
+  if (promo.valid_from && today < promo.valid_from) return { code: 'not_started', message: `is not valid until ${promo.valid_from}` };
+  if (promo.valid_to && today > promo.valid_to) return { code: 'expired', message: `expired on ${promo.valid_to}` };
+  if (isSet(promo.max_uses) && Number(promo.used_count) >= Number(promo.max_uses)) {
+    return { code: 'used_up', message: 'has been used as many times as allowed' };
+  }
+  if (isSet(promo.estate_id) && Number(promo.estate_id) !== Number(estateId)) {
+    return { code: 'not_applicable', message: 'does not apply to plots in this estate' };
+  }
+  if (isSet(promo.min_plots) && plotCount < Number(promo.min_plots)) {
+    return { code: 'not_applicable', message: `needs at least ${promo.min_plots} plots` };
+  }
+  return null;
+}
+
+// "7% off" or "KES 5,000 off"
+const offText = ({ percent, amount }) => isSet(percent)
+  ? `${Number(percent)}% off`
+  : `KES ${Number(amount).toLocaleString('en-KE')} off`;
+
+/**
+ * Line items and totals for a sale of priced plots (see pricePlot):
+ *   { line_items: [{ kind, plot_id?, description, amount, ... }],
+ *     gross_amount, discount_amount, total_amount }
+ * tier and promo are volume_tiers / promo_codes rows; manual is
+ * { percent | amount, reason, approved_by }. Discount lines are negative.
+ */
+function saleTotals(plots, { tier, promo, manual } = {}) {
+  const lineItems = plots.map(plot => ({
+    kind: 'plot',
+    plot_id: plot.id,
+    description: `Plot ${plot.plot_number}`,
+    amount: plot.effective_price
+  }));
+  const gross = lineItems.reduce((sum, line) => sum + line.amount, 0);
+  let net = gross;
+  const discount = (line, { percent, amount }) => {
+    const off = Math.min(net, Math.round(isSet(percent) ? gross * Number(percent) / 100 : Number(amount)));
+    net -= off;
+    lineItems.push({ ...line, amount: -off });
+  };
+  if (tier) {
+    discount({ kind: 'volume_discount', volume_tier_id: tier.id, description: `${tier.min_plots}+ plots: ${offText(tier)}` }, tier);
+  }
+  if (promo) {
+    discount({ kind: 'promo_code', promo_code_id: promo.id, description: `Promo code ${promo.code}: ${offText(promo)}` }, promo);
+  }
+  if (manual) {
+    discount({ kind: 'manual_discount', approved_by: manual.approved_by, description: `Manual discount: ${manual.reason}` }, manual);
+  }
+  return { line_items: lineItems, gross_amount: gross, discount_amount: gross - net, total_amount: net };
+}
+
+module.exports = {
+  RULE_CONDITIONS,
+  normalizeTags,
+  ruleMatches,
+  priceAdjustments,
+  pricePlot,
+  volumeTierFor,
+  promoCodeProblem,
+  saleTotals
+};
@@ -0,0 +1,509 @@
+/* ============================================
+   REQUEST VALIDATION
+   ============================================
+   Declarative schemas for request bodies and query strings, checked by
+   middleware/validate.js before a route runs.
+
+   A schema is { fields, atLeastOne? }; each field has a rule:
+     type       - string | integer | number | boolean | date | datetime |
+                  email | phone | id_number | geometry | array | object
+     required   - must be present and not empty
+     nullable   - null or '' is kept as null (e.g. to clear a category)
+     oneOf      - allowed values
+     min / max  - numeric bounds (inclusive); positive - must be > 0
+     minLength / maxLength - shortest / longest allowed string
+     trim       - false keeps a string's surrounding spaces (passwords)
+     pattern    - regular expression a string must match (patternMessage)
+     items      - rule for each array element (list: also accept "1,2,3")
+     minItems   - shortest allowed array
+     fields     - nested schema fields for objects
+
+   check() returns only the known fields, converted to their type (so
+   "42" becomes 42 and phone numbers are stored as +254...), or throws a
+   400 with err.code = 'validation_failed' and one entry per bad field in
+   err.fields: { field, code, message }.
+   ============================================ */
+
+const { PAYMENT_STATUSES } = require('./database');
+const {
+  PLOT_STATUSES,
+  QUOTE_STATUSES,
+  USER_ROLES,
+  MAX_PLAN_MONTHS,
+  MAX_LAYOUT_SIDE,
+  MAX_AUDIT_EVENTS,
+  LIST_SORTS,
+  MAX_PER_PAGE
+} = require('./db-adapter');
+const { normalizePhone, normalizeIdNumber } = require('./buyer-matching');
+const { geometryProblem, cleanGeometry } = require('./geojson');
+
+// National ID (6-8 digits) or passport (1-2 letters then 6-8 digits)
+const NATIONAL_ID = /^\d{6,8}$/;
+const PASSPORT = /^[A-Z]{1,2}\d{6,8}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Each type returns { value } or { code, message }
+const TYPES = {
+  string(value, rule) {
+    if (typeof value !== 'string' && typeof value !== 'number') return { code: 'type', message: 'must be text' };
+    const text = rule.trim === false ? String(value) : String(value).trim();
+    if (rule.minLength && text.length < rule.minLength) {
+      return { code: 'too_short', message: `must be at least ${rule.minLength} characters` };
+    }
+    if (rule.maxLength && text.length > rule.maxLength) {
+      return { code: 'too_long', message: `must be at most ${rule.maxLength} characters` };
+    }
+    return { value: text };
+  },
+
+  integer(value) {
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(number)) return { code: 'type', message: 'must be a whole number' };
+    return { value: number };
+  },
+
+  number(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { code: 'type', message: 'must be a number' };
+    return { value: number };
+  },
+
+  boolean(value) {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { code: 'type', message: 'must be true or false' };
+  },
+
+  date(value) {
+    if (typeof value !== 'string' || !DATE.test(value) || Number.isNaN(new Date(value).getTime())) {
+      return { code: 'format', message: 'must be a date (YYYY-MM-DD)' };
+    }
+    return { value };
+  },
+
+  datetime(value) {
+    const parsed = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!parsed || Number.isNaN(parsed.getTime())) return { code: 'format', message: 'must be a valid date and time' };
+    return { value: parsed.toISOString() };
+  },
+
+  email(value) {
+    const text = String(value).trim();
+    if (typeof value !== 'string' || !EMAIL.test(text)) return { code: 'format', message: 'must be an email address' };
+    return { value: text };
+  },
+
+  phone(value) {
+    const phone = normalizePhone(value);
+    if (!phone) return { code: 'format', message: 'must be a Kenyan phone number, e.g. +254712345678' };
+    return { value: phone };
+  },
+
+  id_number(value) {
+    const text = normalizeIdNumber(value);
+    if (!NATIONAL_ID.test(text) && !PASSPORT.test(text)) {
+      return { code: 'format', message: 'must be a national ID (6-8 digits) or passport number (e.g. A1234567)' };
+    }
+    return { value: text };
+  },
+
+  // A GeoJSON Polygon / MultiPolygon (see geojson.js)
+  geometry(value) {
+    const problem = geometryProblem(value);
+    if (problem) return { code: 'format', message: problem };
+    return { value: cleanGeometry(value) };
+  },
+
+  array(value, rule, path, errors) {
+    const list = rule.list && typeof value === 'string' ? value.split(',').map(v => v.trim()) : value;
+    if (!Array.isArray(list)) return { code: 'type', message: 'must be a list' };
+    if (rule.minItems && list.length < rule.minItems) {
+      return { code: 'too_short', message: `must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}` };
+    }
+    if (!rule.items) return { value: list };
+    return { value: list.map((item, i) => checkField(rule.items, item, `${path}[${i}]`, errors)) };
+  },
+
+  object(value, rule, path, errors) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return { code: 'type', message: 'must be an object' };
+    return { value: checkFields(rule.fields || {}, value, `${path}.`, errors) };
+  }
+};
+
+/**
+ * Check one value against its rule. Problems are pushed onto `errors`;
+ * the converted value is returned either way.
+ */
+function checkField(rule, raw, path, errors) {
+  const fail = (code, message) => {
+    errors.push({ field: path, code, message });
+    return raw;
+  };
+  if (isEmpty(raw)) {
+    if (rule.required) return fail('required', 'is required');
+    return rule.nullable && raw !== undefined ? null : undefined;
+  }
+  const result = TYPES[rule.type || 'string'](raw, rule, path, errors);
+  if (result.code) return fail(result.code, result.message);
+  const { value } = result;
+  if (rule.oneOf && !rule.oneOf.includes(value)) return fail('one_of', `must be one of ${rule.oneOf.join(', ')}`);
+  if (rule.pattern && !rule.pattern.test(value)) return fail('format', rule.patternMessage || 'is not in the expected format');
+  if (typeof value === 'number') {
+    if (rule.positive && value <= 0) return fail('range', 'must be greater than zero');
+    if (rule.min !== undefined && value < rule.min) return fail('range', `must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) return fail('range', `must be at most ${rule.max}`);
+  }
+  return value;
+}
+
+function checkFields(fields, input, prefix, errors) {
+  const values = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = checkField(rule, input[name], `${prefix}${name}`, errors);
+    if (value !== undefined) values[name] = value;
+  }
+  return values;
+}
+
+/**
+ * Validate `input` against `schema`; returns the cleaned values or throws a 400
+ */
+function check(schema, input) {
+  const errors = [];
+  const values = checkFields(schema.fields, input || {}, '', errors);
+  if (errors.length === 0 && schema.atLeastOne && Object.keys(values).length === 0) {
+    const names = Object.keys(schema.fields);
+    errors.push({ field: names[0], code: 'required', message: `pass at least one of ${names.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    const err = new Error(errors.map(e => `${e.field} ${e.message}`).join('; '));
+    err.status = 400;
+    err.code = 'validation_failed';
+    err.fields = errors;
+    throw err;
+  }
+  return values;
+}
+
+// ============ SCHEMAS ============
+const id = { type: 'integer', min: 1 };
+const requiredId = { ...id, required: true };
+const amount = { type: 'number', positive: true };
+const text = (maxLength) => ({ type: 'string', maxLength });
+
+const BUYER_FIELDS = {
+  name: { ...text(100), required: true },
+  id_number: { type: 'id_number', required: true },
+  phone: { type: 'phone', required: true },
+  email: { type: 'email', required: true },
+  address: text(200),
+  occupation: text(100),
+  budget: { type: 'number', min: 0, required: true }
+};
+
+// Every field optional: only what is sent is changed
+const optional = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([name, { required, ...rule }]) => [name, rule])
+);
+
+const PAYMENT_PLAN = {
+  type: 'object',
+  fields: {
+    deposit_amount: { type: 'number', min: 0 },
+    deposit_percent: { type: 'number', min: 0, max: 100 },
+    months: { type: 'integer', min: 1, max: MAX_PLAN_MONTHS, required: true },
+    start_date: { type: 'date' }
+  }
+};
+
+// A promo code as typed at checkout; stored in upper case
+const PROMO_CODE = { ...text(30), pattern: /^[a-z0-9_-]+$/i, patternMessage: 'must be letters, digits, dashes or underscores' };
+
+// A discount an admin gives by hand: percent or amount, and why
+const MANUAL_DISCOUNT = {
+  type: 'object',
+  fields: {
+    percent: { type: 'number', positive: true, max: 100 },
+    amount,
+    reason: { ...text(500), required: true }
+  }
+};
+
+const PLOT_IDS = { type: 'array', list: true, items: { ...id, required: true }, minItems: 1, required: true };
+
+const SALE_FIELDS = {
+  buyer_id: requiredId,
+  plot_ids: PLOT_IDS,
+  notes: text(2000),
+  payment_plan: PAYMENT_PLAN,
+  promo_code: PROMO_CODE,
+  manual_discount: MANUAL_DISCOUNT
+};
+
+// A stored quote: a sale's fields plus the last day it can be accepted
+const QUOTE_FIELDS = { ...SALE_FIELDS, valid_until: { type: 'date' } };
+
+// Survey attributes of a plot; null clears one
+const PLOT_SURVEY_FIELDS = {
+  size_acres: { ...amount, nullable: true },
+  size_sqm: { ...amount, nullable: true },
+  dimensions: { ...text(50), nullable: true },
+  parcel_number: { ...text(50), nullable: true },
+  road_frontage: { type: 'number', min: 0, nullable: true },
+  is_corner: { type: 'boolean' },
+  geometry: { type: 'geometry', nullable: true }
+};
+
+// A free-form plot label, e.g. "near-gate"; stored in lower case
+const PLOT_TAG = { ...text(30), pattern: /^[a-z0-9][a-z0-9 _-]*$/i, patternMessage: 'must be letters, digits, spaces, dashes or underscores' };
+const PLOT_TAGS = { type: 'array', list: true, items: { ...PLOT_TAG, required: true } };
+
+// A pricing rule: conditions (null = any plot) and percent or amount
+const PRICING_RULE_FIELDS = {
+  name: { ...text(100), required: true },
+  estate_id: { ...id, nullable: true },
+  category: { ...text(50), nullable: true },
+  tag: { ...PLOT_TAG, nullable: true },
+  corner: { type: 'boolean', nullable: true },
+  road_facing: { type: 'boolean', nullable: true },
+  plot_from: { ...id, nullable: true },
+  plot_to: { ...id, nullable: true },
+  percent: { type: 'number', min: -100, max: 1000, nullable: true },
+  amount: { type: 'number', nullable: true },
+  active: { type: 'boolean' }
+};
+
+// A promo code: percent or amount off, limited by any of the rest
+const PROMO_CODE_FIELDS = {
+  code: { ...PROMO_CODE, required: true },
+  description: { ...text(200), nullable: true },
+  percent: { type: 'number', positive: true, max: 100, nullable: true },
+  amount: { ...amount, nullable: true },
+  estate_id: { ...id, nullable: true },
+  min_plots: { ...id, nullable: true },
+  valid_from: { type: 'date', nullable: true },
+  valid_to: { type: 'date', nullable: true },
+  max_uses: { ...id, nullable: true },
+  active: { type: 'boolean' }
+};
+
+// percent off sales of min_plots plots or more
+const VOLUME_TIER_FIELDS = {
+  min_plots: { type: 'integer', min: 2, required: true },
+  percent: { type: 'number', positive: true, max: 100, required: true },
+  estate_id: { ...id, nullable: true },
+  active: { type: 'boolean' }
+};
+
+// An estate and the size of its plot grid
+const LAYOUT_SIDE = { type: 'integer', min: 1, max: MAX_LAYOUT_SIDE, required: true };
+const ESTATE_FIELDS = {
+  name: { ...text(100), required: true },
+  location: { ...text(200), nullable: true },
+  layout_rows: LAYOUT_SIDE,
+  layout_cols: LAYOUT_SIDE,
+  default_price: amount
+};
+
+// A staff account; passwords are kept exactly as typed
+const PASSWORD = { type: 'string', trim: false, minLength: 8, maxLength: 200 };
+const USER_FIELDS = {
+  username: {
+    ...text(32),
+    pattern: /^[a-z0-9._-]{3,}$/i,
+    patternMessage: 'must be 3-32 letters, digits, dots, dashes or underscores',
+    required: true
+  },
+  password: { ...PASSWORD, required: true },
+  role: { oneOf: USER_ROLES, required: true },
+  name: text(100)
+};
+
+// page, per_page, sort (e.g. "-created_at,name") and fields on a list query
+const listQuery = (list, fields) => {
+  const sorts = Object.keys(LIST_SORTS[list]);
+  return {
+    fields: {
+      ...fields,
+      page: { type: 'integer', min: 1 },
+      per_page: { type: 'integer', min: 1, max: MAX_PER_PAGE },
+      sort: { type: 'array', list: true, items: { oneOf: [...sorts, ...sorts.map(s => `-${s}`)] } },
+      fields: {
+        type: 'array',
+        list: true,
+        items: { pattern: /^[a-z_]+$/, patternMessage: 'must be a field name' }
+      }
+    }
+  };
+};
+
+const schemas = {
+  // estates
+  estateCreate: { fields: ESTATE_FIELDS },
+  estateUpdate: { fields: optional(ESTATE_FIELDS), atLeastOne: true },
+
+  // users & sign-in
+  userCreate: { fields: USER_FIELDS },
+  userUpdate: {
+    fields: { name: text(100), role: { oneOf: USER_ROLES }, password: PASSWORD, active: { type: 'boolean' } },
+    atLeastOne: true
+  },
+  login: {
+    fields: {
+      username: { ...text(100), required: true },
+      password: { type: 'string', trim: false, maxLength: 200, required: true }
+    }
+  },
+
+  // audit log
+  auditQuery: {
+    fields: {
+      actor: text(100),
+      action: text(100),
+      entity: text(50),
+      entity_id: text(50),
+      from: { type: 'date' },
+      to: { type: 'date' },
+      limit: { type: 'integer', min: 1, max: MAX_AUDIT_EVENTS }
+    }
+  },
+
+  // buyers
+  buyerQuery: listQuery('buyers', { q: text(100) }),
+  buyerSearch: { fields: { q: { ...text(100), required: true }, limit: { type: 'integer', min: 1, max: 100 } } },
+  buyerMerge: { fields: { duplicate_id: requiredId } },
+  buyerCreate: { fields: BUYER_FIELDS },
+  buyerUpdate: { fields: optional(BUYER_FIELDS), atLeastOne: true },
+
+  // plots
+  plotQuery: listQuery('plots', { status: { oneOf: PLOT_STATUSES }, estate_id: id }),
+  plotStatsQuery: { fields: { estate_id: id } },
+  plotUpdate: {
+    fields: { status: { oneOf: PLOT_STATUSES }, buyer_id: id, category: { ...text(50), nullable: true }, tags: PLOT_TAGS }
+  },
+  plotBulkUpdate: {
+    fields: {
+      plotIds: { type: 'array', items: { ...id, required: true }, minItems: 1, required: true },
+      status: { oneOf: PLOT_STATUSES, required: true },
+      buyer_id: id
+    }
+  },
+  plotPrice: { fields: { price: { ...amount, required: true }, reason: text(500) } },
+  plotReprice: {
+    fields: {
+      from: id,
+      to: id,
+      category: text(50),
+      estate_id: id,
+      price: amount,
+      percent: { type: 'number', min: -99.99 },
+      reason: text(500)
+    }
+  },
+  plotReserve: { fields: { buyer_id: id, minutes: { type: 'integer', min: 1, max: 24 * 60 } } },
+  plotRelease: { fields: { held_by: text(100) } },
+  plotSurvey: { fields: PLOT_SURVEY_FIELDS, atLeastOne: true },
+  plotExportQuery: { fields: { status: { oneOf: PLOT_STATUSES }, estate_id: id } },
+  // A GeoJSON FeatureCollection; each feature names its plot in properties
+  plotImport: {
+    fields: {
+      type: { oneOf: ['FeatureCollection'], required: true },
+      features: {
+        type: 'array',
+        minItems: 1,
+        required: true,
+        items: {
+          type: 'object',
+          required: true,
+          fields: {
+            geometry: { type: 'geometry', nullable: true },
+            properties: {
+              type: 'object',
+              required: true,
+              fields: {
+                plot_number: { ...id, required: true },
+                estate_id: id,
+                id,
+                price: amount,
+                category: { ...text(50), nullable: true },
+                ...PLOT_SURVEY_FIELDS
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  plotImportQuery: { fields: { estate_id: id } },
+
+  // pricing rules
+  pricingRuleCreate: { fields: PRICING_RULE_FIELDS },
+  pricingRuleUpdate: { fields: optional(PRICING_RULE_FIELDS), atLeastOne: true },
+
+  // discounts & quotes
+  promoCodeCreate: { fields: PROMO_CODE_FIELDS },
+  promoCodeUpdate: { fields: optional(PROMO_CODE_FIELDS), atLeastOne: true },
+  volumeTierCreate: { fields: VOLUME_TIER_FIELDS },
+  volumeTierUpdate: { fields: optional(VOLUME_TIER_FIELDS), atLeastOne: true },
+  quotePreview: { fields: { plot_ids: PLOT_IDS, promo_code: PROMO_CODE, manual_discount: MANUAL_DISCOUNT } },
+  quoteQuery: listQuery('quotes', {
+    status: { oneOf: QUOTE_STATUSES },
+    buyer_id: id,
+    estate_id: id
+  }),
+  quoteCreate: { fields: QUOTE_FIELDS },
+  // null clears the payment plan or a discount
+  quoteUpdate: {
+    fields: {
+      ...optional(QUOTE_FIELDS),
+      payment_plan: { ...PAYMENT_PLAN, nullable: true },
+      promo_code: { ...PROMO_CODE, nullable: true },
+      manual_discount: { ...MANUAL_DISCOUNT, nullable: true }
+    },
+    atLeastOne: true
+  },
+
+  // transactions
+  transactionQuery: listQuery('transactions', {
+    buyer_id: id,
+    payment_status: { oneOf: PAYMENT_STATUSES },
+    estate_id: id
+  }),
+  transactionCreate: { fields: SALE_FIELDS },
+  purchaseCreate: { fields: SALE_FIELDS },
+  transactionStatus: { fields: { payment_status: { oneOf: PAYMENT_STATUSES, required: true } } },
+  transactionCancel: {
+    fields: { reason: { ...text(500), required: true }, refund_amount: { type: 'number', min: 0 } }
+  },
+  refundQuery: { fields: { buyer_id: id, transaction_id: id } },
+
+  // payments
+  paymentQuery: listQuery('payments', {
+    buyer_id: id,
+    transaction_id: id,
+    method: text(30),
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }),
+  paymentCreate: {
+    fields: {
+      transaction_id: id,
+      buyer_id: id,
+      amount: { ...amount, required: true },
+      method: text(30),
+      reference: text(100),
+      notes: text(2000),
+      paid_at: { type: 'datetime' }
+    }
+  },
+  paymentVoid: { fields: { reason: { ...text(500), required: true } } }
+};
+
+module.exports = {
+  check,
+  schemas
+};
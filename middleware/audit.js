@@ -0,0 +1,21 @@
+/* ============================================
+   AUDIT CONTEXT MIDDLEWARE
+   ============================================
+
+   auditRequest - tracks who is making each API request so that
+   db-adapter can stamp audit events with the actor and IP.
+   authenticate fills in the actor once the session is known.
+   ============================================ */
+
+const { auditContext } = require('../config/db-adapter');
+
+/**
+ * Run the rest of the request inside its own audit context
+ */
+function auditRequest(req, res, next) {
+  auditContext.run({ actor: null, ip: req.ip }, next);
+}
+
+module.exports = {
+  auditRequest
+};
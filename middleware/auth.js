@@ -0,0 +1,88 @@
+/* ============================================
+   AUTH MIDDLEWARE
+   ============================================
+
+   authenticate - resolves the Bearer token to req.user (401 if missing)
+   tokenFromQuery - lets ?access_token= stand in for the header (event stream only)
+   requireRole - allows only the listed roles (admin is always allowed)
+   pricingOptions - { approved_by } for a sale or quote (admins approve manual discounts)
+
+   Roles: admin, sales_agent, cashier, auditor (read-only)
+   ============================================ */
+
+const { getSessionUser, auditContext } = require('../config/db-adapter');
+const { sendError } = require('./validate');
+
+/**
+ * Read the token from "Authorization: Bearer <token>"
+ */
+function getToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Require a valid session and attach the user to the request
+ */
+async function authenticate(req, res, next) {
+  try {
+    const token = getToken(req);
+    const user = await getSessionUser(token);
+    if (!user) {
+      return sendError(res, { status: 401, message: 'Authentication required' });
+    }
+    req.user = user;
+    req.token = token;
+    const context = auditContext.getStore();
+    if (context) context.actor = user.username;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * A browser EventSource cannot send headers, so GET /api/events also
+ * takes the token as ?access_token=. Use on that route only: URLs end up
+ * in server and proxy logs.
+ */
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+/**
+ * Allow the request only for the given roles (admins always pass)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, { status: 401, message: 'Authentication required' });
+    }
+    if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+      const allowed = [...new Set(['admin', ...roles])];
+      return sendError(res, { status: 403, message: `This action requires one of these roles: ${allowed.join(', ')}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Pricing options for a sale or quote: admins approve their own manual
+ * discounts; for anyone else approved_by stays unset and the adapter
+ * refuses a manual discount
+ */
+function pricingOptions(req) {
+  return { approved_by: req.user && req.user.role === 'admin' ? req.user.username : undefined };
+}
+
+module.exports = {
+  getToken,
+  authenticate,
+  tokenFromQuery,
+  requireRole,
+  pricingOptions
+};
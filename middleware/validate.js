@@ -0,0 +1,86 @@
+/* ============================================
+   VALIDATION & ERROR MIDDLEWARE
+   ============================================
+
+   validate({ body, query }) - checks the request against schemas from
+     config/validation.js and replaces req.body / req.query with the
+     cleaned values (400 if anything is wrong)
+   validateId - router.param() handler: :id must be a positive integer
+   sendList - answers a list as a JSON array, with X-Total-Count (rows
+     matching the filters) and, when paged, X-Page / X-Per-Page headers
+   sendError - answers every API error in the same shape:
+
+     { "error": { "code": "validation_failed", "message": "...",
+                  "fields": [{ "field": "phone", "code": "format", "message": "..." }] } }
+
+   code follows the HTTP status unless the error carries its own;
+   fields is empty for errors that are not about one field. A 409 from a
+   sale also lists the plots that were taken in error.conflicts.
+   ============================================ */
+
+const { check } = require('../config/validation');
+
+const ERROR_CODES = {
+  400: 'validation_failed',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  500: 'internal_error'
+};
+
+/**
+ * Send `error` ({ status?, code?, message, fields?, conflicts? }) as JSON
+ */
+function sendError(res, error) {
+  const status = error.status || 500;
+  const body = {
+    code: error.code || ERROR_CODES[status] || 'error',
+    message: error.message || 'Internal Server Error',
+    fields: error.fields || []
+  };
+  if (error.conflicts) body.conflicts = error.conflicts;
+  return res.status(status).json({ error: body });
+}
+
+/**
+ * Check req.body and/or req.query before the route handler runs
+ */
+function validate({ body, query }) {
+  return (req, res, next) => {
+    try {
+      if (body) req.body = check(body, req.body);
+      if (query) req.query = check(query, req.query);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+/**
+ * Send a list result ({ rows, total, page?, per_page? }) from the adapter
+ */
+function sendList(res, { rows, total, page, per_page }) {
+  res.set('X-Total-Count', String(total));
+  if (page !== undefined) res.set({ 'X-Page': String(page), 'X-Per-Page': String(per_page) });
+  return res.json(rows);
+}
+
+function validateId(req, res, next, value) {
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    return sendError(res, {
+      status: 400,
+      message: 'id must be a positive whole number',
+      fields: [{ field: 'id', code: 'type', message: 'must be a positive whole number' }]
+    });
+  }
+  next();
+}
+
+module.exports = {
+  sendError,
+  sendList,
+  validate,
+  validateId
+};
@@ -0,0 +1,544 @@
+/* ============================================
+   MIGRATION 001 - Initial schema
+   ============================================
+
+   The schema as it stood when migrations were introduced.
+   On SQLite it also upgrades databases created before then, which were
+   built by CREATE TABLE IF NOT EXISTS and may lack later columns.
+   ============================================ */
+
+const PAYMENT_STATUSES = ['pending', 'partial', 'paid', 'overdue', 'defaulted', 'cancelled'];
+
+const TRANSACTION_COLUMNS = 'id, buyer_id, plot_ids, total_amount, estate_id, payment_status, notes, cancel_reason, cancelled_at, created_at';
+
+const transactionsTable = (name) => `CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    buyer_id INTEGER NOT NULL,
+    plot_ids TEXT NOT NULL,
+    total_amount REAL NOT NULL,
+    estate_id INTEGER,
+    payment_status TEXT DEFAULT 'pending' CHECK(payment_status IN (${PAYMENT_STATUSES.map(s => `'${s}'`).join(', ')})),
+    notes TEXT,
+    cancel_reason TEXT,
+    cancelled_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (buyer_id) REFERENCES buyers(id)
+  )`;
+
+const SQLITE_TABLES = [
+  // Plots table
+  `CREATE TABLE IF NOT EXISTS plots (
+    id INTEGER PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'available' CHECK(status IN ('available', 'selected', 'sold')),
+    price REAL NOT NULL DEFAULT 65800,
+    category TEXT,
+    estate_id INTEGER,
+    plot_number INTEGER,
+    buyer_id INTEGER,
+    sold_date TEXT,
+    FOREIGN KEY (estate_id) REFERENCES estates(id),
+    FOREIGN KEY (buyer_id) REFERENCES buyers(id)
+  )`,
+
+  // Estates table (each estate/project has its own plot grid)
+  `CREATE TABLE IF NOT EXISTS estates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    location TEXT,
+    layout_rows INTEGER NOT NULL,
+    layout_cols INTEGER NOT NULL,
+    default_price REAL NOT NULL DEFAULT 65800,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  // Buyers table
+  `CREATE TABLE IF NOT EXISTS buyers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    id_number TEXT NOT NULL,
+    uid TEXT,
+    phone TEXT NOT NULL,
+    email TEXT NOT NULL,
+    address TEXT,
+    occupation TEXT,
+    budget REAL NOT NULL,
+    total_spent REAL NOT NULL DEFAULT 0,
+    remaining_balance REAL NOT NULL DEFAULT 0,
+    credit_balance REAL NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  // Transactions table
+  transactionsTable('transactions'),
+
+  // Payments table (payments recorded against a buyer's transaction)
+  `CREATE TABLE IF NOT EXISTS payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    buyer_id INTEGER NOT NULL,
+    transaction_id INTEGER,
+    amount REAL NOT NULL,
+    credit_amount REAL NOT NULL DEFAULT 0,
+    method TEXT,
+    reference TEXT,
+    notes TEXT,
+    paid_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (buyer_id) REFERENCES buyers(id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+  )`,
+
+  // Reservations table (time-limited holds on plots while a sale is in progress)
+  `CREATE TABLE IF NOT EXISTS reservations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    plot_id INTEGER NOT NULL UNIQUE,
+    buyer_id INTEGER,
+    held_by TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (plot_id) REFERENCES plots(id),
+    FOREIGN KEY (buyer_id) REFERENCES buyers(id)
+  )`,
+
+  // Plot price history (one row per price change)
+  `CREATE TABLE IF NOT EXISTS plot_price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    plot_id INTEGER NOT NULL,
+    old_price REAL,
+    new_price REAL NOT NULL,
+    reason TEXT,
+    changed_by TEXT,
+    changed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (plot_id) REFERENCES plots(id)
+  )`,
+
+  // Payment plans (deposit + monthly installments, one per transaction)
+  `CREATE TABLE IF NOT EXISTS payment_plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id INTEGER NOT NULL UNIQUE,
+    deposit_amount REAL NOT NULL,
+    months INTEGER NOT NULL DEFAULT 0,
+    monthly_amount REAL NOT NULL DEFAULT 0,
+    start_date TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+  )`,
+
+  // Installments (the schedule of a payment plan; sequence 0 is the deposit)
+  `CREATE TABLE IF NOT EXISTS installments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    plan_id INTEGER NOT NULL,
+    transaction_id INTEGER NOT NULL,
+    sequence INTEGER NOT NULL,
+    due_date TEXT NOT NULL,
+    amount_due REAL NOT NULL,
+    amount_paid REAL NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'partial', 'paid')),
+    FOREIGN KEY (plan_id) REFERENCES payment_plans(id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+  )`,
+
+  // Refunds (money returned to a buyer when a sale is cancelled)
+  `CREATE TABLE IF NOT EXISTS refunds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id INTEGER NOT NULL,
+    buyer_id INTEGER NOT NULL,
+    amount REAL NOT NULL,
+    reason TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+    FOREIGN KEY (buyer_id) REFERENCES buyers(id)
+  )`,
+
+  // Users (staff accounts; role decides which API calls they may make)
+  `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    name TEXT,
+    role TEXT NOT NULL CHECK(role IN ('admin', 'sales_agent', 'cashier', 'auditor')),
+    password_hash TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Sessions (login tokens; only a hash of the token is stored)
+  `CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )`,
+
+  // Payment allocations (how much of each payment went to which installment)
+  `CREATE TABLE IF NOT EXISTS payment_allocations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    payment_id INTEGER NOT NULL,
+    installment_id INTEGER NOT NULL,
+    amount REAL NOT NULL,
+    FOREIGN KEY (payment_id) REFERENCES payments(id),
+    FOREIGN KEY (installment_id) REFERENCES installments(id)
+  )`,
+
+  // Audit log (append-only: the triggers below reject updates and deletes)
+  `CREATE TABLE IF NOT EXISTS audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    entity TEXT NOT NULL,
+    entity_id TEXT,
+    before_json TEXT,
+    after_json TEXT,
+    ip TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events (entity, entity_id)`,
+  `CREATE TRIGGER IF NOT EXISTS audit_events_no_update BEFORE UPDATE ON audit_events
+   BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END`,
+  `CREATE TRIGGER IF NOT EXISTS audit_events_no_delete BEFORE DELETE ON audit_events
+   BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END`
+];
+
+// Columns that databases from before migrations may be missing
+const SQLITE_LATE_COLUMNS = [
+  ['plots', 'category', 'TEXT'],
+  ['plots', 'estate_id', 'INTEGER REFERENCES estates(id)'],
+  ['plots', 'plot_number', 'INTEGER'],
+  ['buyers', 'uid', 'TEXT'],
+  ['buyers', 'total_spent', 'REAL NOT NULL DEFAULT 0'],
+  ['buyers', 'remaining_balance', 'REAL NOT NULL DEFAULT 0'],
+  ['buyers', 'credit_balance', 'REAL NOT NULL DEFAULT 0'],
+  ['transactions', 'estate_id', 'INTEGER'],
+  ['transactions', 'cancel_reason', 'TEXT'],
+  ['transactions', 'cancelled_at', 'TEXT'],
+  ['payments', 'transaction_id', 'INTEGER REFERENCES transactions(id)'],
+  ['payments', 'credit_amount', 'REAL NOT NULL DEFAULT 0'],
+  ['payments', 'reference', 'TEXT'],
+  ['payments', 'paid_at', 'TEXT']
+];
+
+// Dropped in reverse order of creation by down()
+const TABLES = [
+  'plots', 'estates', 'buyers', 'transactions', 'payments', 'reservations', 'plot_price_history',
+  'payment_plans', 'installments', 'refunds', 'users', 'sessions', 'payment_allocations', 'audit_events'
+];
+
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Older databases only allowed pending/completed/failed. SQLite cannot alter
+ * a CHECK constraint, so the transactions table is rebuilt with the current
+ * status list; completed becomes paid and failed becomes cancelled.
+ */
+async function upgradePaymentStatuses(db) {
+  const [table] = await db.all(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'transactions'`);
+  if (!table || table.sql.includes("'overdue'")) return;
+
+  console.log('Upgrading transactions.payment_status values...');
+  await db.run(`DROP TABLE IF EXISTS transactions_upgrade`);
+  await db.run(transactionsTable('transactions_upgrade'));
+  await db.run(
+    `INSERT INTO transactions_upgrade (${TRANSACTION_COLUMNS})
+     SELECT id, buyer_id, plot_ids, total_amount, estate_id,
+            CASE payment_status WHEN 'completed' THEN 'paid' WHEN 'failed' THEN 'cancelled' ELSE payment_status END,
+            notes, cancel_reason, cancelled_at, created_at
+     FROM transactions`
+  );
+  await db.run(`DROP TABLE transactions`);
+  await db.run(`ALTER TABLE transactions_upgrade RENAME TO transactions`);
+}
+
+const POSTGRES_UP = `
+create table if not exists buyers (
+  id serial primary key,
+  name text not null,
+  id_number text unique not null,
+  uid text,
+  phone text not null,
+  email text not null,
+  address text,
+  occupation text,
+  budget numeric(10,2) not null,
+  total_spent numeric(12,2) not null default 0,
+  remaining_balance numeric(12,2) not null default 0,
+  created_at timestamp default current_timestamp
+);
+
+create table if not exists estates (
+  id serial primary key,
+  name text not null,
+  location text,
+  layout_rows integer not null,
+  layout_cols integer not null,
+  default_price numeric(10,2) not null default 65800.00,
+  created_at timestamp default current_timestamp
+);
+
+create table if not exists plots (
+  id integer primary key,
+  status text not null default 'available' check (status in ('available','selected','sold')),
+  price numeric(10,2) not null default 65800.00,
+  category text,
+  estate_id integer references estates(id),
+  plot_number integer,
+  buyer_id integer references buyers(id),
+  sold_date timestamp
+);
+
+create table if not exists transactions (
+  id serial primary key,
+  buyer_id integer not null references buyers(id),
+  plot_ids text not null,
+  total_amount numeric(10,2) not null,
+  estate_id integer references estates(id),
+  payment_status text default 'pending' check (payment_status in ('pending','partial','paid','overdue','defaulted','cancelled')),
+  notes text,
+  cancel_reason text,
+  cancelled_at timestamptz,
+  created_at timestamp default current_timestamp
+);
+
+create table if not exists plot_price_history (
+  id serial primary key,
+  plot_id integer not null references plots(id),
+  old_price numeric(10,2),
+  new_price numeric(10,2) not null,
+  reason text,
+  changed_by text,
+  changed_at timestamp default current_timestamp
+);
+
+create table if not exists reservations (
+  id serial primary key,
+  plot_id integer not null unique references plots(id),
+  buyer_id integer references buyers(id),
+  held_by text not null,
+  expires_at timestamptz not null,
+  created_at timestamp default current_timestamp
+);
+
+create table if not exists payment_plans (
+  id serial primary key,
+  transaction_id integer not null unique references transactions(id),
+  deposit_amount numeric(12,2) not null,
+  months integer not null default 0,
+  monthly_amount numeric(12,2) not null default 0,
+  start_date date not null,
+  created_at timestamp default current_timestamp
+);
+
+create table if not exists installments (
+  id serial primary key,
+  plan_id integer not null references payment_plans(id),
+  transaction_id integer not null references transactions(id),
+  sequence integer not null,
+  due_date date not null,
+  amount_due numeric(12,2) not null,
+  amount_paid numeric(12,2) not null default 0,
+  status text not null default 'pending' check (status in ('pending','partial','paid'))
+);
+
+create table if not exists refunds (
+  id serial primary key,
+  transaction_id integer not null references transactions(id),
+  buyer_id integer not null references buyers(id),
+  amount numeric(12,2) not null,
+  reason text,
+  created_at timestamp default current_timestamp
+);
+
+create table if not exists users (
+  id serial primary key,
+  username text not null unique,
+  name text,
+  role text not null check (role in ('admin','sales_agent','cashier','auditor')),
+  password_hash text not null,
+  active boolean not null default true,
+  created_at timestamp default current_timestamp
+);
+
+create table if not exists sessions (
+  id serial primary key,
+  user_id integer not null references users(id),
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  created_at timestamp default current_timestamp
+);
+
+create table if not exists audit_events (
+  id bigserial primary key,
+  actor text not null,
+  action text not null,
+  entity text not null,
+  entity_id text,
+  before_json jsonb,
+  after_json jsonb,
+  ip text,
+  created_at timestamptz not null default now()
+);
+create index if not exists idx_audit_events_entity on audit_events (entity, entity_id);
+
+create or replace function audit_events_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_events is append-only';
+end;
+$$;
+
+drop trigger if exists audit_events_no_change on audit_events;
+create trigger audit_events_no_change
+  before update or delete on audit_events
+  for each row execute function audit_events_append_only();
+
+create or replace function purchase_plots(p_buyer_id integer, p_plot_ids integer[], p_held_by text default null, p_notes text default '')
+returns transactions
+language plpgsql
+as $$
+declare
+  v_conflicts integer[];
+  v_total numeric(12,2);
+  v_tx transactions;
+begin
+  perform 1 from buyers where id = p_buyer_id;
+  if not found then
+    raise exception 'BUYER_NOT_FOUND';
+  end if;
+
+  -- Lock the requested plots so concurrent purchases wait for this one
+  perform 1 from plots where id = any(p_plot_ids) for update;
+
+  -- A held plot can only be bought by its holder (agent or buyer) or once the hold lapses
+  select coalesce(array_agg(r.id order by r.id), '{}') into v_conflicts
+  from unnest(p_plot_ids) as r(id)
+  left join plots p on p.id = r.id
+  left join reservations h on h.plot_id = r.id
+  where p.id is null
+     or p.status = 'sold'
+     or (p.status = 'selected'
+         and h.expires_at > now()
+         and h.held_by is distinct from p_held_by
+         and h.buyer_id is distinct from p_buyer_id);
+
+  if coalesce(array_length(v_conflicts, 1), 0) > 0 then
+    raise exception 'PLOTS_UNAVAILABLE:%', array_to_string(v_conflicts, ',');
+  end if;
+
+  select coalesce(sum(price), 0) into v_total from plots where id = any(p_plot_ids);
+
+  update plots
+     set status = 'sold', buyer_id = p_buyer_id, sold_date = now()
+   where id = any(p_plot_ids);
+
+  delete from reservations where plot_id = any(p_plot_ids);
+
+  insert into transactions (buyer_id, plot_ids, total_amount, notes, payment_status)
+  values (p_buyer_id, array_to_string(p_plot_ids, ','), v_total, coalesce(p_notes, ''), 'pending')
+  returning * into v_tx;
+
+  update buyers
+     set total_spent = coalesce(total_spent, 0) + v_total,
+         remaining_balance = budget - (coalesce(total_spent, 0) + v_total)
+   where id = p_buyer_id;
+
+  return v_tx;
+end;
+$$;
+
+create or replace function cancel_transaction(p_transaction_id integer, p_reason text, p_refund_amount numeric default 0)
+returns transactions
+language plpgsql
+as $$
+declare
+  v_tx transactions;
+  v_paid numeric(12,2);
+  v_plot_ids integer[];
+begin
+  select * into v_tx from transactions where id = p_transaction_id for update;
+  if not found then
+    raise exception 'TRANSACTION_NOT_FOUND';
+  end if;
+  if v_tx.payment_status = 'cancelled' then
+    raise exception 'TRANSACTION_NOT_CANCELLABLE:%', v_tx.payment_status;
+  end if;
+
+  select coalesce(sum(amount_paid), 0) into v_paid from installments where transaction_id = v_tx.id;
+  if coalesce(p_refund_amount, 0) > v_paid then
+    raise exception 'REFUND_EXCEEDS_PAID:%', v_paid;
+  end if;
+
+  v_plot_ids := string_to_array(v_tx.plot_ids, ',')::integer[];
+  update plots
+     set status = 'available', buyer_id = null, sold_date = null
+   where id = any(v_plot_ids) and buyer_id = v_tx.buyer_id;
+  delete from reservations where plot_id = any(v_plot_ids);
+
+  if coalesce(p_refund_amount, 0) > 0 then
+    insert into refunds (transaction_id, buyer_id, amount, reason)
+    values (v_tx.id, v_tx.buyer_id, p_refund_amount, p_reason);
+  end if;
+
+  update buyers
+     set total_spent = greatest(0, coalesce(total_spent, 0) - (v_tx.total_amount - v_paid)),
+         remaining_balance = budget - greatest(0, coalesce(total_spent, 0) - (v_tx.total_amount - v_paid))
+   where id = v_tx.buyer_id;
+
+  update transactions
+     set payment_status = 'cancelled', cancel_reason = p_reason, cancelled_at = now()
+   where id = v_tx.id
+  returning * into v_tx;
+
+  return v_tx;
+end;
+$$;
+`;
+
+const POSTGRES_DOWN = `
+drop function if exists cancel_transaction(integer, text, numeric);
+drop function if exists purchase_plots(integer, integer[], text, text);
+drop table if exists audit_events;
+drop function if exists audit_events_append_only();
+drop table if exists sessions;
+drop table if exists users;
+drop table if exists refunds;
+drop table if exists installments;
+drop table if exists payment_plans;
+drop table if exists reservations;
+drop table if exists plot_price_history;
+drop table if exists transactions;
+drop table if exists plots;
+drop table if exists estates;
+drop table if exists buyers;
+`;
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(POSTGRES_UP);
+      return;
+    }
+    for (const query of SQLITE_TABLES) {
+      await db.run(query);
+    }
+    for (const [table, column, definition] of SQLITE_LATE_COLUMNS) {
+      await addColumnIfMissing(db, table, column, definition);
+    }
+    await upgradePaymentStatuses(db);
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(POSTGRES_DOWN);
+      return;
+    }
+    for (const table of [...TABLES].reverse()) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,33 @@
+/* ============================================
+   MIGRATION 002 - Backfill buyers.uid
+   ============================================
+
+   Buyers created before the uid column existed have no uid, so the
+   ledger lookup by UID cannot find them. Fill it in the same way
+   createBuyer does (name-id_number) and index it for lookups.
+   The backfill is kept on rollback; only the index is dropped.
+   ============================================ */
+
+// Same rule as generateBuyerUid() in db-adapter.js at the time of writing
+function buyerUid(name, idNumber) {
+  const normalize = (s) => String(s || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${normalize(name).slice(0, 32)}-${String(idNumber || '').replace(/\s+/g, '')}`;
+}
+
+module.exports = {
+  async up(db) {
+    const buyers = await db.all(`SELECT id, name, id_number FROM buyers WHERE uid IS NULL OR uid = ''`);
+    for (const buyer of buyers) {
+      await db.run('UPDATE buyers SET uid = ? WHERE id = ?', [buyerUid(buyer.name, buyer.id_number), buyer.id]);
+    }
+    await db.run('CREATE INDEX IF NOT EXISTS idx_buyers_uid ON buyers (uid)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_buyers_uid');
+  }
+};
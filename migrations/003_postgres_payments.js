@@ -0,0 +1,49 @@
+/* ============================================
+   MIGRATION 003 - Payments on PostgreSQL
+   ============================================
+
+   Payments, their installment allocations and the buyer credit balance
+   were only ever created on SQLite (001 already has them there), so
+   this migration is Postgres-only. Columns are added one by one in case
+   a payments table was created by hand before.
+   ============================================ */
+
+const POSTGRES_UP = `
+create table if not exists payments (
+  id serial primary key,
+  buyer_id integer not null references buyers(id),
+  amount numeric(12,2) not null,
+  method text,
+  notes text,
+  created_at timestamp default current_timestamp
+);
+alter table payments add column if not exists transaction_id integer references transactions(id);
+alter table payments add column if not exists credit_amount numeric(12,2) not null default 0;
+alter table payments add column if not exists reference text;
+alter table payments add column if not exists paid_at timestamptz;
+
+create table if not exists payment_allocations (
+  id serial primary key,
+  payment_id integer not null references payments(id),
+  installment_id integer not null references installments(id),
+  amount numeric(12,2) not null
+);
+
+alter table buyers add column if not exists credit_balance numeric(12,2) not null default 0;
+`;
+
+const POSTGRES_DOWN = `
+drop table if exists payment_allocations;
+drop table if exists payments;
+alter table buyers drop column if exists credit_balance;
+`;
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') await db.run(POSTGRES_UP);
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') await db.run(POSTGRES_DOWN);
+  }
+};
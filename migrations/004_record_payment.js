@@ -0,0 +1,143 @@
+/* ============================================
+   MIGRATION 004 - record_payment() on PostgreSQL
+   ============================================
+
+   Supabase records payments through this function so the payment, its
+   installment allocations, the buyer totals and the transaction status
+   change in one database transaction, as createPayment() does on the SQL
+   drivers. Raises TRANSACTION_NOT_FOUND, TRANSACTION_CANCELLED,
+   BUYER_MISMATCH or BUYER_NOT_FOUND; db-adapter turns these into the same
+   404 / 409 / 400 errors as the SQL path.
+   ============================================ */
+
+const POSTGRES_UP = `
+create or replace function record_payment(
+  p_transaction_id integer,
+  p_buyer_id integer,
+  p_amount numeric,
+  p_method text default '',
+  p_reference text default '',
+  p_notes text default '',
+  p_paid_at timestamptz default now()
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_tx transactions;
+  v_buyer buyers;
+  v_buyer_id integer := p_buyer_id;
+  v_inst installments;
+  v_payment payments;
+  v_has_plan boolean := false;
+  v_left numeric(12,2) := p_amount;
+  v_open numeric(12,2);
+  v_applied numeric(12,2);
+  v_allocations jsonb := '[]'::jsonb;
+  v_due numeric(12,2);
+  v_paid numeric(12,2);
+  v_overdue boolean;
+  v_next text;
+begin
+  if p_transaction_id is not null then
+    select * into v_tx from transactions where id = p_transaction_id for update;
+    if not found then
+      raise exception 'TRANSACTION_NOT_FOUND';
+    end if;
+    if v_tx.payment_status = 'cancelled' then
+      raise exception 'TRANSACTION_CANCELLED';
+    end if;
+    if p_buyer_id is not null and p_buyer_id <> v_tx.buyer_id then
+      raise exception 'BUYER_MISMATCH';
+    end if;
+    v_buyer_id := v_tx.buyer_id;
+  end if;
+
+  select * into v_buyer from buyers where id = v_buyer_id for update;
+  if not found then
+    raise exception 'BUYER_NOT_FOUND';
+  end if;
+
+  if p_transaction_id is not null then
+    select exists(select 1 from installments where transaction_id = v_tx.id) into v_has_plan;
+    if not v_has_plan then
+      -- Sales made before payment plans existed: owe the total less earlier payments
+      select coalesce(sum(amount - credit_amount), 0) into v_paid from payments where transaction_id = v_tx.id;
+      v_left := greatest(0, p_amount - greatest(0, v_tx.total_amount - v_paid));
+    end if;
+  end if;
+
+  insert into payments (buyer_id, transaction_id, amount, credit_amount, method, reference, notes, paid_at)
+  values (v_buyer_id, p_transaction_id, p_amount, 0, coalesce(p_method, ''), coalesce(p_reference, ''),
+          coalesce(p_notes, ''), coalesce(p_paid_at, now()))
+  returning * into v_payment;
+
+  -- Apply the money to open installments, oldest first
+  if v_has_plan then
+    for v_inst in
+      select * from installments where transaction_id = v_tx.id order by due_date, sequence for update
+    loop
+      exit when v_left <= 0;
+      v_open := v_inst.amount_due - v_inst.amount_paid;
+      continue when v_open <= 0;
+      v_applied := least(v_open, v_left);
+      update installments
+         set amount_paid = amount_paid + v_applied,
+             status = case when amount_paid + v_applied >= amount_due then 'paid' else 'partial' end
+       where id = v_inst.id;
+      insert into payment_allocations (payment_id, installment_id, amount)
+      values (v_payment.id, v_inst.id, v_applied);
+      v_allocations := v_allocations || jsonb_build_array(jsonb_build_object(
+        'installment_id', v_inst.id, 'sequence', v_inst.sequence, 'amount', v_applied));
+      v_left := v_left - v_applied;
+    end loop;
+  end if;
+
+  -- Whatever the transaction no longer owes becomes buyer credit
+  update payments set credit_amount = v_left where id = v_payment.id returning * into v_payment;
+
+  update buyers
+     set total_spent = greatest(0, coalesce(total_spent, 0) - (p_amount - v_left)),
+         remaining_balance = budget - (coalesce(total_spent, 0) - (p_amount - v_left)),
+         credit_balance = credit_balance + v_left
+   where id = v_buyer_id;
+
+  if p_transaction_id is not null then
+    if v_has_plan then
+      select sum(amount_due), sum(amount_paid), bool_or(due_date < current_date and amount_paid < amount_due)
+        into v_due, v_paid, v_overdue
+        from installments where transaction_id = v_tx.id;
+    else
+      v_due := v_tx.total_amount;
+      select coalesce(sum(amount - credit_amount), 0) into v_paid from payments where transaction_id = v_tx.id;
+      v_overdue := false;
+    end if;
+    v_next := case
+      when v_paid >= v_due then 'paid'
+      when v_tx.payment_status = 'defaulted' then 'defaulted'
+      when v_overdue then 'overdue'
+      when v_paid > 0 then 'partial'
+      else 'pending'
+    end;
+    update transactions set payment_status = v_next
+     where id = v_tx.id and payment_status is distinct from v_next;
+  end if;
+
+  return to_jsonb(v_payment) || jsonb_build_object('allocations', v_allocations);
+end;
+$$;
+`;
+
+const POSTGRES_DOWN = `
+drop function if exists record_payment(integer, integer, numeric, text, text, text, timestamptz);
+`;
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') await db.run(POSTGRES_UP);
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') await db.run(POSTGRES_DOWN);
+  }
+};
@@ -0,0 +1,247 @@
+/* ============================================
+   MIGRATION 005 - Payment receipts and voids
+   ============================================
+
+   Every payment gets a receipt number (RCT-000042) generated from its
+   id, and can be voided: voided_at / void_reason / voided_by record who
+   took it back. Voided payments no longer count towards what was paid.
+
+   On PostgreSQL, record_payment() is replaced so its totals skip voided
+   payments, and void_payment() does the reverse of record_payment() in
+   one database transaction. Both share refresh_payment_status(), the
+   same rule as derivePaymentStatus() in db-adapter.js.
+   ============================================ */
+
+const VOID_COLUMNS = [
+  ['voided_at', 'TEXT', 'timestamptz'],
+  ['void_reason', 'TEXT', 'text'],
+  ['voided_by', 'TEXT', 'text']
+];
+
+const POSTGRES_UP = `
+alter table payments add column if not exists receipt_number text
+  generated always as ('RCT-' || lpad(id::text, 6, '0')) stored;
+${VOID_COLUMNS.map(([name, , type]) => `alter table payments add column if not exists ${name} ${type};`).join('\n')}
+
+create or replace function refresh_payment_status(p_transaction_id integer)
+returns text
+language plpgsql
+as $$
+declare
+  v_tx transactions;
+  v_due numeric(12,2);
+  v_paid numeric(12,2);
+  v_overdue boolean;
+  v_next text;
+begin
+  select * into v_tx from transactions where id = p_transaction_id;
+  if not found or v_tx.payment_status = 'cancelled' then
+    return v_tx.payment_status;
+  end if;
+
+  if exists(select 1 from installments where transaction_id = v_tx.id) then
+    select sum(amount_due), sum(amount_paid), bool_or(due_date < current_date and amount_paid < amount_due)
+      into v_due, v_paid, v_overdue
+      from installments where transaction_id = v_tx.id;
+  else
+    v_due := v_tx.total_amount;
+    select coalesce(sum(amount - credit_amount), 0) into v_paid
+      from payments where transaction_id = v_tx.id and voided_at is null;
+    v_overdue := false;
+  end if;
+
+  v_next := case
+    when v_paid >= v_due then 'paid'
+    when v_tx.payment_status = 'defaulted' then 'defaulted'
+    when v_overdue then 'overdue'
+    when v_paid > 0 then 'partial'
+    else 'pending'
+  end;
+  update transactions set payment_status = v_next
+   where id = v_tx.id and payment_status is distinct from v_next;
+  return v_next;
+end;
+$$;
+
+create or replace function record_payment(
+  p_transaction_id integer,
+  p_buyer_id integer,
+  p_amount numeric,
+  p_method text default '',
+  p_reference text default '',
+  p_notes text default '',
+  p_paid_at timestamptz default now()
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_tx transactions;
+  v_buyer_id integer := p_buyer_id;
+  v_inst installments;
+  v_payment payments;
+  v_has_plan boolean := false;
+  v_left numeric(12,2) := p_amount;
+  v_open numeric(12,2);
+  v_applied numeric(12,2);
+  v_allocations jsonb := '[]'::jsonb;
+  v_paid numeric(12,2);
+begin
+  if p_transaction_id is not null then
+    select * into v_tx from transactions where id = p_transaction_id for update;
+    if not found then
+      raise exception 'TRANSACTION_NOT_FOUND';
+    end if;
+    if v_tx.payment_status = 'cancelled' then
+      raise exception 'TRANSACTION_CANCELLED';
+    end if;
+    if p_buyer_id is not null and p_buyer_id <> v_tx.buyer_id then
+      raise exception 'BUYER_MISMATCH';
+    end if;
+    v_buyer_id := v_tx.buyer_id;
+  end if;
+
+  perform 1 from buyers where id = v_buyer_id for update;
+  if not found then
+    raise exception 'BUYER_NOT_FOUND';
+  end if;
+
+  if p_transaction_id is not null then
+    select exists(select 1 from installments where transaction_id = v_tx.id) into v_has_plan;
+    if not v_has_plan then
+      -- Sales made before payment plans existed: owe the total less earlier payments
+      select coalesce(sum(amount - credit_amount), 0) into v_paid
+        from payments where transaction_id = v_tx.id and voided_at is null;
+      v_left := greatest(0, p_amount - greatest(0, v_tx.total_amount - v_paid));
+    end if;
+  end if;
+
+  insert into payments (buyer_id, transaction_id, amount, credit_amount, method, reference, notes, paid_at)
+  values (v_buyer_id, p_transaction_id, p_amount, 0, coalesce(p_method, ''), coalesce(p_reference, ''),
+          coalesce(p_notes, ''), coalesce(p_paid_at, now()))
+  returning * into v_payment;
+
+  -- Apply the money to open installments, oldest first
+  if v_has_plan then
+    for v_inst in
+      select * from installments where transaction_id = v_tx.id order by due_date, sequence for update
+    loop
+      exit when v_left <= 0;
+      v_open := v_inst.amount_due - v_inst.amount_paid;
+      continue when v_open <= 0;
+      v_applied := least(v_open, v_left);
+      update installments
+         set amount_paid = amount_paid + v_applied,
+             status = case when amount_paid + v_applied >= amount_due then 'paid' else 'partial' end
+       where id = v_inst.id;
+      insert into payment_allocations (payment_id, installment_id, amount)
+      values (v_payment.id, v_inst.id, v_applied);
+      v_allocations := v_allocations || jsonb_build_array(jsonb_build_object(
+        'installment_id', v_inst.id, 'sequence', v_inst.sequence, 'amount', v_applied));
+      v_left := v_left - v_applied;
+    end loop;
+  end if;
+
+  -- Whatever the transaction no longer owes becomes buyer credit
+  update payments set credit_amount = v_left where id = v_payment.id returning * into v_payment;
+
+  update buyers
+     set total_spent = greatest(0, coalesce(total_spent, 0) - (p_amount - v_left)),
+         remaining_balance = budget - (coalesce(total_spent, 0) - (p_amount - v_left)),
+         credit_balance = credit_balance + v_left
+   where id = v_buyer_id;
+
+  if p_transaction_id is not null then
+    perform refresh_payment_status(v_tx.id);
+  end if;
+
+  return to_jsonb(v_payment) || jsonb_build_object('allocations', v_allocations);
+end;
+$$;
+
+create or replace function void_payment(p_payment_id integer, p_reason text, p_voided_by text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_payment payments;
+  v_status text;
+  v_alloc record;
+begin
+  select * into v_payment from payments where id = p_payment_id for update;
+  if not found then
+    raise exception 'PAYMENT_NOT_FOUND';
+  end if;
+  if v_payment.voided_at is not null then
+    raise exception 'PAYMENT_ALREADY_VOIDED';
+  end if;
+  if v_payment.transaction_id is not null then
+    select payment_status into v_status from transactions where id = v_payment.transaction_id for update;
+    if v_status = 'cancelled' then
+      raise exception 'TRANSACTION_CANCELLED';
+    end if;
+  end if;
+
+  for v_alloc in select * from payment_allocations where payment_id = v_payment.id loop
+    update installments
+       set amount_paid = greatest(0, amount_paid - v_alloc.amount),
+           status = case
+             when amount_paid - v_alloc.amount >= amount_due then 'paid'
+             when amount_paid - v_alloc.amount > 0 then 'partial'
+             else 'pending'
+           end
+     where id = v_alloc.installment_id;
+  end loop;
+
+  update buyers
+     set total_spent = coalesce(total_spent, 0) + (v_payment.amount - v_payment.credit_amount),
+         remaining_balance = budget - (coalesce(total_spent, 0) + (v_payment.amount - v_payment.credit_amount)),
+         credit_balance = credit_balance - v_payment.credit_amount
+   where id = v_payment.buyer_id;
+
+  update payments
+     set voided_at = now(), void_reason = p_reason, voided_by = p_voided_by
+   where id = v_payment.id
+  returning * into v_payment;
+
+  if v_payment.transaction_id is not null then
+    perform refresh_payment_status(v_payment.transaction_id);
+  end if;
+
+  return to_jsonb(v_payment);
+end;
+$$;
+`;
+
+const POSTGRES_DOWN = `
+drop function if exists void_payment(integer, text, text);
+drop function if exists refresh_payment_status(integer);
+${VOID_COLUMNS.map(([name]) => `alter table payments drop column if exists ${name};`).join('\n')}
+alter table payments drop column if exists receipt_number;
+`;
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(POSTGRES_UP);
+      return;
+    }
+    await db.run(`ALTER TABLE payments ADD COLUMN receipt_number TEXT GENERATED ALWAYS AS (printf('RCT-%06d', id)) VIRTUAL`);
+    for (const [name, type] of VOID_COLUMNS) {
+      await db.run(`ALTER TABLE payments ADD COLUMN ${name} ${type}`);
+    }
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(POSTGRES_DOWN);
+      // Put back the record_payment() that 004 created
+      await require('./004_record_payment').up(db);
+      return;
+    }
+    for (const [name] of [...VOID_COLUMNS].reverse()) {
+      await db.run(`ALTER TABLE payments DROP COLUMN ${name}`);
+    }
+    await db.run('ALTER TABLE payments DROP COLUMN receipt_number');
+  }
+};
@@ -0,0 +1,77 @@
+/* ============================================
+   MIGRATION 006 - merge_buyers() on PostgreSQL
+   ============================================
+
+   Supabase merges duplicate buyers through this function so the moved
+   transactions, payments, refunds, plots and holds, the combined totals
+   and the deleted duplicate change in one database transaction, as
+   mergeBuyers() does on the SQL drivers. Raises BUYER_NOT_FOUND, which
+   db-adapter turns into the same 404 as the SQL path.
+   ============================================ */
+
+const POSTGRES_UP = `
+create or replace function merge_buyers(p_buyer_id integer, p_duplicate_id integer)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_buyer buyers;
+  v_duplicate buyers;
+  v_moved jsonb := '{}'::jsonb;
+  v_count integer;
+  v_total numeric(12,2);
+begin
+  select * into v_buyer from buyers where id = p_buyer_id for update;
+  if not found then
+    raise exception 'BUYER_NOT_FOUND';
+  end if;
+  select * into v_duplicate from buyers where id = p_duplicate_id for update;
+  if not found then
+    raise exception 'BUYER_NOT_FOUND';
+  end if;
+
+  update transactions set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('transactions', v_count);
+  update payments set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('payments', v_count);
+  update refunds set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('refunds', v_count);
+  update plots set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('plots', v_count);
+  update reservations set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('reservations', v_count);
+
+  v_total := coalesce(v_buyer.total_spent, 0) + coalesce(v_duplicate.total_spent, 0);
+  update buyers
+     set total_spent = v_total,
+         remaining_balance = budget - v_total,
+         credit_balance = credit_balance + coalesce(v_duplicate.credit_balance, 0),
+         email = coalesce(nullif(email, ''), v_duplicate.email),
+         address = coalesce(nullif(address, ''), v_duplicate.address),
+         occupation = coalesce(nullif(occupation, ''), v_duplicate.occupation)
+   where id = v_buyer.id;
+  delete from buyers where id = v_duplicate.id;
+
+  return jsonb_build_object('moved', v_moved);
+end;
+$$;
+`;
+
+const POSTGRES_DOWN = `
+drop function if exists merge_buyers(integer, integer);
+`;
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') await db.run(POSTGRES_UP);
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') await db.run(POSTGRES_DOWN);
+  }
+};
@@ -0,0 +1,46 @@
+/* ============================================
+   MIGRATION 007 - Plot survey data
+   ============================================
+
+   Plots get the attributes from the subdivision survey:
+     size_acres / size_sqm - area
+     dimensions            - as surveyed, e.g. "15 x 30 m"
+     parcel_number         - LR / parcel number on the title
+     road_frontage         - metres of road frontage (0 = none)
+     is_corner             - corner plot
+     geometry              - GeoJSON Polygon or MultiPolygon, [lng, lat]
+
+   geometry is JSON text on SQLite and jsonb on PostgreSQL.
+   ============================================ */
+
+const SURVEY_COLUMNS = [
+  ['size_acres', 'REAL', 'numeric(10,4)'],
+  ['size_sqm', 'REAL', 'numeric(12,2)'],
+  ['dimensions', 'TEXT', 'text'],
+  ['parcel_number', 'TEXT', 'text'],
+  ['road_frontage', 'REAL', 'numeric(8,2)'],
+  ['is_corner', 'INTEGER NOT NULL DEFAULT 0', 'boolean not null default false'],
+  ['geometry', 'TEXT', 'jsonb']
+];
+
+module.exports = {
+  async up(db) {
+    for (const [name, sqliteType, postgresType] of SURVEY_COLUMNS) {
+      await db.run(db.dialect === 'postgres'
+        ? `alter table plots add column if not exists ${name} ${postgresType}`
+        : `ALTER TABLE plots ADD COLUMN ${name} ${sqliteType}`);
+    }
+    await db.run(db.dialect === 'postgres'
+      ? 'create index if not exists idx_plots_parcel_number on plots (parcel_number)'
+      : 'CREATE INDEX IF NOT EXISTS idx_plots_parcel_number ON plots (parcel_number)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_plots_parcel_number');
+    for (const [name] of [...SURVEY_COLUMNS].reverse()) {
+      await db.run(db.dialect === 'postgres'
+        ? `alter table plots drop column if exists ${name}`
+        : `ALTER TABLE plots DROP COLUMN ${name}`);
+    }
+  }
+};
@@ -0,0 +1,148 @@
+/* ============================================
+   MIGRATION 008 - Plot tags and pricing rules
+   ============================================
+
+   plots.tags lists free-form labels ("near-gate", "main-road") next to
+   the single category. JSON text on SQLite, jsonb on PostgreSQL.
+
+   pricing_rules adjust list prices by plot attributes, e.g. +10% for
+   corner plots or -5% for plots 150-200. A rule matches on any of
+   estate_id, category, tag, corner, road_facing and plot_from..plot_to
+   (unset conditions match every plot) and adds a percent of the base
+   price or a fixed amount. See config/pricing.js.
+
+   On PostgreSQL, purchase_plots() takes the sale total as p_total_amount,
+   since effective prices are worked out by the API rather than in SQL.
+   ============================================ */
+
+const SQLITE_UP = [
+  `ALTER TABLE plots ADD COLUMN tags TEXT NOT NULL DEFAULT '[]'`,
+  `CREATE TABLE IF NOT EXISTS pricing_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    estate_id INTEGER,
+    category TEXT,
+    tag TEXT,
+    corner INTEGER,
+    road_facing INTEGER,
+    plot_from INTEGER,
+    plot_to INTEGER,
+    percent REAL,
+    amount REAL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (estate_id) REFERENCES estates(id)
+  )`
+];
+
+// purchase_plots() from 001, optionally charging a total worked out by the caller
+const purchasePlots = (withTotal) => `
+create or replace function purchase_plots(p_buyer_id integer, p_plot_ids integer[], p_held_by text default null, p_notes text default ''${withTotal ? ', p_total_amount numeric default null' : ''})
+returns transactions
+language plpgsql
+as $$
+declare
+  v_conflicts integer[];
+  v_total numeric(12,2);
+  v_tx transactions;
+begin
+  perform 1 from buyers where id = p_buyer_id;
+  if not found then
+    raise exception 'BUYER_NOT_FOUND';
+  end if;
+
+  -- Lock the requested plots so concurrent purchases wait for this one
+  perform 1 from plots where id = any(p_plot_ids) for update;
+
+  -- A held plot can only be bought by its holder (agent or buyer) or once the hold lapses
+  select coalesce(array_agg(r.id order by r.id), '{}') into v_conflicts
+  from unnest(p_plot_ids) as r(id)
+  left join plots p on p.id = r.id
+  left join reservations h on h.plot_id = r.id
+  where p.id is null
+     or p.status = 'sold'
+     or (p.status = 'selected'
+         and h.expires_at > now()
+         and h.held_by is distinct from p_held_by
+         and h.buyer_id is distinct from p_buyer_id);
+
+  if coalesce(array_length(v_conflicts, 1), 0) > 0 then
+    raise exception 'PLOTS_UNAVAILABLE:%', array_to_string(v_conflicts, ',');
+  end if;
+
+  ${withTotal
+    ? 'v_total := p_total_amount;\n  if v_total is null then\n    select coalesce(sum(price), 0) into v_total from plots where id = any(p_plot_ids);\n  end if;'
+    : 'select coalesce(sum(price), 0) into v_total from plots where id = any(p_plot_ids);'}
+
+  update plots
+     set status = 'sold', buyer_id = p_buyer_id, sold_date = now()
+   where id = any(p_plot_ids);
+
+  delete from reservations where plot_id = any(p_plot_ids);
+
+  insert into transactions (buyer_id, plot_ids, total_amount, notes, payment_status)
+  values (p_buyer_id, array_to_string(p_plot_ids, ','), v_total, coalesce(p_notes, ''), 'pending')
+  returning * into v_tx;
+
+  update buyers
+     set total_spent = coalesce(total_spent, 0) + v_total,
+         remaining_balance = budget - (coalesce(total_spent, 0) + v_total)
+   where id = p_buyer_id;
+
+  return v_tx;
+end;
+$$;
+`;
+
+const POSTGRES_UP = `
+alter table plots add column if not exists tags jsonb not null default '[]'::jsonb;
+
+create table if not exists pricing_rules (
+  id serial primary key,
+  name text not null,
+  estate_id integer references estates(id),
+  category text,
+  tag text,
+  corner boolean,
+  road_facing boolean,
+  plot_from integer,
+  plot_to integer,
+  percent numeric(7,2),
+  amount numeric(12,2),
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz default now()
+);
+
+drop function if exists purchase_plots(integer, integer[], text, text);
+${purchasePlots(true)}
+`;
+
+const POSTGRES_DOWN = `
+drop function if exists purchase_plots(integer, integer[], text, text, numeric);
+${purchasePlots(false)}
+drop table if exists pricing_rules;
+alter table plots drop column if exists tags;
+`;
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(POSTGRES_UP);
+      return;
+    }
+    for (const query of SQLITE_UP) {
+      await db.run(query);
+    }
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(POSTGRES_DOWN);
+      return;
+    }
+    await db.run('DROP TABLE IF EXISTS pricing_rules');
+    await db.run('ALTER TABLE plots DROP COLUMN tags');
+  }
+};
@@ -0,0 +1,163 @@
+/* ============================================
+   MIGRATION 009 - Discounts and transaction line items
+   ============================================
+
+   promo_codes are typed in at checkout: a percent or amount off, with
+   an optional validity window (valid_from..valid_to), usage cap
+   (max_uses, counted in used_count), estate and minimum plot count.
+
+   volume_tiers take a percent off sales of min_plots plots or more,
+   e.g. 5+ plots get 7% off.
+
+   transaction_line_items break each sale down: one line per plot at its
+   effective price, then one negative line per discount (volume tier,
+   promo code, manual discount). transactions.gross_amount is the sum of
+   the plot lines, discount_amount the discounts and total_amount, as
+   before, what the buyer owes. Existing sales get gross = total and no
+   discount.
+
+   On PostgreSQL, use_promo_code() counts a use (or gives one back)
+   without going over max_uses, for the Supabase driver.
+   ============================================ */
+
+const SQLITE_UP = [
+  `ALTER TABLE transactions ADD COLUMN gross_amount REAL`,
+  `ALTER TABLE transactions ADD COLUMN discount_amount REAL NOT NULL DEFAULT 0`,
+  `UPDATE transactions SET gross_amount = total_amount WHERE gross_amount IS NULL`,
+  `CREATE TABLE IF NOT EXISTS promo_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT UNIQUE NOT NULL,
+    description TEXT,
+    percent REAL,
+    amount REAL,
+    estate_id INTEGER,
+    min_plots INTEGER,
+    valid_from TEXT,
+    valid_to TEXT,
+    max_uses INTEGER,
+    used_count INTEGER NOT NULL DEFAULT 0,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (estate_id) REFERENCES estates(id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS volume_tiers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    min_plots INTEGER NOT NULL,
+    percent REAL NOT NULL,
+    estate_id INTEGER,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (estate_id) REFERENCES estates(id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS transaction_line_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id INTEGER NOT NULL,
+    kind TEXT NOT NULL CHECK(kind IN ('plot', 'volume_discount', 'promo_code', 'manual_discount')),
+    plot_id INTEGER,
+    description TEXT,
+    amount REAL NOT NULL,
+    promo_code_id INTEGER,
+    volume_tier_id INTEGER,
+    approved_by TEXT,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_line_items_transaction ON transaction_line_items(transaction_id)`
+];
+
+const POSTGRES_UP = `
+alter table transactions add column if not exists gross_amount numeric(12,2);
+alter table transactions add column if not exists discount_amount numeric(12,2) not null default 0;
+update transactions set gross_amount = total_amount where gross_amount is null;
+
+create table if not exists promo_codes (
+  id serial primary key,
+  code text unique not null,
+  description text,
+  percent numeric(5,2),
+  amount numeric(12,2),
+  estate_id integer references estates(id),
+  min_plots integer,
+  valid_from date,
+  valid_to date,
+  max_uses integer,
+  used_count integer not null default 0,
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz default now()
+);
+
+create table if not exists volume_tiers (
+  id serial primary key,
+  min_plots integer not null,
+  percent numeric(5,2) not null,
+  estate_id integer references estates(id),
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz default now()
+);
+
+create table if not exists transaction_line_items (
+  id serial primary key,
+  transaction_id integer not null references transactions(id) on delete cascade,
+  kind text not null check (kind in ('plot','volume_discount','promo_code','manual_discount')),
+  plot_id integer,
+  description text,
+  amount numeric(12,2) not null,
+  promo_code_id integer,
+  volume_tier_id integer,
+  approved_by text
+);
+
+create index if not exists idx_line_items_transaction on transaction_line_items(transaction_id);
+
+-- Count p_uses uses of a promo code (negative gives them back); false,
+-- and nothing changed, when that would go over max_uses
+create or replace function use_promo_code(p_id integer, p_uses integer default 1)
+returns boolean
+language sql
+as $$
+  with used as (
+    update promo_codes
+       set used_count = greatest(used_count + p_uses, 0)
+     where id = p_id
+       and (p_uses < 0 or max_uses is null or used_count + p_uses <= max_uses)
+    returning id
+  )
+  select exists (select 1 from used);
+$$;
+`;
+
+const POSTGRES_DOWN = `
+drop function if exists use_promo_code(integer, integer);
+drop table if exists transaction_line_items;
+drop table if exists volume_tiers;
+drop table if exists promo_codes;
+alter table transactions drop column if exists discount_amount;
+alter table transactions drop column if exists gross_amount;
+`;
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(POSTGRES_UP);
+      return;
+    }
+    for (const query of SQLITE_UP) {
+      await db.run(query);
+    }
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(POSTGRES_DOWN);
+      return;
+    }
+    await db.run('DROP TABLE IF EXISTS transaction_line_items');
+    await db.run('DROP TABLE IF EXISTS volume_tiers');
+    await db.run('DROP TABLE IF EXISTS promo_codes');
+    await db.run('ALTER TABLE transactions DROP COLUMN discount_amount');
+    await db.run('ALTER TABLE transactions DROP COLUMN gross_amount');
+  }
+};
@@ -0,0 +1,145 @@
+/* ============================================
+   MIGRATION 010 - Quotes
+   ============================================
+
+   A quote offers plots to a buyer at fixed prices until valid_until:
+   the priced line_items (as on a sale), the totals, the promo code and
+   manual discount behind them and the payment_plan terms. line_items,
+   manual_discount and payment_plan are JSON text on SQLite, jsonb on
+   PostgreSQL; plot_ids is a comma-separated list, as on transactions.
+
+   status goes draft -> sent -> accepted (converted into transaction_id)
+   or expired. Plots under a draft or sent quote that is still valid are
+   held for its buyer; see config/db-adapter.js.
+
+   On PostgreSQL, merge_buyers() also moves the duplicate's quotes.
+   ============================================ */
+
+const SQLITE_UP = [
+  `CREATE TABLE IF NOT EXISTS quotes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    buyer_id INTEGER NOT NULL,
+    estate_id INTEGER,
+    plot_ids TEXT NOT NULL,
+    line_items TEXT NOT NULL,
+    gross_amount REAL NOT NULL,
+    discount_amount REAL NOT NULL DEFAULT 0,
+    total_amount REAL NOT NULL,
+    promo_code TEXT,
+    manual_discount TEXT,
+    payment_plan TEXT,
+    valid_until TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'sent', 'accepted', 'expired')),
+    notes TEXT,
+    transaction_id INTEGER,
+    created_by TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    sent_at TEXT,
+    accepted_at TEXT,
+    FOREIGN KEY (buyer_id) REFERENCES buyers(id),
+    FOREIGN KEY (estate_id) REFERENCES estates(id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status, valid_until)`,
+  `CREATE INDEX IF NOT EXISTS idx_quotes_buyer ON quotes(buyer_id)`
+];
+
+const POSTGRES_UP = `
+create table if not exists quotes (
+  id serial primary key,
+  buyer_id integer not null references buyers(id),
+  estate_id integer references estates(id),
+  plot_ids text not null,
+  line_items jsonb not null,
+  gross_amount numeric(12,2) not null,
+  discount_amount numeric(12,2) not null default 0,
+  total_amount numeric(12,2) not null,
+  promo_code text,
+  manual_discount jsonb,
+  payment_plan jsonb,
+  valid_until date not null,
+  status text not null default 'draft' check (status in ('draft','sent','accepted','expired')),
+  notes text,
+  transaction_id integer references transactions(id),
+  created_by text,
+  created_at timestamptz default now(),
+  sent_at timestamptz,
+  accepted_at timestamptz
+);
+
+create index if not exists idx_quotes_status on quotes(status, valid_until);
+create index if not exists idx_quotes_buyer on quotes(buyer_id);
+
+-- merge_buyers() from 006, moving quotes as well
+create or replace function merge_buyers(p_buyer_id integer, p_duplicate_id integer)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_buyer buyers;
+  v_duplicate buyers;
+  v_moved jsonb := '{}'::jsonb;
+  v_count integer;
+  v_total numeric(12,2);
+begin
+  select * into v_buyer from buyers where id = p_buyer_id for update;
+  if not found then
+    raise exception 'BUYER_NOT_FOUND';
+  end if;
+  select * into v_duplicate from buyers where id = p_duplicate_id for update;
+  if not found then
+    raise exception 'BUYER_NOT_FOUND';
+  end if;
+
+  update transactions set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('transactions', v_count);
+  update payments set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('payments', v_count);
+  update refunds set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('refunds', v_count);
+  update plots set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('plots', v_count);
+  update reservations set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('reservations', v_count);
+  update quotes set buyer_id = v_buyer.id where buyer_id = v_duplicate.id;
+  get diagnostics v_count = row_count;
+  v_moved := v_moved || jsonb_build_object('quotes', v_count);
+
+  v_total := coalesce(v_buyer.total_spent, 0) + coalesce(v_duplicate.total_spent, 0);
+  update buyers
+     set total_spent = v_total,
+         remaining_balance = budget - v_total,
+         credit_balance = credit_balance + coalesce(v_duplicate.credit_balance, 0),
+         email = coalesce(nullif(email, ''), v_duplicate.email),
+         address = coalesce(nullif(address, ''), v_duplicate.address),
+         occupation = coalesce(nullif(occupation, ''), v_duplicate.occupation)
+   where id = v_buyer.id;
+  delete from buyers where id = v_duplicate.id;
+
+  return jsonb_build_object('moved', v_moved);
+end;
+$$;
+`;
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(POSTGRES_UP);
+      return;
+    }
+    for (const query of SQLITE_UP) {
+      await db.run(query);
+    }
+  },
+
+  async down(db) {
+    await db.run(db.dialect === 'postgres' ? 'drop table if exists quotes' : 'DROP TABLE IF EXISTS quotes');
+    // Back to the merge_buyers() that doesn't know about quotes
+    await require('./006_merge_buyers').up(db);
+  }
+};
@@ -0,0 +1,31 @@
+/* ============================================
+   AUDIT ROUTES
+   ============================================
+
+   API endpoint for reading the audit log (auditors and admins)
+   GET /api/audit - Get audit events, newest first
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const { listAuditEvents } = require('../config/db-adapter');
+const { requireRole } = require('../middleware/auth');
+const { sendError, validate } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+/**
+ * GET /api/audit
+ * Get audit events
+ * Query params: actor, action, entity, entity_id, from, to (YYYY-MM-DD), limit (max 500)
+ */
+router.get('/', requireRole('auditor'), validate({ query: schemas.auditQuery }), async (req, res) => {
+  try {
+    const { actor, action, entity, entity_id, from, to, limit } = req.query;
+    const events = await listAuditEvents({ actor, action, entity, entity_id, from, to, limit });
+    res.json(events);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/* ============================================
+   AUTH ROUTES
+   ============================================
+
+   API endpoints for signing in and out
+   POST /api/auth/login - Exchange username/password for a session token
+   POST /api/auth/logout - End the current session
+   GET /api/auth/me - Get the signed-in user
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const { login, logout } = require('../config/db-adapter');
+const { authenticate } = require('../middleware/auth');
+const { sendError, validate } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+/**
+ * POST /api/auth/login
+ * Returns { token, expires_at, user }; send the token as "Authorization: Bearer <token>"
+ */
+router.post('/login', validate({ body: schemas.login }), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const session = await login(username, password);
+    res.json(session);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await logout(req.token);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the signed-in user
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -3,10 +3,13 @@
    ============================================
    
    API endpoints for managing buyers
-   GET /api/buyers - Get all buyers
+   GET /api/buyers - List buyers (q; paged: page, per_page, sort, fields)
+   GET /api/buyers/search - Find buyers by ID number, uid, phone or name
+   GET /api/buyers/duplicates - Buyers that may have been entered twice
    GET /api/buyers/:id - Get specific buyer
    POST /api/buyers - Create new buyer
    PUT /api/buyers/:id - Update buyer
+   POST /api/buyers/:id/merge - Merge a duplicate buyer into this one
    ============================================ */
 
 const express = require('express');
@@ -15,19 +18,56 @@ const {
   listBuyers,
   getBuyer,
   createBuyer: createBuyerRecord,
-  updateBuyer: updateBuyerRecord
+  updateBuyer: updateBuyerRecord,
+  searchBuyers,
+  findDuplicateBuyers,
+  mergeBuyers
 } = require('../config/db-adapter');
+const { requireRole } = require('../middleware/auth');
+const { sendError, sendList, validate, validateId } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+router.param('id', validateId);
 
 /**
  * GET /api/buyers
- * Get all buyers
+ * Get buyers, newest first (q: part of the name, ID number or uid).
+ * Takes page, per_page, sort and fields like every list.
+ */
+router.get('/', validate({ query: schemas.buyerQuery }), async (req, res) => {
+  try {
+    const { q, ...options } = req.query;
+    sendList(res, await listBuyers({ q }, options));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/buyers/search?q=
+ * Match q against ID numbers (exact or prefix), uids, phone numbers in any
+ * format and names (typos allowed). `buyer` is the exact ID number / uid
+ * match, if any; `results` lists every match, best first.
  */
-router.get('/', async (req, res) => {
+router.get('/search', validate({ query: schemas.buyerSearch }), async (req, res) => {
   try {
-    const buyers = await listBuyers();
-    res.json(buyers);
+    const { q, limit } = req.query;
+    res.json(await searchBuyers(q, { limit }));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/buyers/duplicates
+ * Groups of buyers sharing a phone number or email, or with very similar
+ * names, for an admin to review and merge
+ */
+router.get('/duplicates', requireRole('auditor'), async (req, res) => {
+  try {
+    res.json(await findDuplicateBuyers());
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -41,12 +81,12 @@ router.get('/:id', async (req, res) => {
     const buyer = await getBuyer(id);
     
     if (!buyer || !buyer.id) {
-      return res.status(404).json({ error: 'Buyer not found' });
+      return sendError(res, { status: 404, message: 'Buyer not found' });
     }
     
     res.json(buyer);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -54,12 +94,12 @@ router.get('/:id', async (req, res) => {
  * POST /api/buyers
  * Create a new buyer
  */
-router.post('/', async (req, res) => {
+router.post('/', requireRole('sales_agent'), validate({ body: schemas.buyerCreate }), async (req, res) => {
   try {
     const buyer = await createBuyerRecord(req.body);
     res.status(201).json(buyer);
   } catch (error) {
-    res.status(error.status || 500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -67,13 +107,28 @@ router.post('/', async (req, res) => {
  * PUT /api/buyers/:id
  * Update a buyer
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('sales_agent'), validate({ body: schemas.buyerUpdate }), async (req, res) => {
   try {
     const { id } = req.params;
     const updatedBuyer = await updateBuyerRecord(id, req.body);
     res.json(updatedBuyer);
   } catch (error) {
-    res.status(error.status || 500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/buyers/:id/merge
+ * Merge buyer { duplicate_id } into this one: its transactions, payments,
+ * refunds, plots and holds move here and the duplicate is deleted
+ */
+router.post('/:id/merge', requireRole('admin'), validate({ body: schemas.buyerMerge }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await mergeBuyers(id, req.body.duplicate_id);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
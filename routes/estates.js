@@ -0,0 +1,102 @@
+/* ============================================
+   ESTATES ROUTES
+   ============================================
+   
+   API endpoints for managing estates/projects
+   GET /api/estates - Get all estates with plot counts
+   GET /api/estates/:id - Get specific estate
+   POST /api/estates - Create estate and its plot grid
+   PUT /api/estates/:id - Update estate (resizes the grid)
+   DELETE /api/estates/:id - Delete an unsold estate
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listEstates,
+  getEstate,
+  createEstate,
+  updateEstate,
+  deleteEstate
+} = require('../config/db-adapter');
+const { requireRole } = require('../middleware/auth');
+const { sendError, validate, validateId } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+router.param('id', validateId);
+
+/**
+ * GET /api/estates
+ * Get all estates
+ */
+router.get('/', async (req, res) => {
+  try {
+    const estates = await listEstates();
+    res.json(estates);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/estates/:id
+ * Get a specific estate
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const estate = await getEstate(id);
+    
+    if (!estate || !estate.id) {
+      return sendError(res, { status: 404, message: 'Estate not found' });
+    }
+    
+    res.json(estate);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/estates
+ * Create an estate ({ name, location?, layout_rows, layout_cols, default_price? });
+ * each side of the grid is 1-100 plots
+ */
+router.post('/', requireRole('admin'), validate({ body: schemas.estateCreate }), async (req, res) => {
+  try {
+    const estate = await createEstate(req.body);
+    res.status(201).json(estate);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/estates/:id
+ * Update an estate
+ */
+router.put('/:id', requireRole('admin'), validate({ body: schemas.estateUpdate }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const estate = await updateEstate(id, req.body);
+    res.json(estate);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/estates/:id
+ * Delete an estate that has no sales
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await deleteEstate(id);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
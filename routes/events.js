@@ -0,0 +1,62 @@
+/* ============================================
+   EVENTS ROUTES
+   ============================================
+
+   Live changes for open screens, as Server-Sent Events
+   GET /api/events - Stream plot, estate, buyer, transaction, payment and pricing rule changes
+
+   Each change arrives as an SSE event named after its entity:
+
+     id: 42
+     event: plot
+     data: {"id":42,"action":"plot.reserve","entity":"plot","entity_id":"7","data":{...},"at":"..."}
+
+   Browsers pass the session token as ?access_token= (EventSource cannot
+   send headers). The stream ends when the session does.
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const { getSessionUser } = require('../config/db-adapter');
+const { subscribe } = require('../config/events');
+
+// Comment lines keep proxies from closing an idle stream; each one also
+// checks that the session is still valid
+const HEARTBEAT_MS = Number(process.env.EVENTS_HEARTBEAT_MS) || 25 * 1000;
+// How long an EventSource waits before reconnecting
+const RETRY_MS = 5000;
+
+/**
+ * GET /api/events
+ * Stream changes as they happen
+ */
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let nginx buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const unsubscribe = subscribe((event) => {
+    res.write(`id: ${event.id}\nevent: ${event.entity}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await getSessionUser(req.token))) return res.end();
+      res.write(': ping\n\n');
+    } catch (error) {
+      console.error('Event stream session check failed:', error.message);
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
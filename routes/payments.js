@@ -0,0 +1,88 @@
+/* ============================================
+   PAYMENTS ROUTES
+   ============================================
+
+   API endpoints for managing payments
+   GET /api/payments - List payments (filters: buyer_id, transaction_id, method, from, to; paged)
+   GET /api/payments/:id - Get a payment and its installment allocations
+   POST /api/payments - Record a payment
+   POST /api/payments/:id/void - Void a payment recorded by mistake
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listPayments,
+  getPayment,
+  createPayment,
+  voidPayment
+} = require('../config/db-adapter');
+const { requireRole } = require('../middleware/auth');
+const { sendError, sendList, validate, validateId } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+router.param('id', validateId);
+
+/**
+ * GET /api/payments
+ * List payments, newest first. from/to (YYYY-MM-DD) filter on paid_at.
+ */
+router.get('/', validate({ query: schemas.paymentQuery }), async (req, res) => {
+  try {
+    const { buyer_id, transaction_id, method, from, to, ...options } = req.query;
+    sendList(res, await listPayments({ buyer_id, transaction_id, method, from, to }, options));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/payments/:id
+ * Get a specific payment
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const payment = await getPayment(id);
+
+    if (!payment || !payment.id) {
+      return sendError(res, { status: 404, message: 'Payment not found' });
+    }
+
+    res.json(payment);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/payments
+ * Record a payment against a transaction. It is allocated to the oldest
+ * open installments first; any overpayment becomes buyer credit.
+ */
+router.post('/', requireRole('cashier'), validate({ body: schemas.paymentCreate }), async (req, res) => {
+  try {
+    const payment = await createPayment(req.body);
+    res.status(201).json(payment);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/payments/:id/void
+ * Void a payment ({ reason }). Its allocations and buyer totals are
+ * reversed; the payment and its receipt number stay on record.
+ */
+router.post('/:id/void', requireRole('admin'), validate({ body: schemas.paymentVoid }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const payment = await voidPayment(id, { reason, voided_by: req.user.username });
+    res.json(payment);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
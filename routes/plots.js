@@ -3,10 +3,19 @@
    ============================================
    
    API endpoints for managing plots
-   GET /api/plots - Get all plots
+   GET /api/plots - List plots (status, estate_id; paged: page, per_page, sort, fields)
+   GET /api/plots/export.geojson - Plots and outlines as GeoJSON (estate_id, status)
+   GET /api/plots/export.kml - The same as KML for Google Earth
    GET /api/plots/:id - Get specific plot
-   PUT /api/plots/:id - Update plot status
+   PUT /api/plots/:id - Update plot status / category / tags
+   PUT /api/plots/:id/price - Change a plot's price
+   PUT /api/plots/:id/survey - Set a plot's survey data and outline
+   POST /api/plots/import - Create or update plots from GeoJSON or KML
+   GET /api/plots/:id/price-history - Price changes for a plot
    POST /api/plots/bulk-update - Update multiple plots
+   POST /api/plots/reprice - Reprice plots by range or category
+   POST /api/plots/:id/reserve - Hold a plot for a sales agent
+   DELETE /api/plots/:id/reserve - Release a hold
    ============================================ */
 
 const express = require('express');
@@ -16,33 +25,100 @@ const {
   getPlotById,
   updatePlot,
   updatePlotsBulk,
-  getPlotsStats
+  getPlotsStats,
+  reservePlot,
+  releasePlot,
+  setPlotPrice,
+  repricePlots,
+  getPlotPriceHistory,
+  updatePlotSurvey,
+  exportPlots,
+  importPlots
 } = require('../config/db-adapter');
+const { requireRole } = require('../middleware/auth');
+const { sendError, sendList, validate, validateId } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+const { featureCollectionToKml, kmlToFeatureCollection } = require('../config/geojson');
+
+// Imports may also be posted as KML, or as GeoJSON under its own media type
+const IMPORT_LIMIT = process.env.JSON_BODY_LIMIT || '5mb';
+const KML_TYPES = ['application/vnd.google-earth.kml+xml', 'application/xml', 'text/xml'];
+const importBody = [
+  express.json({ type: 'application/geo+json', limit: IMPORT_LIMIT }),
+  express.text({ type: KML_TYPES, limit: IMPORT_LIMIT }),
+  (req, res, next) => {
+    try {
+      if (typeof req.body === 'string') req.body = kmlToFeatureCollection(req.body);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+];
+
+// Download name for an export, e.g. plots-estate-2-sold.kml
+function exportFilename({ estate_id, status }, extension) {
+  return ['plots', estate_id && `estate-${estate_id}`, status].filter(Boolean).join('-') + `.${extension}`;
+}
+
+router.param('id', validateId);
 
 /**
  * GET /api/plots
- * Get all plots with optional filters
+ * Get all plots with optional filters (status, estate_id). price is the
+ * base price; effective_price applies the pricing rules.
  */
-router.get('/', async (req, res) => {
+router.get('/', validate({ query: schemas.plotQuery }), async (req, res) => {
   try {
-    const { status } = req.query;
-    const plots = await getAllPlots(status || null);
-    res.json(plots);
+    const { status, estate_id, ...options } = req.query;
+    sendList(res, await getAllPlots({ status, estate_id }, options));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * GET /api/plots/stats
- * Get statistics about plots
+ * Get statistics about plots (optionally for one estate_id); values are at
+ * effective prices
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', validate({ query: schemas.plotStatsQuery }), async (req, res) => {
   try {
-    const stats = await getPlotsStats();
+    const stats = await getPlotsStats(req.query.estate_id);
     res.json(stats);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/plots/export.geojson
+ * Plots as a GeoJSON FeatureCollection: outline, status, price and survey
+ * data, never buyer details (filters: estate_id, status)
+ */
+router.get('/export.geojson', validate({ query: schemas.plotExportQuery }), async (req, res) => {
+  try {
+    const collection = await exportPlots(req.query);
+    res.type('application/geo+json')
+      .attachment(exportFilename(req.query, 'geojson'))
+      .send(JSON.stringify(collection));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/plots/export.kml
+ * The same plots as KML, shaded by status, for Google Earth
+ */
+router.get('/export.kml', validate({ query: schemas.plotExportQuery }), async (req, res) => {
+  try {
+    const collection = await exportPlots(req.query);
+    res.type('application/vnd.google-earth.kml+xml')
+      .attachment(exportFilename(req.query, 'kml'))
+      .send(featureCollectionToKml(collection));
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -56,41 +132,146 @@ router.get('/:id', async (req, res) => {
     const plot = await getPlotById(id);
     
     if (!plot || !plot.id) {
-      return res.status(404).json({ error: 'Plot not found' });
+      return sendError(res, { status: 404, message: 'Plot not found' });
     }
     
     res.json(plot);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * PUT /api/plots/:id
- * Update plot status
+ * Update plot status, category and/or tags (tags replace the old list).
+ * A status change answers 409 for a sold plot, or one held or quoted for
+ * someone other than this agent or buyer_id.
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireRole('sales_agent'), validate({ body: schemas.plotUpdate }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, buyer_id } = req.body;
-    const updatedPlot = await updatePlot(id, status, buyer_id);
+    const { status, buyer_id, category, tags } = req.body;
+    const updatedPlot = await updatePlot(id, status, buyer_id, category, tags, { held_by: req.user.username });
     res.json(updatedPlot);
   } catch (error) {
-    res.status(error.status || 500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
  * POST /api/plots/bulk-update
- * Update multiple plots at once
+ * Update multiple plots at once; 409 (with conflicts) as for PUT /api/plots/:id
  */
-router.post('/bulk-update', async (req, res) => {
+router.post('/bulk-update', requireRole('sales_agent'), validate({ body: schemas.plotBulkUpdate }), async (req, res) => {
   try {
     const { plotIds, status, buyer_id } = req.body;
-    const result = await updatePlotsBulk(plotIds, status, buyer_id);
+    const result = await updatePlotsBulk(plotIds, status, buyer_id, { held_by: req.user.username });
     res.json({ message: 'Plots updated successfully', updatedCount: result.updatedCount });
   } catch (error) {
-    res.status(error.status || 500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/plots/reprice
+ * Reprice unsold plots: { from?, to?, category?, estate_id?, price | percent, reason? }.
+ * from/to are plot numbers in estate_id; 404 if no unsold plot matches.
+ */
+router.post('/reprice', requireRole('admin'), validate({ body: schemas.plotReprice }), async (req, res) => {
+  try {
+    const result = await repricePlots({ ...req.body, changed_by: req.user.username });
+    res.json({ message: 'Plots repriced successfully', updatedCount: result.updatedCount });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/plots/:id/price
+ * Change one plot's price ({ price, reason? })
+ */
+router.put('/:id/price', requireRole('admin'), validate({ body: schemas.plotPrice }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const plot = await setPlotPrice(id, { ...req.body, changed_by: req.user.username });
+    res.json(plot);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/plots/:id/survey
+ * Set survey fields ({ size_acres?, size_sqm?, dimensions?, parcel_number?,
+ * road_frontage?, is_corner?, geometry? }); null clears one
+ */
+router.put('/:id/survey', requireRole('admin'), validate({ body: schemas.plotSurvey }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const plot = await updatePlotSurvey(id, req.body);
+    res.json(plot);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/plots/import?estate_id=
+ * Create or update plots from a GeoJSON FeatureCollection (or a KML file).
+ * Each feature's properties name its plot_number (and estate_id, unless
+ * given in the query); sold plots and taken ids are refused with 409
+ */
+router.post('/import', requireRole('admin'), importBody, validate({ body: schemas.plotImport, query: schemas.plotImportQuery }), async (req, res) => {
+  try {
+    const result = await importPlots(req.body.features, { estate_id: req.query.estate_id, changed_by: req.user.username });
+    res.json({ message: 'Plots imported', createdCount: result.createdCount, updatedCount: result.updatedCount });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/plots/:id/price-history
+ * Get a plot's price changes, newest first
+ */
+router.get('/:id/price-history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const history = await getPlotPriceHistory(id);
+    res.json(history);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/plots/:id/reserve
+ * Hold a plot ({ buyer_id?, minutes? }) for the signed-in agent so no one else can sell it
+ */
+router.post('/:id/reserve', requireRole('sales_agent'), validate({ body: schemas.plotReserve }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const plot = await reservePlot(id, { ...req.body, held_by: req.user.username });
+    res.status(201).json(plot);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/plots/:id/reserve
+ * Release your own hold; admins may release anyone's (or pass held_by to limit it)
+ */
+router.delete('/:id/reserve', requireRole('sales_agent'), validate({ body: schemas.plotRelease, query: schemas.plotRelease }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const heldBy = req.user.role === 'admin'
+      ? (req.body && req.body.held_by) || req.query.held_by
+      : req.user.username;
+    const plot = await releasePlot(id, heldBy);
+    res.json(plot);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
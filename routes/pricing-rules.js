@@ -0,0 +1,99 @@
+/* ============================================
+   PRICING RULES ROUTES
+   ============================================
+
+   Rules that turn a plot's base price into its effective price
+   (see config/pricing.js), e.g. +10% for corner plots
+   GET /api/pricing-rules - Get all rules
+   GET /api/pricing-rules/:id - Get specific rule
+   POST /api/pricing-rules - Add a rule
+   PUT /api/pricing-rules/:id - Change a rule (or switch it off with active: false)
+   DELETE /api/pricing-rules/:id - Delete a rule
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listPricingRules,
+  getPricingRule,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule
+} = require('../config/db-adapter');
+const { requireRole } = require('../middleware/auth');
+const { sendError, validate, validateId } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+router.param('id', validateId);
+
+/**
+ * GET /api/pricing-rules
+ * Get all rules, active or not
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listPricingRules());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/pricing-rules/:id
+ * Get a specific rule
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await getPricingRule(req.params.id);
+
+    if (!rule || !rule.id) {
+      return sendError(res, { status: 404, message: 'Pricing rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/pricing-rules
+ * Add a rule ({ name, estate_id?, category?, tag?, corner?, road_facing?,
+ * plot_from?, plot_to?, percent | amount, active? })
+ */
+router.post('/', requireRole('admin'), validate({ body: schemas.pricingRuleCreate }), async (req, res) => {
+  try {
+    const rule = await createPricingRule(req.body, { created_by: req.user.username });
+    res.status(201).json(rule);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/pricing-rules/:id
+ * Change a rule; null clears a condition
+ */
+router.put('/:id', requireRole('admin'), validate({ body: schemas.pricingRuleUpdate }), async (req, res) => {
+  try {
+    const rule = await updatePricingRule(req.params.id, req.body);
+    res.json(rule);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/pricing-rules/:id
+ * Delete a rule; plots go back to the prices the other rules give
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await deletePricingRule(req.params.id);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+/* ============================================
+   PROMO CODES ROUTES
+   ============================================
+
+   Codes buyers give at checkout for a percent or amount off a sale
+   GET /api/promo-codes - Get all codes with their use counts
+   GET /api/promo-codes/:id - Get specific code
+   POST /api/promo-codes - Add a code
+   PUT /api/promo-codes/:id - Change a code (or switch it off with active: false)
+   DELETE /api/promo-codes/:id - Delete a code
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+} = require('../config/db-adapter');
+const { requireRole } = require('../middleware/auth');
+const { sendError, validate, validateId } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+router.param('id', validateId);
+
+/**
+ * GET /api/promo-codes
+ * Get all codes, active or not. Agents don't list them; buyers bring them.
+ */
+router.get('/', requireRole('auditor'), async (req, res) => {
+  try {
+    res.json(await listPromoCodes());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/promo-codes/:id
+ * Get a specific code
+ */
+router.get('/:id', requireRole('auditor'), async (req, res) => {
+  try {
+    const promo = await getPromoCode(req.params.id);
+
+    if (!promo || !promo.id) {
+      return sendError(res, { status: 404, message: 'Promo code not found' });
+    }
+
+    res.json(promo);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/promo-codes
+ * Add a code ({ code, percent | amount, description?, estate_id?,
+ * min_plots?, valid_from?, valid_to?, max_uses?, active? }).
+ * 409 if the code already exists.
+ */
+router.post('/', requireRole('admin'), validate({ body: schemas.promoCodeCreate }), async (req, res) => {
+  try {
+    const promo = await createPromoCode(req.body, { created_by: req.user.username });
+    res.status(201).json(promo);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/promo-codes/:id
+ * Change a code; null clears a limit
+ */
+router.put('/:id', requireRole('admin'), validate({ body: schemas.promoCodeUpdate }), async (req, res) => {
+  try {
+    const promo = await updatePromoCode(req.params.id, req.body);
+    res.json(promo);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/promo-codes/:id
+ * Delete a code; sales that used it keep their line items. 409 while a
+ * live quote was priced with it (switch it off with active: false instead).
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await deletePromoCode(req.params.id);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
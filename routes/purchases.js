@@ -0,0 +1,34 @@
+/* ============================================
+   PURCHASES ROUTES
+   ============================================
+   
+   API endpoint for selling plots atomically
+   POST /api/purchases - Mark plots sold and record the transaction
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const { createPurchase } = require('../config/db-adapter');
+const { requireRole, pricingOptions } = require('../middleware/auth');
+const { sendError, validate } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+/**
+ * POST /api/purchases
+ * Sell plots and create the transaction in one step. An optional
+ * payment_plan ({ deposit_amount | deposit_percent, months, start_date })
+ * generates the installment schedule; without it the sale is pay-in-full.
+ * promo_code and manual_discount ({ percent | amount, reason }; admins
+ * only) are priced as in POST /api/quotes and stored as line items.
+ * Responds 409 with the conflicting plot ids if any plot is not available.
+ */
+router.post('/', requireRole('sales_agent'), validate({ body: schemas.purchaseCreate }), async (req, res) => {
+  try {
+    const transaction = await createPurchase({ ...req.body, held_by: req.user.username }, pricingOptions(req));
+    res.status(201).json(transaction);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+/* ============================================
+   QUOTES ROUTES
+   ============================================
+
+   Offers of plots to a buyer at fixed prices until a validity date.
+   While a quote is live (draft or sent, not past valid_until) its plots
+   are held for the buyer; converting it sells them at the quoted prices.
+   GET /api/quotes - List quotes (status, buyer_id, estate_id; paged)
+   GET /api/quotes/:id - Get a quote with its line items
+   POST /api/quotes - Price plots with any volume tier, promo code and manual discount
+   POST /api/quotes/drafts - Save a draft quote
+   PUT /api/quotes/:id - Change a draft quote
+   POST /api/quotes/:id/send - Mark a quote sent to the buyer
+   POST /api/quotes/:id/convert - Sell the plots at the quoted prices
+   POST /api/quotes/:id/expire - Withdraw a quote and release its plots
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  previewQuote,
+  listQuotes,
+  getQuote,
+  createQuote,
+  updateQuote,
+  sendQuote,
+  convertQuote,
+  expireQuote
+} = require('../config/db-adapter');
+const { requireRole, pricingOptions } = require('../middleware/auth');
+const { sendError, sendList, validate, validateId } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+router.param('id', validateId);
+
+/**
+ * GET /api/quotes
+ * List quotes, newest first. A draft or sent quote past its valid_until
+ * shows as expired.
+ */
+router.get('/', validate({ query: schemas.quoteQuery }), async (req, res) => {
+  try {
+    const { status, buyer_id, estate_id, ...options } = req.query;
+    sendList(res, await listQuotes({ status, buyer_id, estate_id }, options));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/quotes
+ * Price { plot_ids, promo_code?, manual_discount? } without selling or
+ * saving anything. Answers { estate_id, plot_ids, line_items,
+ * gross_amount, discount_amount, total_amount }; a promo code that can't
+ * be used is a 400 on promo_code, and only admins may give a manual
+ * discount (403).
+ */
+router.post('/', requireRole('sales_agent'), validate({ body: schemas.quotePreview }), async (req, res) => {
+  try {
+    const quote = await previewQuote(req.body, pricingOptions(req));
+    res.json(quote);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/quotes/:id
+ * Get a quote with its buyer, line_items and payment_plan
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const quote = await getQuote(req.params.id);
+    if (!quote || !quote.id) {
+      return sendError(res, { status: 404, message: 'Quote not found' });
+    }
+    res.json(quote);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/quotes/drafts
+ * Save a draft quote { buyer_id, plot_ids, promo_code?, manual_discount?,
+ * payment_plan?, valid_until?, notes? } priced as a purchase would be
+ * today. valid_until defaults to QUOTE_VALID_DAYS from now. 409 (with
+ * conflicts) if a plot is sold, held for someone else or already quoted.
+ */
+router.post('/drafts', requireRole('sales_agent'), validate({ body: schemas.quoteCreate }), async (req, res) => {
+  try {
+    const quote = await createQuote(req.body, { ...pricingOptions(req), created_by: req.user.username });
+    res.status(201).json(quote);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/quotes/:id
+ * Change a draft quote; it is priced again at today's prices.
+ * Sent, accepted and expired quotes answer 409.
+ */
+router.put('/:id', requireRole('sales_agent'), validate({ body: schemas.quoteUpdate }), async (req, res) => {
+  try {
+    const quote = await updateQuote(req.params.id, req.body, { ...pricingOptions(req), held_by: req.user.username });
+    res.json(quote);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/quotes/:id/send
+ * Mark a live quote sent to the buyer; it can no longer be changed
+ */
+router.post('/:id/send', requireRole('sales_agent'), async (req, res) => {
+  try {
+    res.json(await sendQuote(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/quotes/:id/convert
+ * Sell a live quote's plots at the quoted prices, even if list prices
+ * have changed since, and mark the quote accepted. Answers the new
+ * transaction; 409 if the quote has expired or was already converted.
+ */
+router.post('/:id/convert', requireRole('sales_agent'), async (req, res) => {
+  try {
+    const transaction = await convertQuote(req.params.id, { held_by: req.user.username });
+    res.status(201).json(transaction);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/quotes/:id/expire
+ * Withdraw a live quote before its valid_until, releasing its plots
+ */
+router.post('/:id/expire', requireRole('sales_agent'), async (req, res) => {
+  try {
+    res.json(await expireQuote(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,14 @@
    ============================================
    
    API endpoints for managing transactions
-   GET /api/transactions - Get all transactions
-   GET /api/transactions/:id - Get specific transaction
+   GET /api/transactions - List transactions (buyer_id, payment_status, estate_id; paged)
+   GET /api/transactions/:id - Get specific transaction with its line items
+   GET /api/transactions/:id/schedule - Get the installment schedule
    POST /api/transactions - Create new transaction
+   PUT /api/transactions/:id/status - Update payment status
+   POST /api/transactions/:id/cancel - Cancel a sale and release its plots
+   GET /api/transactions/refunds - List refunds
+   /api/transactions/payments - Redirects to /api/payments (see payments.js)
    ============================================ */
 
 const express = require('express');
@@ -15,27 +20,55 @@ const {
   getTransaction,
   createTransaction: createTx,
   updateTransactionStatus: updateTxStatus,
-  listPayments,
-  createPayment
+  getTransactionSchedule,
+  cancelTransaction,
+  listRefunds
 } = require('../config/db-adapter');
+const { requireRole, pricingOptions } = require('../middleware/auth');
+const { sendError, sendList, validate, validateId } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+router.param('id', validateId);
 
 /**
  * GET /api/transactions
  * Get all transactions with optional filters
  */
-router.get('/', async (req, res) => {
+router.get('/', validate({ query: schemas.transactionQuery }), async (req, res) => {
   try {
-    const { buyer_id, payment_status } = req.query;
-    const transactions = await listTransactions({ buyer_id, payment_status });
-    res.json(transactions);
+    const { buyer_id, payment_status, estate_id, ...options } = req.query;
+    sendList(res, await listTransactions({ buyer_id, payment_status, estate_id }, options));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+/**
+ * /api/transactions/payments
+ * Payments moved to /api/payments. 308 keeps the method and body, so old
+ * clients that POST here still record the payment.
+ */
+router.all('/payments', (req, res) => {
+  res.redirect(308, req.originalUrl.replace('/transactions/payments', '/payments'));
+});
+
+/**
+ * GET /api/transactions/refunds
+ * List refunds (optional filters: buyer_id, transaction_id)
+ */
+router.get('/refunds', validate({ query: schemas.refundQuery }), async (req, res) => {
+  try {
+    const { buyer_id, transaction_id } = req.query;
+    const refunds = await listRefunds({ buyer_id, transaction_id });
+    res.json(refunds);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 /**
  * GET /api/transactions/:id
- * Get a specific transaction
+ * Get a specific transaction, with its line_items (plots and discounts)
  */
 router.get('/:id', async (req, res) => {
   try {
@@ -43,67 +76,74 @@ router.get('/:id', async (req, res) => {
     const transaction = await getTransaction(id);
     
     if (!transaction || !transaction.id) {
-      return res.status(404).json({ error: 'Transaction not found' });
+      return sendError(res, { status: 404, message: 'Transaction not found' });
     }
     
     res.json(transaction);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
- * POST /api/transactions
- * Create a new transaction
+ * GET /api/transactions/:id/schedule
+ * Get the payment plan, installments and amounts owed
  */
-router.post('/', async (req, res) => {
+router.get('/:id/schedule', async (req, res) => {
   try {
-    const transaction = await createTx(req.body);
-    res.status(201).json(transaction);
+    const { id } = req.params;
+    const schedule = await getTransactionSchedule(id);
+    res.json(schedule);
   } catch (error) {
-    res.status(error.status || 500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
- * PUT /api/transactions/:id/status
- * Update transaction payment status
+ * POST /api/transactions
+ * Create a new transaction (optional payment_plan: { deposit_amount | deposit_percent, months, start_date },
+ * promo_code and manual_discount, as for POST /api/purchases). 409 (with
+ * conflicts) if a plot is sold, held or quoted for someone else, or on
+ * another open transaction.
  */
-router.put('/:id/status', async (req, res) => {
+router.post('/', requireRole('sales_agent'), validate({ body: schemas.transactionCreate }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { payment_status } = req.body;
-    const updatedTransaction = await updateTxStatus(id, payment_status);
-    res.json(updatedTransaction);
+    const transaction = await createTx(req.body, { ...pricingOptions(req), held_by: req.user.username });
+    res.status(201).json(transaction);
   } catch (error) {
-    res.status(error.status || 500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
- * GET /api/transactions/payments
- * List payments (optional filter by buyer_id)
+ * PUT /api/transactions/:id/status
+ * Mark a transaction defaulted or cancelled. Other statuses follow from
+ * payments and due dates; disallowed transitions answer 409.
  */
-router.get('/payments', async (req, res) => {
+router.put('/:id/status', requireRole('admin'), validate({ body: schemas.transactionStatus }), async (req, res) => {
   try {
-    const { buyer_id } = req.query;
-    const payments = await listPayments({ buyer_id });
-    res.json(payments);
+    const { id } = req.params;
+    const { payment_status } = req.body;
+    const updatedTransaction = await updateTxStatus(id, payment_status);
+    res.json(updatedTransaction);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 /**
- * POST /api/transactions/payments
- * Create a payment
+ * POST /api/transactions/:id/cancel
+ * Cancel a sale ({ reason, refund_amount? }). The plots go back on sale,
+ * the buyer's totals are reversed and the refund is recorded, all at once.
  */
-router.post('/payments', async (req, res) => {
+router.post('/:id/cancel', requireRole('admin'), validate({ body: schemas.transactionCancel }), async (req, res) => {
   try {
-    const payment = await createPayment(req.body);
-    res.status(201).json(payment);
+    const { id } = req.params;
+    const { reason, refund_amount } = req.body;
+    const transaction = await cancelTransaction(id, { reason, refund_amount });
+    res.json(transaction);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
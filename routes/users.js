@@ -0,0 +1,65 @@
+/* ============================================
+   USERS ROUTES
+   ============================================
+
+   API endpoints for managing staff accounts (admin only)
+   GET /api/users - Get all users
+   POST /api/users - Create a user
+   PUT /api/users/:id - Update name, role, password or active flag
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const { listUsers, createUser, updateUser } = require('../config/db-adapter');
+const { requireRole } = require('../middleware/auth');
+const { sendError, validate, validateId } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+router.use(requireRole('admin'));
+router.param('id', validateId);
+
+/**
+ * GET /api/users
+ * Get all users
+ */
+router.get('/', async (req, res) => {
+  try {
+    const users = await listUsers();
+    res.json(users);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/users
+ * Create a user ({ username, password, role, name? })
+ */
+router.post('/', validate({ body: schemas.userCreate }), async (req, res) => {
+  try {
+    const user = await createUser(req.body);
+    res.status(201).json(user);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/users/:id
+ * Update a user; deactivating or changing the password signs them out
+ */
+router.put('/:id', validate({ body: schemas.userUpdate }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, role, password, active } = req.body;
+    if (String(id) === String(req.user.id) && (active === false || (role && role !== 'admin'))) {
+      return sendError(res, { status: 409, message: 'You cannot deactivate or demote your own account' });
+    }
+    const user = await updateUser(id, { name, role, password, active });
+    res.json(user);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+/* ============================================
+   VOLUME TIERS ROUTES
+   ============================================
+
+   Bulk-purchase discounts, e.g. 5+ plots get 7% off. A sale gets the
+   biggest tier it qualifies for (see config/pricing.js).
+   GET /api/volume-tiers - Get all tiers
+   GET /api/volume-tiers/:id - Get specific tier
+   POST /api/volume-tiers - Add a tier
+   PUT /api/volume-tiers/:id - Change a tier (or switch it off with active: false)
+   DELETE /api/volume-tiers/:id - Delete a tier
+   ============================================ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listVolumeTiers,
+  getVolumeTier,
+  createVolumeTier,
+  updateVolumeTier,
+  deleteVolumeTier
+} = require('../config/db-adapter');
+const { requireRole } = require('../middleware/auth');
+const { sendError, validate, validateId } = require('../middleware/validate');
+const { schemas } = require('../config/validation');
+
+router.param('id', validateId);
+
+/**
+ * GET /api/volume-tiers
+ * Get all tiers, fewest plots first
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listVolumeTiers());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/volume-tiers/:id
+ * Get a specific tier
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const tier = await getVolumeTier(req.params.id);
+
+    if (!tier || !tier.id) {
+      return sendError(res, { status: 404, message: 'Volume tier not found' });
+    }
+
+    res.json(tier);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/volume-tiers
+ * Add a tier ({ min_plots, percent, estate_id?, active? })
+ */
+router.post('/', requireRole('admin'), validate({ body: schemas.volumeTierCreate }), async (req, res) => {
+  try {
+    const tier = await createVolumeTier(req.body, { created_by: req.user.username });
+    res.status(201).json(tier);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/volume-tiers/:id
+ * Change a tier
+ */
+router.put('/:id', requireRole('admin'), validate({ body: schemas.volumeTierUpdate }), async (req, res) => {
+  try {
+    const tier = await updateVolumeTier(req.params.id, req.body);
+    res.json(tier);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/volume-tiers/:id
+ * Delete a tier
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await deleteVolumeTier(req.params.id);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+/* ============================================
+   MIGRATION CLI
+   ============================================
+
+   npm run migrate            - apply pending migrations
+   npm run migrate:status     - list applied and pending migrations
+   npm run migrate:rollback   - undo the last migration (-- 3 for the last three)
+
+   Migrates the database DB_DRIVER selects (see config/db-driver.js).
+   Supabase is migrated through its Postgres connection string in DATABASE_URL.
+   ============================================ */
+
+require('dotenv').config();
+
+const {
+  runMigrations,
+  migrationStatus,
+  rollbackMigrations,
+  migratePostgresUrl
+} = require('../config/migrator');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const actions = {
+    up: runMigrations,
+    status: migrationStatus,
+    rollback: (db) => rollbackMigrations(db, Math.max(1, parseInt(arg, 10) || 1))
+  };
+  if (!actions[command]) {
+    throw new Error(`Unknown command "${command}". Use up, status or rollback.`);
+  }
+
+  let result;
+  const { DB_DRIVER, driver } = require('../config/db-driver');
+  if (DB_DRIVER === 'memory') {
+    throw new Error('DB_DRIVER=memory keeps nothing between runs; the server migrates it on every start');
+  }
+  if (DB_DRIVER === 'supabase') {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('Set DATABASE_URL to the Supabase connection string (Settings → Database) to run migrations');
+    }
+    console.log('Migrating Supabase database at DATABASE_URL');
+    result = await migratePostgresUrl(process.env.DATABASE_URL, actions[command]);
+  } else {
+    console.log(`Migrating ${DB_DRIVER} database`);
+    await driver.openDatabase();
+    try {
+      result = await actions[command](driver.migrationConnection);
+    } finally {
+      await driver.closeDatabase();
+    }
+  }
+
+  if (command === 'status') {
+    for (const m of result) {
+      console.log(`${m.applied_at ? '✓' : ' '} ${m.version}_${m.name}${m.applied_at ? `  (applied ${m.applied_at})` : '  (pending)'}`);
+    }
+  } else if (result.length === 0) {
+    console.log(command === 'up' ? 'Database is up to date' : 'Nothing to roll back');
+  }
+}
+
+main().catch(err => {
+  console.error('✗ Migration failed:', err.message);
+  process.exit(1);
+});
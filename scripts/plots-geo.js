@@ -0,0 +1,94 @@
+/* ============================================
+   PLOT LAYOUT EXPORT / IMPORT CLI
+   ============================================
+
+   npm run plots:export -- [--estate 2] [--status available] [--format kml] [--out FILE]
+       write plots and their outlines as GeoJSON (default) or KML,
+       to FILE or to stdout
+   npm run plots:import -- FILE [--estate 2]
+       create or update plots from a GeoJSON or KML file, the same way
+       POST /api/plots/import does (all or nothing; sold plots refused)
+
+   Works on the database DB_DRIVER selects (see config/db-driver.js).
+   Log lines go to stderr so an export on stdout can be piped.
+   ============================================ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { check, schemas } = require('../config/validation');
+const { featureCollectionToKml, kmlToFeatureCollection } = require('../config/geojson');
+
+// Drivers log to stdout; keep it for the export
+console.log = console.error;
+
+function parseArgs(args) {
+  const options = { files: [] };
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i].match(/^--(\w+)$/);
+    if (!flag) {
+      options.files.push(args[i]);
+      continue;
+    }
+    if (i + 1 >= args.length) throw new Error(`--${flag[1]} needs a value`);
+    options[flag[1]] = args[++i];
+  }
+  return options;
+}
+
+async function exportLayout(adapter, options) {
+  const format = options.format || (options.out && path.extname(options.out) === '.kml' ? 'kml' : 'geojson');
+  if (!['geojson', 'kml'].includes(format)) throw new Error('--format must be geojson or kml');
+  const filters = check(schemas.plotExportQuery, { estate_id: options.estate, status: options.status });
+  const collection = await adapter.exportPlots(filters);
+  const output = format === 'kml' ? featureCollectionToKml(collection) : `${JSON.stringify(collection, null, 2)}\n`;
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.error(`✓ Exported ${collection.features.length} plots to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+async function importLayout(adapter, options) {
+  const [file] = options.files;
+  if (!file) throw new Error('Name the GeoJSON or KML file to import');
+  const text = fs.readFileSync(file, 'utf8');
+  const collection = /^\s*</.test(text) ? kmlToFeatureCollection(text) : JSON.parse(text);
+  const body = check(schemas.plotImport, collection);
+  const { estate_id } = check(schemas.plotImportQuery, { estate_id: options.estate });
+  const actor = `cli:${os.userInfo().username}`;
+  const result = await adapter.auditContext.run({ actor }, () =>
+    adapter.importPlots(body.features, { estate_id, changed_by: actor }));
+  const plots = (n) => `${n} plot${n === 1 ? '' : 's'}`;
+  console.error(`✓ Imported ${file}: ${plots(result.createdCount)} created, ${plots(result.updatedCount)} updated`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const actions = { export: exportLayout, import: importLayout };
+  if (!actions[command]) {
+    throw new Error(`Unknown command "${command}". Use export or import.`);
+  }
+  const options = parseArgs(args);
+
+  const { DB_DRIVER, driver } = require('../config/db-driver');
+  if (DB_DRIVER === 'memory') {
+    throw new Error('DB_DRIVER=memory keeps nothing between runs; use the API against a running server');
+  }
+  const adapter = require('../config/db-adapter');
+  await driver.initDatabase();
+  try {
+    await actions[command](adapter, options);
+  } finally {
+    await driver.closeDatabase();
+  }
+}
+
+main().catch(err => {
+  console.error(`✗ Plot ${process.argv[2] || ''} failed:`, err.message);
+  for (const field of err.fields || []) console.error(`  ${field.field}: ${field.message}`);
+  process.exit(1);
+});
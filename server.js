@@ -12,45 +12,87 @@ const cors = require('cors');
 const path = require('path');
 require('dotenv').config();
 
-// Try to use Supabase, fallback to SQLite
-let initDatabase;
-try {
-  if (process.env.SUPABASE_URL && process.env.SUPABASE_KEY) {
-    console.log('Using Supabase (PostgreSQL cloud database)');
-    ({ initDatabase } = require('./config/database-supabase'));
-  } else {
-    console.log('Using SQLite (local development database)');
-    ({ initDatabase } = require('./config/database'));
-  }
-} catch (e) {
-  console.log('Falling back to SQLite');
-  ({ initDatabase } = require('./config/database'));
-}
+// Database driver: DB_DRIVER=sqlite | postgres | supabase | memory (see config/db-driver.js)
+const { DB_DRIVER, driver } = require('./config/db-driver');
+const DRIVER_LABELS = {
+  sqlite: 'SQLite (local development database)',
+  postgres: 'PostgreSQL',
+  supabase: 'Supabase (PostgreSQL cloud database)',
+  memory: 'in-memory SQLite (fixtures only, nothing is saved)'
+};
+console.log(`Using ${DRIVER_LABELS[DB_DRIVER]}`);
 
 const plotRoutes = require('./routes/plots');
 const transactionRoutes = require('./routes/transactions');
+const paymentRoutes = require('./routes/payments');
 const buyerRoutes = require('./routes/buyers');
+const purchaseRoutes = require('./routes/purchases');
+const estateRoutes = require('./routes/estates');
+const pricingRuleRoutes = require('./routes/pricing-rules');
+const promoCodeRoutes = require('./routes/promo-codes');
+const volumeTierRoutes = require('./routes/volume-tiers');
+const quoteRoutes = require('./routes/quotes');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const eventRoutes = require('./routes/events');
+const { authenticate, tokenFromQuery } = require('./middleware/auth');
+const { auditRequest } = require('./middleware/audit');
+const { sendError } = require('./middleware/validate');
+const { releaseExpiredReservations, markOverdueTransactions, expireQuotes, ensureAdminUser } = require('./config/db-adapter');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const RESERVATION_SWEEP_MS = Number(process.env.RESERVATION_SWEEP_MS) || 60 * 1000;
+const OVERDUE_SWEEP_MS = Number(process.env.OVERDUE_SWEEP_MS) || 60 * 60 * 1000;
+// Origins allowed to call the API from another site (comma-separated), e.g. the Netlify frontend
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
 
 // ==========================================
 // MIDDLEWARE SETUP
 // ==========================================
 
-app.use(cors()); // Allow cross-origin requests
-app.use(bodyParser.json()); // Parse JSON request bodies
+// Behind a proxy (e.g. Render), trust X-Forwarded-For so req.ip is the client's address
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
+app.use(cors({
+  origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, // Only listed origins may call cross-site
+  exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Per-Page'] // List totals (see sendList)
+}));
+app.use(bodyParser.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' })); // Parse JSON request bodies (survey GeoJSON can be large)
 app.use(bodyParser.urlencoded({ extended: true })); // Parse URL-encoded bodies
-// Serve static frontend files (index.html, styles, scripts)
-app.use(express.static(__dirname));
+// Serve the frontend files (pages, styles, browser scripts, and the demo
+// data app.js loads) and nothing else from the repo: config/, data/ (the
+// SQLite file), .env and the server code stay private
+const FRONTEND_FILES = [
+  'index.html', 'admin.html', 'test-api.html', 'style.css', 'app.js', 'app-backend.js', 'api-client.js',
+  'fixtures/demo.json'
+];
+const frontend = express.static(__dirname, { dotfiles: 'deny' });
+app.use((req, res, next) => (req.path === '/' || FRONTEND_FILES.includes(req.path.slice(1)) ? frontend(req, res, next) : next()));
 
 // ==========================================
 // ROUTES
 // ==========================================
 
-app.use('/api/plots', plotRoutes);
-app.use('/api/transactions', transactionRoutes);
-app.use('/api/buyers', buyerRoutes);
+// Every API request gets an audit context (actor + IP) for the audit log
+app.use('/api', auditRequest);
+
+// Everything except login needs a session; each router checks roles per endpoint
+app.use('/api/auth', authRoutes);
+app.use('/api/users', authenticate, userRoutes);
+app.use('/api/plots', authenticate, plotRoutes);
+app.use('/api/transactions', authenticate, transactionRoutes);
+app.use('/api/payments', authenticate, paymentRoutes);
+app.use('/api/buyers', authenticate, buyerRoutes);
+app.use('/api/purchases', authenticate, purchaseRoutes);
+app.use('/api/estates', authenticate, estateRoutes);
+app.use('/api/pricing-rules', authenticate, pricingRuleRoutes);
+app.use('/api/promo-codes', authenticate, promoCodeRoutes);
+app.use('/api/volume-tiers', authenticate, volumeTierRoutes);
+app.use('/api/quotes', authenticate, quoteRoutes);
+app.use('/api/audit', authenticate, auditRoutes);
+app.use('/api/events', tokenFromQuery, authenticate, eventRoutes);
 
 // API info route
 app.get('/api', (req, res) => {
@@ -58,9 +100,20 @@ app.get('/api', (req, res) => {
     message: 'Land Purchase System API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
+      users: '/api/users',
       plots: '/api/plots',
       transactions: '/api/transactions',
-      buyers: '/api/buyers'
+      payments: '/api/payments',
+      buyers: '/api/buyers',
+      purchases: '/api/purchases',
+      estates: '/api/estates',
+      pricingRules: '/api/pricing-rules',
+      promoCodes: '/api/promo-codes',
+      volumeTiers: '/api/volume-tiers',
+      quotes: '/api/quotes',
+      audit: '/api/audit',
+      events: '/api/events'
     }
   });
 });
@@ -76,12 +129,58 @@ app.get('/app', (req, res) => {
 
 app.use((err, req, res, next) => {
   console.error('Error:', err);
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal Server Error',
-    stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
-  });
+  // body-parser marks malformed JSON as a 400 with type entity.parse.failed
+  sendError(res, err.type === 'entity.parse.failed' ? { status: 400, message: 'Request body is not valid JSON' } : err);
 });
 
+// ==========================================
+// BACKGROUND JOBS
+// ==========================================
+
+/**
+ * Periodically return plots with expired holds to available
+ */
+function startReservationSweeper() {
+  const timer = setInterval(async () => {
+    try {
+      const { releasedCount } = await releaseExpiredReservations();
+      if (releasedCount > 0) {
+        console.log(`✓ Released ${releasedCount} expired plot reservation(s)`);
+      }
+    } catch (error) {
+      console.error('Reservation sweep failed:', error.message);
+    }
+  }, RESERVATION_SWEEP_MS);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Periodically flag transactions whose installments have fallen due unpaid,
+ * and quotes past their valid_until expired.
+ * Also runs once at startup so a restart picks up anything missed.
+ */
+function startOverdueSweeper() {
+  const sweep = async () => {
+    try {
+      const { overdueCount } = await markOverdueTransactions();
+      if (overdueCount > 0) {
+        console.log(`✓ Marked ${overdueCount} transaction(s) overdue`);
+      }
+      const { expiredCount } = await expireQuotes();
+      if (expiredCount > 0) {
+        console.log(`✓ Expired ${expiredCount} quote(s)`);
+      }
+    } catch (error) {
+      console.error('Overdue sweep failed:', error.message);
+    }
+  };
+  sweep();
+  const timer = setInterval(sweep, OVERDUE_SWEEP_MS);
+  timer.unref();
+  return timer;
+}
+
 // ==========================================
 // SERVER INITIALIZATION
 // ==========================================
@@ -89,8 +188,11 @@ app.use((err, req, res, next) => {
 async function startServer() {
   try {
     // Initialize database
-    await initDatabase();
+    await driver.initDatabase();
     console.log('✓ Database initialized');
+    await ensureAdminUser();
+    startReservationSweeper();
+    startOverdueSweeper();
     
     // Start server
     app.listen(PORT, () => {
@@ -103,6 +205,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// Tests require the app without starting it (see test/helpers.js)
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,232 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetApp, closeApp } = require('./helpers');
+
+const NEW_BUYER = {
+  name: 'John Smith',
+  id_number: '23456789',
+  phone: '0712 000 002',
+  email: 'john@example.com',
+  address: 'Nairobi',
+  occupation: 'Engineer',
+  budget: 300000
+};
+
+describe('buyers API', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await resetApp();
+  });
+
+  after(closeApp);
+
+  describe('GET /api/buyers', () => {
+    it('lists buyers', async () => {
+      const res = await api.auditor.get('/api/buyers');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map(b => b.name), ['Jane Doe']);
+    });
+
+    it('searches by name, ID number or uid and pages the matches', async () => {
+      await api.sales_agent.post('/api/buyers').send(NEW_BUYER);
+      await api.sales_agent.post('/api/buyers').send({ ...NEW_BUYER, name: 'Mary Smith', id_number: '34567890' });
+
+      const names = async (query) => (await api.auditor.get(`/api/buyers?${query}`)).body.map(b => b.name);
+      assert.deepEqual(await names('q=smith&sort=name'), ['John Smith', 'Mary Smith']);
+      assert.deepEqual(await names('q=2345678'), ['John Smith', 'Jane Doe']);
+      assert.deepEqual(await names('q=jane-doe'), ['Jane Doe']);
+
+      const page = await api.auditor.get('/api/buyers?q=smith&sort=-name&per_page=1');
+      assert.equal(page.headers['x-total-count'], '2');
+      assert.deepEqual(page.body.map(b => b.name), ['Mary Smith']);
+    });
+  });
+
+  describe('GET /api/buyers/:id', () => {
+    it('returns one buyer', async () => {
+      const res = await api.auditor.get('/api/buyers/1');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.id_number, '12345678');
+    });
+
+    it('answers 404 for an unknown buyer', async () => {
+      const res = await api.auditor.get('/api/buyers/999');
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error.message, 'Buyer not found');
+    });
+  });
+
+  describe('POST /api/buyers', () => {
+    it('creates a buyer with a uid and a normalised phone number', async () => {
+      const res = await api.sales_agent.post('/api/buyers').send(NEW_BUYER);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.name, 'John Smith');
+      assert.equal(res.body.uid, 'john-smith-23456789');
+      assert.equal(res.body.phone, '+254712000002');
+      assert.equal(res.body.budget, 300000);
+
+      const list = await api.auditor.get('/api/buyers');
+      assert.equal(list.body.length, 2);
+    });
+
+    it('rejects a duplicate id_number with 409', async () => {
+      const res = await api.sales_agent.post('/api/buyers').send({ ...NEW_BUYER, id_number: '12345678' });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.message, 'Buyer with this ID number already exists');
+    });
+
+    it('rejects missing fields with 400', async () => {
+      const { email, ...withoutEmail } = NEW_BUYER;
+      const res = await api.sales_agent.post('/api/buyers').send(withoutEmail);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, 'validation_failed');
+      assert.deepEqual(res.body.error.fields, [{ field: 'email', code: 'required', message: 'is required' }]);
+    });
+
+    it('reports every badly formatted field', async () => {
+      const res = await api.sales_agent.post('/api/buyers')
+        .send({ ...NEW_BUYER, phone: '12345', email: 'john@', id_number: 'ID-1', budget: -1 });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.fields.map(f => [f.field, f.code]),
+        [['id_number', 'format'], ['phone', 'format'], ['email', 'format'], ['budget', 'range']]);
+      assert.match(res.body.error.message, /^id_number must be a national ID/);
+    });
+
+    it('accepts a passport number', async () => {
+      const res = await api.sales_agent.post('/api/buyers').send({ ...NEW_BUYER, id_number: 'ak 1234567' });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.id_number, 'AK1234567');
+    });
+
+    it('is not open to cashiers', async () => {
+      const res = await api.cashier.post('/api/buyers').send(NEW_BUYER);
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('PUT /api/buyers/:id', () => {
+    it('updates a buyer', async () => {
+      const res = await api.sales_agent.put('/api/buyers/1').send({ ...NEW_BUYER, name: 'Jane Smith', id_number: '12345678' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.name, 'Jane Smith');
+      assert.equal(res.body.budget, 300000);
+    });
+
+    it('changes only the fields that are sent', async () => {
+      const res = await api.sales_agent.put('/api/buyers/1').send({ phone: '+254722000000' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.phone, '+254722000000');
+      assert.equal(res.body.name, 'Jane Doe');
+      assert.equal(res.body.email, 'jane@example.com');
+    });
+
+    it('rejects an empty update or a bad field with 400', async () => {
+      assert.equal((await api.sales_agent.put('/api/buyers/1').send({})).status, 400);
+      const res = await api.sales_agent.put('/api/buyers/1').send({ email: 'nope' });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.fields.map(f => f.field), ['email']);
+    });
+
+    it('rejects another buyer\'s ID number with 409', async () => {
+      const { body: john } = await api.sales_agent.post('/api/buyers').send(NEW_BUYER);
+      const res = await api.sales_agent.put(`/api/buyers/${john.id}`).send({ id_number: '12345678' });
+      assert.equal(res.status, 409);
+    });
+
+    it('answers 404 for an unknown buyer', async () => {
+      const res = await api.sales_agent.put('/api/buyers/999').send(NEW_BUYER);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /api/buyers/search', () => {
+    const search = async (q) => (await api.auditor.get('/api/buyers/search').query({ q })).body;
+
+    it('looks a buyer up by ID number or uid', async () => {
+      const byId = await search('1234 5678');
+      assert.equal(byId.buyer.name, 'Jane Doe');
+      assert.equal(byId.results[0].match, 'id_number');
+      assert.equal((await search('JANE-DOE-12345678')).buyer.id, 1);
+      assert.equal((await search('99999999')).buyer, null);
+    });
+
+    it('matches ID number prefixes, phone numbers in any format and misspelt names', async () => {
+      await api.sales_agent.post('/api/buyers').send(NEW_BUYER);
+      const matches = async (q) => (await search(q)).results.map(b => [b.name, b.match]);
+      assert.deepEqual(await matches('2345'), [['John Smith', 'id_number_prefix']]);
+      assert.deepEqual(await matches('+254 712 000 002'), [['John Smith', 'phone']]);
+      assert.deepEqual(await matches('jon smth'), [['John Smith', 'name']]);
+      assert.deepEqual(await matches('doe'), [['Jane Doe', 'name']]);
+      assert.deepEqual(await matches('nobody'), []);
+    });
+
+    it('requires q (400)', async () => {
+      const res = await api.auditor.get('/api/buyers/search');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.fields[0].field, 'q');
+    });
+  });
+
+  describe('GET /api/buyers/duplicates', () => {
+    it('groups buyers with the same phone, the same email or similar names', async () => {
+      await api.sales_agent.post('/api/buyers').send(NEW_BUYER);
+      await api.sales_agent.post('/api/buyers').send({ ...NEW_BUYER, name: 'Jon Smith', id_number: '34567890', phone: '+254712000003' });
+      await api.sales_agent.post('/api/buyers').send({ ...NEW_BUYER, name: 'Peter Otieno', id_number: '45678901', email: 'peter@example.com' });
+
+      const res = await api.auditor.get('/api/buyers/duplicates');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map(g => [g.reason, g.buyers.map(b => b.id)]), [
+        ['phone', [2, 4]],
+        ['email', [2, 3]],
+        ['name', [2, 3]]
+      ]);
+      assert.equal(res.body[0].value, '+254712000002');
+    });
+
+    it('is not open to sales agents', async () => {
+      const res = await api.sales_agent.get('/api/buyers/duplicates');
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('POST /api/buyers/:id/merge', () => {
+    it('moves the duplicate\'s sales and payments and deletes it', async () => {
+      const { body: copy } = await api.sales_agent.post('/api/buyers').send(NEW_BUYER);
+      const { body: tx } = await api.sales_agent.post('/api/purchases').send({ buyer_id: copy.id, plot_ids: [1] });
+      await api.cashier.post('/api/payments').send({ transaction_id: tx.id, amount: 1000 });
+
+      const res = await api.admin.post('/api/buyers/1/merge').send({ duplicate_id: copy.id });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.merged_from.id, copy.id);
+      assert.deepEqual(res.body.moved, { transactions: 1, payments: 1, refunds: 0, plots: 1, reservations: 0, quotes: 0 });
+      assert.equal(res.body.buyer.total_spent, copy.total_spent + 50000 - 1000);
+
+      assert.equal((await api.auditor.get(`/api/transactions/${tx.id}`)).body.buyer_id, 1);
+      assert.deepEqual((await api.auditor.get('/api/payments?buyer_id=1')).body.map(p => p.amount), [1000]);
+      assert.equal((await api.auditor.get('/api/plots/1')).body.buyer_id, 1);
+      assert.equal((await api.auditor.get(`/api/buyers/${copy.id}`)).status, 404);
+    });
+
+    it('logs the merge against both buyers, the duplicate as deleted', async () => {
+      const { body: copy } = await api.sales_agent.post('/api/buyers').send(NEW_BUYER);
+      await api.admin.post('/api/buyers/1/merge').send({ duplicate_id: copy.id });
+
+      const [kept] = (await api.auditor.get('/api/audit?action=buyer.merge&entity_id=1')).body;
+      assert.equal(kept.after.merged_from.id, copy.id);
+      const [removed] = (await api.auditor.get(`/api/audit?action=buyer.merge&entity_id=${copy.id}`)).body;
+      assert.deepEqual([removed.before.id, removed.after], [copy.id, null]);
+    });
+
+    it('refuses to merge a buyer into itself (400) or an unknown buyer (404)', async () => {
+      assert.equal((await api.admin.post('/api/buyers/1/merge').send({ duplicate_id: 1 })).status, 400);
+      assert.equal((await api.admin.post('/api/buyers/1/merge').send({ duplicate_id: 999 })).status, 404);
+      assert.equal((await api.admin.post('/api/buyers/1/merge').send({})).status, 400);
+    });
+
+    it('is admin only', async () => {
+      const res = await api.sales_agent.post('/api/buyers/1/merge').send({ duplicate_id: 2 });
+      assert.equal(res.status, 403);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, resetApp, closeApp } = require('./helpers');
+
+describe('discounts and quotes API', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await resetApp();
+  });
+
+  after(closeApp);
+
+  it('requires a session', async () => {
+    assert.equal((await request(app).post('/api/quotes').send({ plot_ids: [1] })).status, 401);
+    assert.equal((await request(app).get('/api/volume-tiers')).status, 401);
+  });
+
+  it('lets admins manage promo codes, which agents cannot list', async () => {
+    const created = await api.admin.post('/api/promo-codes').send({ code: 'easter10', percent: 10, valid_to: '2099-04-30', max_uses: 50 });
+    assert.equal(created.status, 201);
+    assert.deepEqual(
+      [created.body.code, created.body.percent, created.body.used_count, created.body.active, created.body.created_by],
+      ['EASTER10', 10, 0, true, 'admin']
+    );
+
+    assert.equal((await api.admin.post('/api/promo-codes').send({ code: 'Easter10', amount: 1000 })).status, 409);
+    const bad = await api.admin.post('/api/promo-codes').send({ code: 'BOTH', percent: 5, amount: 1000, valid_from: '2099-02-01', valid_to: '2099-01-01' });
+    assert.deepEqual(bad.body.error.fields.map(f => f.field), ['percent', 'valid_to']);
+
+    assert.equal((await api.sales_agent.get('/api/promo-codes')).status, 403);
+    assert.equal((await api.auditor.get('/api/promo-codes')).body.length, 1);
+    const changed = await api.admin.put(`/api/promo-codes/${created.body.id}`).send({ active: false });
+    assert.equal(changed.body.active, false);
+    assert.equal((await api.admin.delete(`/api/promo-codes/${created.body.id}`)).status, 200);
+    assert.equal((await api.admin.get(`/api/promo-codes/${created.body.id}`)).status, 404);
+  });
+
+  it('quotes plots with the best volume tier, a promo code and a manual discount', async () => {
+    await api.admin.post('/api/volume-tiers').send({ min_plots: 3, percent: 5 });
+    await api.admin.post('/api/volume-tiers').send({ min_plots: 5, percent: 7 });
+    await api.admin.post('/api/volume-tiers').send({ min_plots: 2, percent: 50, estate_id: 1, active: false });
+    await api.admin.post('/api/promo-codes').send({ code: 'WELCOME', amount: 5000 });
+
+    const plain = await api.sales_agent.post('/api/quotes').send({ plot_ids: [1, 9] });
+    assert.equal(plain.status, 200);
+    assert.deepEqual(
+      [plain.body.gross_amount, plain.body.discount_amount, plain.body.total_amount, plain.body.line_items.length],
+      [110000, 0, 110000, 2]
+    );
+
+    const quote = await api.admin.post('/api/quotes').send({
+      plot_ids: '1,2,4,5,6',
+      promo_code: 'welcome',
+      manual_discount: { percent: 1, reason: 'Long-standing customer' }
+    });
+    assert.equal(quote.status, 200);
+    assert.deepEqual(quote.body.line_items.slice(5), [
+      { kind: 'volume_discount', volume_tier_id: 2, description: '5+ plots: 7% off', amount: -17500 },
+      { kind: 'promo_code', promo_code_id: 1, description: 'Promo code WELCOME: KES 5,000 off', amount: -5000 },
+      { kind: 'manual_discount', approved_by: 'admin', description: 'Manual discount: Long-standing customer', amount: -2500 }
+    ]);
+    assert.deepEqual(
+      [quote.body.estate_id, quote.body.gross_amount, quote.body.discount_amount, quote.body.total_amount],
+      [1, 250000, 25000, 225000]
+    );
+
+    const agentDiscount = await api.sales_agent.post('/api/quotes').send({ plot_ids: [1], manual_discount: { amount: 1000, reason: 'Asked nicely' } });
+    assert.equal(agentDiscount.status, 403);
+  });
+
+  it('refuses promo codes that are unknown, switched off, outside their window or need more plots', async () => {
+    await api.admin.post('/api/promo-codes').send({ code: 'OLD', percent: 5, valid_to: '2000-01-31' });
+    await api.admin.post('/api/promo-codes').send({ code: 'SOON', percent: 5, valid_from: '2099-01-01' });
+    await api.admin.post('/api/promo-codes').send({ code: 'BULK', percent: 5, min_plots: 3 });
+    await api.admin.post('/api/promo-codes').send({ code: 'OFF', percent: 5, active: false });
+
+    const problems = {};
+    for (const code of ['NOPE', 'OLD', 'SOON', 'BULK', 'OFF']) {
+      const res = await api.sales_agent.post('/api/quotes').send({ plot_ids: [1], promo_code: code });
+      assert.equal(res.status, 400);
+      problems[code] = res.body.error.fields[0].code;
+    }
+    assert.deepEqual(problems, { NOPE: 'not_found', OLD: 'expired', SOON: 'not_started', BULK: 'not_applicable', OFF: 'not_found' });
+  });
+
+  it('stores the line items on the sale and counts promo code uses', async () => {
+    await api.admin.post('/api/volume-tiers').send({ min_plots: 2, percent: 10 });
+    await api.admin.post('/api/promo-codes').send({ code: 'ONCE', percent: 5, max_uses: 1 });
+
+    const purchase = await api.sales_agent.post('/api/purchases').send({ buyer_id: 1, plot_ids: [1, 2], promo_code: 'ONCE' });
+    assert.equal(purchase.status, 201);
+    assert.deepEqual(
+      [purchase.body.gross_amount, purchase.body.discount_amount, purchase.body.total_amount],
+      [100000, 15000, 85000]
+    );
+    assert.deepEqual(purchase.body.line_items.map(line => [line.kind, line.plot_id, line.amount]), [
+      ['plot', 1, 50000],
+      ['plot', 2, 50000],
+      ['volume_discount', null, -10000],
+      ['promo_code', null, -5000]
+    ]);
+    assert.equal((await api.admin.get('/api/promo-codes/1')).body.used_count, 1);
+
+    const again = await api.sales_agent.post('/api/purchases').send({ buyer_id: 1, plot_ids: [4], promo_code: 'ONCE' });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error.fields[0].code, 'used_up');
+
+    const tx = await api.sales_agent.post('/api/transactions').send({ buyer_id: 1, plot_ids: [5] });
+    assert.deepEqual([tx.body.gross_amount, tx.body.discount_amount, tx.body.total_amount], [50000, 0, 50000]);
+    const list = (await api.auditor.get('/api/transactions?fields=id,gross_amount,discount_amount,total_amount&sort=id')).body;
+    assert.deepEqual(list.map(t => t.discount_amount), [15000, 0]);
+  });
+
+  it('gives the promo code use back when the sale is cancelled', async () => {
+    await api.admin.post('/api/promo-codes').send({ code: 'ONCE', percent: 5, max_uses: 1 });
+    const { body: sale } = await api.sales_agent.post('/api/purchases').send({ buyer_id: 1, plot_ids: [1], promo_code: 'ONCE' });
+    await api.admin.post(`/api/transactions/${sale.id}/cancel`).send({ reason: 'changed their mind' });
+    assert.equal((await api.admin.get('/api/promo-codes/1')).body.used_count, 0);
+
+    const again = await api.sales_agent.post('/api/purchases').send({ buyer_id: 1, plot_ids: [2], promo_code: 'ONCE' });
+    assert.equal(again.status, 201);
+    assert.equal((await api.admin.get('/api/promo-codes/1')).body.used_count, 1);
+  });
+});
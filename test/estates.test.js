@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetApp, closeApp } = require('./helpers');
+
+// Fixture estate 1 is a 2 x 5 grid at 50000 a plot
+describe('estates API', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await resetApp();
+  });
+
+  after(closeApp);
+
+  describe('POST /api/estates', () => {
+    it('creates an estate and its plot grid', async () => {
+      const res = await api.admin.post('/api/estates')
+        .send({ name: ' Riverside ', location: 'Thika', layout_rows: '2', layout_cols: 3, default_price: 40000 });
+      assert.equal(res.status, 201);
+      assert.deepEqual([res.body.name, res.body.location, res.body.total_plots], ['Riverside', 'Thika', 6]);
+    });
+
+    it('answers 400 with the bad fields', async () => {
+      const res = await api.admin.post('/api/estates')
+        .send({ location: { town: 'Thika' }, layout_rows: 0, layout_cols: 101, default_price: -1 });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.fields.map(f => f.field), ['name', 'location', 'layout_rows', 'layout_cols', 'default_price']);
+    });
+
+    it('is admin only', async () => {
+      const res = await api.sales_agent.post('/api/estates').send({ name: 'Riverside', layout_rows: 1, layout_cols: 1 });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('PUT /api/estates/:id', () => {
+    it('changes only the fields sent', async () => {
+      const res = await api.admin.put('/api/estates/1').send({ layout_cols: 6 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total_plots, 12);
+    });
+
+    it('answers 400 for a bad id, an empty update or a bad field', async () => {
+      assert.deepEqual((await api.admin.put('/api/estates/abc').send({ name: 'x' })).body.error.fields.map(f => f.field), ['id']);
+      assert.equal((await api.admin.put('/api/estates/1').send({})).status, 400);
+      const res = await api.admin.put('/api/estates/1').send({ layout_rows: 'many' });
+      assert.deepEqual(res.body.error.fields.map(f => f.field), ['layout_rows']);
+    });
+
+    it('refuses to drop a plot a live quote holds', async () => {
+      assert.equal((await api.sales_agent.post('/api/quotes/drafts').send({ buyer_id: 1, plot_ids: [10] })).status, 201);
+      const res = await api.admin.put('/api/estates/1').send({ layout_cols: 4 });
+      assert.equal(res.status, 409);
+      assert.deepEqual(res.body.error.conflicts, [10]);
+      assert.equal((await api.admin.get('/api/estates/1')).body.total_plots, 10);
+    });
+  });
+
+  describe('DELETE /api/estates/:id', () => {
+    it('refuses while a live quote holds one of its plots', async () => {
+      const estate = await api.admin.post('/api/estates')
+        .send({ name: 'Riverside', layout_rows: 1, layout_cols: 2, default_price: 40000 });
+      const plots = (await api.admin.get(`/api/plots?estate_id=${estate.body.id}`)).body;
+      await api.sales_agent.post('/api/quotes/drafts').send({ buyer_id: 1, plot_ids: [plots[1].id] });
+
+      const res = await api.admin.delete(`/api/estates/${estate.body.id}`);
+      assert.equal(res.status, 409);
+      assert.deepEqual(res.body.error.conflicts, [plots[1].id]);
+    });
+  });
+});
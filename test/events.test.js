@@ -0,0 +1,100 @@
+const { describe, it, before, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { app, request, resetApp, closeApp } = require('./helpers');
+
+/**
+ * Open GET /api/events on a running server. next(entity) resolves with
+ * the next event for that entity.
+ */
+function openStream(port, token) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const waiting = [];
+    const deliver = () => {
+      for (let i = 0; i < waiting.length; i++) {
+        const index = events.findIndex(e => e.event === waiting[i].entity);
+        if (index === -1) continue;
+        waiting.splice(i--, 1)[0].resolve(events.splice(index, 1)[0].data);
+      }
+    };
+    const req = http.get({ port, path: `/api/events?access_token=${token}` }, (res) => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+          if (fields.event) events.push({ event: fields.event, data: JSON.parse(fields.data) });
+        }
+        deliver();
+      });
+      resolve({
+        status: res.statusCode,
+        type: res.headers['content-type'],
+        next: (entity) => new Promise(done => {
+          waiting.push({ entity, resolve: done });
+          deliver();
+        }),
+        close: () => req.destroy()
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('events API', () => {
+  let api;
+  let server;
+  let stream;
+
+  before(async () => {
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    api = await resetApp();
+    const { body } = await request(app).post('/api/auth/login').send({ username: 'admin', password: process.env.ADMIN_PASSWORD });
+    stream = await openStream(server.address().port, body.token);
+  });
+
+  afterEach(() => stream.close());
+
+  after(async () => {
+    server.close();
+    await closeApp();
+  });
+
+  it('requires a session', async () => {
+    const res = await request(app).get('/api/events?access_token=not-a-token');
+    assert.equal(res.status, 401);
+  });
+
+  it('streams plot holds as they happen', async () => {
+    assert.equal(stream.status, 200);
+    assert.match(stream.type, /^text\/event-stream/);
+
+    await api.sales_agent.post('/api/plots/1/reserve').send({});
+    const event = await stream.next('plot');
+    assert.equal(event.action, 'plot.reserve');
+    assert.equal(event.entity_id, '1');
+    assert.equal(event.data.held_by, 'sales_agent');
+  });
+
+  it('streams sales, the plots they sell and payments', async () => {
+    const { body: tx } = await api.sales_agent.post('/api/purchases').send({ buyer_id: 1, plot_ids: [2] });
+    const sale = await stream.next('transaction');
+    assert.equal(sale.action, 'purchase.create');
+    assert.equal(sale.data.id, tx.id);
+    const plot = await stream.next('plot');
+    assert.equal(plot.action, 'plot.sell');
+    assert.equal(plot.data.status, 'sold');
+
+    await api.cashier.post('/api/payments').send({ transaction_id: tx.id, amount: 500 });
+    const payment = await stream.next('payment');
+    assert.equal(payment.action, 'payment.create');
+    assert.equal(payment.data.amount, 500);
+  });
+});
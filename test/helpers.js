@@ -0,0 +1,64 @@
+/* ============================================
+   TEST HELPERS
+   ============================================
+
+   Boots the Express app from server.js on an in-memory database
+   (DB_DRIVER=memory) so the tests never touch data/land_system.db.
+   resetApp() reloads test/fixtures/base.json and signs in one user per
+   role; each returned client sends that user's token with every request.
+   ============================================ */
+
+const path = require('path');
+
+process.env.DB_DRIVER = 'memory';
+process.env.DB_FIXTURES = path.join(__dirname, 'fixtures/base.json');
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'admin-password';
+
+const request = require('supertest');
+const app = require('../server');
+const { driver } = require('../config/db-driver');
+const { ensureAdminUser, createUser } = require('../config/db-adapter');
+
+const PASSWORD = 'test-password';
+const STAFF_ROLES = ['sales_agent', 'cashier', 'auditor'];
+
+/**
+ * supertest requests that carry a session token
+ */
+function client(token) {
+  const send = (method) => (url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  return { get: send('get'), post: send('post'), put: send('put'), delete: send('delete') };
+}
+
+async function signIn(username, password) {
+  const res = await request(app).post('/api/auth/login').send({ username, password });
+  if (res.status !== 200) throw new Error(`Sign-in as ${username} failed with ${res.status}`);
+  return client(res.body.token);
+}
+
+/**
+ * Start again from the fixtures. Returns a client per role:
+ * { admin, sales_agent, cashier, auditor } (users are named after their role).
+ */
+async function resetApp(fixtures) {
+  await driver.resetDatabase(fixtures);
+  await ensureAdminUser();
+  const clients = { admin: await signIn('admin', process.env.ADMIN_PASSWORD) };
+  for (const role of STAFF_ROLES) {
+    await createUser({ username: role, password: PASSWORD, role });
+    clients[role] = await signIn(role, PASSWORD);
+  }
+  return clients;
+}
+
+function closeApp() {
+  return driver.closeDatabase();
+}
+
+module.exports = {
+  app,
+  request,
+  resetApp,
+  closeApp
+};
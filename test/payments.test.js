@@ -0,0 +1,175 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetApp, closeApp } = require('./helpers');
+
+// Fixture plots cost 50000 each; this plan is a 20000 deposit and two 15000 installments
+const PLAN = { deposit_amount: 20000, months: 2, start_date: '2099-01-01' };
+
+describe('payments API', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await resetApp();
+  });
+
+  after(closeApp);
+
+  const purchase = (body) => api.sales_agent.post('/api/purchases').send({ buyer_id: 1, plot_ids: [1], ...body });
+  const pay = (body) => api.cashier.post('/api/payments').send(body);
+
+  describe('POST /api/payments', () => {
+    it('allocates a payment to the oldest installments and gives it a receipt number', async () => {
+      const { body: tx } = await purchase({ payment_plan: PLAN });
+      const res = await pay({ transaction_id: tx.id, amount: 25000, method: 'mpesa', reference: 'QX1' });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.buyer_id, 1);
+      assert.equal(res.body.credit_amount, 0);
+      assert.equal(res.body.receipt_number, `RCT-${String(res.body.id).padStart(6, '0')}`);
+      assert.deepEqual(res.body.allocations.map(a => [a.sequence, a.amount]), [[0, 20000], [1, 5000]]);
+
+      const after = await api.auditor.get(`/api/transactions/${tx.id}`);
+      assert.equal(after.body.payment_status, 'partial');
+    });
+
+    it('marks the transaction paid and keeps an overpayment as buyer credit', async () => {
+      const { body: tx } = await purchase({ payment_plan: PLAN });
+      const res = await pay({ transaction_id: tx.id, amount: 51000 });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.credit_amount, 1000);
+
+      const after = await api.auditor.get(`/api/transactions/${tx.id}`);
+      assert.equal(after.body.payment_status, 'paid');
+      const buyer = await api.auditor.get('/api/buyers/1');
+      assert.equal(buyer.body.credit_balance, 1000);
+    });
+
+    it('rejects missing fields and a non-positive amount with 400', async () => {
+      const { body: tx } = await purchase({});
+      assert.equal((await pay({ amount: 100 })).status, 400);
+      assert.equal((await pay({ transaction_id: tx.id, amount: 0 })).status, 400);
+      assert.equal((await pay({ transaction_id: tx.id, buyer_id: 999, amount: 10 })).status, 400);
+    });
+
+    it('answers 404 for an unknown transaction and 409 for a cancelled one', async () => {
+      assert.equal((await pay({ transaction_id: 999, amount: 10 })).status, 404);
+
+      const { body: tx } = await purchase({});
+      await api.admin.post(`/api/transactions/${tx.id}/cancel`).send({ reason: 'changed mind' });
+      assert.equal((await pay({ transaction_id: tx.id, amount: 10 })).status, 409);
+    });
+
+    it('is not open to sales agents', async () => {
+      const res = await api.sales_agent.post('/api/payments').send({ buyer_id: 1, amount: 10 });
+      assert.equal(res.status, 403);
+    });
+
+    it('still records payments posted to the old /api/transactions/payments path', async () => {
+      const { body: tx } = await purchase({});
+      const res = await api.cashier.post('/api/transactions/payments').redirects(1).send({ transaction_id: tx.id, amount: 10 });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.transaction_id, tx.id);
+    });
+  });
+
+  describe('GET /api/payments', () => {
+    it('filters by transaction, buyer, method and date range', async () => {
+      const { body: first } = await purchase({});
+      const { body: second } = await purchase({ plot_ids: [2] });
+      await pay({ transaction_id: first.id, amount: 100, method: 'cash', paid_at: '2030-01-10T09:00:00Z' });
+      await pay({ transaction_id: first.id, amount: 200, method: 'mpesa', paid_at: '2030-02-10T09:00:00Z' });
+      await pay({ transaction_id: second.id, amount: 300, method: 'mpesa', paid_at: '2030-02-28T23:30:00Z' });
+
+      const list = async (query) => (await api.auditor.get(`/api/payments?${query}`)).body.map(p => p.amount);
+      assert.deepEqual(await list(''), [300, 200, 100]);
+      assert.deepEqual(await list(`transaction_id=${first.id}`), [200, 100]);
+      assert.deepEqual(await list('buyer_id=1&method=mpesa'), [300, 200]);
+      assert.deepEqual(await list('from=2030-02-01&to=2030-02-28'), [300, 200]);
+      assert.deepEqual(await list('to=2030-01-31'), [100]);
+      assert.deepEqual(await list('buyer_id=999'), []);
+    });
+
+    it('pages through payments with the total in X-Total-Count', async () => {
+      const { body: tx } = await purchase({});
+      for (const amount of [100, 200, 300]) await pay({ transaction_id: tx.id, amount });
+
+      const first = await api.auditor.get('/api/payments?sort=-amount&per_page=2');
+      assert.equal(first.headers['x-total-count'], '3');
+      assert.deepEqual(first.body.map(p => p.amount), [300, 200]);
+      const second = await api.auditor.get('/api/payments?sort=-amount&per_page=2&page=2');
+      assert.deepEqual(second.body.map(p => p.amount), [100]);
+      const past = await api.auditor.get('/api/payments?per_page=2&page=5');
+      assert.deepEqual(past.body, []);
+    });
+
+    it('rejects a malformed date with 400', async () => {
+      const res = await api.auditor.get('/api/payments?from=last-week');
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /api/payments/:id', () => {
+    it('returns one payment with its allocations', async () => {
+      const { body: tx } = await purchase({ payment_plan: PLAN });
+      const { body: payment } = await pay({ transaction_id: tx.id, amount: 30000 });
+      const res = await api.auditor.get(`/api/payments/${payment.id}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.receipt_number, payment.receipt_number);
+      assert.deepEqual(res.body.allocations.map(a => [a.sequence, a.amount]), [[0, 20000], [1, 10000]]);
+    });
+
+    it('answers 404 for an unknown payment', async () => {
+      const res = await api.auditor.get('/api/payments/999');
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error.message, 'Payment not found');
+    });
+  });
+
+  describe('POST /api/payments/:id/void', () => {
+    it('reverses the allocations, buyer totals and transaction status', async () => {
+      const { body: tx } = await purchase({ payment_plan: PLAN });
+      const { body: deposit } = await pay({ transaction_id: tx.id, amount: 20000 });
+      const { body: rest } = await pay({ transaction_id: tx.id, amount: 31000 });
+      assert.equal((await api.auditor.get(`/api/transactions/${tx.id}`)).body.payment_status, 'paid');
+
+      const res = await api.admin.post(`/api/payments/${rest.id}/void`).send({ reason: 'bounced cheque' });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.voided_at);
+      assert.equal(res.body.void_reason, 'bounced cheque');
+      assert.equal(res.body.voided_by, 'admin');
+
+      const after = await api.auditor.get(`/api/transactions/${tx.id}`);
+      assert.equal(after.body.payment_status, 'partial');
+      const schedule = await api.auditor.get(`/api/transactions/${tx.id}/schedule`);
+      assert.deepEqual(schedule.body.installments.map(i => i.status), ['paid', 'pending', 'pending']);
+      const buyer = await api.auditor.get('/api/buyers/1');
+      assert.equal(buyer.body.credit_balance, 0);
+      assert.equal(buyer.body.total_spent, 30000);
+
+      // Voiding the deposit too leaves nothing paid
+      await api.admin.post(`/api/payments/${deposit.id}/void`).send({ reason: 'entered twice' });
+      assert.equal((await api.auditor.get(`/api/transactions/${tx.id}`)).body.payment_status, 'pending');
+    });
+
+    it('requires a reason (400) and refuses a payment voided twice (409)', async () => {
+      const { body: tx } = await purchase({});
+      const { body: payment } = await pay({ transaction_id: tx.id, amount: 100 });
+      assert.equal((await api.admin.post(`/api/payments/${payment.id}/void`).send({})).status, 400);
+      assert.equal((await api.admin.post(`/api/payments/${payment.id}/void`).send({ reason: 'x' })).status, 200);
+      assert.equal((await api.admin.post(`/api/payments/${payment.id}/void`).send({ reason: 'x' })).status, 409);
+    });
+
+    it('answers 404 for an unknown payment and 409 on a cancelled transaction', async () => {
+      assert.equal((await api.admin.post('/api/payments/999/void').send({ reason: 'x' })).status, 404);
+
+      const { body: tx } = await purchase({});
+      const { body: payment } = await pay({ transaction_id: tx.id, amount: 100 });
+      await api.admin.post(`/api/transactions/${tx.id}/cancel`).send({ reason: 'x' });
+      assert.equal((await api.admin.post(`/api/payments/${payment.id}/void`).send({ reason: 'x' })).status, 409);
+    });
+
+    it('is admin only', async () => {
+      const res = await api.cashier.post('/api/payments/1/void').send({ reason: 'x' });
+      assert.equal(res.status, 403);
+    });
+  });
+});
@@ -0,0 +1,445 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, resetApp, closeApp } = require('./helpers');
+
+describe('plots API', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await resetApp();
+  });
+
+  after(closeApp);
+
+  it('requires a session', async () => {
+    const res = await request(app).get('/api/plots');
+    assert.equal(res.status, 401);
+  });
+
+  it('serves the frontend files but none of the server\'s', async () => {
+    for (const url of ['/', '/index.html', '/admin.html', '/api-client.js', '/style.css', '/fixtures/demo.json']) {
+      assert.equal((await request(app).get(url)).status, 200, url);
+    }
+    for (const url of ['/server.js', '/package.json', '/config/database.js', '/data/land_system.db', '/.env', '/test/helpers.js', '/test/fixtures/base.json']) {
+      assert.equal((await request(app).get(url)).status, 404, url);
+    }
+  });
+
+  describe('GET /api/plots', () => {
+    it('lists every plot of the estate grid', async () => {
+      const res = await api.auditor.get('/api/plots');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, 10);
+      assert.deepEqual(res.body.map(p => p.plot_number), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    });
+
+    it('filters by status and estate', async () => {
+      const sold = await api.auditor.get('/api/plots?status=sold');
+      assert.deepEqual(sold.body.map(p => p.id), [3]);
+
+      const otherEstate = await api.auditor.get('/api/plots?estate_id=99');
+      assert.deepEqual(otherEstate.body, []);
+    });
+
+    it('rejects unknown statuses and non-numeric estate ids with 400', async () => {
+      const res = await api.auditor.get('/api/plots?status=gone&estate_id=x');
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.fields.map(f => f.field), ['status', 'estate_id']);
+    });
+
+    it('pages, sorts and trims the list and reports the total', async () => {
+      const res = await api.auditor.get('/api/plots?page=2&per_page=4&sort=-plot_number&fields=id,plot_number');
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['x-total-count'], '10');
+      assert.equal(res.headers['x-page'], '2');
+      assert.equal(res.headers['x-per-page'], '4');
+      assert.deepEqual(res.body, [6, 5, 4, 3].map(n => ({ id: n, plot_number: n })));
+
+      const unpaged = await api.auditor.get('/api/plots?status=available');
+      assert.equal(unpaged.headers['x-total-count'], String(unpaged.body.length));
+      assert.equal(unpaged.headers['x-page'], undefined);
+    });
+
+    it('rejects unknown sort keys and oversized pages with 400', async () => {
+      const res = await api.auditor.get('/api/plots?sort=owner&per_page=1000&fields=price;drop');
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.fields.map(f => f.field), ['per_page', 'sort[0]', 'fields[0]']);
+    });
+  });
+
+  describe('GET /api/plots/stats', () => {
+    it('counts plots by status', async () => {
+      const res = await api.auditor.get('/api/plots/stats');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.totalPlots, 10);
+      assert.deepEqual(res.body.summary, { available: 9, sold: 1, selected: 0 });
+    });
+
+    it('values the plots at their effective prices', async () => {
+      await api.admin.post('/api/pricing-rules').send({ name: 'Corner premium', category: 'corner', percent: 10 });
+      const res = await api.auditor.get('/api/plots/stats?estate_id=1');
+      // Nine plots at 50000 (sold plot 3 among them), plus corner plot 9 at 60000 + 10%
+      assert.deepEqual(res.body.totals, { totalValueAll: 9 * 50000 + 66000, totalValueSold: 50000 });
+    });
+  });
+
+  describe('GET /api/plots/:id', () => {
+    it('returns one plot', async () => {
+      const res = await api.auditor.get('/api/plots/9');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.category, 'corner');
+      assert.equal(res.body.price, 60000);
+    });
+
+    it('answers 404 for an unknown plot', async () => {
+      const res = await api.auditor.get('/api/plots/999');
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error.message, 'Plot not found');
+      assert.equal(res.body.error.code, 'not_found');
+    });
+
+    it('rejects an id that is not a positive integer with 400', async () => {
+      const res = await api.auditor.get('/api/plots/abc');
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.fields.map(f => f.field), ['id']);
+    });
+  });
+
+  describe('PUT /api/plots/:id', () => {
+    it('updates status and category', async () => {
+      const res = await api.sales_agent.put('/api/plots/1').send({ status: 'selected', category: 'roadside' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'selected');
+      assert.equal(res.body.category, 'roadside');
+    });
+
+    it('rejects an invalid status with 400', async () => {
+      const res = await api.sales_agent.put('/api/plots/1').send({ status: 'gone' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, 'validation_failed');
+      assert.deepEqual(res.body.error.fields.map(f => f.field), ['status']);
+      assert.match(res.body.error.message, /status must be one of available, selected, sold/);
+    });
+
+    it('rejects an empty update with 400', async () => {
+      const res = await api.sales_agent.put('/api/plots/1').send({});
+      assert.equal(res.status, 400);
+    });
+
+    it('leaves a sold plot\'s status to its sale (409), but still changes its category', async () => {
+      const res = await api.sales_agent.put('/api/plots/3').send({ status: 'available' });
+      assert.equal(res.status, 409);
+      assert.deepEqual(res.body.error.conflicts, [3]);
+      const plot = (await api.auditor.get('/api/plots/3')).body;
+      assert.deepEqual([plot.status, plot.buyer_id], ['sold', 1]);
+      assert.equal((await api.sales_agent.put('/api/plots/3').send({ category: 'roadside' })).body.category, 'roadside');
+    });
+
+    it('leaves a plot held for someone else to its holder (409)', async () => {
+      await api.sales_agent.post('/api/plots/1/reserve').send({});
+      const res = await api.admin.put('/api/plots/1').send({ status: 'available' });
+      assert.equal(res.status, 409);
+      assert.deepEqual(res.body.error.conflicts, [1]);
+      assert.equal((await api.auditor.get('/api/plots/1')).body.held_by, 'sales_agent');
+
+      const sold = await api.sales_agent.put('/api/plots/1').send({ status: 'sold', buyer_id: 1 });
+      assert.deepEqual([sold.status, sold.body.status], [200, 'sold']);
+    });
+
+    it('answers 404 for an unknown plot', async () => {
+      const res = await api.sales_agent.put('/api/plots/999').send({ status: 'available' });
+      assert.equal(res.status, 404);
+    });
+
+    it('is not open to auditors', async () => {
+      const res = await api.auditor.put('/api/plots/1').send({ status: 'sold' });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('POST /api/plots/bulk-update', () => {
+    it('updates several plots at once', async () => {
+      const res = await api.sales_agent.post('/api/plots/bulk-update').send({ plotIds: [1, 2], status: 'selected' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.updatedCount, 2);
+    });
+
+    it('refuses to change sold plots with 409', async () => {
+      const res = await api.sales_agent.post('/api/plots/bulk-update').send({ plotIds: [2, 3], status: 'available' });
+      assert.equal(res.status, 409);
+      assert.deepEqual(res.body.error.conflicts, [3]);
+      assert.equal((await api.auditor.get('/api/plots/3')).body.status, 'sold');
+    });
+
+    it('refuses plots quoted or held for someone else with 409', async () => {
+      await api.sales_agent.post('/api/quotes/drafts').send({ buyer_id: 1, plot_ids: [2] });
+      await api.admin.post('/api/plots/4/reserve').send({});
+      const res = await api.sales_agent.post('/api/plots/bulk-update').send({ plotIds: [1, 2, 4], status: 'selected' });
+      assert.equal(res.status, 409);
+      assert.deepEqual(res.body.error.conflicts, [2, 4]);
+      assert.equal((await api.auditor.get('/api/plots/1')).body.status, 'available');
+    });
+
+    it('rejects missing plot ids and invalid statuses with 400', async () => {
+      const noIds = await api.sales_agent.post('/api/plots/bulk-update').send({ plotIds: [], status: 'sold' });
+      assert.equal(noIds.status, 400);
+
+      const badStatus = await api.sales_agent.post('/api/plots/bulk-update').send({ plotIds: [1], status: 'gone' });
+      assert.equal(badStatus.status, 400);
+
+      const badId = await api.sales_agent.post('/api/plots/bulk-update').send({ plotIds: [1, 2.5], status: 'sold' });
+      assert.deepEqual(badId.body.error.fields.map(f => f.field), ['plotIds[1]']);
+    });
+  });
+
+  describe('POST /api/plots/reprice', () => {
+    it('reprices unsold plots in a range and records the history', async () => {
+      const res = await api.admin.post('/api/plots/reprice').send({ estate_id: 1, from: 1, to: 4, percent: 10, reason: 'launch' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.updatedCount, 3); // plot 3 is sold
+
+      const plot = await api.admin.get('/api/plots/1');
+      assert.equal(plot.body.price, 55000);
+      const sold = await api.admin.get('/api/plots/3');
+      assert.equal(sold.body.price, 50000);
+    });
+
+    it('reprices by plot number within the estate', async () => {
+      const { body: estate } = await api.admin.post('/api/estates').send({ name: 'Riverside', layout_rows: 1, layout_cols: 4, default_price: 40000 });
+      const res = await api.admin.post('/api/plots/reprice').send({ estate_id: estate.id, from: 2, to: 3, price: 45000 });
+      assert.deepEqual([res.status, res.body.updatedCount], [200, 2]);
+
+      const plots = (await api.auditor.get(`/api/plots?estate_id=${estate.id}&sort=plot_number`)).body;
+      assert.deepEqual(plots.map(p => [p.plot_number, p.price]), [[1, 40000], [2, 45000], [3, 45000], [4, 40000]]);
+      assert.equal((await api.auditor.get('/api/plots/2')).body.price, 50000);
+    });
+
+    it('answers 404 when no unsold plot matches and 400 for a range without an estate', async () => {
+      const none = await api.admin.post('/api/plots/reprice').send({ estate_id: 1, from: 11, to: 20, percent: 5 });
+      assert.equal(none.status, 404);
+      assert.equal((await api.admin.post('/api/plots/reprice').send({ estate_id: 1, from: 3, to: 3, percent: 5 })).status, 404);
+      assert.equal((await api.admin.post('/api/plots/reprice').send({ from: 1, to: 4, percent: 5 })).status, 400);
+    });
+
+    it('rejects a request without a target or with both price and percent', async () => {
+      const noTarget = await api.admin.post('/api/plots/reprice').send({ percent: 5 });
+      assert.equal(noTarget.status, 400);
+
+      const both = await api.admin.post('/api/plots/reprice').send({ category: 'corner', price: 1, percent: 5 });
+      assert.equal(both.status, 400);
+    });
+
+    it('is admin only', async () => {
+      const res = await api.sales_agent.post('/api/plots/reprice').send({ from: 1, to: 2, percent: 5 });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('PUT /api/plots/:id/price and GET /api/plots/:id/price-history', () => {
+    it('changes the price and logs it', async () => {
+      const res = await api.admin.put('/api/plots/1/price').send({ price: 70000, reason: 'corner' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.price, 70000);
+
+      const history = await api.auditor.get('/api/plots/1/price-history');
+      assert.equal(history.status, 200);
+      assert.equal(history.body.length, 1);
+      assert.equal(history.body[0].old_price, 50000);
+      assert.equal(history.body[0].new_price, 70000);
+      assert.equal(history.body[0].changed_by, 'admin');
+    });
+
+    it('starts with an empty history', async () => {
+      const res = await api.auditor.get('/api/plots/2/price-history');
+      assert.deepEqual(res.body, []);
+    });
+
+    it('rejects a bad price with 400, a sold plot with 409 and an unknown plot with 404', async () => {
+      assert.equal((await api.admin.put('/api/plots/1/price').send({ price: -5 })).status, 400);
+      assert.equal((await api.admin.put('/api/plots/3/price').send({ price: 1000 })).status, 409);
+      assert.equal((await api.admin.put('/api/plots/999/price').send({ price: 1000 })).status, 404);
+    });
+  });
+
+  describe('POST/DELETE /api/plots/:id/reserve', () => {
+    it('holds a plot for the agent and releases it again', async () => {
+      const held = await api.sales_agent.post('/api/plots/1/reserve').send({ minutes: 5 });
+      assert.equal(held.status, 201);
+      assert.equal(held.body.status, 'selected');
+      assert.equal(held.body.held_by, 'sales_agent');
+
+      const released = await api.sales_agent.delete('/api/plots/1/reserve');
+      assert.equal(released.status, 200);
+      assert.equal(released.body.status, 'available');
+      assert.equal(released.body.held_by, null);
+    });
+
+    it('refuses a plot held by someone else or already sold with 409', async () => {
+      await api.sales_agent.post('/api/plots/1/reserve').send({});
+
+      const taken = await api.admin.post('/api/plots/1/reserve').send({});
+      assert.equal(taken.status, 409);
+      assert.match(taken.body.error.message, /held by sales_agent/);
+
+      const sold = await api.sales_agent.post('/api/plots/3/reserve').send({});
+      assert.equal(sold.status, 409);
+    });
+
+    it('answers 404 for an unknown plot', async () => {
+      assert.equal((await api.sales_agent.post('/api/plots/999/reserve').send({})).status, 404);
+      assert.equal((await api.sales_agent.delete('/api/plots/999/reserve')).status, 404);
+    });
+
+    it('lets an admin release any hold', async () => {
+      await api.sales_agent.post('/api/plots/2/reserve').send({});
+      const res = await api.admin.delete('/api/plots/2/reserve');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'available');
+    });
+  });
+
+  describe('PUT /api/plots/:id/survey and POST /api/plots/import', () => {
+    const square = (x) => ({
+      type: 'Polygon',
+      coordinates: [[[36.8 + x, -1.3], [36.8001 + x, -1.3], [36.8001 + x, -1.2999], [36.8 + x, -1.2999], [36.8 + x, -1.3]]]
+    });
+
+    it('sets survey fields and the outline', async () => {
+      const res = await api.admin.put('/api/plots/1/survey').send({
+        size_acres: 0.125, dimensions: '15 x 30 m', parcel_number: 'LR 12345/1', road_frontage: 15, is_corner: true, geometry: square(0)
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.parcel_number, 'LR 12345/1');
+      assert.equal(res.body.is_corner, true);
+      assert.deepEqual(res.body.geometry, square(0));
+
+      const [listed] = (await api.auditor.get('/api/plots?fields=id,geometry,is_corner')).body;
+      assert.deepEqual(listed, { id: 1, geometry: square(0), is_corner: true });
+
+      const cleared = await api.admin.put('/api/plots/1/survey').send({ geometry: null });
+      assert.equal(cleared.body.geometry, null);
+      assert.equal(cleared.body.parcel_number, 'LR 12345/1');
+    });
+
+    it('rejects open rings and bad positions with 400, and an unknown plot with 404', async () => {
+      const open = square(0);
+      open.coordinates[0].pop();
+      const res = await api.admin.put('/api/plots/1/survey').send({ geometry: open, size_acres: -1 });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.fields.map(f => f.field), ['size_acres', 'geometry']);
+
+      const flipped = await api.admin.put('/api/plots/1/survey').send({ geometry: { type: 'Polygon', coordinates: [[[0, 200], [1, 0], [0, 1], [0, 200]]] } });
+      assert.equal(flipped.status, 400);
+      assert.equal((await api.admin.put('/api/plots/999/survey').send({ is_corner: true })).status, 404);
+      assert.equal((await api.sales_agent.put('/api/plots/1/survey').send({ is_corner: true })).status, 403);
+    });
+
+    it('imports a FeatureCollection by plot number', async () => {
+      const res = await api.admin.post('/api/plots/import?estate_id=1').send({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: square(0), properties: { plot_number: 1, size_sqm: 450, parcel_number: 'LR 1' } },
+          { type: 'Feature', geometry: square(0.0001), properties: { plot_number: 2, is_corner: true } },
+          { type: 'Feature', geometry: null, properties: { plot_number: 3, dimensions: '15 x 30 m' } }
+        ]
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.updatedCount, 3);
+
+      const plots = (await api.auditor.get('/api/plots?sort=id&per_page=3')).body;
+      assert.deepEqual(plots.map(p => [p.parcel_number, p.size_sqm, p.is_corner, p.dimensions]), [
+        ['LR 1', 450, false, null], [null, null, true, null], [null, null, false, '15 x 30 m']
+      ]);
+      assert.deepEqual(plots[1].geometry, square(0.0001));
+      assert.equal(plots[2].geometry, null);
+    });
+
+    it('creates plots it does not know and changes nothing when a feature has no estate', async () => {
+      const collection = {
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: square(0), properties: { plot_number: 1, estate_id: 1 } },
+          { type: 'Feature', geometry: square(0.0002), properties: { plot_number: 11, estate_id: 1 } },
+          { type: 'Feature', geometry: square(0), properties: { plot_number: 2 } }
+        ]
+      };
+      const res = await api.admin.post('/api/plots/import').send(collection);
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.error.fields.map(f => [f.field, f.code]), [['features[2].properties.estate_id', 'required']]);
+      assert.equal((await api.auditor.get('/api/plots/1')).body.geometry, null);
+
+      collection.features[2].properties.estate_id = 1;
+      const imported = await api.admin.post('/api/plots/import').send(collection);
+      assert.equal(imported.status, 200);
+      assert.deepEqual([imported.body.createdCount, imported.body.updatedCount], [1, 2]);
+      const created = (await api.auditor.get('/api/plots/11')).body;
+      assert.deepEqual([created.plot_number, created.status, created.price], [11, 'available', 50000]);
+      assert.deepEqual(created.geometry, square(0.0002));
+
+      const again = await api.admin.post('/api/plots/import').send(collection);
+      assert.deepEqual([again.body.createdCount, again.body.updatedCount], [0, 0]);
+    });
+
+    it('refuses with 409 to reprice a sold plot or reuse a plot id', async () => {
+      const res = await api.admin.post('/api/plots/import?estate_id=1').send({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: square(0), properties: { plot_number: 3, price: 1 } },
+          { type: 'Feature', geometry: square(0), properties: { plot_number: 12, id: 3 } },
+          { type: 'Feature', geometry: square(0), properties: { plot_number: 4, price: 60000 } }
+        ]
+      });
+      assert.equal(res.status, 409);
+      assert.deepEqual(res.body.error.conflicts, [3, 3]);
+      assert.deepEqual(res.body.error.fields.map(f => f.field), ['features[0].properties', 'features[1].properties.id']);
+      assert.equal((await api.auditor.get('/api/plots/4')).body.price, 50000);
+      assert.equal((await api.sales_agent.post('/api/plots/import?estate_id=1').send({ type: 'FeatureCollection', features: [] })).status, 403);
+    });
+
+    it('takes KML as well', async () => {
+      const kml = `<?xml version="1.0" encoding="UTF-8"?>
+        <kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+          <Placemark><name>Plot 2</name>
+            <ExtendedData><Data name="parcel_number"><value>LR 2 &amp; 3</value></Data><Data name="is_corner"><value>true</value></Data></ExtendedData>
+            <Polygon><outerBoundaryIs><LinearRing><coordinates>36.8,-1.3,0 36.8001,-1.3,0 36.8001,-1.2999,0 36.8,-1.2999,0 36.8,-1.3,0</coordinates></LinearRing></outerBoundaryIs></Polygon>
+          </Placemark>
+        </Document></kml>`;
+      const res = await api.admin.post('/api/plots/import?estate_id=1')
+        .set('Content-Type', 'application/vnd.google-earth.kml+xml').send(kml);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.updatedCount, 1);
+      const plot = (await api.auditor.get('/api/plots/2')).body;
+      assert.deepEqual([plot.parcel_number, plot.is_corner], ['LR 2 & 3', true]);
+      assert.deepEqual(plot.geometry, square(0));
+
+      const bad = await api.admin.post('/api/plots/import?estate_id=1').set('Content-Type', 'text/xml').send('<html></html>');
+      assert.equal(bad.status, 400);
+    });
+  });
+
+  describe('GET /api/plots/export.geojson and export.kml', () => {
+    it('exports outlines and public attributes, without buyer details', async () => {
+      await api.admin.put('/api/plots/3/survey').send({ geometry: { type: 'Polygon', coordinates: [[[36.8, -1.3], [36.8001, -1.3], [36.8001, -1.2999], [36.8, -1.3]]] } });
+      const res = await api.auditor.get('/api/plots/export.geojson?estate_id=1');
+      assert.equal(res.status, 200);
+      assert.match(res.headers['content-type'], /^application\/geo\+json/);
+      assert.match(res.headers['content-disposition'], /plots-estate-1\.geojson/);
+      const collection = JSON.parse(res.text);
+      assert.equal(collection.name, 'Test Estate');
+      assert.equal(collection.features.length, 10);
+      const sold = collection.features.find(f => f.properties.plot_number === 3);
+      assert.equal(sold.properties.status, 'sold');
+      assert.equal(sold.geometry.type, 'Polygon');
+      for (const feature of collection.features) {
+        assert.equal('buyer_id' in feature.properties || 'held_by' in feature.properties, false);
+      }
+
+      const kml = await api.auditor.get('/api/plots/export.kml?estate_id=1&status=sold');
+      assert.equal(kml.status, 200);
+      assert.match(kml.headers['content-type'], /^application\/vnd\.google-earth\.kml\+xml/);
+      assert.equal((kml.text.match(/<Placemark>/g) || []).length, 1);
+      assert.match(kml.text, /<name>Plot 3<\/name>.*<styleUrl>#sold<\/styleUrl>/);
+      assert.equal((await api.auditor.get('/api/plots/export.kml?status=gone')).status, 400);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, resetApp, closeApp } = require('./helpers');
+
+describe('pricing rules API', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await resetApp();
+  });
+
+  after(closeApp);
+
+  it('requires a session', async () => {
+    const res = await request(app).get('/api/pricing-rules');
+    assert.equal(res.status, 401);
+  });
+
+  it('lets admins add, change and delete rules', async () => {
+    const created = await api.admin.post('/api/pricing-rules').send({ name: 'Corner premium', corner: true, percent: 10 });
+    assert.equal(created.status, 201);
+    assert.deepEqual(
+      [created.body.name, created.body.corner, created.body.road_facing, created.body.percent, created.body.amount, created.body.active],
+      ['Corner premium', true, null, 10, null, true]
+    );
+    assert.equal(created.body.created_by, 'admin');
+
+    const changed = await api.admin.put(`/api/pricing-rules/${created.body.id}`).send({ active: false, tag: 'Near-Gate' });
+    assert.equal(changed.status, 200);
+    assert.deepEqual([changed.body.active, changed.body.tag], [false, 'near-gate']);
+    assert.equal((await api.auditor.get('/api/pricing-rules')).body.length, 1);
+
+    assert.equal((await api.sales_agent.post('/api/pricing-rules').send({ name: 'Discount', percent: -5 })).status, 403);
+    assert.equal((await api.admin.delete(`/api/pricing-rules/${created.body.id}`)).status, 200);
+    assert.equal((await api.admin.get(`/api/pricing-rules/${created.body.id}`)).status, 404);
+    assert.equal((await api.admin.put(`/api/pricing-rules/${created.body.id}`).send({ active: true })).status, 404);
+  });
+
+  it('needs exactly one of percent or amount, a forward range and a real estate', async () => {
+    const res = await api.admin.post('/api/pricing-rules').send({ name: 'Odd', percent: 5, amount: 1000, plot_from: 9, plot_to: 2, estate_id: 99 });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.error.fields.map(f => f.field), ['percent', 'plot_to', 'estate_id']);
+
+    const neither = await api.admin.post('/api/pricing-rules').send({ name: 'Nothing' });
+    assert.deepEqual(neither.body.error.fields.map(f => f.field), ['percent']);
+  });
+
+  it('returns base and effective prices on plots', async () => {
+    await api.admin.post('/api/pricing-rules').send({ name: 'Corner category', category: 'corner', percent: 10 });
+    await api.admin.post('/api/pricing-rules').send({ name: 'Back row', plot_from: 1, plot_to: 2, estate_id: 1, percent: -5 });
+    await api.admin.post('/api/pricing-rules').send({ name: 'Near the gate', tag: 'near-gate', amount: 2000 });
+    await api.admin.post('/api/pricing-rules').send({ name: 'Switched off', amount: 99999, active: false });
+    const tagged = await api.sales_agent.put('/api/plots/4').send({ tags: 'Near-Gate, main-road' });
+    assert.deepEqual(tagged.body.tags, ['near-gate', 'main-road']);
+    assert.equal(tagged.body.effective_price, 52000);
+
+    const plots = (await api.auditor.get('/api/plots?fields=id,price,effective_price')).body;
+    assert.deepEqual(plots.filter(p => [1, 4, 5, 9].includes(p.id)), [
+      { id: 1, price: 50000, effective_price: 47500 },
+      { id: 4, price: 50000, effective_price: 52000 },
+      { id: 5, price: 50000, effective_price: 50000 },
+      { id: 9, price: 60000, effective_price: 66000 }
+    ]);
+
+    const plot = (await api.auditor.get('/api/plots/9')).body;
+    assert.deepEqual(plot.price_adjustments, [{ rule_id: 1, name: 'Corner category', percent: 10, amount: 6000 }]);
+  });
+
+  it('charges effective prices for a sale', async () => {
+    for (const plot of [2, 5]) await api.admin.put(`/api/plots/${plot}/survey`).send({ is_corner: true });
+    await api.admin.post('/api/pricing-rules').send({ name: 'Corner premium', corner: true, percent: 10 });
+
+    const purchase = await api.sales_agent.post('/api/purchases').send({ buyer_id: 1, plot_ids: [2, 4] });
+    assert.equal(purchase.status, 201);
+    assert.equal(purchase.body.total_amount, 105000);
+
+    const tx = await api.sales_agent.post('/api/transactions').send({ buyer_id: 1, plot_ids: [5] });
+    assert.equal(tx.body.total_amount, 55000);
+  });
+});
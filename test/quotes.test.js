@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, resetApp, closeApp } = require('./helpers');
+
+// Fixture plots cost 50000 each (plot 9: 60000); plot 3 is already sold
+const OTHER_BUYER = {
+  name: 'John Smith',
+  id_number: '23456789',
+  phone: '0712 000 002',
+  email: 'john@example.com',
+  budget: 300000
+};
+
+describe('quotes API', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await resetApp();
+  });
+
+  after(closeApp);
+
+  const quote = (body) => api.sales_agent.post('/api/quotes/drafts').send({ buyer_id: 1, ...body });
+
+  it('requires a session, and an agent to make quotes', async () => {
+    assert.equal((await request(app).get('/api/quotes')).status, 401);
+    assert.equal((await api.cashier.post('/api/quotes/drafts').send({ buyer_id: 1, plot_ids: [1] })).status, 403);
+  });
+
+  it('saves a draft quote with its prices, terms and validity', async () => {
+    await api.admin.post('/api/promo-codes').send({ code: 'WELCOME', amount: 5000 });
+    const res = await quote({
+      plot_ids: [1, 9],
+      promo_code: 'welcome',
+      payment_plan: { deposit_percent: 10, months: 12 },
+      valid_until: '2099-01-31'
+    });
+    assert.equal(res.status, 201);
+    assert.deepEqual(
+      [res.body.status, res.body.plot_ids, res.body.gross_amount, res.body.discount_amount, res.body.total_amount],
+      ['draft', '1,9', 110000, 5000, 105000]
+    );
+    assert.deepEqual(
+      [res.body.promo_code, res.body.payment_plan, res.body.valid_until, res.body.created_by, res.body.buyer_name],
+      ['WELCOME', { deposit_percent: 10, months: 12 }, '2099-01-31', 'sales_agent', 'Jane Doe']
+    );
+    assert.equal(res.body.line_items.length, 3);
+    // Quoting doesn't use the promo code up; the sale does
+    assert.equal((await api.admin.get('/api/promo-codes/1')).body.used_count, 0);
+
+    const list = await api.auditor.get('/api/quotes?status=draft&buyer_id=1');
+    assert.deepEqual(list.body.map(q => q.id), [res.body.id]);
+    assert.equal((await api.auditor.get(`/api/quotes/${res.body.id}`)).body.total_amount, 105000);
+    assert.equal((await api.auditor.get('/api/quotes/999')).status, 404);
+  });
+
+  it('defaults valid_until and refuses one in the past', async () => {
+    const res = await quote({ plot_ids: [1] });
+    assert.ok(res.body.valid_until > new Date().toISOString().slice(0, 10));
+
+    const late = await quote({ plot_ids: [2], valid_until: '2000-01-01' });
+    assert.equal(late.status, 400);
+    assert.deepEqual(late.body.error.fields.map(f => f.field), ['valid_until']);
+    assert.equal((await quote({ buyer_id: 999, plot_ids: [2] })).body.error.fields[0].field, 'buyer_id');
+  });
+
+  it('holds quoted plots for the buyer', async () => {
+    const { body: created } = await quote({ plot_ids: [1, 2] });
+    const plot = (await api.auditor.get('/api/plots/1')).body;
+    assert.deepEqual([plot.status, plot.quote_id, plot.quoted_buyer_id], ['available', created.id, 1]);
+
+    const { body: other } = await api.sales_agent.post('/api/buyers').send(OTHER_BUYER);
+    const purchase = await api.sales_agent.post('/api/purchases').send({ buyer_id: other.id, plot_ids: [2, 4] });
+    assert.equal(purchase.status, 409);
+    assert.deepEqual(purchase.body.error.conflicts, [2]);
+    assert.equal((await api.admin.post('/api/plots/1/reserve').send({})).status, 409);
+
+    const again = await quote({ buyer_id: other.id, plot_ids: [2, 4] });
+    assert.equal(again.status, 409);
+    assert.deepEqual(again.body.error.conflicts, [2]);
+    assert.equal((await quote({ plot_ids: [1, 3] })).body.error.conflicts.length, 2);
+  });
+
+  it('changes drafts only, pricing them again', async () => {
+    const { body: created } = await quote({ plot_ids: [1] });
+    const changed = await api.sales_agent.put(`/api/quotes/${created.id}`).send({ plot_ids: [1, 9] });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.total_amount, 110000);
+    assert.equal((await api.auditor.get('/api/plots/9')).body.quote_id, created.id);
+
+    const sent = await api.sales_agent.post(`/api/quotes/${created.id}/send`);
+    assert.equal(sent.body.status, 'sent');
+    assert.ok(sent.body.sent_at);
+    assert.equal((await api.sales_agent.put(`/api/quotes/${created.id}`).send({ plot_ids: [1] })).status, 409);
+  });
+
+  it('converts a quote into a sale at the quoted prices', async () => {
+    const { body: created } = await quote({ plot_ids: [1, 2], payment_plan: { deposit_amount: 20000, months: 2 } });
+    await api.sales_agent.post(`/api/quotes/${created.id}/send`);
+    await api.admin.put('/api/plots/1/price').send({ price: 80000, reason: 'New phase' });
+
+    const res = await api.sales_agent.post(`/api/quotes/${created.id}/convert`);
+    assert.equal(res.status, 201);
+    assert.deepEqual([res.body.buyer_id, res.body.plot_ids, res.body.total_amount], [1, '1,2', 100000]);
+    assert.deepEqual(res.body.line_items.map(line => line.amount), [50000, 50000]);
+    const schedule = (await api.auditor.get(`/api/transactions/${res.body.id}/schedule`)).body;
+    assert.equal(schedule.installments.length, 3);
+
+    const accepted = (await api.auditor.get(`/api/quotes/${created.id}`)).body;
+    assert.deepEqual([accepted.status, accepted.transaction_id], ['accepted', res.body.id]);
+    const plot = (await api.auditor.get('/api/plots/1')).body;
+    assert.deepEqual([plot.status, plot.quote_id], ['sold', null]);
+
+    const again = await api.sales_agent.post(`/api/quotes/${created.id}/convert`);
+    assert.equal(again.status, 409);
+  });
+
+  it('keeps a quoted promo code from being deleted until the quote is over', async () => {
+    const { body: promo } = await api.admin.post('/api/promo-codes').send({ code: 'WELCOME', amount: 5000 });
+    const { body: created } = await quote({ plot_ids: [1], promo_code: 'WELCOME' });
+    const refused = await api.admin.delete(`/api/promo-codes/${promo.id}`);
+    assert.equal(refused.status, 409);
+    assert.match(refused.body.error.message, new RegExp(`live quotes #${created.id}`));
+
+    const res = await api.sales_agent.post(`/api/quotes/${created.id}/convert`);
+    assert.deepEqual([res.status, res.body.total_amount], [201, 45000]);
+    assert.equal((await api.admin.get(`/api/promo-codes/${promo.id}`)).body.used_count, 1);
+    assert.equal((await api.admin.delete(`/api/promo-codes/${promo.id}`)).status, 200);
+  });
+
+  it('releases the plots when a quote is withdrawn', async () => {
+    const { body: created } = await quote({ plot_ids: [1] });
+    const expired = await api.sales_agent.post(`/api/quotes/${created.id}/expire`);
+    assert.equal(expired.body.status, 'expired');
+    assert.equal((await api.auditor.get('/api/plots/1')).body.quote_id, null);
+    assert.equal((await api.sales_agent.post(`/api/quotes/${created.id}/convert`)).status, 409);
+    assert.equal((await api.sales_agent.post(`/api/quotes/${created.id}/expire`)).status, 409);
+
+    const events = (await api.auditor.get('/api/audit?entity=quote')).body;
+    assert.deepEqual(events.map(e => e.action).sort(), ['quote.create', 'quote.expire']);
+  });
+});
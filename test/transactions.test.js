@@ -0,0 +1,239 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetApp, closeApp } = require('./helpers');
+
+// Fixture plots cost 50000 each (plot 9: 60000); plot 3 is already sold
+const PLAN = { deposit_amount: 20000, months: 2, start_date: '2099-01-01' };
+
+describe('transactions API', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await resetApp();
+  });
+
+  after(closeApp);
+
+  const purchase = (body) => api.sales_agent.post('/api/purchases').send({ buyer_id: 1, ...body });
+
+  describe('POST /api/purchases', () => {
+    it('sells the plots and records the transaction', async () => {
+      const res = await purchase({ plot_ids: [1, 9], total_amount: 1 });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.total_amount, 110000); // from plot prices, not the client
+      assert.equal(res.body.plot_ids, '1,9');
+      assert.equal(res.body.payment_status, 'pending');
+      assert.equal(res.body.buyer_name, 'Jane Doe');
+
+      const plot = await api.auditor.get('/api/plots/9');
+      assert.equal(plot.body.status, 'sold');
+      assert.equal(plot.body.buyer_id, 1);
+      const buyer = await api.auditor.get('/api/buyers/1');
+      assert.equal(buyer.body.total_spent, 110000);
+    });
+
+    it('rejects plots that are no longer available with 409', async () => {
+      const res = await purchase({ plot_ids: [1, 3] });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'conflict');
+      assert.deepEqual(res.body.error.conflicts, [3]);
+
+      const plot = await api.auditor.get('/api/plots/1');
+      assert.equal(plot.body.status, 'available');
+    });
+
+    it('answers 400 for missing fields and 404 for an unknown buyer', async () => {
+      assert.equal((await purchase({ plot_ids: [] })).status, 400);
+      const badIds = await purchase({ plot_ids: '1,x', payment_plan: { months: 'six' } });
+      assert.equal(badIds.status, 400);
+      assert.deepEqual(badIds.body.error.fields.map(f => f.field), ['plot_ids[1]', 'payment_plan.months']);
+      assert.equal((await purchase({ buyer_id: 999, plot_ids: [1] })).status, 404);
+    });
+
+    it('keeps other writes made while a failed sale rolls back', async () => {
+      const buyer = (n) => ({ name: `Buyer ${n}`, id_number: `3000000${n}`, phone: `0712 000 10${n}`, email: `b${n}@example.com`, budget: 100000 });
+      const [failed, ...created] = await Promise.all([
+        purchase({ plot_ids: [1, 2, 4, 3] }),
+        ...[1, 2, 3].map(n => api.sales_agent.post('/api/buyers').send(buyer(n)))
+      ]);
+      assert.equal(failed.status, 409);
+      for (const res of created) {
+        assert.equal(res.status, 201);
+        assert.equal((await api.auditor.get(`/api/buyers/${res.body.id}`)).status, 200);
+      }
+    });
+  });
+
+  describe('POST /api/transactions', () => {
+    it('creates a transaction priced from the plots', async () => {
+      const res = await api.sales_agent.post('/api/transactions').send({ buyer_id: 1, plot_ids: [2], total_amount: 5 });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.total_amount, 50000);
+      assert.equal(res.body.buyer_name, 'Jane Doe');
+    });
+
+    it('rejects missing fields, unknown plots and a bad payment plan with 400', async () => {
+      const missing = await api.sales_agent.post('/api/transactions').send({ plot_ids: [2] });
+      assert.equal(missing.status, 400);
+
+      const unknown = await api.sales_agent.post('/api/transactions').send({ buyer_id: 1, plot_ids: [999] });
+      assert.equal(unknown.status, 400);
+
+      const badPlan = await api.sales_agent.post('/api/transactions')
+        .send({ buyer_id: 1, plot_ids: [2], payment_plan: { months: 0 } });
+      assert.equal(badPlan.status, 400);
+    });
+
+    it('answers 404 for an unknown buyer and records nothing', async () => {
+      const res = await api.sales_agent.post('/api/transactions').send({ buyer_id: 999, plot_ids: [2] });
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error.message, 'Buyer not found');
+      assert.equal((await api.sales_agent.post('/api/transactions').send({ buyer_id: 1, plot_ids: [2] })).status, 201);
+    });
+
+    it('refuses sold, held and already-recorded plots with 409', async () => {
+      const sale = (plot_ids) => api.sales_agent.post('/api/transactions').send({ buyer_id: 1, plot_ids });
+      const sold = await sale([2, 3]);
+      assert.equal(sold.status, 409);
+      assert.deepEqual(sold.body.error.conflicts, [3]);
+
+      assert.equal((await sale([2])).status, 201);
+      assert.deepEqual((await sale([2, 4])).body.error.conflicts, [2]);
+
+      await api.admin.post('/api/plots/4/reserve').send({});
+      assert.deepEqual((await sale([4])).body.error.conflicts, [4]);
+    });
+
+    it('is not open to cashiers', async () => {
+      const res = await api.cashier.post('/api/transactions').send({ buyer_id: 1, plot_ids: [2] });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('GET /api/transactions and /api/transactions/:id', () => {
+    it('lists and filters transactions', async () => {
+      await purchase({ plot_ids: [1] });
+      const all = await api.auditor.get('/api/transactions');
+      assert.equal(all.status, 200);
+      assert.equal(all.body.length, 1);
+      assert.equal(all.body[0].buyer_name, 'Jane Doe');
+
+      const none = await api.auditor.get('/api/transactions?payment_status=paid');
+      assert.deepEqual(none.body, []);
+    });
+
+    it('pages and sorts transactions', async () => {
+      for (const plot of [1, 2, 4]) await purchase({ plot_ids: [plot] });
+      const res = await api.auditor.get('/api/transactions?sort=id&page=2&per_page=2&fields=id,plot_ids');
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['x-total-count'], '3');
+      assert.deepEqual(res.body.map(t => Object.keys(t)), [['id', 'plot_ids']]);
+      assert.equal(res.body[0].plot_ids, '4');
+    });
+
+    it('returns one transaction with buyer details', async () => {
+      const { body: tx } = await purchase({ plot_ids: [1] });
+      const res = await api.auditor.get(`/api/transactions/${tx.id}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.buyer_email, 'jane@example.com');
+    });
+
+    it('answers 404 for an unknown transaction', async () => {
+      const res = await api.auditor.get('/api/transactions/999');
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error.message, 'Transaction not found');
+    });
+
+    it('redirects /payments to /api/payments and routes /refunds to its list, not to /:id', async () => {
+      const payments = await api.auditor.get('/api/transactions/payments?buyer_id=1');
+      assert.equal(payments.status, 308);
+      assert.equal(payments.headers.location, '/api/payments?buyer_id=1');
+
+      const refunds = await api.auditor.get('/api/transactions/refunds');
+      assert.equal(refunds.status, 200);
+      assert.deepEqual(refunds.body, []);
+    });
+  });
+
+  describe('GET /api/transactions/:id/schedule', () => {
+    it('returns the installment plan', async () => {
+      const { body: tx } = await purchase({ plot_ids: [1], payment_plan: PLAN });
+      const res = await api.auditor.get(`/api/transactions/${tx.id}/schedule`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.plan.deposit_amount, 20000);
+      assert.deepEqual(res.body.installments.map(i => [i.sequence, i.amount_due]), [[0, 20000], [1, 15000], [2, 15000]]);
+      assert.deepEqual(res.body.totals, { amount_due: 50000, amount_paid: 0, balance: 50000 });
+    });
+
+    it('answers 404 without a plan', async () => {
+      const res = await api.auditor.get('/api/transactions/999/schedule');
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PUT /api/transactions/:id/status', () => {
+    it('marks an overdue transaction defaulted', async () => {
+      const { body: tx } = await purchase({ plot_ids: [1], payment_plan: { months: 2, start_date: '2020-01-01' } });
+      await api.cashier.post('/api/payments').send({ transaction_id: tx.id, amount: 1000 });
+
+      const res = await api.admin.put(`/api/transactions/${tx.id}/status`).send({ payment_status: 'defaulted' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.payment_status, 'defaulted');
+    });
+
+    it('rejects an invalid status with 400', async () => {
+      const { body: tx } = await purchase({ plot_ids: [1] });
+      const res = await api.admin.put(`/api/transactions/${tx.id}/status`).send({ payment_status: 'done' });
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects automatic statuses, cancelling and disallowed transitions with 409', async () => {
+      const { body: tx } = await purchase({ plot_ids: [1] });
+      const put = (payment_status) => api.admin.put(`/api/transactions/${tx.id}/status`).send({ payment_status });
+      assert.equal((await put('paid')).status, 409);
+      assert.equal((await put('cancelled')).status, 409);
+      assert.equal((await put('defaulted')).status, 409); // pending cannot default
+    });
+
+    it('answers 404 for an unknown transaction', async () => {
+      const res = await api.admin.put('/api/transactions/999/status').send({ payment_status: 'defaulted' });
+      assert.equal(res.status, 404);
+    });
+
+    it('is admin only', async () => {
+      const res = await api.cashier.put('/api/transactions/1/status').send({ payment_status: 'defaulted' });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('POST /api/transactions/:id/cancel', () => {
+    it('releases the plots, reverses the buyer totals and records the refund', async () => {
+      const { body: tx } = await purchase({ plot_ids: [1, 2], payment_plan: PLAN });
+      await api.cashier.post('/api/payments').send({ transaction_id: tx.id, amount: 30000 });
+
+      const res = await api.admin.post(`/api/transactions/${tx.id}/cancel`).send({ reason: 'financing fell through', refund_amount: 25000 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.payment_status, 'cancelled');
+      assert.equal(res.body.cancel_reason, 'financing fell through');
+
+      const plots = await api.auditor.get('/api/plots?status=available');
+      assert.ok([1, 2].every(id => plots.body.some(p => p.id === id)));
+      const refunds = await api.auditor.get(`/api/transactions/refunds?transaction_id=${tx.id}`);
+      assert.deepEqual(refunds.body.map(r => r.amount), [25000]);
+    });
+
+    it('requires a reason and caps the refund at the amount paid (400)', async () => {
+      const { body: tx } = await purchase({ plot_ids: [1] });
+      assert.equal((await api.admin.post(`/api/transactions/${tx.id}/cancel`).send({})).status, 400);
+      assert.equal((await api.admin.post(`/api/transactions/${tx.id}/cancel`)
+        .send({ reason: 'x', refund_amount: 10 })).status, 400);
+    });
+
+    it('answers 409 when already cancelled and 404 for an unknown transaction', async () => {
+      const { body: tx } = await purchase({ plot_ids: [1] });
+      await api.admin.post(`/api/transactions/${tx.id}/cancel`).send({ reason: 'x' });
+      assert.equal((await api.admin.post(`/api/transactions/${tx.id}/cancel`).send({ reason: 'x' })).status, 409);
+      assert.equal((await api.admin.post('/api/transactions/999/cancel').send({ reason: 'x' })).status, 404);
+    });
+  });
+});
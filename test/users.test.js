@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, resetApp, closeApp } = require('./helpers');
+const { driver } = require('../config/db-driver');
+
+describe('users, sign-in and audit API', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await resetApp();
+  });
+
+  after(closeApp);
+
+  describe('POST /api/users and PUT /api/users/:id', () => {
+    it('creates a user who can then sign in', async () => {
+      const res = await api.admin.post('/api/users').send({ username: 'Mary', password: ' long password ', role: 'cashier', name: 'Mary W' });
+      assert.equal(res.status, 201);
+      assert.deepEqual([res.body.username, res.body.role, res.body.active], ['mary', 'cashier', true]);
+
+      const login = await request(app).post('/api/auth/login').send({ username: 'mary', password: ' long password ' });
+      assert.equal(login.status, 200);
+    });
+
+    it('answers 400 with the bad fields', async () => {
+      const created = await api.admin.post('/api/users').send({ username: 'm', password: 'short', role: 'boss' });
+      assert.equal(created.status, 400);
+      assert.deepEqual(created.body.error.fields.map(f => f.field), ['username', 'password', 'role']);
+
+      const updated = await api.admin.put('/api/users/2').send({ role: 'boss', active: 'maybe' });
+      assert.deepEqual(updated.body.error.fields.map(f => f.field), ['role', 'active']);
+      assert.equal((await api.admin.put('/api/users/2').send({})).status, 400);
+      assert.equal((await api.admin.put('/api/users/x').send({ name: 'Mary' })).status, 400);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('answers 400 for missing fields and 401 for a wrong password', async () => {
+      const missing = await request(app).post('/api/auth/login').send({ username: 'admin' });
+      assert.equal(missing.status, 400);
+      assert.deepEqual(missing.body.error.fields.map(f => f.field), ['password']);
+
+      const wrong = await request(app).post('/api/auth/login').send({ username: 'admin', password: 'not-the-password' });
+      assert.equal(wrong.status, 401);
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    it('filters the log by date and rejects a bad date or limit', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const res = await api.auditor.get(`/api/audit?action=auth.login&from=${today}&limit=2`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, 2);
+
+      const bad = await api.auditor.get('/api/audit?from=notadate&limit=501');
+      assert.equal(bad.status, 400);
+      assert.deepEqual(bad.body.error.fields.map(f => f.field), ['from', 'limit']);
+    });
+
+    it('undoes a change whose audit event cannot be written', async () => {
+      await driver.runQuery(`CREATE TRIGGER audit_events_refuse BEFORE INSERT ON audit_events
+        BEGIN SELECT RAISE(ABORT, 'audit log unavailable'); END`);
+      const res = await api.admin.put('/api/estates/1').send({ name: 'Renamed' });
+      assert.equal(res.status, 500);
+
+      await driver.runQuery('DROP TRIGGER audit_events_refuse');
+      const estate = await api.admin.get('/api/estates/1');
+      assert.notEqual(estate.body.name, 'Renamed');
+    });
+  });
+});